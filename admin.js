@@ -0,0 +1,199 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { authenticateToken, requireAdmin, revokeSessions, REVIEW_STATUSES } = require('./auth');
+const { Joi, schemas, validate, sendValidationError } = require('./validation');
+const { recordVersion } = require('./versions');
+const { emitEvent } = require('./webhooks');
+
+const router = express.Router();
+
+// Every admin route needs an authenticated admin
+router.use('/admin', authenticateToken, requireAdmin);
+
+// Which review statuses each vendor action may move from, and where it moves to
+const VENDOR_ACTIONS = {
+  approve: { from: ['pending', 'rejected'], to: 'approved' },
+  reject: { from: ['pending'], to: 'rejected' },
+  suspend: { from: ['pending', 'approved', null], to: 'suspended' },
+  reinstate: { from: ['suspended'], to: 'approved' },
+};
+
+const reasonBody = Joi.object({ reason: Joi.string().trim().max(1000) });
+const vendorListQuery = Joi.object({ reviewStatus: Joi.string().valid(...REVIEW_STATUSES) });
+const vendorActionParams = Joi.object({
+  id: schemas.objectId.required(),
+  action: Joi.string().valid(...Object.keys(VENDOR_ACTIONS)).required(),
+});
+
+// Fields an admin needs to review a vendor
+const vendorReviewFields = {
+  phoneNumber: 1,
+  username: 1,
+  businessName: 1,
+  name: 1,
+  email: 1,
+  status: 1,
+  role: 1,
+  reviewStatus: 1,
+  reviewHistory: 1,
+  verifiedAt: 1,
+};
+
+// Endpoint to list vendors, e.g. those waiting for review
+router.get('/admin/vendors', validate({ query: vendorListQuery }), async (req, res) => {
+  const { reviewStatus = 'pending' } = req.query;
+
+  try {
+    // Vendors without a reviewStatus predate reviews and count as approved
+    const filter = reviewStatus === 'approved'
+      ? { reviewStatus: { $in: [null, 'approved'] } }
+      : { reviewStatus };
+
+    const vendors = await getDb().collection('users')
+      .find({ ...filter, status: 'verified', role: { $ne: 'admin' } })
+      .project(vendorReviewFields)
+      .sort({ _id: 1 })
+      .toArray();
+
+    res.status(200).json(vendors);
+  } catch (error) {
+    console.error('Error retrieving vendors:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to view one vendor with their listing counts
+router.get('/admin/vendors/:id', validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const vendor = await getDb().collection('users').findOne(
+      { _id: new ObjectId(req.params.id) },
+      { projection: vendorReviewFields }
+    );
+
+    if (!vendor) {
+      return res.status(404).json({ message: 'Vendor not found' });
+    }
+
+    const [products, services] = await Promise.all([
+      getDb().collection('products').countDocuments({ userId: vendor._id }),
+      getDb().collection('services').countDocuments({ userId: vendor._id }),
+    ]);
+
+    res.status(200).json({ ...vendor, listingCounts: { products, services } });
+  } catch (error) {
+    console.error('Error retrieving vendor:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to approve, reject, suspend or reinstate a vendor
+router.post('/admin/vendors/:id/:action', validate({ params: vendorActionParams, body: reasonBody }), async (req, res) => {
+  const { id, action } = req.params;
+  const { reason } = req.body;
+  const transition = VENDOR_ACTIONS[action];
+
+  try {
+    const now = new Date();
+    const vendor = await getDb().collection('users').findOneAndUpdate(
+      { _id: new ObjectId(id), status: 'verified', role: { $ne: 'admin' }, reviewStatus: { $in: transition.from } },
+      {
+        $set: { reviewStatus: transition.to },
+        $push: { reviewHistory: { action, reason, by: req.user.userId, at: now } },
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!vendor) {
+      return res.status(409).json({ message: `Vendor not found or cannot be moved to ${transition.to}` });
+    }
+
+    // A suspended vendor is logged out everywhere
+    if (transition.to === 'suspended') {
+      await revokeSessions({ userId: vendor._id }, 'suspended');
+    }
+
+    if (action === 'approve') {
+      await emitEvent(vendor._id, 'account.verified', { vendorId: vendor._id, reviewStatus: vendor.reviewStatus, approvedAt: now });
+    }
+
+    res.status(200).json({ message: `Vendor ${transition.to} successfully`, reviewStatus: vendor.reviewStatus });
+  } catch (error) {
+    console.error(`Error during vendor ${action}:`, error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Moderation actions on a listing and the fields they set
+const LISTING_ACTIONS = {
+  hide: (reason, by, at) => ({ 'moderation.hidden': true, 'moderation.hiddenReason': reason, 'moderation.hiddenBy': by, 'moderation.hiddenAt': at }),
+  unhide: () => ({ 'moderation.hidden': false }),
+  flag: (reason, by, at) => ({ 'moderation.flagged': true, 'moderation.flagReason': reason, 'moderation.flaggedBy': by, 'moderation.flaggedAt': at }),
+  unflag: () => ({ 'moderation.flagged': false }),
+};
+
+const listingListQuery = Joi.object({ flagged: Joi.boolean(), hidden: Joi.boolean() });
+const listingActionParams = Joi.object({
+  id: schemas.objectId.required(),
+  action: Joi.string().valid(...Object.keys(LISTING_ACTIONS)).required(),
+});
+
+function registerListingModerationRoutes(basePath, collectionName, label) {
+  // Endpoint to list flagged or hidden listings
+  router.get(`/admin/${basePath}`, validate({ query: listingListQuery }), async (req, res) => {
+    const { flagged, hidden } = req.query;
+    const filter = {};
+    if (flagged !== undefined) filter['moderation.flagged'] = flagged ? true : { $ne: true };
+    if (hidden !== undefined) filter['moderation.hidden'] = hidden ? true : { $ne: true };
+
+    try {
+      const listings = await getDb().collection(collectionName).find(filter).sort({ _id: -1 }).limit(200).toArray();
+      res.status(200).json(listings);
+    } catch (error) {
+      console.error(`Error retrieving ${basePath}:`, error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Endpoint to hide, unhide, flag or unflag a listing
+  router.post(`/admin/${basePath}/:id/:action`, validate({ params: listingActionParams, body: reasonBody }), async (req, res) => {
+    const { id, action } = req.params;
+    const { reason } = req.body;
+    const buildUpdate = LISTING_ACTIONS[action];
+
+    if ((action === 'hide' || action === 'flag') && !reason) {
+      return sendValidationError(res, [{ field: 'body.reason', message: 'reason is required' }]);
+    }
+
+    try {
+      const now = new Date();
+      const listing = await getDb().collection(collectionName).findOneAndUpdate(
+        { _id: new ObjectId(id) },
+        {
+          $set: buildUpdate(reason, req.user.userId, now),
+          $push: { 'moderation.history': { action, reason, by: req.user.userId, at: now } },
+        },
+        { returnDocument: 'before' }
+      );
+
+      if (!listing) {
+        return res.status(404).json({ message: `${label} not found` });
+      }
+
+      const updated = await getDb().collection(collectionName).findOne({ _id: listing._id });
+      await recordVersion(collectionName, listing, updated, { action: 'update', by: { kind: 'admin', userId: req.user.userId } });
+
+      res.status(200).json({ message: `${label} ${action} applied successfully` });
+    } catch (error) {
+      console.error(`Error during ${label.toLowerCase()} ${action}:`, error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+}
+
+registerListingModerationRoutes('products', 'products', 'Product');
+registerListingModerationRoutes('services', 'services', 'Service');
+
+module.exports = {
+  router,
+};
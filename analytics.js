@@ -0,0 +1,267 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { trackJob } = require('./jobs');
+const { authenticateToken, findVerifiedUser } = require('./auth');
+const { Joi, schemas, validate, sendValidationError } = require('./validation');
+
+const router = express.Router();
+
+// Views of listing pages, image views and video plays are counted per
+// listing per UTC day in listingStats. Events are counted in memory and
+// written in batches so recording them never waits on the database.
+const COUNTERS = ['views', 'imageViews', 'videoPlays'];
+
+const ANALYTICS_KINDS = {
+  products: { nameField: 'productName' },
+  services: { nameField: 'serviceName' },
+};
+
+// Flush early when this many counters are waiting
+const MAX_PENDING = 5000;
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PAGE_SIZE = 20;
+
+const analyticsQuery = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  // Length of each point in the trend series
+  interval: Joi.string().valid('day', 'week', 'month').default('day'),
+  collectionName: Joi.string().valid(...Object.keys(ANALYTICS_KINDS)),
+  listingId: schemas.objectId,
+  ...schemas.paging,
+});
+
+// Counters waiting to be written, keyed by what they count and the day
+const pending = new Map();
+
+async function ensureAnalyticsIndexes(db) {
+  await db.collection('listingStats').createIndex({ collectionName: 1, listingId: 1, day: 1 }, { unique: true });
+  await db.collection('listingStats').createIndex({ vendorId: 1, day: 1 });
+}
+
+function startOfDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function count(key, target, counter) {
+  const day = startOfDay(new Date());
+  const entryKey = `${key}:${day.toISOString()}`;
+  const entry = pending.get(entryKey) || { ...target, day, counts: {} };
+  entry.counts[counter] = (entry.counts[counter] || 0) + 1;
+  pending.set(entryKey, entry);
+
+  if (pending.size >= MAX_PENDING) {
+    trackJob(flushAnalytics()).catch((error) => console.error('Error writing analytics:', error));
+  }
+}
+
+// Count a customer viewing a listing page
+function recordListingView(collectionName, listingId, vendorId) {
+  count(`${collectionName}:${listingId}`, { collectionName, listingId, vendorId }, 'views');
+}
+
+// Count an image view or video play. The listing showing the file is looked
+// up when the counts are written; files outside listings are not counted.
+function recordMediaEvent(fileId, counter) {
+  if (!ObjectId.isValid(fileId)) return;
+  count(`file:${fileId}`, { fileId: new ObjectId(fileId) }, counter);
+}
+
+// Listings that show each of the files, by file ID
+async function findFileOwners(fileIds) {
+  const owners = new Map();
+
+  for (const collectionName of Object.keys(ANALYTICS_KINDS)) {
+    const listings = await getDb().collection(collectionName)
+      .find({ $or: [{ images: { $in: fileIds } }, { videos: { $in: fileIds } }] })
+      .project({ userId: 1, images: 1, videos: 1 })
+      .toArray();
+
+    for (const listing of listings) {
+      for (const fileId of [...(listing.images || []), ...(listing.videos || [])]) {
+        owners.set(String(fileId), { collectionName, listingId: listing._id, vendorId: listing.userId });
+      }
+    }
+  }
+
+  return owners;
+}
+
+// Write the waiting counters. Counts that fail to save are dropped rather
+// than kept, so a database outage cannot grow the buffer without limit.
+async function flushAnalytics() {
+  if (pending.size === 0) return 0;
+
+  const entries = [...pending.values()];
+  pending.clear();
+
+  const fileIds = entries.filter((entry) => entry.fileId).map((entry) => entry.fileId);
+  const owners = fileIds.length > 0 ? await findFileOwners(fileIds) : new Map();
+
+  const operations = [];
+  for (const entry of entries) {
+    const target = entry.fileId ? owners.get(String(entry.fileId)) : entry;
+    if (!target) continue;
+
+    operations.push({
+      updateOne: {
+        filter: { collectionName: target.collectionName, listingId: target.listingId, day: entry.day },
+        update: { $inc: entry.counts, $setOnInsert: { vendorId: target.vendorId } },
+        upsert: true,
+      },
+    });
+  }
+
+  if (operations.length > 0) {
+    await getDb().collection('listingStats').bulkWrite(operations, { ordered: false });
+  }
+
+  return operations.length;
+}
+
+// Write waiting counters periodically in the background
+function startAnalyticsFlush(intervalMs) {
+  const timer = setInterval(() => {
+    trackJob(flushAnalytics()).catch((error) => console.error('Error writing analytics:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+function sumCounters() {
+  return Object.fromEntries(COUNTERS.map((counter) => [counter, { $sum: `$${counter}` }]));
+}
+
+function emptyCounters() {
+  return Object.fromEntries(COUNTERS.map((counter) => [counter, 0]));
+}
+
+// Change from the previous period as a percentage, or null when there was
+// nothing to compare against
+function percentChange(current, previous) {
+  if (!previous) return null;
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+// Endpoint for a vendor to see how often customers view their listings, look
+// at their images and play their videos. Listings are sorted by views and
+// compared with the period of the same length just before the range.
+router.get('/vendor/analytics', authenticateToken, validate({ query: analyticsQuery }), async (req, res) => {
+  const { interval, collectionName, listingId, page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+
+  const to = startOfDay(req.query.to || new Date());
+  const from = startOfDay(req.query.from || new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS));
+  const days = Math.round((to - from) / DAY_MS) + 1;
+
+  if (days < 1) {
+    return sendValidationError(res, [{ field: 'query.from', message: 'from must not be after to' }]);
+  }
+  if (days > MAX_RANGE_DAYS) {
+    return sendValidationError(res, [{ field: 'query.from', message: `date range must not be longer than ${MAX_RANGE_DAYS} days` }]);
+  }
+
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const previousFrom = new Date(from.getTime() - days * DAY_MS);
+    const filter = { vendorId: user._id };
+    if (collectionName) filter.collectionName = collectionName;
+    if (listingId) filter.listingId = new ObjectId(listingId);
+
+    // One row per listing with its counts in the range and in the period before
+    const inRange = { $gte: ['$day', from] };
+    const groupByListing = {
+      $group: {
+        _id: { collectionName: '$collectionName', listingId: '$listingId' },
+        ...Object.fromEntries(COUNTERS.map((counter) => [counter, { $sum: { $cond: [inRange, `$${counter}`, 0] } }])),
+        ...Object.fromEntries(COUNTERS.map((counter) => [`previous_${counter}`, { $sum: { $cond: [inRange, 0, `$${counter}`] } }])),
+      },
+    };
+
+    const [result] = await getDb().collection('listingStats').aggregate([
+      { $match: { ...filter, day: { $gte: previousFrom, $lte: to } } },
+      {
+        $facet: {
+          totals: [
+            { $match: { day: { $gte: from } } },
+            { $group: { _id: null, ...sumCounters() } },
+          ],
+          series: [
+            { $match: { day: { $gte: from } } },
+            { $group: { _id: { $dateTrunc: { date: '$day', unit: interval, timezone: 'UTC' } }, ...sumCounters() } },
+            { $sort: { _id: 1 } },
+          ],
+          listings: [
+            groupByListing,
+            { $sort: { views: -1, videoPlays: -1, imageViews: -1, '_id.listingId': 1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+          ],
+          listingCount: [groupByListing, { $count: 'count' }],
+        },
+      },
+    ]).toArray();
+
+    const rows = result.listings;
+
+    // Names of the listings on this page
+    const names = new Map();
+    for (const [kind, { nameField }] of Object.entries(ANALYTICS_KINDS)) {
+      const ids = rows.filter((row) => row._id.collectionName === kind).map((row) => row._id.listingId);
+      if (ids.length === 0) continue;
+
+      const listings = await getDb().collection(kind).find({ _id: { $in: ids } }).project({ [nameField]: 1, status: 1 }).toArray();
+      listings.forEach((listing) => names.set(String(listing._id), { name: listing[nameField], status: listing.status || 'published' }));
+    }
+
+    const items = rows.map((row) => {
+      const previous = Object.fromEntries(COUNTERS.map((counter) => [counter, row[`previous_${counter}`]]));
+      const listing = names.get(String(row._id.listingId));
+
+      return {
+        collectionName: row._id.collectionName,
+        listingId: row._id.listingId,
+        name: listing ? listing.name : null,
+        // Listings deleted since the events were counted have no status
+        status: listing ? listing.status : null,
+        ...Object.fromEntries(COUNTERS.map((counter) => [counter, row[counter]])),
+        previous,
+        change: Object.fromEntries(COUNTERS.map((counter) => [counter, percentChange(row[counter], previous[counter])])),
+      };
+    });
+
+    const totals = result.totals.length > 0 ? result.totals[0] : emptyCounters();
+    delete totals._id;
+
+    res.status(200).json({
+      from,
+      to,
+      interval,
+      totals,
+      series: result.series.map(({ _id, ...counters }) => ({ periodStart: _id, ...counters })),
+      items,
+      page,
+      limit,
+      total: result.listingCount.length > 0 ? result.listingCount[0].count : 0,
+    });
+  } catch (error) {
+    console.error('Error retrieving analytics:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = {
+  router,
+  ensureAnalyticsIndexes,
+  recordListingView,
+  recordMediaEvent,
+  flushAnalytics,
+  startAnalyticsFlush,
+};
@@ -3,63 +3,159 @@ require('dotenv').config(); // Load environment variables from .env file
 const express = require('express');
 const { ObjectId } = require('mongodb');
 const bodyParser = require('body-parser');
-const twilio = require('twilio');
 const cors = require('cors');
-const jwt = require('jsonwebtoken');
-const { connectToDb, getDb } = require('./db');
-const multer = require('multer');
-const { GridFSBucket } = require('mongodb');
+const { getDb, setDb } = require('./db');
+const catalog = require('./catalog');
+const bookings = require('./bookings');
+const orders = require('./orders');
+const media = require('./media');
+const {
+  upload,
+  sendGridFSFile,
+  uploadFiles,
+  unsupportedFileErrors,
+  deleteFiles,
+  parseMediaUpdate,
+  deleteReplacedFiles,
+  resolveCoverImage,
+} = media;
+const {
+  authenticateToken,
+  findVerifiedUser,
+  createSession,
+} = require('./auth');
+const admin = require('./admin');
+const sessions = require('./sessions');
+const { getOtpProvider, setOtpProvider, verifiedEmail, OtpChannelError } = require('./otp');
+const { Joi, schemas, validate, sendValidationError, handleRequestErrors } = require('./validation');
+const taxonomy = require('./taxonomy');
+const { resolveListingTaxonomy } = taxonomy;
+const { listQuerySchema, listVendorListings } = require('./listings');
+const bulk = require('./bulk');
+const inventory = require('./inventory');
+const { recordMovement, setStock, replaceVariants } = inventory;
+const { buildVariants, pruneVariantImages, summarizeVariants } = require('./variants');
+const customers = require('./customers');
+const reviews = require('./reviews');
+const profile = require('./profile');
+const { recordVersion } = require('./versions');
+const history = require('./history');
+const webhooks = require('./webhooks');
+const quotes = require('./quotes');
+const publishing = require('./publishing');
+const { emitListingEvent } = webhooks;
+const { limitOtpSends, limitOtpVerifications, recordVerification } = require('./throttle');
+const health = require('./health');
+const analytics = require('./analytics');
+const promotions = require('./promotions');
+const { trashListing } = history;
+
+// Routes defined in this file, mounted by createApp after the feature routers
+const router = express.Router();
+
+// Set by createApp
+let db;
+let gridFSBucket;
 
-// Use environment variables
-const accountSid = process.env.TWILIO_ACCOUNT_SID;
-const authToken = process.env.TWILIO_AUTH_TOKEN;
-const verifySid = process.env.TWILIO_VERIFY_SID;
-const secretKey = process.env.JWT_SECRET_KEY;
+// Build the Express app. The database, the GridFS bucket for uploads and the
+// OTP provider can be passed in, e.g. by tests. By default the app uses the
+// database connected with connectToDb, its uploads bucket and the provider
+// selected by OTP_PROVIDER (Twilio Verify by default).
+function createApp({ db: database = getDb(), bucket, otpProvider } = {}) {
+  if (!database) {
+    throw new Error('createApp needs a database: connect with connectToDb first or pass db');
+  }
 
-const client = twilio(accountSid, authToken);
+  setDb(database);
+  // Without a bucket of its own the database gets a new uploads bucket
+  media.setBucket(bucket || null);
+  media.setAttachmentBucket(null);
+  if (otpProvider) setOtpProvider(otpProvider);
+  db = database;
+  gridFSBucket = media.getBucket();
+  // Build the default provider now so a bad OTP_PROVIDER fails at startup
+  getOtpProvider();
+
+  const app = express();
+  app.use(health.closeConnectionsWhenDraining);
+  app.use(bodyParser.json());
+  app.use(cors({ exposedHeaders: ['Retry-After'] })); // Enable CORS
+
+  // Rate limits key on the client IP, so behind a proxy TRUST_PROXY must name
+  // the proxies (a hop count, 'true' or a list of addresses)
+  if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+  }
 
-const app = express();
-app.use(bodyParser.json());
-app.use(cors()); // Enable CORS
+  // Health and readiness probes
+  app.use(health.router);
 
-let db;
-let gridFSBucket;
+  // Token refresh, logout and session management routes
+  app.use(sessions.router);
 
-// Connect to the database and initialize GridFSBucket
-connectToDb((err) => {
-  if (err) {
-    console.error('Error connecting to database:', err);
-    return;
-  }
-  db = getDb();
-  gridFSBucket = new GridFSBucket(db, { bucketName: 'uploads' }); // Initialize GridFSBucket
-  app.listen(3001, () => {
-    console.log('App is listening on port 3001');
-  });
-});
+  // Customer login and profile routes
+  app.use(customers.router);
 
-// Middleware to authenticate tokens
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  // Admin routes for vendor review and listing moderation
+  app.use(admin.router);
 
-  if (!token) return res.status(401).json({ message: 'Token required' });
+  // Category taxonomy and event type routes
+  app.use(taxonomy.router);
 
-  jwt.verify(token, secretKey, (err, user) => {
-    if (err) return res.status(403).json({ message: 'Token is invalid' });
-    req.user = user;
-    next();
-  });
-}
+  // Public catalog routes (no authentication required)
+  app.use(catalog.router);
 
-// Initialize multer for file uploads
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 20 * 1024 * 1024 }, // Limit file size to 20MB
-});
+  // Service availability and booking routes
+  app.use(bookings.router);
+
+  // Product order routes
+  app.use(orders.router);
+
+  // Listing media routes (add, remove, reorder, cover image)
+  app.use(media.router);
+
+  // Bulk import and export of a vendor's listings
+  app.use(bulk.router);
+
+  // Stock ledger and low-stock alert routes
+  app.use(inventory.router);
+
+  // Customer reviews, ratings and vendor replies
+  app.use(reviews.router);
+
+  // Vendor profile, phone number change, account export and deletion
+  app.use(profile.router);
+
+  // Listing version history, restore and trash routes
+  app.use(history.router);
+
+  // Webhook registration and delivery log routes
+  app.use(webhooks.router);
+
+  // Quote requests, offers and customer-vendor conversations
+  app.use(quotes.router);
+
+  // Listing publish, unpublish and scheduling routes
+  app.use(publishing.router);
+
+  // Vendor analytics for listing views and media engagement
+  app.use(analytics.router);
+
+  // Vendor promotions and coupon codes
+  app.use(promotions.router);
+
+  // Signup, login, vendor listing and file routes below
+  app.use(router);
+
+  // Turn malformed IDs and request bodies into 400 responses
+  app.use(handleRequestErrors);
+
+  return app;
+}
 
 // Endpoint to initiate OTP verification for signup
-app.post('/signup', async (req, res) => {
+router.post('/signup', validate({ body: schemas.auth.signup }), limitOtpSends(), async (req, res) => {
   const { phoneNumber, username, businessName, name, email } = req.body;
 
   try {
@@ -70,11 +166,11 @@ app.post('/signup', async (req, res) => {
         return res.status(400).send({ message: 'You have already signed up and are verified.' });
       }
 
-      await client.verify.v2.services(verifySid).verifications.create({ to: phoneNumber, channel: 'sms' });
+      await getOtpProvider().sendCode(phoneNumber, { channel: 'sms', purpose: 'signup' });
       return res.status(200).send({ status: 'OTP sent again for signup' });
     }
 
-    await client.verify.v2.services(verifySid).verifications.create({ to: phoneNumber, channel: 'sms' });
+    await getOtpProvider().sendCode(phoneNumber, { channel: 'sms', purpose: 'signup' });
 
     await db.collection('users').updateOne(
       { phoneNumber },
@@ -86,22 +182,26 @@ app.post('/signup', async (req, res) => {
 
     res.status(200).send({ status: 'OTP sent for signup' });
   } catch (error) {
+    if (error instanceof OtpChannelError) {
+      return res.status(400).send({ error: error.message });
+    }
     console.error('Error during signup:', error);
     res.status(500).send({ error: error.message });
   }
 });
 
 // Endpoint to verify OTP and complete signup
-app.post('/verify-signup', async (req, res) => {
+router.post('/verify-signup', validate({ body: schemas.auth.verify }), limitOtpVerifications(), async (req, res) => {
   const { phoneNumber, otpCode } = req.body;
 
   try {
-    const verification_check = await client.verify.v2.services(verifySid).verificationChecks.create({ to: phoneNumber, code: otpCode });
+    const verificationStatus = await getOtpProvider().checkCode(phoneNumber, otpCode, { purpose: 'signup' });
+    await recordVerification(phoneNumber, verificationStatus);
 
-    if (verification_check.status === 'approved') {
+    if (verificationStatus === 'approved') {
       const result = await db.collection('users').updateOne(
         { phoneNumber, status: 'pending' },
-        { $set: { status: 'verified' } }
+        { $set: { status: 'verified', role: 'vendor', reviewStatus: 'pending', verifiedAt: new Date() } }
       );
 
       if (result.matchedCount === 0) {
@@ -110,7 +210,7 @@ app.post('/verify-signup', async (req, res) => {
 
       res.status(200).send({ status: 'Signup successful' });
     } else {
-      res.status(400).send({ status: verification_check.status });
+      res.status(400).send({ status: verificationStatus });
     }
   } catch (error) {
     res.status(500).send({ error: error.message });
@@ -118,41 +218,50 @@ app.post('/verify-signup', async (req, res) => {
 });
 
 // Endpoint to initiate OTP verification for login
-app.post('/login', async (req, res) => {
-  const { phoneNumber } = req.body;
+router.post('/login', validate({ body: schemas.auth.login }), limitOtpSends(), async (req, res) => {
+  const { phoneNumber, channel } = req.body;
 
   try {
     const user = await db.collection('users').findOne({ phoneNumber, status: 'verified' });
 
+    if (user && user.reviewStatus === 'suspended') {
+      return res.status(403).send({ error: 'Account suspended' });
+    }
+
     if (user) {
-      await client.verify.v2.services(verifySid).verifications.create({ to: phoneNumber, channel: 'sms' });
+      // Codes only go by email to an address the vendor has confirmed
+      await getOtpProvider().sendCode(phoneNumber, { channel, email: verifiedEmail(user), purpose: 'login' });
       res.status(200).send({ status: 'OTP sent for login' });
     } else {
       res.status(400).send({ error: 'User not registered or not verified' });
     }
   } catch (error) {
+    if (error instanceof OtpChannelError) {
+      return res.status(400).send({ error: error.message });
+    }
     res.status(500).send({ error: error.message });
   }
 });
 
 // Endpoint to verify OTP and complete login
-app.post('/verify-login', async (req, res) => {
+router.post('/verify-login', validate({ body: schemas.auth.verify }), limitOtpVerifications(), async (req, res) => {
   const { phoneNumber, otpCode } = req.body;
 
   try {
-    const verification_check = await client.verify.v2.services(verifySid).verificationChecks.create({ to: phoneNumber, code: otpCode });
+    const verificationStatus = await getOtpProvider().checkCode(phoneNumber, otpCode, { purpose: 'login' });
+    await recordVerification(phoneNumber, verificationStatus);
 
-    if (verification_check.status === 'approved') {
-      const user = await db.collection('users').findOne({ phoneNumber, status: 'verified' });
+    if (verificationStatus === 'approved') {
+      const user = await findVerifiedUser(phoneNumber);
 
       if (user) {
-        const token = jwt.sign({ phoneNumber }, secretKey, { expiresIn: '9h' });
-        res.status(200).send({ status: 'Login successful', token });
+        const { token, refreshToken } = await createSession(user, req);
+        res.status(200).send({ status: 'Login successful', token, refreshToken });
       } else {
         res.status(400).send({ error: 'User not registered or not verified' });
       }
     } else {
-      res.status(400).send({ status: verification_check.status });
+      res.status(400).send({ status: verificationStatus });
     }
   } catch (error) {
     res.status(500).send({ error: error.message });
@@ -160,7 +269,7 @@ app.post('/verify-login', async (req, res) => {
 });
 
 // Endpoint to get user details
-app.get('/user/:id', authenticateToken, async (req, res) => {
+router.get('/user/:id', authenticateToken, validate({ params: schemas.idParams }), async (req, res) => {
   const { id } = req.params;
   const phoneNumberFromToken = req.user.phoneNumber;
 
@@ -180,63 +289,118 @@ app.get('/user/:id', authenticateToken, async (req, res) => {
 
 // Endpoint to upload products with images and videos
 // Endpoint to upload products with images and videos
-app.post('/vendor/products', authenticateToken, upload.array('files'), async (req, res) => {
+router.post('/vendor/products', authenticateToken, upload.array('files'), validate({ body: schemas.product.create }), async (req, res) => {
     const {
+      sku,
       productName,
       productDescription,
-      productCategory,
-      productSubcategory,
       price,
       stockAvailability,
-      productPolicies
+      lowStockThreshold,
+      productPolicies,
+      options = [],
+      variants = []
     } = req.body;
   
     const phoneNumberFromToken = req.user.phoneNumber;
+
+    const fileErrors = unsupportedFileErrors(req.files);
+    if (fileErrors.length > 0) {
+      return sendValidationError(res, fileErrors);
+    }
   
     try {
-      const user = await db.collection('users').findOne({ phoneNumber: phoneNumberFromToken, status: 'verified' });
+      const user = await findVerifiedUser(phoneNumberFromToken);
   
       if (!user) {
         return res.status(400).json({ message: 'User not registered or not verified' });
       }
   
-      // Upload files to GridFS
-      const files = req.files;
-      const imageFileIds = [];
-      const videoFileIds = [];
-  
-      for (const file of files) {
-        const uploadStream = gridFSBucket.openUploadStream(file.originalname, {
-          contentType: file.mimetype,
-          metadata: { userId: user._id }
-        });
-  
-        uploadStream.end(file.buffer);
+      // Categories must come from the taxonomy
+      const taxonomyCheck = await resolveListingTaxonomy('product', req.body);
   
-        if (file.mimetype.startsWith('image/')) {
-          imageFileIds.push(uploadStream.id);
-        } else if (file.mimetype.startsWith('video/')) {
-          videoFileIds.push(uploadStream.id);
-        }
+      if (taxonomyCheck.errors.length > 0) {
+        return sendValidationError(res, taxonomyCheck.errors);
+      }
+
+      const variantCheck = buildVariants({ options, variants });
+
+      if (variantCheck.variants.length > 0 && stockAvailability !== undefined) {
+        variantCheck.errors.push({ field: 'body.stockAvailability', message: 'stockAvailability is set on each variant for products with variants' });
       }
+
+      if (variantCheck.errors.length > 0) {
+        return sendValidationError(res, variantCheck.errors);
+      }
+
+      // Opening stock of each variant; the product's stock is their total
+      const productVariants = variantCheck.variants.map((variant, index) => ({
+        ...variant,
+        stockAvailability: variants[index].stockAvailability || 0,
+      }));
+  
+      // Upload files to GridFS and wait until every write is confirmed
+      const { images: imageFileIds, videos: videoFileIds } = await uploadFiles(gridFSBucket, req.files, user._id);
   
       const formData = {
+        sku,
         productName,
         productDescription,
-        productCategory,
-        productSubcategory,
+        productCategory: taxonomyCheck.value.productCategory,
+        productSubcategory: taxonomyCheck.value.productSubcategory,
         price,
-        stockAvailability,
+        stockAvailability: productVariants.length > 0
+          ? productVariants.reduce((total, variant) => total + variant.stockAvailability, 0)
+          : stockAvailability,
+        lowStockThreshold,
         productPolicies,
+        options,
+        variants: productVariants,
         images: imageFileIds, // Store image file IDs
         videos: videoFileIds, // Store video file IDs
+        coverImage: imageFileIds[0] || null,
+        status: 'draft', // Hidden from customers until published
         userId: user._id
       };
   
       const collection = db.collection('products');
-      const result = await collection.insertOne(formData);
-      res.status(201).json({ message: 'Product inserted successfully', productId: result.insertedId });
+      const result = await collection.insertOne(formData).catch(async (insertError) => {
+        await deleteFiles(gridFSBucket, [...imageFileIds, ...videoFileIds]);
+        throw insertError;
+      });
+
+      await recordVersion('products', null, { ...formData, _id: result.insertedId }, {
+        action: 'create',
+        by: { kind: 'vendor', userId: user._id },
+      });
+
+      // Opening stock is the first entry in the product's stock ledger
+      if (productVariants.length === 0 && stockAvailability > 0) {
+        await recordMovement({ ...formData, _id: result.insertedId }, {
+          type: 'restock',
+          quantity: stockAvailability,
+          reason: 'Initial stock',
+          by: { kind: 'vendor', userId: user._id },
+        });
+      }
+
+      for (const variant of productVariants.filter((item) => item.stockAvailability > 0)) {
+        await recordMovement({ ...formData, _id: result.insertedId }, {
+          type: 'restock',
+          quantity: variant.stockAvailability,
+          reason: 'Initial stock',
+          by: { kind: 'vendor', userId: user._id },
+          variantId: variant._id,
+        });
+      }
+
+      await emitListingEvent('products', 'created', await db.collection('products').findOne({ _id: result.insertedId }));
+
+      res.status(201).json({ message: 'Product inserted successfully', productId: result.insertedId, status: formData.status });
     } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ message: 'You already have a product with this SKU' });
+      }
       console.error('Error inserting product:', error);
       res.status(500).json({ message: 'Internal server error' });
     }
@@ -244,34 +408,46 @@ app.post('/vendor/products', authenticateToken, upload.array('files'), async (re
   
 
 // Endpoint to get products for a vendor
-app.get('/vendor/products', authenticateToken, async (req, res) => {
+router.get('/vendor/products', authenticateToken, validate({ query: listQuerySchema('products') }), async (req, res) => {
     const phoneNumberFromToken = req.user.phoneNumber;
   
     try {
       // Find the user based on the phone number from the token
-      const user = await db.collection('users').findOne({ phoneNumber: phoneNumberFromToken, status: 'verified' });
+      const user = await findVerifiedUser(phoneNumberFromToken);
   
       if (!user) {
         return res.status(400).json({ message: 'User not registered or not verified' });
       }
   
-      // Retrieve products associated with the user
-      const products = await db.collection('products').find({ userId: user._id }).toArray();
+      // Retrieve one page of products associated with the user, with their
+      // prices after promotions
+      const page = await listVendorListings(db, 'products', user._id, req.query, {
+        withPrices: (items) => promotions.withEffectivePrices('products', items),
+      });
+  
+      if (!page) {
+        return sendValidationError(res, [{ field: 'query.cursor', message: 'cursor is not valid for this sort' }]);
+      }
   
-      res.status(200).json(products);
+      // Price range and availability across each product's variants need
+      // the full product and are left out when fields are selected
+      res.status(200).json(req.query.fields ? page : {
+        ...page,
+        items: page.items.map((product) => ({ ...product, ...summarizeVariants(product) })),
+      });
     } catch (error) {
       console.error('Error retrieving products:', error);
       res.status(500).json({ message: 'Internal server error' });
     }
   });
 
-  app.get('/vendor/products/:id', authenticateToken, async (req, res) => {
+  router.get('/vendor/products/:id', authenticateToken, validate({ params: schemas.idParams }), async (req, res) => {
     const phoneNumberFromToken = req.user.phoneNumber;
     const productId = req.params.id;
 
     try {
         // Find the user based on the phone number from the token
-        const user = await db.collection('users').findOne({ phoneNumber: phoneNumberFromToken, status: 'verified' });
+        const user = await findVerifiedUser(phoneNumberFromToken);
 
         if (!user) {
             return res.status(400).json({ message: 'User not registered or not verified' });
@@ -284,56 +460,59 @@ app.get('/vendor/products', authenticateToken, async (req, res) => {
             return res.status(404).json({ message: 'Product not found' });
         }
 
-        res.status(200).json(product);
+        const [priced] = await promotions.withEffectivePrices('products', [{ ...product, ...summarizeVariants(product) }]);
+        res.status(200).json(priced);
     } catch (error) {
         console.error('Error retrieving product:', error);
         res.status(500).json({ message: 'Internal server error' });
     }
 });
-  app.delete("/vendor/products/:id", authenticateToken, async (req, res) => {
+  router.delete("/vendor/products/:id", authenticateToken, validate({ params: schemas.idParams }), async (req, res) => {
     const { id } = req.params;
   
     try {
       const phoneNumberFromToken = req.user.phoneNumber;
   
       // Ensure the phone number in the token matches the phone number from the user
-      const user = await db.collection('users').findOne({ phoneNumber: phoneNumberFromToken, status: 'verified' });
+      const user = await findVerifiedUser(phoneNumberFromToken);
   
       if (!user) {
         return res.status(400).json({ message: "User not registered or not verified" });
       }
   
-      // Delete the product from the database by ID
-      const result = await db.collection('products').deleteOne({ _id: new ObjectId(id), userId: user._id });
+      // Move the product to the trash; its files are kept until the trash is purged
+      const product = await trashListing('products', { _id: new ObjectId(id), userId: user._id }, { kind: 'vendor', userId: user._id });
   
-      if (result.deletedCount === 0) {
+      if (!product) {
         return res.status(404).json({ message: "Product not found or not authorized to delete" });
       }
   
-      res.status(200).json({ message: "Product deleted successfully" });
+      await emitListingEvent('products', 'deleted', product);
+  
+      res.status(200).json({ message: "Product moved to trash" });
     } catch (error) {
       console.error("Error deleting product:", error);
       res.status(500).json({ message: "Internal server error" });
     }
   });
-  app.put("/vendor/products/:id", authenticateToken, async (req, res) => {
+  router.put("/vendor/products/:id", authenticateToken, validate({ params: schemas.idParams, body: schemas.product.update }), async (req, res) => {
     const { id } = req.params;
     const phoneNumberFromToken = req.user.phoneNumber;
     const {
+      sku,
       productName,
       productDescription,
-      productCategory,
-      productSubcategory,
       price,
       stockAvailability,
+      lowStockThreshold,
       productPolicies,
-      images,
-      videos,
+      options,
+      variants,
     } = req.body;
   
     try {
       // Ensure the phone number in the token matches a verified user
-      const user = await db.collection('users').findOne({ phoneNumber: phoneNumberFromToken, status: 'verified' });
+      const user = await findVerifiedUser(phoneNumberFromToken);
   
       if (!user) {
         return res.status(400).json({ message: "User not registered or not verified" });
@@ -346,134 +525,245 @@ app.get('/vendor/products', authenticateToken, async (req, res) => {
         return res.status(404).json({ message: "Product not found or not authorized to edit" });
       }
   
+      // Replaced media arrays may only reference the vendor's own uploads
+      const mediaUpdate = await parseMediaUpdate(gridFSBucket, req.body, user._id);
+  
+      if (!mediaUpdate) {
+        return res.status(400).json({ message: "images and videos must only contain your uploaded file IDs" });
+      }
+  
+      // Categories must come from the taxonomy
+      const taxonomyCheck = await resolveListingTaxonomy('product', req.body, product);
+  
+      if (taxonomyCheck.errors.length > 0) {
+        return sendValidationError(res, taxonomyCheck.errors);
+      }
+  
       // Create an object with the existing product data
       const updatedProduct = {
         ...product, // Keep the existing data
+        ...(sku !== undefined && { sku }),
         ...(productName !== undefined && { productName }),
         ...(productDescription !== undefined && { productDescription }),
-        ...(productCategory !== undefined && { productCategory }),
-        ...(productSubcategory !== undefined && { productSubcategory }),
+        ...taxonomyCheck.value,
         ...(price !== undefined && { price }),
-        ...(stockAvailability !== undefined && { stockAvailability }),
+        ...(lowStockThreshold !== undefined && { lowStockThreshold }),
         ...(productPolicies !== undefined && { productPolicies }),
-        ...(images !== undefined && { images }),
-        ...(videos !== undefined && { videos }),
+        ...(mediaUpdate.images !== undefined && { images: mediaUpdate.images }),
+        ...(mediaUpdate.videos !== undefined && { videos: mediaUpdate.videos }),
+        ...(options !== undefined && { options }),
       };
+      updatedProduct.coverImage = resolveCoverImage(product.coverImage, updatedProduct.images || []);
+
+      // Variants are checked against the updated options and images. Kept
+      // variants lose images that were removed from the product.
+      let productVariants = null;
+
+      if (options !== undefined || variants !== undefined || (product.variants || []).length > 0) {
+        const variantCheck = buildVariants({
+          options: updatedProduct.options || [],
+          variants: variants !== undefined ? variants : pruneVariantImages(product.variants, updatedProduct.images),
+          images: updatedProduct.images || [],
+          current: product.variants || [],
+        });
+
+        if (variantCheck.variants.length > 0 && stockAvailability !== undefined) {
+          variantCheck.errors.push({ field: 'body.stockAvailability', message: 'stockAvailability is set on each variant for products with variants' });
+        }
+
+        if (variantCheck.errors.length > 0) {
+          return sendValidationError(res, variantCheck.errors);
+        }
+
+        productVariants = variantCheck.variants;
+      }
+
+      // Fields below are left out of the update but stay on updatedProduct,
+      // so the recorded version still shows them as they are.
+      const productChanges = { ...updatedProduct };
+      // Stock is only changed through the ledger so concurrent sales are not
+      // overwritten, and variants are stored together with their stock below
+      delete productChanges.stockAvailability;
+      delete productChanges.variants;
+      // Ratings are kept up to date by the reviews routes
+      delete productChanges.rating;
+      // Moderation is only changed by admins
+      delete productChanges.moderation;
+      // Publishing state is changed through the publish routes and the scheduler
+      publishing.PUBLISHING_FIELDS.forEach((field) => delete productChanges[field]);
   
       const result = await db.collection('products').updateOne(
         { _id: new ObjectId(id) },
-        { $set: updatedProduct }
+        { $set: productChanges }
       );
   
-      if (result.modifiedCount === 0) {
+      if (result.matchedCount === 0) {
         return res.status(500).json({ message: "Product update failed" });
       }
+
+      if (productVariants) {
+        await replaceVariants({ _id: product._id }, productVariants, {
+          reason: 'Variants changed',
+          by: { kind: 'vendor', userId: user._id },
+        });
+      }
+
+      await recordVersion('products', product, {
+        ...updatedProduct,
+        variants: productVariants || product.variants,
+      }, { action: 'update', by: { kind: 'vendor', userId: user._id } });
+
+      for (const [index, variant] of (productVariants || []).entries()) {
+        if (variants && variants[index].stockAvailability !== undefined) {
+          await setStock({ _id: product._id }, variants[index].stockAvailability, {
+            reason: 'Product update',
+            by: { kind: 'vendor', userId: user._id },
+            variantId: variant._id,
+          });
+        }
+      }
+
+      if (stockAvailability !== undefined) {
+        await setStock({ _id: product._id }, stockAvailability, {
+          reason: 'Product update',
+          by: { kind: 'vendor', userId: user._id },
+        });
+      }
+  
+      // Files dropped from the images/videos arrays are no longer needed
+      await deleteReplacedFiles(gridFSBucket, product, mediaUpdate);
+
+      await emitListingEvent('products', 'updated', await db.collection('products').findOne({ _id: product._id }));
   
       res.status(200).json({ message: "Product updated successfully" });
     } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ message: "You already have a product with this SKU" });
+      }
       console.error("Error updating product:", error);
       res.status(500).json({ message: "Internal server error" });
     }
   });
 
 // Endpoint to upload services with images and videos
-app.post("/vendor/services", authenticateToken, upload.array('files'), async (req, res) => {
+router.post("/vendor/services", authenticateToken, upload.array('files'), validate({ body: schemas.service.create }), async (req, res) => {
     const {
+      sku,
       serviceName,
-      serviceCategory,
       location,
+      address,
+      latitude,
+      longitude,
+      serviceRadiusKm,
       description_ser,
       lowestAmount,
       highestAmount,
       selectedServices,
-      selectedEventTypes,
     } = req.body;
   
     const phoneNumberFromToken = req.user.phoneNumber;
+
+    const fileErrors = unsupportedFileErrors(req.files);
+    if (fileErrors.length > 0) {
+      return sendValidationError(res, fileErrors);
+    }
   
     try {
       // Ensure the phone number in the token matches a verified user in the database
-      const user = await db.collection('users').findOne({ phoneNumber: phoneNumberFromToken, status: 'verified' });
+      const user = await findVerifiedUser(phoneNumberFromToken);
   
       if (!user) {
         return res.status(400).json({ message: "User not registered or not verified" });
       }
   
-      // Upload files to GridFS
-      const files = req.files;
-      const imageFileIds = [];
-      const videoFileIds = [];
+      // Categories and event types must come from the taxonomy
+      const taxonomyCheck = await resolveListingTaxonomy('service', req.body);
   
-      for (const file of files) {
-        const uploadStream = gridFSBucket.openUploadStream(file.originalname, {
-          contentType: file.mimetype,
-          metadata: { userId: user._id }
-        });
-  
-        uploadStream.end(file.buffer);
-  
-        if (file.mimetype.startsWith('image/')) {
-          imageFileIds.push(uploadStream.id);
-        } else if (file.mimetype.startsWith('video/')) {
-          videoFileIds.push(uploadStream.id);
-        }
+      if (taxonomyCheck.errors.length > 0) {
+        return sendValidationError(res, taxonomyCheck.errors);
       }
   
+      // Upload files to GridFS and wait until every write is confirmed
+      const { images: imageFileIds, videos: videoFileIds } = await uploadFiles(gridFSBucket, req.files, user._id);
+  
       const formData = {
+        sku,
         serviceName,
-        serviceCategory,
+        serviceCategory: taxonomyCheck.value.serviceCategory,
         location,
+        address,
+        geo: latitude !== undefined ? catalog.toGeoPoint(latitude, longitude) : null,
+        serviceRadiusKm,
         description_ser,
         lowestAmount,
         highestAmount,
         selectedServices,
-        selectedEventTypes,
+        selectedEventTypes: taxonomyCheck.value.selectedEventTypes,
         images: imageFileIds, // Store image file IDs
         videos: videoFileIds,  // Store video file IDs
+        coverImage: imageFileIds[0] || null,
+        status: 'draft', // Hidden from customers until published
         userId: user._id // Use the user's ID from the database
       };
   
       const collection = db.collection("services");
   
-      const result = await collection.insertOne(formData);
-      res.status(201).json({ message: "Service inserted successfully", serviceId: result.insertedId });
+      const result = await collection.insertOne(formData).catch(async (insertError) => {
+        await deleteFiles(gridFSBucket, [...imageFileIds, ...videoFileIds]);
+        throw insertError;
+      });
+
+      await recordVersion('services', null, { ...formData, _id: result.insertedId }, {
+        action: 'create',
+        by: { kind: 'vendor', userId: user._id },
+      });
+
+      await emitListingEvent('services', 'created', await db.collection('services').findOne({ _id: result.insertedId }));
+
+      res.status(201).json({ message: "Service inserted successfully", serviceId: result.insertedId, status: formData.status });
     } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ message: "You already have a service with this SKU" });
+      }
       console.error("Error inserting service:", error);
       res.status(500).json({ message: "Internal server error" });
     }
   });
   
-  app.get("/vendor/services", authenticateToken, async (req, res) => {
+  router.get("/vendor/services", authenticateToken, validate({ query: listQuerySchema('services') }), async (req, res) => {
     const phoneNumberFromToken = req.user.phoneNumber;
   
     try {
       // Ensure the phone number in the token matches a verified user in the database
-      const user = await db.collection('users').findOne({ phoneNumber: phoneNumberFromToken, status: 'verified' });
+      const user = await findVerifiedUser(phoneNumberFromToken);
   
       if (!user) {
         return res.status(400).json({ message: "User not registered or not verified" });
       }
   
-      // Fetch all services related to this user
-      const services = await db.collection('services').find({ userId: user._id }).toArray();
+      // Fetch one page of services related to this user, with their prices
+      // after promotions; no services is an empty page
+      const page = await listVendorListings(db, 'services', user._id, req.query, {
+        withPrices: (items) => promotions.withEffectivePrices('services', items),
+      });
   
-      if (services.length === 0) {
-        return res.status(404).json({ message: "No services found" });
+      if (!page) {
+        return sendValidationError(res, [{ field: 'query.cursor', message: 'cursor is not valid for this sort' }]);
       }
   
-      res.status(200).json(services);
+      res.status(200).json(page);
     } catch (error) {
       console.error("Error retrieving services:", error);
       res.status(500).json({ message: "Internal server error" });
     }
   });
-  app.get("/vendor/services/:id", authenticateToken, async (req, res) => {
+  router.get("/vendor/services/:id", authenticateToken, validate({ params: schemas.idParams }), async (req, res) => {
     const { id } = req.params;
     const phoneNumberFromToken = req.user.phoneNumber;
   
     try {
       // Ensure the phone number in the token matches a verified user
-      const user = await db.collection('users').findOne({ phoneNumber: phoneNumberFromToken, status: 'verified' });
+      const user = await findVerifiedUser(phoneNumberFromToken);
   
       if (!user) {
         return res.status(400).json({ message: "User not registered or not verified" });
@@ -486,31 +776,33 @@ app.post("/vendor/services", authenticateToken, upload.array('files'), async (re
         return res.status(404).json({ message: "Service not found" });
       }
   
-      res.status(200).json(service);
+      const [priced] = await promotions.withEffectivePrices('services', [service]);
+      res.status(200).json(priced);
     } catch (error) {
       console.error("Error retrieving service:", error);
       res.status(500).json({ message: "Internal server error" });
     }
   });
-  app.put("/vendor/services/:id", authenticateToken, async (req, res) => {
+  router.put("/vendor/services/:id", authenticateToken, validate({ params: schemas.idParams, body: schemas.service.update }), async (req, res) => {
     const { id } = req.params;
     const phoneNumberFromToken = req.user.phoneNumber;
     const {
+      sku,
       serviceName,
-      serviceCategory,
       location,
+      address,
+      latitude,
+      longitude,
+      serviceRadiusKm,
       description_ser,
       lowestAmount,
       highestAmount,
       selectedServices,
-      selectedEventTypes,
-      images,
-      videos,
     } = req.body;
   
     try {
       // Ensure the phone number in the token matches a verified user
-      const user = await db.collection('users').findOne({ phoneNumber: phoneNumberFromToken, status: 'verified' });
+      const user = await findVerifiedUser(phoneNumberFromToken);
   
       if (!user) {
         return res.status(400).json({ message: "User not registered or not verified" });
@@ -523,58 +815,104 @@ app.post("/vendor/services", authenticateToken, upload.array('files'), async (re
         return res.status(404).json({ message: "Service not found or not authorized to edit" });
       }
   
+      // Replaced media arrays may only reference the vendor's own uploads
+      const mediaUpdate = await parseMediaUpdate(gridFSBucket, req.body, user._id);
+  
+      if (!mediaUpdate) {
+        return res.status(400).json({ message: "images and videos must only contain your uploaded file IDs" });
+      }
+  
+      // Categories and event types must come from the taxonomy
+      const taxonomyCheck = await resolveListingTaxonomy('service', req.body, service);
+  
+      if (taxonomyCheck.errors.length > 0) {
+        return sendValidationError(res, taxonomyCheck.errors);
+      }
+  
       // Create an object with the existing service data
       const updatedService = {
         ...service, // Keep the existing data
+        ...(sku !== undefined && { sku }),
         ...(serviceName !== undefined && { serviceName }),
-        ...(serviceCategory !== undefined && { serviceCategory }),
+        ...taxonomyCheck.value,
         ...(location !== undefined && { location }),
+        ...(address !== undefined && { address }),
+        ...(latitude !== undefined && { geo: catalog.toGeoPoint(latitude, longitude) }),
+        ...(serviceRadiusKm !== undefined && { serviceRadiusKm }),
         ...(description_ser !== undefined && { description_ser }),
         ...(lowestAmount !== undefined && { lowestAmount }),
         ...(highestAmount !== undefined && { highestAmount }),
         ...(selectedServices !== undefined && { selectedServices }),
-        ...(selectedEventTypes !== undefined && { selectedEventTypes }),
-        ...(images !== undefined && { images }),
-        ...(videos !== undefined && { videos }),
+        ...(mediaUpdate.images !== undefined && { images: mediaUpdate.images }),
+        ...(mediaUpdate.videos !== undefined && { videos: mediaUpdate.videos }),
       };
+
+      // The merged document must still have a valid price range
+      if (Number(updatedService.lowestAmount) > Number(updatedService.highestAmount)) {
+        return sendValidationError(res, [{ field: 'body.highestAmount', message: 'highestAmount must not be less than lowestAmount' }]);
+      }
+
+      updatedService.coverImage = resolveCoverImage(service.coverImage, updatedService.images || []);
+
+      // Fields below are left out of the update but stay on updatedService,
+      // so the recorded version still shows them as they are.
+      const serviceChanges = { ...updatedService };
+      // Ratings are kept up to date by the reviews routes
+      delete serviceChanges.rating;
+      // Moderation is only changed by admins
+      delete serviceChanges.moderation;
+      // Publishing state is changed through the publish routes and the scheduler
+      publishing.PUBLISHING_FIELDS.forEach((field) => delete serviceChanges[field]);
   
       const result = await db.collection('services').updateOne(
         { _id: new ObjectId(id) },
-        { $set: updatedService }
+        { $set: serviceChanges }
       );
   
-      if (result.modifiedCount === 0) {
+      if (result.matchedCount === 0) {
         return res.status(500).json({ message: "Service update failed" });
       }
+
+      await recordVersion('services', service, updatedService, { action: 'update', by: { kind: 'vendor', userId: user._id } });
+  
+      // Files dropped from the images/videos arrays are no longer needed
+      await deleteReplacedFiles(gridFSBucket, service, mediaUpdate);
+
+      await emitListingEvent('services', 'updated', await db.collection('services').findOne({ _id: service._id }));
   
       res.status(200).json({ message: "Service updated successfully" });
     } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({ message: "You already have a service with this SKU" });
+      }
       console.error("Error updating service:", error);
       res.status(500).json({ message: "Internal server error" });
     }
   });
   
  
-  app.delete("/vendor/services/:id", authenticateToken, async (req, res) => {
+  router.delete("/vendor/services/:id", authenticateToken, validate({ params: schemas.idParams }), async (req, res) => {
     const { id } = req.params;
     const phoneNumberFromToken = req.user.phoneNumber;
   
     try {
       // Ensure the phone number in the token matches a verified user
-      const user = await db.collection('users').findOne({ phoneNumber: phoneNumberFromToken, status: 'verified' });
+      const user = await findVerifiedUser(phoneNumberFromToken);
   
       if (!user) {
         return res.status(400).json({ message: "User not registered or not verified" });
       }
   
-      // Delete the service by ID if it belongs to the authenticated user
-      const result = await db.collection('services').deleteOne({ _id: new ObjectId(id), userId: user._id });
+      // Move the service to the trash; its files are kept until the trash is purged
+      const service = await trashListing('services', { _id: new ObjectId(id), userId: user._id }, { kind: 'vendor', userId: user._id });
   
-      if (result.deletedCount === 0) {
+      if (!service) {
         return res.status(404).json({ message: "Service not found or not authorized to delete" });
       }
   
-      res.status(200).json({ message: "Service deleted successfully" });
+      await emitListingEvent('services', 'deleted', service);
+  
+      res.status(200).json({ message: "Service moved to trash" });
     } catch (error) {
       console.error("Error deleting service:", error);
       res.status(500).json({ message: "Internal server error" });
@@ -582,66 +920,48 @@ app.post("/vendor/services", authenticateToken, upload.array('files'), async (re
   });
   
 
-  // Endpoint to retrieve and display an image by fileId
-app.get('/image/:fileId', async (req, res) => {
-    const { fileId } = req.params;
-  
-    try {
-      const _id = new ObjectId(fileId);
-  
-      // Create a read stream from GridFS
-      const downloadStream = gridFSBucket.openDownloadStream(_id);
-  
-      // Handle stream events
-      downloadStream.on('data', (chunk) => {
-        res.write(chunk);
-      });
-  
-      downloadStream.on('error', (err) => {
-        console.error('Error streaming image:', err);
-        res.status(404).json({ message: 'Image not found' });
-      });
-  
-      downloadStream.on('end', () => {
-        res.end();
-      });
-  
-    } catch (error) {
-      console.error('Error retrieving image:', error);
-      res.status(500).json({ message: 'Internal server error' });
-    }
-  });
-  
-  // Endpoint to retrieve and display a video by fileId
-app.get('/video/:fileId', async (req, res) => {
-    const { fileId } = req.params;
-  
-    try {
-      const _id = new ObjectId(fileId);
-  
-      // Create a read stream from GridFS
-      const downloadStream = gridFSBucket.openDownloadStream(_id);
-  
-      // Set the appropriate content type for video
-      res.set('Content-Type', 'video/mp4'); // Adjust according to your video file type
-  
-      // Handle stream events
-      downloadStream.on('data', (chunk) => {
-        res.write(chunk);
-      });
-  
-      downloadStream.on('error', (err) => {
-        console.error('Error streaming video:', err);
-        res.status(404).json({ message: 'Video not found' });
-      });
-  
-      downloadStream.on('end', () => {
-        res.end();
-      });
-  
-    } catch (error) {
-      console.error('Error retrieving video:', error);
-      res.status(500).json({ message: 'Internal server error' });
+const fileParams = Joi.object({ fileId: schemas.objectId.required() });
+
+// Endpoint to retrieve and display an image by fileId
+router.get('/image/:fileId', validate({ params: fileParams }), async (req, res) => {
+  try {
+    await sendGridFSFile(gridFSBucket, req, res, {
+      fileId: req.params.fileId,
+      notFoundMessage: 'Image not found',
+      fallbackContentType: 'application/octet-stream',
+    });
+
+    // A 304 means the browser showed its cached copy, which was counted before
+    if (res.statusCode === 200 || res.statusCode === 206) analytics.recordMediaEvent(req.params.fileId, 'imageViews');
+  } catch (error) {
+    console.error('Error retrieving image:', error);
+    if (!res.headersSent) res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to stream a video by fileId
+router.get('/video/:fileId', validate({ params: fileParams }), async (req, res) => {
+  try {
+    await sendGridFSFile(gridFSBucket, req, res, {
+      fileId: req.params.fileId,
+      notFoundMessage: 'Video not found',
+      fallbackContentType: 'video/mp4',
+    });
+
+    // Players fetch a video in ranges; a play is the request for its start
+    const range = req.headers.range;
+    if ((res.statusCode === 200 || res.statusCode === 206) && (!range || /^bytes=0-/.test(range))) {
+      analytics.recordMediaEvent(req.params.fileId, 'videoPlays');
     }
-  });
-  
+  } catch (error) {
+    console.error('Error retrieving video:', error);
+    if (!res.headersSent) res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = { createApp };
+
+// Running this file directly starts the server
+if (require.main === module) {
+  require('./server').startServer();
+}
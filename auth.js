@@ -0,0 +1,237 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+
+const secretKey = process.env.JWT_SECRET_KEY;
+
+// Access tokens are short-lived; sessions are kept alive by rotating refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+// Vendors start in review after signup; listings of vendors that are not
+// approved stay out of the public catalog. Users without a reviewStatus
+// signed up before reviews existed and count as approved.
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'suspended'];
+
+// Sessions belong to either a vendor or admin account in users, or to a
+// customer account in customers. Sessions without an accountType predate
+// customer accounts and belong to users.
+const ACCOUNT_COLLECTIONS = {
+  user: 'users',
+  customer: 'customers',
+};
+
+// lastSeenAt is only written when it is older than this, to avoid a write per request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+async function ensureSessionIndexes(db) {
+  await db.collection('sessions').createIndex({ userId: 1, revokedAt: 1 });
+  await db.collection('sessions').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Refresh tokens look like "<sessionId>.<random secret>"
+function newRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function signAccessToken(session) {
+  return jwt.sign({ phoneNumber: session.phoneNumber, sid: String(session._id) }, secretKey, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+function describeClient(req) {
+  return {
+    userAgent: req.headers['user-agent'] || 'unknown',
+    ip: req.ip,
+  };
+}
+
+// Start a new session for a user or customer and return its access and refresh tokens
+async function createSession(user, req, accountType = 'user') {
+  const now = new Date();
+  const sessionId = new ObjectId();
+  const refreshToken = newRefreshToken(sessionId);
+
+  const session = {
+    _id: sessionId,
+    userId: user._id,
+    accountType,
+    phoneNumber: user.phoneNumber,
+    refreshTokenHash: hashToken(refreshToken),
+    device: describeClient(req),
+    createdAt: now,
+    lastSeenAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+    revokedAt: null,
+  };
+
+  await getDb().collection('sessions').insertOne(session);
+
+  return { token: signAccessToken(session), refreshToken, sessionId };
+}
+
+// Exchange a refresh token for a new access token and a new refresh token.
+// Presenting a refresh token that was already rotated revokes the session,
+// since it means the token was copied.
+async function rotateSession(refreshToken, req) {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!ObjectId.isValid(sessionId)) return null;
+
+  const sessions = getDb().collection('sessions');
+  const presentedHash = hashToken(refreshToken);
+  const now = new Date();
+  const nextRefreshToken = newRefreshToken(sessionId);
+
+  const session = await sessions.findOneAndUpdate(
+    { _id: new ObjectId(sessionId), refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextRefreshToken),
+        previousRefreshTokenHash: presentedHash,
+        lastSeenAt: now,
+        device: describeClient(req),
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+      },
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (!session) {
+    await sessions.updateOne(
+      { _id: new ObjectId(sessionId), previousRefreshTokenHash: presentedHash, revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: 'refresh_token_reuse' } }
+    );
+    return null;
+  }
+
+  return { token: signAccessToken(session), refreshToken: nextRefreshToken, sessionId: session._id };
+}
+
+// Revoke sessions matching the filter; returns how many were revoked
+async function revokeSessions(filter, reason) {
+  const result = await getDb().collection('sessions').updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+}
+
+// Build middleware that authenticates tokens of the given account types. The
+// token's session must still be active. Optional authentication lets requests
+// without a token through with no req.user.
+function authenticate(accountTypes, { optional = false } = {}) {
+  return (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token && optional) return next();
+    if (!token) return res.status(401).json({ message: 'Token required' });
+
+    jwt.verify(token, secretKey, async (err, user) => {
+      if (err || !user.sid || !ObjectId.isValid(user.sid)) {
+        return res.status(403).json({ message: 'Token is invalid' });
+      }
+
+      try {
+        const session = await getDb().collection('sessions').findOne({ _id: new ObjectId(user.sid) });
+
+        if (!session || session.revokedAt || session.phoneNumber !== user.phoneNumber) {
+          return res.status(401).json({ message: 'Session has been revoked' });
+        }
+
+        const accountType = session.accountType || 'user';
+
+        if (!accountTypes.includes(accountType)) {
+          return res.status(403).json({ message: `This route is not available to ${accountType === 'customer' ? 'customer' : 'vendor'} accounts` });
+        }
+
+        const account = await getDb().collection(ACCOUNT_COLLECTIONS[accountType]).findOne(
+          { _id: session.userId },
+          { projection: { role: 1, reviewStatus: 1 } }
+        );
+
+        if (!account) {
+          return res.status(401).json({ message: 'Session has been revoked' });
+        }
+
+        if (account.reviewStatus === 'suspended') {
+          return res.status(403).json({ message: 'Account suspended' });
+        }
+
+        const now = new Date();
+        if (now - session.lastSeenAt > LAST_SEEN_RESOLUTION_MS) {
+          await getDb().collection('sessions').updateOne({ _id: session._id }, { $set: { lastSeenAt: now } });
+        }
+
+        const defaultRole = accountType === 'customer' ? 'customer' : 'vendor';
+        req.user = { ...user, userId: account._id, role: account.role || defaultRole, accountType };
+        req.authSession = session;
+        next();
+      } catch (error) {
+        console.error('Error checking session:', error);
+        res.status(500).json({ message: 'Internal server error' });
+      }
+    });
+  };
+}
+
+// Vendor and admin routes
+const authenticateToken = authenticate(['user']);
+
+// Customer routes
+const authenticateCustomer = authenticate(['customer']);
+
+// Routes open to guests that know the customer when one is logged in
+const authenticateCustomerIfPresent = authenticate(['customer'], { optional: true });
+
+// Routes shared by every kind of account, such as logout
+const authenticateAnyAccount = authenticate(['user', 'customer']);
+
+// Middleware that only lets admins through. Use after authenticateToken.
+function requireAdmin(req, res, next) {
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Admin access required' });
+  }
+  next();
+}
+
+// Give the admin role to the phone numbers listed in ADMIN_PHONE_NUMBERS
+async function ensureAdminRoles(db) {
+  const phoneNumbers = (process.env.ADMIN_PHONE_NUMBERS || '')
+    .split(',')
+    .map((phoneNumber) => phoneNumber.trim())
+    .filter(Boolean);
+
+  if (phoneNumbers.length === 0) return;
+
+  await db.collection('users').updateMany(
+    { phoneNumber: { $in: phoneNumbers } },
+    { $set: { role: 'admin' } }
+  );
+}
+
+// Find the verified, non-suspended user that owns the phone number in the token
+function findVerifiedUser(phoneNumber) {
+  return getDb().collection('users').findOne({ phoneNumber, status: 'verified', reviewStatus: { $ne: 'suspended' } });
+}
+
+module.exports = {
+  authenticateToken,
+  authenticateCustomer,
+  authenticateCustomerIfPresent,
+  authenticateAnyAccount,
+  requireAdmin,
+  findVerifiedUser,
+  ensureAdminRoles,
+  REVIEW_STATUSES,
+  createSession,
+  rotateSession,
+  revokeSessions,
+  ensureSessionIndexes,
+};
@@ -0,0 +1,598 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { authenticateToken, findVerifiedUser } = require('./auth');
+const { publicVendorFilter, visibleListingFilter } = require('./catalog');
+const { Joi, schemas, validate, sendValidationError } = require('./validation');
+
+const router = express.Router();
+
+// Bookings that still hold their slot
+const ACTIVE_BOOKING_STATUSES = ['requested', 'accepted'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+async function ensureBookingIndexes(db) {
+  await db.collection('availabilitySlots').createIndex(
+    { serviceId: 1, date: 1, startTime: 1 },
+    { unique: true }
+  );
+  await db.collection('blackoutDates').createIndex({ serviceId: 1, date: 1 }, { unique: true });
+  await db.collection('bookings').createIndex({ serviceId: 1, status: 1, date: 1 });
+}
+
+const dateString = Joi.string().pattern(DATE_PATTERN).messages({
+  'string.pattern.base': '{{#label}} must be a YYYY-MM-DD date',
+});
+const timeString = Joi.string().pattern(TIME_PATTERN).messages({
+  'string.pattern.base': '{{#label}} must be an HH:MM time',
+});
+
+const availabilityQuery = Joi.object({ from: dateString });
+
+const bookingRequestBody = Joi.object({
+  date: dateString.required(),
+  slotId: schemas.objectId,
+  eventType: Joi.string().trim().max(100).required(),
+  name: Joi.string().trim().max(200).required(),
+  phoneNumber: schemas.phoneNumber.required(),
+  email: Joi.string().trim().email(),
+  notes: Joi.string().allow('').max(2000),
+});
+
+const slotsBody = Joi.object({
+  slots: Joi.array().items(Joi.object({
+    date: dateString.required(),
+    startTime: timeString,
+    endTime: timeString,
+  })).min(1).max(200).required(),
+});
+
+const slotParams = Joi.object({ id: schemas.objectId.required(), slotId: schemas.objectId.required() });
+const blackoutParams = Joi.object({ id: schemas.objectId.required(), date: dateString.required() });
+const blackoutBody = Joi.object({ date: dateString.required(), reason: Joi.string().allow('').max(500) });
+const bookingParams = Joi.object({ id: schemas.objectId.required(), bookingId: schemas.objectId.required() });
+const bookingListQuery = Joi.object({ status: Joi.string().valid('requested', 'accepted', 'declined') });
+const declineBody = Joi.object({ reason: Joi.string().allow('').max(500) });
+const rescheduleBody = Joi.object({ date: dateString.required(), slotId: schemas.objectId });
+
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Find a service that belongs to the given vendor
+function findOwnedService(serviceId, userId) {
+  if (!ObjectId.isValid(serviceId)) return null;
+  return getDb().collection('services').findOne({ _id: new ObjectId(serviceId), userId });
+}
+
+async function isBlackedOut(serviceId, date) {
+  const blackout = await getDb().collection('blackoutDates').findOne({ serviceId, date });
+  return Boolean(blackout);
+}
+
+// Atomically claim a free slot for a booking. Returns the claimed slot or null
+// when the slot does not exist or has already been taken.
+async function claimSlot(serviceId, date, slotId, bookingId) {
+  const filter = { serviceId, date, bookingId: null };
+
+  if (slotId) {
+    if (!ObjectId.isValid(slotId)) return null;
+    filter._id = new ObjectId(slotId);
+  }
+
+  return getDb().collection('availabilitySlots').findOneAndUpdate(
+    filter,
+    { $set: { bookingId } },
+    { sort: { startTime: 1 }, returnDocument: 'after' }
+  );
+}
+
+function releaseSlot(slotId, bookingId) {
+  return getDb().collection('availabilitySlots').updateOne(
+    { _id: slotId, bookingId },
+    { $set: { bookingId: null } }
+  );
+}
+
+// Claim a slot on a date that is not blacked out. The blackout is checked
+// again after the claim: a vendor adds a blackout before looking for claimed
+// slots, so one of the two always sees the other. Returns { slot } or
+// { status, message } when the booking cannot have the date.
+async function claimAvailableSlot(serviceId, date, slotId, bookingId) {
+  if (await isBlackedOut(serviceId, date)) {
+    return { status: 409, message: 'Service is not available on this date' };
+  }
+
+  const slot = await claimSlot(serviceId, date, slotId, bookingId);
+
+  if (!slot) {
+    return { status: 409, message: 'No free slot available for this date' };
+  }
+
+  if (await isBlackedOut(serviceId, date)) {
+    await releaseSlot(slot._id, bookingId);
+    return { status: 409, message: 'Service is not available on this date' };
+  }
+
+  return { slot };
+}
+
+// Endpoint to view the open slots of a service
+router.get('/catalog/services/:id/availability', validate({ params: schemas.idParams, query: availabilityQuery }), async (req, res) => {
+  const { id } = req.params;
+  const from = isValidDate(req.query.from) ? req.query.from : today();
+
+  try {
+    if (!ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+
+    // Only services shown in the catalog have public availability
+    const service = await getDb().collection('services').findOne({ _id: new ObjectId(id), ...visibleListingFilter });
+    const vendor = service && await getDb().collection('users').findOne({ _id: service.userId, ...publicVendorFilter });
+
+    if (!service || !vendor) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+
+    const serviceId = service._id;
+    const blackouts = await getDb().collection('blackoutDates')
+      .find({ serviceId, date: { $gte: from } })
+      .toArray();
+    const blackedOutDates = blackouts.map((blackout) => blackout.date);
+
+    const slots = await getDb().collection('availabilitySlots')
+      .find({ serviceId, bookingId: null, date: { $gte: from, $nin: blackedOutDates } })
+      .project({ date: 1, startTime: 1, endTime: 1 })
+      .sort({ date: 1, startTime: 1 })
+      .toArray();
+
+    res.status(200).json({ slots, blackoutDates: blackedOutDates });
+  } catch (error) {
+    console.error('Error retrieving availability:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a customer to request a booking for a date and event type
+router.post('/catalog/services/:id/bookings', validate({ params: schemas.idParams, body: bookingRequestBody }), async (req, res) => {
+  const { id } = req.params;
+  const { date, slotId, eventType, name, phoneNumber, email, notes } = req.body;
+
+  if (!isValidDate(date)) {
+    return sendValidationError(res, [{ field: 'body.date', message: 'date must be a valid calendar date' }]);
+  }
+
+  if (date < today()) {
+    return sendValidationError(res, [{ field: 'body.date', message: 'Cannot book a date in the past' }]);
+  }
+
+  try {
+    if (!ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+
+    const service = await getDb().collection('services').findOne({ _id: new ObjectId(id), ...visibleListingFilter });
+    const vendor = service && await getDb().collection('users').findOne({ _id: service.userId, ...publicVendorFilter });
+
+    if (!service || !vendor) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+
+    const eventTypes = [].concat(service.selectedEventTypes || []);
+    if (eventTypes.length > 0 && !eventTypes.some((type) => String(type).toLowerCase() === String(eventType).toLowerCase())) {
+      return res.status(400).json({ message: 'Service is not offered for this event type' });
+    }
+
+    const bookingId = new ObjectId();
+    const claimed = await claimAvailableSlot(service._id, date, slotId, bookingId);
+
+    if (!claimed.slot) {
+      return res.status(claimed.status).json({ message: claimed.message });
+    }
+    const { slot } = claimed;
+
+    const now = new Date();
+    const booking = {
+      _id: bookingId,
+      serviceId: service._id,
+      vendorId: service.userId,
+      slotId: slot._id,
+      date,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      eventType,
+      customer: { name, phoneNumber, email },
+      notes,
+      status: 'requested',
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    try {
+      await getDb().collection('bookings').insertOne(booking);
+    } catch (insertError) {
+      await releaseSlot(slot._id, bookingId);
+      throw insertError;
+    }
+
+    res.status(201).json({ message: 'Booking requested successfully', bookingId });
+  } catch (error) {
+    console.error('Error requesting booking:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a vendor to view the availability of one of their services
+router.get('/vendor/services/:id/availability', authenticateToken, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const service = await findOwnedService(req.params.id, user._id);
+
+    if (!service) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+
+    const slots = await getDb().collection('availabilitySlots')
+      .find({ serviceId: service._id })
+      .sort({ date: 1, startTime: 1 })
+      .toArray();
+    const blackoutDates = await getDb().collection('blackoutDates')
+      .find({ serviceId: service._id })
+      .sort({ date: 1 })
+      .toArray();
+
+    res.status(200).json({ slots, blackoutDates });
+  } catch (error) {
+    console.error('Error retrieving availability:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a vendor to publish availability slots for a service
+router.post('/vendor/services/:id/availability/slots', authenticateToken, validate({ params: schemas.idParams, body: slotsBody }), async (req, res) => {
+  const { slots } = req.body;
+
+  const errors = [];
+  slots.forEach((slot, index) => {
+    if (!isValidDate(slot.date)) {
+      errors.push({ field: `body.slots.${index}.date`, message: 'date must be a valid calendar date' });
+    }
+    if (slot.startTime && slot.endTime && slot.startTime >= slot.endTime) {
+      errors.push({ field: `body.slots.${index}.endTime`, message: 'endTime must be after startTime' });
+    }
+  });
+
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const service = await findOwnedService(req.params.id, user._id);
+
+    if (!service) {
+      return res.status(404).json({ message: 'Service not found or not authorized to edit' });
+    }
+
+    const now = new Date();
+    const documents = slots.map((slot) => ({
+      serviceId: service._id,
+      userId: user._id,
+      date: slot.date,
+      startTime: slot.startTime || '00:00',
+      endTime: slot.endTime || '23:59',
+      bookingId: null,
+      createdAt: now,
+    }));
+
+    const result = await getDb().collection('availabilitySlots').insertMany(documents, { ordered: false });
+    res.status(201).json({ message: 'Slots added successfully', slotIds: Object.values(result.insertedIds) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'One or more slots already exist' });
+    }
+    console.error('Error adding slots:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a vendor to remove an unbooked slot
+router.delete('/vendor/services/:id/availability/slots/:slotId', authenticateToken, validate({ params: slotParams }), async (req, res) => {
+  const { slotId } = req.params;
+
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const service = await findOwnedService(req.params.id, user._id);
+
+    if (!service || !ObjectId.isValid(slotId)) {
+      return res.status(404).json({ message: 'Slot not found' });
+    }
+
+    const result = await getDb().collection('availabilitySlots').deleteOne({
+      _id: new ObjectId(slotId),
+      serviceId: service._id,
+      bookingId: null,
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(409).json({ message: 'Slot not found or already booked' });
+    }
+
+    res.status(200).json({ message: 'Slot deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting slot:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a vendor to block out a date for a service
+router.post('/vendor/services/:id/availability/blackouts', authenticateToken, validate({ params: schemas.idParams, body: blackoutBody }), async (req, res) => {
+  const { date, reason } = req.body;
+
+  if (!isValidDate(date)) {
+    return sendValidationError(res, [{ field: 'body.date', message: 'date must be a valid calendar date' }]);
+  }
+
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const service = await findOwnedService(req.params.id, user._id);
+
+    if (!service) {
+      return res.status(404).json({ message: 'Service not found or not authorized to edit' });
+    }
+
+    // The blackout is added before looking for bookings, and bookings look for
+    // blackouts after claiming their slot, so a booking made meanwhile is
+    // either seen here or turned away
+    const blackout = await getDb().collection('blackoutDates').insertOne({
+      serviceId: service._id,
+      userId: user._id,
+      date,
+      reason,
+      createdAt: new Date(),
+    });
+
+    const claimedSlot = await getDb().collection('availabilitySlots').findOne({ serviceId: service._id, date, bookingId: { $ne: null } });
+    const activeBooking = claimedSlot || await getDb().collection('bookings').findOne({
+      serviceId: service._id,
+      date,
+      status: { $in: ACTIVE_BOOKING_STATUSES },
+    });
+
+    if (activeBooking) {
+      await getDb().collection('blackoutDates').deleteOne({ _id: blackout.insertedId });
+      return res.status(409).json({ message: 'There are active bookings on this date' });
+    }
+
+    res.status(201).json({ message: 'Blackout date added successfully' });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Date is already blacked out' });
+    }
+    console.error('Error adding blackout date:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a vendor to remove a blackout date
+router.delete('/vendor/services/:id/availability/blackouts/:date', authenticateToken, validate({ params: blackoutParams }), async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const service = await findOwnedService(req.params.id, user._id);
+
+    if (!service) {
+      return res.status(404).json({ message: 'Service not found or not authorized to edit' });
+    }
+
+    const result = await getDb().collection('blackoutDates').deleteOne({ serviceId: service._id, date: req.params.date });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Blackout date not found' });
+    }
+
+    res.status(200).json({ message: 'Blackout date deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting blackout date:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a vendor to list bookings of a service
+router.get('/vendor/services/:id/bookings', authenticateToken, validate({ params: schemas.idParams, query: bookingListQuery }), async (req, res) => {
+  const { status } = req.query;
+
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const service = await findOwnedService(req.params.id, user._id);
+
+    if (!service) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+
+    const filter = { serviceId: service._id };
+    if (status) filter.status = status;
+
+    const bookings = await getDb().collection('bookings')
+      .find(filter)
+      .sort({ date: 1, startTime: 1 })
+      .toArray();
+
+    res.status(200).json(bookings);
+  } catch (error) {
+    console.error('Error retrieving bookings:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Load a booking of one of the vendor's services, or send the error response
+async function loadVendorBooking(req, res) {
+  const user = await findVerifiedUser(req.user.phoneNumber);
+
+  if (!user) {
+    res.status(400).json({ message: 'User not registered or not verified' });
+    return null;
+  }
+
+  const service = await findOwnedService(req.params.id, user._id);
+
+  if (!service || !ObjectId.isValid(req.params.bookingId)) {
+    res.status(404).json({ message: 'Booking not found' });
+    return null;
+  }
+
+  const booking = await getDb().collection('bookings').findOne({
+    _id: new ObjectId(req.params.bookingId),
+    serviceId: service._id,
+  });
+
+  if (!booking) {
+    res.status(404).json({ message: 'Booking not found' });
+    return null;
+  }
+
+  return booking;
+}
+
+// Endpoint for a vendor to accept a booking request
+router.post('/vendor/services/:id/bookings/:bookingId/accept', authenticateToken, validate({ params: bookingParams }), async (req, res) => {
+  try {
+    const booking = await loadVendorBooking(req, res);
+    if (!booking) return;
+
+    const result = await getDb().collection('bookings').updateOne(
+      { _id: booking._id, status: 'requested' },
+      { $set: { status: 'accepted', updatedAt: new Date() } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({ message: `Booking cannot be accepted while ${booking.status}` });
+    }
+
+    res.status(200).json({ message: 'Booking accepted successfully' });
+  } catch (error) {
+    console.error('Error accepting booking:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a vendor to decline a booking and free its slot
+router.post('/vendor/services/:id/bookings/:bookingId/decline', authenticateToken, validate({ params: bookingParams, body: declineBody }), async (req, res) => {
+  const { reason } = req.body;
+
+  try {
+    const booking = await loadVendorBooking(req, res);
+    if (!booking) return;
+
+    const result = await getDb().collection('bookings').updateOne(
+      { _id: booking._id, status: { $in: ACTIVE_BOOKING_STATUSES } },
+      { $set: { status: 'declined', declineReason: reason, updatedAt: new Date() } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({ message: `Booking cannot be declined while ${booking.status}` });
+    }
+
+    await releaseSlot(booking.slotId, booking._id);
+
+    res.status(200).json({ message: 'Booking declined successfully' });
+  } catch (error) {
+    console.error('Error declining booking:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a vendor to move a booking to another date or slot
+router.post('/vendor/services/:id/bookings/:bookingId/reschedule', authenticateToken, validate({ params: bookingParams, body: rescheduleBody }), async (req, res) => {
+  const { date, slotId } = req.body;
+
+  if (!isValidDate(date)) {
+    return sendValidationError(res, [{ field: 'body.date', message: 'date must be a valid calendar date' }]);
+  }
+
+  try {
+    const booking = await loadVendorBooking(req, res);
+    if (!booking) return;
+
+    if (!ACTIVE_BOOKING_STATUSES.includes(booking.status)) {
+      return res.status(409).json({ message: `Booking cannot be rescheduled while ${booking.status}` });
+    }
+
+    const claimed = await claimAvailableSlot(booking.serviceId, date, slotId, booking._id);
+
+    if (!claimed.slot) {
+      return res.status(claimed.status).json({ message: claimed.message });
+    }
+    const { slot } = claimed;
+
+    const result = await getDb().collection('bookings').updateOne(
+      { _id: booking._id, slotId: booking.slotId, status: { $in: ACTIVE_BOOKING_STATUSES } },
+      {
+        $set: {
+          slotId: slot._id,
+          date: slot.date,
+          startTime: slot.startTime,
+          endTime: slot.endTime,
+          updatedAt: new Date(),
+        },
+        $push: { history: { date: booking.date, slotId: booking.slotId, rescheduledAt: new Date() } },
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      // The booking changed underneath us, so give the new slot back
+      await releaseSlot(slot._id, booking._id);
+      return res.status(409).json({ message: 'Booking was modified, please retry' });
+    }
+
+    await releaseSlot(booking.slotId, booking._id);
+
+    res.status(200).json({ message: 'Booking rescheduled successfully' });
+  } catch (error) {
+    console.error('Error rescheduling booking:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = {
+  router,
+  ensureBookingIndexes,
+};
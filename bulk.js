@@ -0,0 +1,414 @@
+const express = require('express');
+const multer = require('multer');
+const { Readable, pipeline } = require('stream');
+const { MongoBulkWriteError } = require('mongodb');
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify');
+const { getDb } = require('./db');
+const { authenticateToken, findVerifiedUser } = require('./auth');
+const { Joi, schemas, validate, sendValidationError } = require('./validation');
+const { loadTaxonomy, resolveListingTaxonomy } = require('./taxonomy');
+const { recordMovement, setStock } = require('./inventory');
+const { recordVersion } = require('./versions');
+const { toGeoPoint } = require('./catalog');
+const { emitListingEvent } = require('./webhooks');
+
+const router = express.Router();
+
+// Import files are parsed in memory, so they are kept small
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+const MAX_IMPORT_ROWS = 2000;
+
+// Columns of each listing collection, in export order. Imports accept the
+// same columns and upsert by SKU, so every imported row needs one.
+const BULK_KINDS = {
+  products: {
+    kind: 'product',
+    columns: [
+      'sku',
+      'productName',
+      'productDescription',
+      'productCategory',
+      'productSubcategory',
+      'price',
+      'stockAvailability',
+      'lowStockThreshold',
+      'productPolicies',
+    ],
+    // Variants are edited on the product itself, not through files
+    rowSchema: schemas.product.create.keys({ sku: schemas.sku.required(), options: Joi.forbidden(), variants: Joi.forbidden() }),
+  },
+  services: {
+    kind: 'service',
+    columns: [
+      'sku',
+      'serviceName',
+      'serviceCategory',
+      'location',
+      'address',
+      'latitude',
+      'longitude',
+      'serviceRadiusKm',
+      'description_ser',
+      'lowestAmount',
+      'highestAmount',
+      'selectedServices',
+      'selectedEventTypes',
+    ],
+    rowSchema: schemas.service.create.keys({ sku: schemas.sku.required() }),
+  },
+};
+
+const format = Joi.string().valid('csv', 'json');
+const importQuery = Joi.object({ dryRun: Joi.boolean().default(false), format });
+const exportQuery = Joi.object({ format: format.default('csv') });
+
+class ImportFileError extends Error {}
+
+function detectFormat(file, requested) {
+  if (requested) return requested;
+  if (/\.json$/i.test(file.originalname) || file.mimetype === 'application/json') return 'json';
+  return 'csv';
+}
+
+// Read the uploaded file into plain row objects. Empty CSV cells count as
+// not given, so optional columns can be left blank.
+function readRows(file, fileFormat, columns) {
+  const text = file.buffer.toString('utf8');
+  let rows;
+
+  if (fileFormat === 'json') {
+    try {
+      rows = JSON.parse(text);
+    } catch (error) {
+      throw new ImportFileError('File is not valid JSON');
+    }
+    if (!Array.isArray(rows)) {
+      throw new ImportFileError('JSON file must contain an array of rows');
+    }
+  } else {
+    try {
+      rows = parse(text, { columns: true, bom: true, skip_empty_lines: true, trim: true });
+    } catch (error) {
+      throw new ImportFileError(`File is not valid CSV: ${error.message}`);
+    }
+
+    const unknownColumns = rows.length > 0 ? Object.keys(rows[0]).filter((column) => !columns.includes(column)) : [];
+    if (unknownColumns.length > 0) {
+      throw new ImportFileError(`Unknown columns: ${unknownColumns.join(', ')}`);
+    }
+
+    rows = rows.map((row) => Object.fromEntries(Object.entries(row).filter(([, value]) => value !== '')));
+  }
+
+  if (rows.length === 0) {
+    throw new ImportFileError('File has no rows');
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ImportFileError(`File has more than ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  return rows;
+}
+
+// Files carry a service's position as latitude and longitude columns while
+// listings store it as a GeoJSON point
+function rowToFields({ latitude, longitude, ...fields }) {
+  if (latitude !== undefined) fields.geo = toGeoPoint(latitude, longitude);
+  return fields;
+}
+
+function listingToRow({ geo, ...listing }) {
+  if (geo) [listing.longitude, listing.latitude] = geo.coordinates;
+  return listing;
+}
+
+function rowErrors(error) {
+  return error.details.map((detail) => ({
+    field: detail.path.join('.'),
+    message: detail.message.replace(/"/g, ''),
+  }));
+}
+
+// Validate every row against the listing schema and the taxonomy. Rows are
+// numbered from 1, not counting a CSV header.
+async function checkRows(collectionName, rows, userId) {
+  const { kind, rowSchema } = BULK_KINDS[collectionName];
+  const taxonomy = await loadTaxonomy();
+
+  const skus = rows.map((row) => (row && typeof row.sku === 'string' ? row.sku.trim() : null)).filter(Boolean);
+  const existing = await getDb().collection(collectionName)
+    .find({ userId, sku: { $in: skus } })
+    .toArray();
+  const existingBySku = new Map(existing.map((listing) => [listing.sku, listing]));
+  const firstRowBySku = new Map();
+
+  const results = [];
+  for (const [index, row] of rows.entries()) {
+    const result = { row: index + 1, sku: null, status: null, errors: [] };
+    results.push(result);
+
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      result.errors.push({ field: 'row', message: 'row must be an object' });
+      continue;
+    }
+
+    const { value, error } = rowSchema.validate(row, { abortEarly: false, convert: true });
+    if (error) {
+      result.sku = typeof row.sku === 'string' ? row.sku : null;
+      result.errors.push(...rowErrors(error));
+      continue;
+    }
+
+    result.sku = value.sku;
+    if (firstRowBySku.has(value.sku)) {
+      result.errors.push({ field: 'sku', message: `sku is already used on row ${firstRowBySku.get(value.sku)}` });
+      continue;
+    }
+    firstRowBySku.set(value.sku, result.row);
+
+    const current = existingBySku.get(value.sku);
+    const taxonomyCheck = await resolveListingTaxonomy(kind, value, current || {}, taxonomy);
+    if (taxonomyCheck.errors.length > 0) {
+      result.errors.push(...taxonomyCheck.errors.map((taxonomyError) => ({
+        ...taxonomyError,
+        field: taxonomyError.field.replace(/^body\./, ''),
+      })));
+      continue;
+    }
+
+    const fields = rowToFields({ ...value, ...taxonomyCheck.value });
+
+    // An update must still leave a valid price range
+    const merged = { ...current, ...fields };
+    if (kind === 'service' && Number(merged.lowestAmount) > Number(merged.highestAmount)) {
+      result.errors.push({ field: 'highestAmount', message: 'highestAmount must not be less than lowestAmount' });
+      continue;
+    }
+
+    // Products with variants keep their stock on the variants
+    if (current && (current.variants || []).length > 0 && fields.stockAvailability !== undefined) {
+      result.errors.push({ field: 'stockAvailability', message: 'stockAvailability is set on each variant for products with variants' });
+      continue;
+    }
+
+    result.status = current ? 'updated' : 'created';
+    result.fields = fields;
+    result.current = current;
+  }
+
+  results.forEach((result) => {
+    if (!result.status) result.status = 'failed';
+  });
+
+  return results;
+}
+
+// Upsert the valid rows by SKU. Rows that fail to save are marked failed.
+// New listings start as drafts without media. Product stock goes through the inventory
+// ledger rather than being overwritten.
+async function applyRows(collectionName, results, userId) {
+  const valid = results.filter((result) => result.status !== 'failed');
+  if (valid.length === 0) return;
+
+  const operations = valid.map(({ fields }) => {
+    const { sku, stockAvailability, ...set } = fields;
+    const setOnInsert = { images: [], videos: [], coverImage: null, status: 'draft' };
+    if (stockAvailability !== undefined) setOnInsert.stockAvailability = stockAvailability;
+    return {
+      updateOne: {
+        filter: { userId, sku },
+        update: { $set: set, $setOnInsert: setOnInsert },
+        upsert: true,
+      },
+    };
+  });
+
+  let upsertedIds = {};
+  try {
+    ({ upsertedIds } = await getDb().collection(collectionName).bulkWrite(operations, { ordered: false }));
+  } catch (error) {
+    if (!(error instanceof MongoBulkWriteError)) throw error;
+    upsertedIds = error.result.upsertedIds;
+
+    [].concat(error.writeErrors || []).forEach((writeError) => {
+      const result = valid[writeError.index];
+      result.status = 'failed';
+      result.errors.push({
+        field: 'sku',
+        message: writeError.code === 11000 ? 'sku was saved by another request at the same time' : 'row could not be saved',
+      });
+    });
+  }
+
+  if (collectionName === 'products') {
+    await recordImportedStock(valid, upsertedIds, userId);
+  }
+  await recordImportedVersions(collectionName, valid, userId);
+}
+
+async function recordImportedVersions(collectionName, valid, userId) {
+  const saved = valid.filter((result) => result.status !== 'failed');
+  const listings = await getDb().collection(collectionName)
+    .find({ userId, sku: { $in: saved.map((result) => result.fields.sku) } })
+    .toArray();
+  const listingsBySku = new Map(listings.map((listing) => [listing.sku, listing]));
+
+  for (const result of saved) {
+    const listing = listingsBySku.get(result.fields.sku);
+    if (!listing) continue;
+
+    await recordVersion(collectionName, result.current || null, listing, {
+      action: result.current ? 'update' : 'create',
+      by: { kind: 'vendor', userId },
+    });
+    await emitListingEvent(collectionName, result.current ? 'updated' : 'created', listing);
+  }
+}
+
+async function recordImportedStock(valid, upsertedIds, userId) {
+  const by = { kind: 'vendor', userId };
+
+  for (const [index, result] of valid.entries()) {
+    const { sku, stockAvailability } = result.fields;
+    if (result.status === 'failed' || stockAvailability === undefined) continue;
+
+    if (upsertedIds[index]) {
+      if (stockAvailability > 0) {
+        await recordMovement({ _id: upsertedIds[index], userId, stockAvailability }, {
+          type: 'restock',
+          quantity: stockAvailability,
+          reason: 'Initial stock',
+          by,
+        });
+      }
+    } else {
+      await setStock({ userId, sku }, stockAvailability, { reason: 'Bulk import', by });
+    }
+  }
+}
+
+function summarize(results) {
+  const count = (status) => results.filter((result) => result.status === status).length;
+  return {
+    total: results.length,
+    created: count('created'),
+    updated: count('updated'),
+    failed: count('failed'),
+  };
+}
+
+// Arrays go into one CSV cell as a comma separated list, or as JSON when an
+// item itself contains a comma. An address goes in as JSON. Imports accept
+// all of these forms.
+function toCsvCell(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) return JSON.stringify(value);
+  if (!Array.isArray(value)) return value;
+  return value.some((item) => String(item).includes(',')) ? JSON.stringify(value) : value.join(',');
+}
+
+async function* csvRecords(cursor, columns) {
+  for await (const listing of cursor) {
+    yield Object.fromEntries(columns.map((column) => [column, toCsvCell(listing[column])]));
+  }
+}
+
+async function* jsonChunks(cursor, columns) {
+  yield '[';
+  let first = true;
+  for await (const listing of cursor) {
+    const row = Object.fromEntries(columns
+      .filter((column) => listing[column] !== undefined && listing[column] !== null)
+      .map((column) => [column, listing[column]]));
+    yield `${first ? '' : ','}\n${JSON.stringify(row)}`;
+    first = false;
+  }
+  yield '\n]\n';
+}
+
+function registerBulkRoutes(collectionName) {
+  const { columns } = BULK_KINDS[collectionName];
+
+  // Endpoint to import listings from a CSV or JSON file, upserting by SKU
+  router.post(`/vendor/${collectionName}/import`, authenticateToken, importUpload.single('file'), validate({ query: importQuery }), async (req, res) => {
+    const { dryRun } = req.query;
+
+    if (!req.file) {
+      return sendValidationError(res, [{ field: 'file', message: 'file is required' }]);
+    }
+
+    try {
+      const user = await findVerifiedUser(req.user.phoneNumber);
+
+      if (!user) {
+        return res.status(400).json({ message: 'User not registered or not verified' });
+      }
+
+      const rows = readRows(req.file, detectFormat(req.file, req.query.format), columns);
+      const results = await checkRows(collectionName, rows, user._id);
+
+      if (!dryRun) {
+        await applyRows(collectionName, results, user._id);
+      }
+
+      res.status(200).json({
+        dryRun,
+        summary: summarize(results),
+        rows: results.map(({ row, sku, status, errors }) => ({ row, sku, status, errors })),
+      });
+    } catch (error) {
+      if (error instanceof ImportFileError) {
+        return sendValidationError(res, [{ field: 'file', message: error.message }]);
+      }
+      console.error(`Error importing ${collectionName}:`, error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Endpoint to export all of a vendor's listings as CSV or JSON
+  router.get(`/vendor/${collectionName}/export`, authenticateToken, validate({ query: exportQuery }), async (req, res) => {
+    const { format: exportFormat } = req.query;
+
+    try {
+      const user = await findVerifiedUser(req.user.phoneNumber);
+
+      if (!user) {
+        return res.status(400).json({ message: 'User not registered or not verified' });
+      }
+
+      const cursor = getDb().collection(collectionName)
+        .find({ userId: user._id })
+        .project({ ...Object.fromEntries(columns.map((column) => [column, 1])), geo: 1 })
+        .sort({ _id: 1 })
+        .map(listingToRow);
+
+      res.status(200);
+      res.attachment(`${collectionName}.${exportFormat}`);
+
+      const streams = exportFormat === 'json'
+        ? [Readable.from(jsonChunks(cursor, columns))]
+        : [Readable.from(csvRecords(cursor, columns)), stringify({ header: true, columns })];
+
+      pipeline(...streams, res, (streamError) => {
+        if (streamError) {
+          console.error(`Error exporting ${collectionName}:`, streamError);
+          cursor.close().catch(() => {});
+        }
+      });
+    } catch (error) {
+      console.error(`Error exporting ${collectionName}:`, error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+}
+
+registerBulkRoutes('products');
+registerBulkRoutes('services');
+
+module.exports = {
+  router,
+};
@@ -0,0 +1,399 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { Joi, schemas, validate } = require('./validation');
+const { slugify } = require('./taxonomy');
+const { summarizeVariants } = require('./variants');
+const { recordListingView } = require('./analytics');
+const { withEffectivePrices } = require('./promotions');
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Fields of the vendor that are safe to show to customers (no phone number or email)
+const publicVendorFields = {
+  _id: 1,
+  username: 1,
+  businessName: 1,
+  name: 1,
+  logo: 1,
+  rating: 1,
+};
+
+// Vendors whose listings may be shown to customers
+const publicVendorFilter = {
+  status: 'verified',
+  reviewStatus: { $in: [null, 'approved'] },
+};
+
+// Published listings that have not been hidden by an admin. Listings saved
+// before publishing statuses existed have no status and count as published.
+const visibleListingFilter = {
+  'moderation.hidden': { $ne: true },
+  status: { $in: [null, 'published'] },
+};
+
+// Create the text indexes used by catalog search
+async function ensureCatalogIndexes(db) {
+  await db.collection('products').createIndex(
+    { productName: 'text', productDescription: 'text' },
+    { name: 'catalog_text' }
+  );
+  await db.collection('services').createIndex(
+    { serviceName: 'text', description_ser: 'text' },
+    { name: 'catalog_text' }
+  );
+  await db.collection('services').createIndex({ geo: '2dsphere' });
+}
+
+// Coordinates are stored as a GeoJSON point, longitude first. Clearing either
+// coordinate clears the point.
+function toGeoPoint(latitude, longitude) {
+  if (latitude === null || longitude === null) return null;
+  return { type: 'Point', coordinates: [longitude, latitude] };
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+// Prices may have been stored as strings, so convert them before comparing
+function toDouble(field) {
+  return { $convert: { input: field, to: 'double', onError: null, onNull: null } };
+}
+
+function parsePaging(query) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// Match a taxonomy slug, or the raw text of listings that were not migrated yet
+function categoryMatch(value) {
+  return { $in: [slugify(value), new RegExp(`^${escapeRegex(value)}$`, 'i')] };
+}
+
+// Join each listing with its vendor and keep only visible listings of approved vendors
+function vendorStages() {
+  const vendorMatch = {};
+  for (const [field, condition] of Object.entries(publicVendorFilter)) {
+    vendorMatch[`vendor.${field}`] = condition;
+  }
+
+  return [
+    { $match: visibleListingFilter },
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'userId',
+        foreignField: '_id',
+        as: 'vendor',
+      },
+    },
+    { $unwind: '$vendor' },
+    { $match: vendorMatch },
+  ];
+}
+
+function publicProjection() {
+  const vendorProjection = {};
+  for (const field of Object.keys(publicVendorFields)) {
+    vendorProjection[`vendor.${field}`] = 1;
+  }
+  return vendorProjection;
+}
+
+// Run a catalog query and return one page of results with the total count.
+// A near point limits results to listings with coordinates and adds their
+// distanceKm from the point.
+async function runCatalogQuery(collectionName, { match, priceMatch, text, near, sort: sortBy, projection, paging }) {
+  const pipeline = [];
+
+  if (near) {
+    pipeline.push({
+      $geoNear: {
+        near: { type: 'Point', coordinates: [near.longitude, near.latitude] },
+        key: 'geo',
+        distanceField: 'distanceKm',
+        distanceMultiplier: 0.001,
+        ...(near.radiusKm !== undefined && { maxDistance: near.radiusKm * 1000 }),
+        query: match,
+      },
+    });
+    // A listing with a service radius only travels that far
+    pipeline.push({
+      $match: {
+        $expr: {
+          $or: [
+            { $eq: [{ $ifNull: ['$serviceRadiusKm', null] }, null] },
+            { $lte: ['$distanceKm', '$serviceRadiusKm'] },
+          ],
+        },
+      },
+    });
+  } else if (text) {
+    pipeline.push({ $match: { $text: { $search: text }, ...match } });
+    pipeline.push({ $addFields: { _score: { $meta: 'textScore' } } });
+  } else if (Object.keys(match).length > 0) {
+    pipeline.push({ $match: match });
+  }
+
+  if (priceMatch.length > 0) {
+    pipeline.push({ $match: { $expr: { $and: priceMatch } } });
+  }
+
+  pipeline.push(...vendorStages());
+
+  let sort = text ? { _score: -1, _id: -1 } : { _id: -1 };
+  if (near && (!sortBy || sortBy === 'distance')) sort = { distanceKm: 1, _id: -1 };
+  if (sortBy === 'rating') sort = { 'rating.average': -1, 'rating.count': -1, _id: -1 };
+  if (sortBy === 'newest') sort = { _id: -1 };
+
+  pipeline.push({
+    $facet: {
+      items: [
+        { $sort: sort },
+        { $skip: paging.skip },
+        { $limit: paging.limit },
+        { $project: { ...projection, ...(near && { distanceKm: 1 }), ...publicProjection() } },
+      ],
+      total: [{ $count: 'count' }],
+    },
+  });
+
+  const [result] = await getDb().collection(collectionName).aggregate(pipeline).toArray();
+  const total = result.total.length > 0 ? result.total[0].count : 0;
+
+  return {
+    items: result.items,
+    page: paging.page,
+    limit: paging.limit,
+    total,
+  };
+}
+
+const productProjection = {
+  productName: 1,
+  productDescription: 1,
+  productCategory: 1,
+  productSubcategory: 1,
+  price: 1,
+  stockAvailability: 1,
+  productPolicies: 1,
+  options: 1,
+  variants: 1,
+  images: 1,
+  videos: 1,
+  rating: 1,
+};
+
+// Lowest or highest price a product sells at ($min or $max). Variants
+// without their own price sell at the product's.
+function productPrice(accumulator) {
+  const variants = { $ifNull: ['$variants', []] };
+  return {
+    $cond: [
+      { $gt: [{ $size: variants }, 0] },
+      { [accumulator]: { $map: { input: variants, as: 'variant', in: { $ifNull: [toDouble('$$variant.price'), toDouble('$price')] } } } },
+      toDouble('$price'),
+    ],
+  };
+}
+
+// Add the price range and availability across each product's variants
+function withVariantSummary(product) {
+  return { ...product, ...summarizeVariants(product) };
+}
+
+const serviceProjection = {
+  serviceName: 1,
+  serviceCategory: 1,
+  location: 1,
+  address: 1,
+  geo: 1,
+  serviceRadiusKm: 1,
+  description_ser: 1,
+  lowestAmount: 1,
+  highestAmount: 1,
+  selectedServices: 1,
+  selectedEventTypes: 1,
+  images: 1,
+  videos: 1,
+  rating: 1,
+};
+
+const searchQuery = {
+  q: Joi.string().trim().max(200),
+  minPrice: Joi.number().min(0),
+  maxPrice: Joi.number().min(0),
+  // Results are sorted by relevance when searching with q, otherwise newest first
+  sort: Joi.string().valid('relevance', 'newest', 'rating'),
+  ...schemas.paging,
+};
+
+const productSearchQuery = Joi.object({
+  ...searchQuery,
+  productCategory: Joi.string().trim().max(100),
+  productSubcategory: Joi.string().trim().max(100),
+});
+
+// Services can also be searched within radiusKm of a point (such as the
+// venue) and sorted by distance, the default when a point is given. MongoDB
+// cannot combine this with a text search.
+const serviceSearchQuery = Joi.object({
+  ...searchQuery,
+  sort: Joi.string().valid('relevance', 'newest', 'rating', 'distance'),
+  serviceCategory: Joi.string().trim().max(100),
+  eventType: Joi.string().trim().max(100),
+  lat: Joi.number().min(-90).max(90),
+  lng: Joi.number().min(-180).max(180),
+  radiusKm: Joi.number().greater(0).max(1000),
+})
+  .and('lat', 'lng')
+  .with('radiusKm', ['lat', 'lng'])
+  .without('lat', 'q')
+  .messages({ 'object.without': 'q cannot be combined with a lat/lng search' })
+  .when(Joi.object({ sort: Joi.valid('distance').required() }).unknown(), {
+    then: Joi.object({ lat: Joi.required().messages({ 'any.required': 'sort by distance requires lat and lng' }) }),
+  });
+
+// Endpoint to browse products across all verified vendors
+router.get('/catalog/products', validate({ query: productSearchQuery }), async (req, res) => {
+  const { q, productCategory, productSubcategory } = req.query;
+  const minPrice = parseNumber(req.query.minPrice);
+  const maxPrice = parseNumber(req.query.maxPrice);
+
+  const match = {};
+  if (productCategory) match.productCategory = categoryMatch(productCategory);
+  if (productSubcategory) match.productSubcategory = categoryMatch(productSubcategory);
+
+  // A product with variants matches when its price range overlaps the requested one
+  const priceMatch = [];
+  if (minPrice !== undefined) priceMatch.push({ $gte: [productPrice('$max'), minPrice] });
+  if (maxPrice !== undefined) {
+    priceMatch.push({ $ne: [productPrice('$min'), null] });
+    priceMatch.push({ $lte: [productPrice('$min'), maxPrice] });
+  }
+
+  try {
+    const result = await runCatalogQuery('products', {
+      match,
+      priceMatch,
+      text: q,
+      sort: req.query.sort,
+      projection: productProjection,
+      paging: parsePaging(req.query),
+    });
+
+    res.status(200).json({ ...result, items: await withEffectivePrices('products', result.items.map(withVariantSummary)) });
+  } catch (error) {
+    console.error('Error searching products:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to browse services across all verified vendors
+router.get('/catalog/services', validate({ query: serviceSearchQuery }), async (req, res) => {
+  const { q, serviceCategory, eventType, lat, lng, radiusKm } = req.query;
+  const minPrice = parseNumber(req.query.minPrice);
+  const maxPrice = parseNumber(req.query.maxPrice);
+
+  const match = {};
+  if (serviceCategory) match.serviceCategory = categoryMatch(serviceCategory);
+  if (eventType) match.selectedEventTypes = categoryMatch(eventType);
+
+  // A service matches a price range when its own range overlaps the requested one
+  const priceMatch = [];
+  if (minPrice !== undefined) {
+    priceMatch.push({ $ne: [toDouble('$highestAmount'), null] });
+    priceMatch.push({ $gte: [toDouble('$highestAmount'), minPrice] });
+  }
+  if (maxPrice !== undefined) {
+    priceMatch.push({ $ne: [toDouble('$lowestAmount'), null] });
+    priceMatch.push({ $lte: [toDouble('$lowestAmount'), maxPrice] });
+  }
+
+  try {
+    const result = await runCatalogQuery('services', {
+      match,
+      priceMatch,
+      text: q,
+      near: lat !== undefined ? { latitude: lat, longitude: lng, radiusKm } : undefined,
+      sort: req.query.sort,
+      projection: serviceProjection,
+      paging: parsePaging(req.query),
+    });
+
+    res.status(200).json({ ...result, items: await withEffectivePrices('services', result.items) });
+  } catch (error) {
+    console.error('Error searching services:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Fetch a single listing together with its public vendor summary
+async function findPublicListing(collectionName, id, projection) {
+  if (!ObjectId.isValid(id)) return null;
+
+  const [listing] = await getDb().collection(collectionName).aggregate([
+    { $match: { _id: new ObjectId(id) } },
+    ...vendorStages(),
+    { $project: { ...projection, ...publicProjection() } },
+  ]).toArray();
+
+  return listing || null;
+}
+
+// Endpoint to get a single product from the public catalog
+router.get('/catalog/products/:id', validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const product = await findPublicListing('products', req.params.id, productProjection);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    recordListingView('products', product._id, product.vendor._id);
+    const [priced] = await withEffectivePrices('products', [withVariantSummary(product)]);
+    res.status(200).json(priced);
+  } catch (error) {
+    console.error('Error retrieving catalog product:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to get a single service from the public catalog
+router.get('/catalog/services/:id', validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const service = await findPublicListing('services', req.params.id, serviceProjection);
+
+    if (!service) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+
+    recordListingView('services', service._id, service.vendor._id);
+    const [priced] = await withEffectivePrices('services', [service]);
+    res.status(200).json(priced);
+  } catch (error) {
+    console.error('Error retrieving catalog service:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = {
+  router,
+  ensureCatalogIndexes,
+  publicVendorFields,
+  publicVendorFilter,
+  visibleListingFilter,
+  toDouble,
+  toGeoPoint,
+};
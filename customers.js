@@ -0,0 +1,212 @@
+const express = require('express');
+const { getDb } = require('./db');
+const { authenticateCustomer, createSession } = require('./auth');
+const { getOtpProvider, verifiedEmail, sendEmailConfirmation, checkEmailConfirmation, OtpChannelError } = require('./otp');
+const { Joi, schemas, validate } = require('./validation');
+const { limitOtpSends, limitOtpVerifications, recordVerification } = require('./throttle');
+
+// Customers log in with a one-time code like vendors, but have their own
+// accounts so a customer login never grants access to vendor routes. Codes
+// go by SMS until the customer confirms an email address.
+
+const router = express.Router();
+
+const profileFields = {
+  name: Joi.string().trim().max(200),
+  email: Joi.string().trim().lowercase().email(),
+};
+
+const loginBody = Joi.object({
+  phoneNumber: schemas.phoneNumber.required(),
+  channel: Joi.string().valid('sms', 'email'),
+});
+
+const verifyBody = Joi.object({
+  phoneNumber: schemas.phoneNumber.required(),
+  otpCode: schemas.otpCode.required(),
+  ...profileFields,
+});
+
+const profileBody = Joi.object(profileFields).min(1);
+const emailConfirmationBody = Joi.object({
+  emailCode: schemas.otpCode.required(),
+  phoneCode: schemas.otpCode.required(),
+});
+
+const customerProfile = { phoneNumber: 1, name: 1, email: 1, emailVerifiedAt: 1, createdAt: 1 };
+
+// Codes checked on the email routes count against the signed-in customer's number
+const customerPhoneNumber = (req) => req.user.phoneNumber;
+
+async function ensureCustomerIndexes(db) {
+  await db.collection('customers').createIndex({ phoneNumber: 1 }, { unique: true });
+}
+
+// Endpoint to send a customer a login code. Customers are created on their
+// first successful login, which therefore always needs the SMS code.
+router.post('/customer/login', validate({ body: loginBody }), limitOtpSends(), async (req, res) => {
+  const { phoneNumber, channel } = req.body;
+
+  try {
+    const customer = await getDb().collection('customers').findOne({ phoneNumber });
+
+    await getOtpProvider().sendCode(phoneNumber, {
+      channel,
+      email: verifiedEmail(customer),
+      purpose: 'customer_login',
+    });
+
+    res.status(200).json({ status: 'OTP sent for login' });
+  } catch (error) {
+    if (error instanceof OtpChannelError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error during customer login:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to verify a customer login code and start a session
+router.post('/customer/verify-login', validate({ body: verifyBody }), limitOtpVerifications(), async (req, res) => {
+  const { phoneNumber, otpCode, name, email } = req.body;
+
+  try {
+    const verificationStatus = await getOtpProvider().checkCode(phoneNumber, otpCode, { purpose: 'customer_login' });
+    await recordVerification(phoneNumber, verificationStatus);
+
+    if (verificationStatus !== 'approved') {
+      return res.status(400).json({ status: verificationStatus });
+    }
+
+    const now = new Date();
+    const existing = await getDb().collection('customers').findOne({ phoneNumber });
+    const update = {
+      $set: { ...(name !== undefined && { name }), ...(email !== undefined && { email }), lastLoginAt: now },
+      $setOnInsert: { phoneNumber, createdAt: now },
+    };
+    if (existing && email !== undefined && email !== existing.email) {
+      update.$unset = { emailVerifiedAt: '', emailVerification: '' };
+    }
+
+    const customer = await getDb().collection('customers').findOneAndUpdate(
+      { phoneNumber },
+      update,
+      { upsert: true, returnDocument: 'after' }
+    );
+
+    const { token, refreshToken } = await createSession(customer, req, 'customer');
+    res.status(200).json({ status: 'Login successful', token, refreshToken });
+  } catch (error) {
+    console.error('Error verifying customer login:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a customer to read their profile
+router.get('/customer/me', authenticateCustomer, async (req, res) => {
+  try {
+    const customer = await getDb().collection('customers').findOne(
+      { _id: req.user.userId },
+      { projection: customerProfile }
+    );
+
+    res.status(200).json(customer);
+  } catch (error) {
+    console.error('Error retrieving customer profile:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a customer to update their name or email. A new email
+// address cannot receive login codes until it is confirmed.
+router.put('/customer/me', authenticateCustomer, validate({ body: profileBody }), async (req, res) => {
+  try {
+    const update = { $set: req.body };
+    if (req.body.email !== undefined) {
+      const current = await getDb().collection('customers').findOne({ _id: req.user.userId }, { projection: { email: 1 } });
+      if (current && req.body.email !== current.email) {
+        update.$unset = { emailVerifiedAt: '', emailVerification: '' };
+      }
+    }
+
+    const customer = await getDb().collection('customers').findOneAndUpdate(
+      { _id: req.user.userId },
+      update,
+      { returnDocument: 'after', projection: customerProfile }
+    );
+
+    res.status(200).json(customer);
+  } catch (error) {
+    console.error('Error updating customer profile:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to send the codes that confirm a customer's email address, one to
+// the address and one by SMS to their phone number
+router.post('/customer/me/email/verification', authenticateCustomer, limitOtpSends(customerPhoneNumber), async (req, res) => {
+  try {
+    const customer = await getDb().collection('customers').findOne({ _id: req.user.userId });
+
+    if (!customer.email) {
+      return res.status(400).json({ message: 'Add an email address to your profile first' });
+    }
+
+    if (verifiedEmail(customer)) {
+      return res.status(409).json({ message: 'Email address is already verified' });
+    }
+
+    await sendEmailConfirmation(customer.phoneNumber, customer.email, 'customer_email_confirmation');
+
+    await getDb().collection('customers').updateOne(
+      { _id: customer._id },
+      { $set: { emailVerification: { email: customer.email, requestedAt: new Date() } } }
+    );
+
+    res.status(200).json({ status: 'OTP sent to the email address and the phone number' });
+  } catch (error) {
+    if (error instanceof OtpChannelError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error starting customer email verification:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to confirm a customer's email address with both codes
+router.post('/customer/me/email/verify', authenticateCustomer, validate({ body: emailConfirmationBody }), limitOtpVerifications(customerPhoneNumber), async (req, res) => {
+  try {
+    const customer = await getDb().collection('customers').findOne({ _id: req.user.userId });
+
+    if (!customer.emailVerification) {
+      return res.status(400).json({ message: 'No email verification in progress' });
+    }
+
+    const verificationStatus = await checkEmailConfirmation(customer.phoneNumber, req.body, 'customer_email_confirmation');
+    await recordVerification(customer.phoneNumber, verificationStatus);
+
+    if (verificationStatus !== 'approved') {
+      return res.status(400).json({ status: verificationStatus });
+    }
+
+    // The codes only confirm the address they were sent to
+    const result = await getDb().collection('customers').updateOne(
+      { _id: customer._id, email: customer.emailVerification.email },
+      { $set: { emailVerifiedAt: new Date() }, $unset: { emailVerification: '' } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(409).json({ message: 'Email address was changed, request new codes' });
+    }
+
+    res.status(200).json({ status: 'Email address verified' });
+  } catch (error) {
+    console.error('Error verifying customer email address:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = {
+  router,
+  ensureCustomerIndexes,
+};
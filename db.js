@@ -1,19 +1,55 @@
 const { MongoClient } = require('mongodb');
 require('dotenv').config();
+
+let client;
 let dbConnection;
-let url=process.env.MONGODB_URL
+
+// How often to try reaching MongoDB at startup, and the first delay between
+// tries (it doubles each time, up to 30 seconds)
+const CONNECT_ATTEMPTS = Number(process.env.MONGODB_CONNECT_ATTEMPTS || 10);
+const CONNECT_RETRY_MS = Number(process.env.MONGODB_CONNECT_RETRY_SECONDS || 2) * 1000;
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+
+// Connect to MONGODB_URL and resolve with the database, retrying while the
+// server cannot be reached. Once connected the driver reconnects by itself
+// whenever the connection drops.
+async function connectToDb({ url = process.env.MONGODB_URL, attempts = CONNECT_ATTEMPTS, retryMs = CONNECT_RETRY_MS } = {}) {
+  for (let attempt = 1; ; attempt += 1) {
+    const candidate = new MongoClient(url);
+
+    try {
+      await candidate.connect();
+      client = candidate;
+      dbConnection = client.db();
+      console.log('database connected');
+      return dbConnection;
+    } catch (error) {
+      await candidate.close().catch(() => {});
+      if (attempt >= attempts) throw error;
+
+      const delay = Math.min(retryMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+      console.error(`Database connection attempt ${attempt} failed, retrying in ${delay / 1000}s:`, error.message);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Use a database connected elsewhere, e.g. by a test or script
+function setDb(db) {
+  dbConnection = db;
+}
+
+// Close the client opened by connectToDb
+async function closeDb() {
+  const current = client;
+  client = null;
+  dbConnection = null;
+  if (current) await current.close();
+}
+
 module.exports = {
-    connectToDb: (cb) => { // corrected from connectTodb to connectToDb
-        MongoClient.connect(url)
-            .then((client) => {
-                dbConnection = client.db();
-                console.log("database connected")
-                return cb();
-            })
-            .catch(err => {
-                console.log(err);
-                return cb(err);
-            });
-    },
-    getDb: () => dbConnection
+  connectToDb,
+  setDb,
+  closeDb,
+  getDb: () => dbConnection,
 };
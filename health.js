@@ -0,0 +1,82 @@
+const express = require('express');
+const { getDb } = require('./db');
+const { getBucket } = require('./media');
+
+const router = express.Router();
+
+// A dependency that does not answer within this time counts as down
+const CHECK_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS || 2000);
+
+// The server is starting until it listens, then ready until it starts
+// draining requests to shut down
+let state = 'starting';
+
+function markReady() {
+  state = 'ready';
+}
+
+function markDraining() {
+  state = 'draining';
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function runCheck(check) {
+  const started = Date.now();
+  try {
+    if (!getDb()) throw new Error('not connected');
+    await withTimeout(check(), CHECK_TIMEOUT_MS);
+    return { status: 'ok', latencyMs: Date.now() - started };
+  } catch (error) {
+    return { status: 'error', message: error.message };
+  }
+}
+
+// Check that MongoDB answers and that the GridFS uploads bucket can be read
+async function checkDependencies() {
+  const [mongodb, gridfs] = await Promise.all([
+    runCheck(() => getDb().command({ ping: 1 })),
+    runCheck(() => getBucket().find({}, { limit: 1 }).toArray()),
+  ]);
+  const checks = { mongodb, gridfs };
+  const ok = Object.values(checks).every((check) => check.status === 'ok');
+  return { ok, checks };
+}
+
+// Ask clients to close keep-alive connections once the server is draining,
+// so requests are not sent on connections that are about to close
+function closeConnectionsWhenDraining(req, res, next) {
+  if (state === 'draining') res.set('Connection', 'close');
+  next();
+}
+
+// Endpoint for liveness probes: the process is up and serving requests.
+// Dependencies are left to /readyz, so an outage of MongoDB takes the server
+// out of rotation instead of getting it restarted.
+router.get('/healthz', (req, res) => {
+  res.status(200).json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Endpoint for readiness probes: the server takes traffic and its dependencies answer
+router.get('/readyz', async (req, res) => {
+  if (state !== 'ready') {
+    return res.status(503).json({ status: state, message: 'Server is not accepting traffic' });
+  }
+
+  const { ok, checks } = await checkDependencies();
+  res.status(ok ? 200 : 503).json({ status: ok ? 'ok' : 'error', checks });
+});
+
+module.exports = {
+  router,
+  markReady,
+  markDraining,
+  checkDependencies,
+  closeConnectionsWhenDraining,
+};
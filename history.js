@@ -0,0 +1,349 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { trackJob } = require('./jobs');
+const { authenticateToken, findVerifiedUser } = require('./auth');
+const { getBucket, deleteFiles, filterOwnedFiles, resolveCoverImage } = require('./media');
+const { recordVersion } = require('./versions');
+const { replaceVariants } = require('./inventory');
+const { pruneVariantImages } = require('./variants');
+const { PUBLISHING_FIELDS } = require('./publishing');
+const { emitListingEvent } = require('./webhooks');
+const { Joi, schemas, validate } = require('./validation');
+
+const router = express.Router();
+
+// Deleted listings stay in the trash this long before they are purged
+const TRASH_RETENTION_MS = Number(process.env.TRASH_RETENTION_DAYS || 30) * 24 * 60 * 60 * 1000;
+
+// Fields a restore leaves alone: identity, stock kept by the ledger, ratings
+// kept by reviews, moderation decisions made by admins and the publishing state
+const RESTORE_EXCLUDED_FIELDS = ['_id', 'userId', 'stockAvailability', 'rating', 'moderation', ...PUBLISHING_FIELDS];
+
+const HISTORY_KINDS = {
+  products: { label: 'Product' },
+  services: { label: 'Service' },
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+
+const versionParams = Joi.object({
+  id: schemas.objectId.required(),
+  version: Joi.number().integer().min(1).required(),
+});
+const historyQuery = Joi.object({ ...schemas.paging });
+const trashQuery = Joi.object({ collectionName: Joi.string().valid(...Object.keys(HISTORY_KINDS)) });
+
+async function ensureTrashIndexes(db) {
+  await db.collection('listingTrash').createIndex({ vendorId: 1, deletedAt: -1 });
+  await db.collection('listingTrash').createIndex({ purgeAt: 1 });
+}
+
+// Move a listing to the trash. The listing keeps its ID and media so it can
+// be restored until the retention period ends. Returns the listing, or null
+// when no listing matched.
+async function trashListing(collectionName, filter, by) {
+  const listing = await getDb().collection(collectionName).findOne(filter);
+  if (!listing) return null;
+
+  const now = new Date();
+  await getDb().collection('listingTrash').replaceOne(
+    { _id: listing._id },
+    {
+      collectionName,
+      vendorId: listing.userId,
+      listing,
+      deletedAt: now,
+      deletedBy: by,
+      purgeAt: new Date(now.getTime() + TRASH_RETENTION_MS),
+    },
+    { upsert: true }
+  );
+
+  const result = await getDb().collection(collectionName).deleteOne({ _id: listing._id });
+  if (result.deletedCount === 0) {
+    await getDb().collection('listingTrash').deleteOne({ _id: listing._id });
+    return null;
+  }
+
+  await recordVersion(collectionName, listing, null, { action: 'delete', by });
+  return listing;
+}
+
+// Permanently remove trashed listings with their media and history
+async function purgeTrashEntries(filter) {
+  let purged = 0;
+
+  for await (const entry of getDb().collection('listingTrash').find(filter)) {
+    const { listing } = entry;
+    await deleteFiles(getBucket(), [...(listing.images || []), ...(listing.videos || [])]);
+    await getDb().collection('listingVersions').deleteMany({ collectionName: entry.collectionName, listingId: listing._id });
+    await getDb().collection('listingStats').deleteMany({ collectionName: entry.collectionName, listingId: listing._id });
+    await getDb().collection('promotions').updateMany(
+      { vendorId: listing.userId },
+      { $pull: { [entry.collectionName === 'products' ? 'scope.productIds' : 'scope.serviceIds']: listing._id } }
+    );
+    await getDb().collection('listingTrash').deleteOne({ _id: entry._id });
+    purged += 1;
+  }
+
+  return purged;
+}
+
+// Purge the trash periodically in the background
+function startTrashPurge(intervalMs) {
+  const timer = setInterval(() => {
+    trackJob(purgeTrashEntries({ purgeAt: { $lte: new Date() } }))
+      .then((purged) => {
+        if (purged > 0) console.log(`Trash purge removed ${purged} listings`);
+      })
+      .catch((error) => console.error('Error purging trash:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+// Media may have been deleted since a snapshot was taken, so only files that
+// still exist are restored
+async function restorableFields(snapshot, userId) {
+  const fields = Object.fromEntries(Object.entries(snapshot).filter(([field]) => !RESTORE_EXCLUDED_FIELDS.includes(field)));
+
+  for (const field of ['images', 'videos']) {
+    if (Array.isArray(fields[field])) {
+      fields[field] = await filterOwnedFiles(getBucket(), fields[field], userId);
+    }
+  }
+  fields.coverImage = resolveCoverImage(fields.coverImage, fields.images || []);
+  if (Array.isArray(fields.variants)) {
+    fields.variants = pruneVariantImages(fields.variants, fields.images);
+  }
+
+  return fields;
+}
+
+function registerHistoryRoutes(collectionName) {
+  const { label } = HISTORY_KINDS[collectionName];
+
+  // Endpoint to list the versions of a listing, newest first. Deleted listings
+  // keep their history while they are in the trash.
+  router.get(`/vendor/${collectionName}/:id/history`, authenticateToken, validate({ params: schemas.idParams, query: historyQuery }), async (req, res) => {
+    const { page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+
+    try {
+      const user = await findVerifiedUser(req.user.phoneNumber);
+
+      if (!user) {
+        return res.status(400).json({ message: 'User not registered or not verified' });
+      }
+
+      const filter = { collectionName, listingId: new ObjectId(req.params.id), vendorId: user._id };
+      const [items, total] = await Promise.all([
+        getDb().collection('listingVersions')
+          .find(filter)
+          .project({ snapshot: 0 })
+          .sort({ version: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .toArray(),
+        getDb().collection('listingVersions').countDocuments(filter),
+      ]);
+
+      if (total === 0) {
+        return res.status(404).json({ message: `${label} history not found` });
+      }
+
+      res.status(200).json({ items, page, limit, total });
+    } catch (error) {
+      console.error(`Error retrieving ${label.toLowerCase()} history:`, error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Endpoint to read one version of a listing with its full snapshot
+  router.get(`/vendor/${collectionName}/:id/history/:version`, authenticateToken, validate({ params: versionParams }), async (req, res) => {
+    try {
+      const user = await findVerifiedUser(req.user.phoneNumber);
+
+      if (!user) {
+        return res.status(400).json({ message: 'User not registered or not verified' });
+      }
+
+      const version = await getDb().collection('listingVersions').findOne({
+        collectionName,
+        listingId: new ObjectId(req.params.id),
+        vendorId: user._id,
+        version: req.params.version,
+      });
+
+      if (!version) {
+        return res.status(404).json({ message: 'Version not found' });
+      }
+
+      res.status(200).json(version);
+    } catch (error) {
+      console.error(`Error retrieving ${label.toLowerCase()} version:`, error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Endpoint to bring a listing back to an earlier version. The restore is
+  // itself recorded as a new version.
+  router.post(`/vendor/${collectionName}/:id/history/:version/restore`, authenticateToken, validate({ params: versionParams }), async (req, res) => {
+    try {
+      const user = await findVerifiedUser(req.user.phoneNumber);
+
+      if (!user) {
+        return res.status(400).json({ message: 'User not registered or not verified' });
+      }
+
+      const listingId = new ObjectId(req.params.id);
+      const listing = await getDb().collection(collectionName).findOne({ _id: listingId, userId: user._id });
+
+      if (!listing) {
+        return res.status(404).json({ message: `${label} not found; restore it from the trash first` });
+      }
+
+      const version = await getDb().collection('listingVersions').findOne({
+        collectionName,
+        listingId,
+        vendorId: user._id,
+        version: req.params.version,
+      });
+
+      if (!version) {
+        return res.status(404).json({ message: 'Version not found' });
+      }
+
+      // Variants are restored with their current stock, like the product's own
+      const { variants, ...fields } = await restorableFields(version.snapshot, user._id);
+      const removed = Object.keys(listing).filter((field) => !RESTORE_EXCLUDED_FIELDS.includes(field) && field !== 'variants' && !(field in fields));
+
+      const update = { $set: fields };
+      if (removed.length > 0) update.$unset = Object.fromEntries(removed.map((field) => [field, '']));
+
+      let restored;
+      try {
+        restored = await getDb().collection(collectionName).findOneAndUpdate(
+          { _id: listingId, userId: user._id },
+          update,
+          { returnDocument: 'after' }
+        );
+      } catch (updateError) {
+        if (updateError.code === 11000) {
+          return res.status(409).json({ message: `Another ${label.toLowerCase()} now uses this version's SKU` });
+        }
+        throw updateError;
+      }
+
+      if (collectionName === 'products' && (variants || listing.variants)) {
+        restored = await replaceVariants({ _id: listingId, userId: user._id }, variants || [], {
+          reason: `Restored version ${version.version}`,
+          by: { kind: 'vendor', userId: user._id },
+        });
+      }
+
+      await recordVersion(collectionName, listing, restored, {
+        action: 'restore',
+        by: { kind: 'vendor', userId: user._id },
+        restoredFrom: version.version,
+      });
+      await emitListingEvent(collectionName, 'updated', restored);
+
+      res.status(200).json({ message: `${label} restored to version ${version.version}`, listing: restored });
+    } catch (error) {
+      console.error(`Error restoring ${label.toLowerCase()} version:`, error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+}
+
+registerHistoryRoutes('products');
+registerHistoryRoutes('services');
+
+// Endpoint to list a vendor's deleted listings
+router.get('/vendor/trash', authenticateToken, validate({ query: trashQuery }), async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const filter = { vendorId: user._id };
+    if (req.query.collectionName) filter.collectionName = req.query.collectionName;
+
+    const entries = await getDb().collection('listingTrash').find(filter).sort({ deletedAt: -1 }).toArray();
+
+    res.status(200).json(entries);
+  } catch (error) {
+    console.error('Error retrieving trash:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to put a deleted listing back where it was
+router.post('/vendor/trash/:id/restore', authenticateToken, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const entry = await getDb().collection('listingTrash').findOne({ _id: new ObjectId(req.params.id), vendorId: user._id });
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Listing not found in trash' });
+    }
+
+    try {
+      await getDb().collection(entry.collectionName).insertOne(entry.listing);
+    } catch (insertError) {
+      if (insertError.code === 11000) {
+        return res.status(409).json({ message: 'Another listing now uses this SKU' });
+      }
+      throw insertError;
+    }
+
+    await getDb().collection('listingTrash').deleteOne({ _id: entry._id });
+    await recordVersion(entry.collectionName, null, entry.listing, {
+      action: 'restore',
+      by: { kind: 'vendor', userId: user._id },
+    });
+    await emitListingEvent(entry.collectionName, 'created', entry.listing);
+
+    res.status(200).json({ message: 'Listing restored successfully', collectionName: entry.collectionName, id: entry._id });
+  } catch (error) {
+    console.error('Error restoring listing from trash:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to permanently delete a listing from the trash
+router.delete('/vendor/trash/:id', authenticateToken, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const purged = await purgeTrashEntries({ _id: new ObjectId(req.params.id), vendorId: user._id });
+
+    if (purged === 0) {
+      return res.status(404).json({ message: 'Listing not found in trash' });
+    }
+
+    res.status(200).json({ message: 'Listing deleted permanently' });
+  } catch (error) {
+    console.error('Error purging listing from trash:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = {
+  router,
+  ensureTrashIndexes,
+  trashListing,
+  startTrashPurge,
+};
@@ -0,0 +1,361 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { authenticateToken, findVerifiedUser } = require('./auth');
+const { toDouble } = require('./catalog');
+const { Joi, schemas, validate, sendValidationError } = require('./validation');
+const { findVariant } = require('./variants');
+
+const router = express.Router();
+
+// Kinds of stock movement. Restocks and returns add stock, sales take it away
+// and adjustments may go either way.
+const MOVEMENT_TYPES = ['restock', 'adjustment', 'sale', 'return'];
+
+const DEFAULT_PAGE_SIZE = 50;
+
+const movementBody = Joi.object({
+  variantId: schemas.objectId,
+  type: Joi.string().valid(...MOVEMENT_TYPES).required(),
+  quantity: Joi.number().integer().required().when('type', {
+    is: 'adjustment',
+    then: Joi.invalid(0),
+    otherwise: Joi.number().min(1),
+  }),
+  reason: Joi.string().trim().max(500).when('type', { is: 'adjustment', then: Joi.required() }),
+});
+
+const movementListQuery = Joi.object({
+  variantId: schemas.objectId,
+  type: Joi.string().valid(...MOVEMENT_TYPES),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  ...schemas.paging,
+});
+
+async function ensureInventoryIndexes(db) {
+  await db.collection('stockMovements').createIndex({ productId: 1, createdAt: -1 });
+  await db.collection('stockMovements').createIndex({ vendorId: 1, createdAt: -1 });
+}
+
+// The stock a movement of this type and quantity adds (or takes away when negative)
+function signedQuantity(type, quantity) {
+  return type === 'sale' ? -Math.abs(quantity) : type === 'adjustment' ? quantity : Math.abs(quantity);
+}
+
+// Products with variants keep their stock on the variants; product-level
+// changes only apply to products without them
+const noVariants = { 'variants.0': { $exists: false } };
+
+const variantStock = (variable) => ({ $ifNull: [toDouble(`${variable}.stockAvailability`), 0] });
+
+// Pipeline stage that sets a product's stock to the total over its variants
+const totalVariantStock = {
+  $set: {
+    stockAvailability: {
+      $sum: { $map: { input: '$variants', as: 'variant', in: variantStock('$$variant') } },
+    },
+  },
+};
+
+// Pipeline stage that sets one variant's stock to the result of stockExpression
+function setVariantStock(variantId, stockExpression) {
+  return {
+    $set: {
+      variants: {
+        $map: {
+          input: '$variants',
+          as: 'variant',
+          in: {
+            $cond: [
+              { $eq: ['$$variant._id', variantId] },
+              { $mergeObjects: ['$$variant', { stockAvailability: stockExpression }] },
+              '$$variant',
+            ],
+          },
+        },
+      },
+    },
+  };
+}
+
+function currentVariantStock(variantId) {
+  return {
+    $let: {
+      vars: { variant: { $arrayElemAt: [{ $filter: { input: '$variants', cond: { $eq: ['$$this._id', variantId] } } }, 0] } },
+      in: variantStock('$$variant'),
+    },
+  };
+}
+
+// Atomically add change (which may be negative) to the stock of a product,
+// or of one of its variants, without letting it drop below zero. Stock may
+// still be stored as a string, so it is converted on the way. Returns the
+// updated product, or null when the product or variant does not match or has
+// too little stock.
+function changeStock(filter, change, variantId = null) {
+  if (variantId) {
+    const _id = new ObjectId(variantId);
+    return getDb().collection('products').findOneAndUpdate(
+      { ...filter, 'variants._id': _id, $expr: { $gte: [{ $add: [currentVariantStock(_id), change] }, 0] } },
+      [setVariantStock(_id, { $add: [variantStock('$$variant'), change] }), totalVariantStock],
+      { returnDocument: 'after' }
+    );
+  }
+
+  const current = { $ifNull: [toDouble('$stockAvailability'), 0] };
+  return getDb().collection('products').findOneAndUpdate(
+    { ...filter, ...noVariants, $expr: { $gte: [{ $add: [current, change] }, 0] } },
+    [{ $set: { stockAvailability: { $add: [current, change] } } }],
+    { returnDocument: 'after' }
+  );
+}
+
+// Write a ledger entry for a change that was already applied to product.
+// quantity is signed: negative for stock that went out. Every entry changes
+// the product's total by quantity; balanceAfter is the variant's stock for
+// variant entries and the product's otherwise.
+function recordMovement(product, { type, quantity, reason, by, orderId, variantId }) {
+  const variant = variantId ? findVariant(product, variantId) : null;
+
+  return getDb().collection('stockMovements').insertOne({
+    productId: product._id,
+    vendorId: product.userId,
+    variantId: variant ? variant._id : null,
+    type,
+    quantity,
+    balanceAfter: Number((variant || product).stockAvailability),
+    reason: reason || null,
+    by,
+    orderId: orderId || null,
+    createdAt: new Date(),
+  });
+}
+
+// Change the stock of a product or variant and record why. Returns the
+// updated product, or null when it was not found or has too little stock.
+async function moveStock(filter, { type, quantity, reason, by, orderId, variantId }) {
+  const change = signedQuantity(type, quantity);
+  const product = await changeStock(filter, change, variantId);
+
+  if (product) {
+    await recordMovement(product, { type, quantity: change, reason, by, orderId, variantId });
+  }
+
+  return product;
+}
+
+// Set the stock of a product or variant to an absolute quantity, e.g. from a
+// product update or an import, and record the difference as an adjustment.
+async function setStock(filter, quantity, { reason, by, variantId }) {
+  const variantObjectId = variantId ? new ObjectId(variantId) : null;
+  const before = variantObjectId
+    ? await getDb().collection('products').findOneAndUpdate(
+      { ...filter, 'variants._id': variantObjectId },
+      [setVariantStock(variantObjectId, { $literal: quantity }), totalVariantStock],
+      { returnDocument: 'before' }
+    )
+    : await getDb().collection('products').findOneAndUpdate(
+      { ...filter, ...noVariants },
+      { $set: { stockAvailability: quantity } },
+      { returnDocument: 'before' }
+    );
+
+  if (!before) return null;
+
+  const previous = variantObjectId ? findVariant(before, variantObjectId).stockAvailability : before.stockAvailability;
+  const change = quantity - (Number(previous) || 0);
+  const after = variantObjectId
+    ? {
+      ...before,
+      stockAvailability: (Number(before.stockAvailability) || 0) + change,
+      variants: before.variants.map((item) => (String(item._id) === String(variantObjectId) ? { ...item, stockAvailability: quantity } : item)),
+    }
+    : { ...before, stockAvailability: quantity };
+
+  if (change !== 0) {
+    await recordMovement(after, { type: 'adjustment', quantity: change, reason, by, variantId });
+  }
+
+  return after;
+}
+
+// Store a product's variants (see buildVariants), keeping the current stock
+// of variants that stay, and record any change to the product's total stock
+// as an adjustment. Variant stock is read inside the update so concurrent
+// sales are not lost. Returns the updated product.
+async function replaceVariants(filter, variants, { reason, by }) {
+  const stored = variants.map(({ stockAvailability, ...variant }) => variant);
+
+  const before = await getDb().collection('products').findOneAndUpdate(
+    filter,
+    [
+      // A product that no longer has variants is left without stock
+      ...(stored.length > 0 ? [] : [{ $set: { stockAvailability: { $cond: [{ $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] }, 0, '$stockAvailability'] } } }]),
+      {
+        $set: {
+          variants: {
+            $map: {
+              input: { $literal: stored },
+              as: 'next',
+              in: {
+                $mergeObjects: ['$$next', {
+                  stockAvailability: {
+                    $let: {
+                      vars: { variant: { $arrayElemAt: [{ $filter: { input: { $ifNull: ['$variants', []] }, cond: { $eq: ['$$this._id', '$$next._id'] } } }, 0] } },
+                      in: variantStock('$$variant'),
+                    },
+                  },
+                }],
+              },
+            },
+          },
+        },
+      },
+      ...(stored.length > 0 ? [totalVariantStock] : []),
+    ],
+    { returnDocument: 'before' }
+  );
+
+  if (!before) return null;
+
+  const after = await getDb().collection('products').findOne({ _id: before._id });
+  const change = (Number(after.stockAvailability) || 0) - (Number(before.stockAvailability) || 0);
+
+  if (change !== 0) {
+    await recordMovement(after, { type: 'adjustment', quantity: change, reason, by });
+  }
+
+  return after;
+}
+
+function isLowStock(product) {
+  return typeof product.lowStockThreshold === 'number'
+    && (Number(product.stockAvailability) || 0) <= product.lowStockThreshold;
+}
+
+// Endpoint to record a restock, adjustment, sale or return for a product
+router.post('/vendor/products/:id/stock', authenticateToken, validate({ params: schemas.idParams, body: movementBody }), async (req, res) => {
+  const { variantId, type, quantity, reason } = req.body;
+
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const filter = { _id: new ObjectId(req.params.id), userId: user._id };
+    const current = await getDb().collection('products').findOne(filter, { projection: { variants: 1 } });
+
+    if (!current) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    if ((current.variants || []).length > 0 && !variantId) {
+      return sendValidationError(res, [{ field: 'body.variantId', message: 'variantId is required for products with variants' }]);
+    }
+
+    if (variantId && !findVariant(current, variantId)) {
+      return res.status(404).json({ message: 'Variant not found' });
+    }
+
+    const product = await moveStock(filter, { type, quantity, reason, variantId, by: { kind: 'vendor', userId: user._id } });
+
+    if (!product) {
+      return res.status(409).json({ message: 'Stock cannot go below zero' });
+    }
+
+    const variant = variantId ? findVariant(product, variantId) : null;
+
+    res.status(201).json({
+      message: 'Stock movement recorded successfully',
+      stockAvailability: product.stockAvailability,
+      ...(variant && { variantStockAvailability: variant.stockAvailability }),
+      lowStock: isLowStock(product),
+    });
+  } catch (error) {
+    console.error('Error recording stock movement:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to read the stock history of a product, newest first
+router.get('/vendor/products/:id/stock', authenticateToken, validate({ params: schemas.idParams, query: movementListQuery }), async (req, res) => {
+  const { variantId, type, from, to, page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const product = await getDb().collection('products').findOne(
+      { _id: new ObjectId(req.params.id), userId: user._id },
+      { projection: { productName: 1, sku: 1, stockAvailability: 1, lowStockThreshold: 1, 'variants._id': 1, 'variants.sku': 1, 'variants.options': 1, 'variants.stockAvailability': 1 } }
+    );
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const filter = { productId: product._id };
+    if (variantId) filter.variantId = new ObjectId(variantId);
+    if (type) filter.type = type;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    const [movements, total] = await Promise.all([
+      getDb().collection('stockMovements')
+        .find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      getDb().collection('stockMovements').countDocuments(filter),
+    ]);
+
+    res.status(200).json({ product, items: movements, page, limit, total });
+  } catch (error) {
+    console.error('Error retrieving stock movements:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to list a vendor's products at or below their low-stock threshold
+router.get('/vendor/inventory/alerts', authenticateToken, async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const stock = { $ifNull: [toDouble('$stockAvailability'), 0] };
+    const products = await getDb().collection('products').aggregate([
+      { $match: { userId: user._id, lowStockThreshold: { $type: 'number' } } },
+      { $match: { $expr: { $lte: [stock, '$lowStockThreshold'] } } },
+      { $project: { productName: 1, sku: 1, stockAvailability: stock, lowStockThreshold: 1 } },
+      { $sort: { stockAvailability: 1, _id: 1 } },
+    ]).toArray();
+
+    res.status(200).json(products.map((product) => ({ ...product, outOfStock: product.stockAvailability <= 0 })));
+  } catch (error) {
+    console.error('Error retrieving low-stock alerts:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = {
+  router,
+  ensureInventoryIndexes,
+  changeStock,
+  recordMovement,
+  moveStock,
+  setStock,
+  replaceVariants,
+};
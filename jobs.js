@@ -0,0 +1,29 @@
+// Background job runs in progress, so a shutdown can let them finish before
+// the database connection is closed
+const running = new Set();
+
+// Remember a job run until it settles. Returns the promise unchanged.
+function trackJob(promise) {
+  running.add(promise);
+  const forget = () => running.delete(promise);
+  promise.then(forget, forget);
+  return promise;
+}
+
+// Resolve once every job run in progress has settled, or after timeoutMs.
+// Resolves with the number of runs still going.
+async function waitForJobs(timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, timeoutMs);
+  });
+
+  await Promise.race([Promise.allSettled([...running]), timeout]);
+  clearTimeout(timer);
+  return running.size;
+}
+
+module.exports = {
+  trackJob,
+  waitForJobs,
+};
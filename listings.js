@@ -0,0 +1,223 @@
+const { ObjectId } = require('mongodb');
+const { Joi } = require('./validation');
+const { LISTING_STATUSES, statusFilter } = require('./publishing');
+
+// Sortable fields, selectable fields and price fields of each listing
+// collection. createdAt sorts by _id, whose timestamp is the creation time.
+// Selecting one of the priced fields adds the prices after promotions, which
+// also need the listing's vendor and category.
+const LISTING_CONFIG = {
+  products: {
+    sortFields: { price: 'price', name: 'productName', rating: 'rating.average', createdAt: '_id' },
+    fields: [
+      'sku',
+      'productName',
+      'productDescription',
+      'productCategory',
+      'productSubcategory',
+      'price',
+      'stockAvailability',
+      'lowStockThreshold',
+      'productPolicies',
+      'options',
+      'variants',
+      'images',
+      'videos',
+      'coverImage',
+      'rating',
+      'moderation',
+      'status',
+      'publishedAt',
+      'schedule',
+    ],
+    priceFields: ['price'],
+    pricedFields: ['price', 'variants'],
+    categoryField: 'productCategory',
+  },
+  services: {
+    sortFields: { price: 'lowestAmount', name: 'serviceName', rating: 'rating.average', createdAt: '_id' },
+    fields: [
+      'sku',
+      'serviceName',
+      'serviceCategory',
+      'location',
+      'address',
+      'geo',
+      'serviceRadiusKm',
+      'description_ser',
+      'lowestAmount',
+      'highestAmount',
+      'selectedServices',
+      'selectedEventTypes',
+      'images',
+      'videos',
+      'coverImage',
+      'rating',
+      'moderation',
+      'status',
+      'publishedAt',
+      'schedule',
+    ],
+    priceFields: ['lowestAmount', 'highestAmount'],
+    pricedFields: ['lowestAmount', 'highestAmount'],
+    categoryField: 'serviceCategory',
+  },
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+
+function listQuerySchema(collectionName) {
+  const { sortFields, fields } = LISTING_CONFIG[collectionName];
+  return Joi.object({
+    cursor: Joi.string().max(500),
+    limit: Joi.number().integer().min(1).max(100).default(DEFAULT_PAGE_SIZE),
+    sort: Joi.string().valid(...Object.keys(sortFields)).default('createdAt'),
+    order: Joi.string().valid('asc', 'desc'),
+    fields: Joi.array().items(Joi.string().valid(...fields)),
+    status: Joi.string().valid(...LISTING_STATUSES),
+  });
+}
+
+async function ensureListingIndexes(db) {
+  for (const [collectionName, { sortFields }] of Object.entries(LISTING_CONFIG)) {
+    // Listings without a SKU are left out of the uniqueness check
+    await db.collection(collectionName).createIndex(
+      { userId: 1, sku: 1 },
+      { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+    );
+
+    for (const field of new Set(Object.values(sortFields))) {
+      const key = field === '_id' ? { userId: 1, _id: 1 } : { userId: 1, [field]: 1, _id: 1 };
+      await db.collection(collectionName).createIndex(key);
+    }
+  }
+}
+
+// Store prices that older versions saved as strings as numbers. A string
+// price sorts apart from the numbers and never matches a price cursor, so
+// such listings would drop out of pages sorted by price. Strings that are
+// not numbers are left as they are. Resolves with the number of prices
+// converted.
+async function normalizeListingPrices(db) {
+  let converted = 0;
+
+  for (const [collectionName, { priceFields }] of Object.entries(LISTING_CONFIG)) {
+    for (const field of priceFields) {
+      const result = await db.collection(collectionName).updateMany(
+        { [field]: { $type: 'string' } },
+        [{ $set: { [field]: { $convert: { input: `$${field}`, to: 'double', onError: `$${field}` } } } }]
+      );
+      // Strings kept as they are do not count as modified
+      converted += result.modifiedCount;
+    }
+  }
+
+  return converted;
+}
+
+// Read a possibly dotted field such as rating.average
+function fieldValue(item, field) {
+  const value = field.split('.').reduce((current, key) => (current == null ? undefined : current[key]), item);
+  return value === undefined ? null : value;
+}
+
+// Cursors are opaque to clients: base64url JSON of the last item's sort value and ID
+function encodeCursor(sort, order, item, field) {
+  const payload = { s: sort, o: order, id: String(item._id) };
+  if (field !== '_id') payload.v = fieldValue(item, field);
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (payload.s !== sort || payload.o !== order || !ObjectId.isValid(payload.id)) return null;
+    return { value: payload.v, id: new ObjectId(payload.id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Filter for the items after the cursor position, in the requested order.
+// Missing values sort before everything else in ascending order and after
+// everything else in descending order.
+function afterCursor(field, direction, { value, id }) {
+  const op = direction === 1 ? '$gt' : '$lt';
+  if (field === '_id') return { _id: { [op]: id } };
+
+  const sameValue = { [field]: value, _id: { [op]: id } };
+
+  if (value === null) {
+    return direction === 1 ? { $or: [{ [field]: { $ne: null } }, sameValue] } : sameValue;
+  }
+
+  const after = [{ [field]: { [op]: value } }, sameValue];
+  if (direction === -1) after.push({ [field]: null });
+  return { $or: after };
+}
+
+// Read one page of a vendor's listings. Returns null when the cursor is not
+// valid for the requested sort. withPrices adds the prices after promotions
+// to the page's listings; with fields selected, only when a priced field is.
+async function listVendorListings(db, collectionName, userId, query, { withPrices } = {}) {
+  const { sortFields, pricedFields, categoryField } = LISTING_CONFIG[collectionName];
+  const { cursor, limit, sort, fields, status } = query;
+  const order = query.order || (sort === 'createdAt' ? 'desc' : 'asc');
+  const field = sortFields[sort];
+  const direction = order === 'asc' ? 1 : -1;
+
+  const baseFilter = { userId, ...(status && statusFilter(status)) };
+  let filter = baseFilter;
+
+  if (cursor) {
+    const position = decodeCursor(cursor, sort, order);
+    if (!position) return null;
+    filter = { $and: [baseFilter, afterCursor(field, direction, position)] };
+  }
+
+  // The sort field is read for the cursor even when it was not asked for,
+  // and so are the fields prices are worked out from
+  const [sortRoot] = field.split('.');
+  const sortFieldSelected = !fields || fields.includes(sortRoot);
+  const priced = Boolean(withPrices) && (!fields || fields.some((name) => pricedFields.includes(name)));
+  const extraFields = fields ? [
+    ...(sortFieldSelected ? [] : [field]),
+    ...(priced ? ['userId', categoryField, ...pricedFields].filter((name) => !fields.includes(name)) : []),
+  ] : [];
+  const projection = fields && fields.length > 0
+    ? Object.fromEntries([...fields, ...extraFields].map((name) => [name, 1]))
+    : undefined;
+
+  const collection = db.collection(collectionName);
+  const [items, total] = await Promise.all([
+    collection
+      .find(filter, { projection })
+      .sort(field === '_id' ? { _id: direction } : { [field]: direction, _id: direction })
+      .limit(limit + 1)
+      .toArray(),
+    collection.countDocuments(baseFilter),
+  ]);
+
+  const hasMore = items.length > limit;
+  let page = hasMore ? items.slice(0, limit) : items;
+  const nextCursor = hasMore ? encodeCursor(sort, order, page[page.length - 1], field) : null;
+
+  if (priced) {
+    page = await withPrices(page);
+  }
+
+  if (projection) {
+    const unselected = [...new Set(extraFields.map((name) => name.split('.')[0]))].filter((name) => name !== '_id');
+    page.forEach((item) => unselected.forEach((name) => delete item[name]));
+  }
+
+  return { items: page, total, limit, nextCursor };
+}
+
+module.exports = {
+  LISTING_CONFIG,
+  listQuerySchema,
+  ensureListingIndexes,
+  normalizeListingPrices,
+  listVendorListings,
+};
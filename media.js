@@ -0,0 +1,553 @@
+const express = require('express');
+const multer = require('multer');
+const { ObjectId, GridFSBucket } = require('mongodb');
+const { getDb } = require('./db');
+const { trackJob } = require('./jobs');
+const { authenticateToken, findVerifiedUser } = require('./auth');
+const { Joi, schemas, validate, sendValidationError } = require('./validation');
+const { recordVersion } = require('./versions');
+const { pruneVariantImages } = require('./variants');
+
+const router = express.Router();
+
+// Initialize multer for file uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }, // Limit file size to 20MB
+});
+
+// Collections and fields that reference files in the uploads bucket.
+// The orphan sweep keeps every file listed in one of these fields.
+const MEDIA_REFERENCES = [
+  { collection: 'products', fields: ['images', 'videos'] },
+  { collection: 'services', fields: ['images', 'videos'] },
+  { collection: 'reviews', fields: ['photos'] },
+  { collection: 'users', fields: ['logo'] },
+  { collection: 'listingTrash', fields: ['listing.images', 'listing.videos'] },
+  // Quote attachments uploaded before they got a bucket of their own
+  { collection: 'quoteMessages', fields: ['attachments.fileId'] },
+];
+
+// Files younger than this are never swept, so in-flight uploads are safe
+const SWEEP_GRACE_PERIOD_MS = 60 * 60 * 1000;
+
+const fileParams = Joi.object({ id: schemas.objectId.required(), fileId: schemas.objectId.required() });
+const mediaOrderBody = Joi.object({
+  images: Joi.array().items(schemas.objectId),
+  videos: Joi.array().items(schemas.objectId),
+}).or('images', 'videos');
+const coverBody = Joi.object({ fileId: schemas.objectId.required() });
+
+let bucket;
+let attachmentBucket;
+
+// Listing media, review photos and logos, which anyone may read by file ID
+function getBucket() {
+  if (!bucket) {
+    bucket = new GridFSBucket(getDb(), { bucketName: 'uploads' });
+  }
+  return bucket;
+}
+
+// Use another bucket for uploads, e.g. one on a test database
+function setBucket(gridFSBucket) {
+  bucket = gridFSBucket;
+}
+
+// Private files such as quote attachments, only served to those allowed to
+// see them. They are never served by the public /image and /video routes.
+function getAttachmentBucket() {
+  if (!attachmentBucket) {
+    attachmentBucket = new GridFSBucket(getDb(), { bucketName: 'attachments' });
+  }
+  return attachmentBucket;
+}
+
+function setAttachmentBucket(gridFSBucket) {
+  attachmentBucket = gridFSBucket;
+}
+
+// GridFS files never change once written, so they can be cached for a long time
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// If-Range lets a client resume only while the file is unchanged
+function rangeStillValid(req, etag, lastModified) {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) return true;
+  if (ifRange.includes('"')) return ifRange === etag;
+  return new Date(ifRange).getTime() >= new Date(lastModified).getTime();
+}
+
+// Stream a GridFS file with its stored content type and length, honouring
+// Range and conditional request headers.
+async function sendGridFSFile(bucket, req, res, { fileId, notFoundMessage, fallbackContentType, cacheControl = CACHE_CONTROL }) {
+  if (!ObjectId.isValid(fileId)) {
+    return res.status(404).json({ message: notFoundMessage });
+  }
+
+  const _id = new ObjectId(fileId);
+  const file = await bucket.find({ _id }).limit(1).next();
+
+  if (!file) {
+    return res.status(404).json({ message: notFoundMessage });
+  }
+
+  const etag = `"${file._id}-${file.length}"`;
+  const lastModified = file.uploadDate.toUTCString();
+
+  res.set({
+    'Content-Type': file.contentType || (file.metadata && file.metadata.contentType) || fallbackContentType,
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': cacheControl,
+    ETag: etag,
+    'Last-Modified': lastModified,
+  });
+
+  // req.fresh compares If-None-Match / If-Modified-Since against the headers set above
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  let start = 0;
+  let end = file.length - 1;
+
+  const ranges = req.headers.range && rangeStillValid(req, etag, lastModified)
+    ? req.range(file.length, { combine: true })
+    : undefined;
+
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${file.length}`);
+    return res.status(416).end();
+  }
+
+  if (Array.isArray(ranges) && ranges.type === 'bytes') {
+    // Only a single range is served; multipart/byteranges is not supported
+    start = ranges[0].start;
+    end = ranges[0].end;
+    res.status(206);
+    res.set('Content-Range', `bytes ${start}-${end}/${file.length}`);
+  } else {
+    res.status(200);
+  }
+
+  res.set('Content-Length', String(file.length === 0 ? 0 : end - start + 1));
+
+  if (req.method === 'HEAD' || file.length === 0) {
+    return res.end();
+  }
+
+  // GridFS treats end as exclusive, HTTP ranges are inclusive
+  const downloadStream = bucket.openDownloadStream(_id, { start, end: end + 1 });
+
+  downloadStream.on('error', (err) => {
+    console.error(`Error streaming file ${fileId}:`, err);
+    if (!res.headersSent) {
+      res.status(404).json({ message: notFoundMessage });
+    } else {
+      res.destroy(err);
+    }
+  });
+
+  // Stop reading from GridFS if the client goes away mid-stream
+  res.on('close', () => downloadStream.destroy());
+
+  downloadStream.pipe(res);
+}
+
+// Write one file to GridFS and resolve with its ID once the write is confirmed
+function uploadFile(gridFSBucket, file, metadata) {
+  return new Promise((resolve, reject) => {
+    const uploadStream = gridFSBucket.openUploadStream(file.originalname, {
+      contentType: file.mimetype,
+      metadata,
+    });
+
+    uploadStream.once('finish', () => resolve(uploadStream.id));
+    uploadStream.once('error', reject);
+    uploadStream.end(file.buffer);
+  });
+}
+
+// Delete files from GridFS, ignoring files that are already gone
+async function deleteFiles(gridFSBucket, fileIds) {
+  for (const fileId of fileIds) {
+    try {
+      await gridFSBucket.delete(new ObjectId(fileId));
+    } catch (error) {
+      if (!/File not found/i.test(error.message)) throw error;
+    }
+  }
+}
+
+// Validation errors for uploaded files that are neither images nor videos
+function unsupportedFileErrors(files) {
+  return (files || [])
+    .map((file, index) => ({ file, index }))
+    .filter(({ file }) => !file.mimetype.startsWith('image/') && !file.mimetype.startsWith('video/'))
+    .map(({ file, index }) => ({ field: `files.${index}`, message: `${file.originalname} is not an image or a video` }));
+}
+
+// Upload multer files and split their IDs into images and videos. Files of
+// other types are skipped, so routes reject them with unsupportedFileErrors
+// first. If any upload fails, the ones already written are removed again.
+async function uploadFiles(gridFSBucket, files, userId) {
+  const images = [];
+  const videos = [];
+
+  try {
+    for (const file of files || []) {
+      const isImage = file.mimetype.startsWith('image/');
+      const isVideo = file.mimetype.startsWith('video/');
+      if (!isImage && !isVideo) continue;
+
+      const fileId = await uploadFile(gridFSBucket, file, { userId });
+      (isImage ? images : videos).push(fileId);
+    }
+  } catch (error) {
+    await deleteFiles(gridFSBucket, [...images, ...videos]);
+    throw error;
+  }
+
+  return { images, videos };
+}
+
+function idsEqual(a, b) {
+  return String(a) === String(b);
+}
+
+// File IDs that are in previous but not in next
+function removedFileIds(previous, next) {
+  return (previous || []).filter((fileId) => !(next || []).some((id) => idsEqual(id, fileId)));
+}
+
+// Convert file IDs from a request body into ObjectIds, or null if any is invalid
+function toObjectIds(values) {
+  if (!Array.isArray(values) || values.some((value) => !ObjectId.isValid(value))) return null;
+  return values.map((value) => new ObjectId(value));
+}
+
+// Keep only file IDs that exist in the bucket and belong to the vendor
+async function filterOwnedFiles(gridFSBucket, fileIds, userId) {
+  if (fileIds.length === 0) return [];
+  const files = await gridFSBucket.find({ _id: { $in: fileIds }, 'metadata.userId': userId }).project({ _id: 1 }).toArray();
+  return fileIds.filter((fileId) => files.some((file) => idsEqual(file._id, fileId)));
+}
+
+// Parse the images/videos arrays of an update body. Returns the arrays that
+// were provided, or null when one references a file the vendor does not own.
+async function parseMediaUpdate(gridFSBucket, body, userId) {
+  const media = {};
+
+  for (const field of ['images', 'videos']) {
+    if (body[field] === undefined) continue;
+
+    const fileIds = toObjectIds(body[field]);
+    if (!fileIds) return null;
+
+    const owned = await filterOwnedFiles(gridFSBucket, fileIds, userId);
+    if (owned.length !== fileIds.length) return null;
+
+    media[field] = fileIds;
+  }
+
+  return media;
+}
+
+// Delete the files a listing update dropped from its images/videos arrays
+function deleteReplacedFiles(gridFSBucket, listing, media) {
+  const removed = [
+    ...(media.images ? removedFileIds(listing.images, media.images) : []),
+    ...(media.videos ? removedFileIds(listing.videos, media.videos) : []),
+  ];
+  return deleteFiles(gridFSBucket, removed);
+}
+
+// A filter matching the listing only while the media fields are as read, so
+// an update computed from them cannot undo a concurrent media change
+function unchangedMediaFilter(listing, fields = ['images', 'videos']) {
+  const filter = { _id: listing._id };
+  for (const field of fields) {
+    filter[field] = listing[field] === undefined ? { $exists: false } : listing[field];
+  }
+  return filter;
+}
+
+// Pick a cover image that still exists after the images array changed
+function resolveCoverImage(coverImage, images) {
+  if (coverImage && images.some((id) => idsEqual(id, coverImage))) return coverImage;
+  return images.length > 0 ? images[0] : null;
+}
+
+// Delete GridFS files that are no longer referenced by any listing
+async function sweepOrphanedMedia({ gracePeriodMs = SWEEP_GRACE_PERIOD_MS } = {}) {
+  const gridFSBucket = getBucket();
+  const cutoff = new Date(Date.now() - gracePeriodMs);
+  const cursor = gridFSBucket.find({ uploadDate: { $lt: cutoff } }).project({ _id: 1 });
+
+  let deleted = 0;
+  let batch = [];
+
+  const flush = async () => {
+    const referenced = new Set();
+
+    for (const { collection, fields } of MEDIA_REFERENCES) {
+      for (const field of fields) {
+        const ids = await getDb().collection(collection).distinct(field, { [field]: { $in: batch } });
+        ids.forEach((id) => referenced.add(String(id)));
+      }
+    }
+
+    const orphaned = batch.filter((id) => !referenced.has(String(id)));
+    await deleteFiles(gridFSBucket, orphaned);
+    deleted += orphaned.length;
+    batch = [];
+  };
+
+  for await (const file of cursor) {
+    batch.push(file._id);
+    if (batch.length >= 500) await flush();
+  }
+  if (batch.length > 0) await flush();
+
+  return deleted;
+}
+
+// Run the orphan sweep periodically in the background
+function startMediaSweep(intervalMs) {
+  const timer = setInterval(() => {
+    trackJob(sweepOrphanedMedia())
+      .then((deleted) => {
+        if (deleted > 0) console.log(`Media sweep deleted ${deleted} orphaned files`);
+      })
+      .catch((error) => console.error('Error sweeping orphaned media:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+// Register the media routes for one listing type (products or services)
+function registerListingMediaRoutes(basePath, collectionName, label) {
+  // Find the verified vendor and one of their listings, or send the error response
+  async function loadListing(req, res) {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      res.status(400).json({ message: 'User not registered or not verified' });
+      return {};
+    }
+
+    const listing = ObjectId.isValid(req.params.id)
+      ? await getDb().collection(collectionName).findOne({ _id: new ObjectId(req.params.id), userId: user._id })
+      : null;
+
+    if (!listing) {
+      res.status(404).json({ message: `${label} not found or not authorized to edit` });
+      return {};
+    }
+
+    return { user, listing };
+  }
+
+  // Endpoint to add images and videos to a listing
+  router.post(`${basePath}/:id/media`, authenticateToken, validate({ params: schemas.idParams }), upload.array('files'), async (req, res) => {
+    try {
+      const { user, listing } = await loadListing(req, res);
+      if (!listing) return;
+
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ message: 'No files uploaded' });
+      }
+
+      const fileErrors = unsupportedFileErrors(req.files);
+      if (fileErrors.length > 0) {
+        return sendValidationError(res, fileErrors);
+      }
+
+      const gridFSBucket = getBucket();
+      const { images, videos } = await uploadFiles(gridFSBucket, req.files, user._id);
+
+      const updated = await getDb().collection(collectionName).findOneAndUpdate(
+        { _id: listing._id },
+        [
+          {
+            $set: {
+              images: { $concatArrays: [{ $ifNull: ['$images', []] }, images] },
+              videos: { $concatArrays: [{ $ifNull: ['$videos', []] }, videos] },
+            },
+          },
+          {
+            $set: {
+              coverImage: { $ifNull: ['$coverImage', { $arrayElemAt: ['$images', 0] }] },
+            },
+          },
+        ],
+        { returnDocument: 'after' }
+      );
+
+      if (!updated) {
+        await deleteFiles(gridFSBucket, [...images, ...videos]);
+        return res.status(404).json({ message: `${label} not found or not authorized to edit` });
+      }
+
+      await recordVersion(collectionName, listing, updated, { action: 'update', by: { kind: 'vendor', userId: user._id } });
+
+      res.status(201).json({
+        message: 'Media added successfully',
+        images: updated.images,
+        videos: updated.videos,
+        coverImage: updated.coverImage,
+      });
+    } catch (error) {
+      console.error(`Error adding ${label.toLowerCase()} media:`, error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Endpoint to remove a file from a listing and delete it from GridFS
+  router.delete(`${basePath}/:id/media/:fileId`, authenticateToken, validate({ params: fileParams }), async (req, res) => {
+    try {
+      const { user, listing } = await loadListing(req, res);
+      if (!listing) return;
+
+      const { fileId } = req.params;
+      const images = listing.images || [];
+      const videos = listing.videos || [];
+
+      if (![...images, ...videos].some((id) => idsEqual(id, fileId))) {
+        return res.status(404).json({ message: 'File not found on this listing' });
+      }
+
+      const remainingImages = images.filter((id) => !idsEqual(id, fileId));
+      const remainingVideos = videos.filter((id) => !idsEqual(id, fileId));
+
+      const update = {
+        images: remainingImages,
+        videos: remainingVideos,
+        coverImage: resolveCoverImage(listing.coverImage, remainingImages),
+      };
+
+      // Product variants showing the image lose it too
+      const hasVariants = (listing.variants || []).length > 0;
+
+      const result = await getDb().collection(collectionName).updateOne(
+        unchangedMediaFilter(listing),
+        { $set: update, ...(hasVariants && { $pull: { 'variants.$[].images': new ObjectId(fileId) } }) }
+      );
+
+      if (result.matchedCount === 0) {
+        return res.status(409).json({ message: 'Listing media changed meanwhile, please retry' });
+      }
+
+      await recordVersion(collectionName, listing, {
+        ...listing,
+        ...update,
+        ...(hasVariants && { variants: pruneVariantImages(listing.variants, remainingImages) }),
+      }, { action: 'update', by: { kind: 'vendor', userId: user._id } });
+
+      await deleteFiles(getBucket(), [fileId]);
+
+      res.status(200).json({ message: 'Media deleted successfully' });
+    } catch (error) {
+      console.error(`Error deleting ${label.toLowerCase()} media:`, error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Endpoint to reorder the images and videos of a listing
+  router.put(`${basePath}/:id/media/order`, authenticateToken, validate({ params: schemas.idParams, body: mediaOrderBody }), async (req, res) => {
+    try {
+      const { user, listing } = await loadListing(req, res);
+      if (!listing) return;
+
+      const update = {};
+
+      for (const field of ['images', 'videos']) {
+        if (req.body[field] === undefined) continue;
+
+        const ordered = toObjectIds(req.body[field]);
+        const current = listing[field] || [];
+        const samePermutation = ordered
+          && ordered.length === current.length
+          && removedFileIds(current, ordered).length === 0;
+
+        if (!samePermutation) {
+          return res.status(400).json({ message: `${field} must list exactly the listing's current ${field}` });
+        }
+
+        update[field] = ordered;
+      }
+
+      const result = await getDb().collection(collectionName).updateOne(unchangedMediaFilter(listing, Object.keys(update)), { $set: update });
+
+      if (result.matchedCount === 0) {
+        return res.status(409).json({ message: 'Listing media changed meanwhile, please retry' });
+      }
+
+      await recordVersion(collectionName, listing, { ...listing, ...update }, { action: 'update', by: { kind: 'vendor', userId: user._id } });
+
+      res.status(200).json({ message: 'Media reordered successfully' });
+    } catch (error) {
+      console.error(`Error reordering ${label.toLowerCase()} media:`, error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Endpoint to choose which image is the listing's cover
+  router.put(`${basePath}/:id/media/cover`, authenticateToken, validate({ params: schemas.idParams, body: coverBody }), async (req, res) => {
+    const { fileId } = req.body;
+
+    try {
+      const { user, listing } = await loadListing(req, res);
+      if (!listing) return;
+
+      const coverImage = (listing.images || []).find((id) => idsEqual(id, fileId));
+
+      if (!coverImage) {
+        return res.status(400).json({ message: 'Cover must be one of the listing images' });
+      }
+
+      // The cover is only set while it is still one of the listing's images
+      const result = await getDb().collection(collectionName).updateOne(
+        { _id: listing._id, images: coverImage },
+        { $set: { coverImage } }
+      );
+
+      if (result.matchedCount === 0) {
+        return res.status(409).json({ message: 'Listing media changed meanwhile, please retry' });
+      }
+
+      await recordVersion(collectionName, listing, { ...listing, coverImage }, { action: 'update', by: { kind: 'vendor', userId: user._id } });
+
+      res.status(200).json({ message: 'Cover image updated successfully' });
+    } catch (error) {
+      console.error(`Error updating ${label.toLowerCase()} cover image:`, error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+}
+
+registerListingMediaRoutes('/vendor/products', 'products', 'Product');
+registerListingMediaRoutes('/vendor/services', 'services', 'Service');
+
+module.exports = {
+  router,
+  upload,
+  getBucket,
+  getAttachmentBucket,
+  setAttachmentBucket,
+  setBucket,
+  sendGridFSFile,
+  uploadFile,
+  uploadFiles,
+  unsupportedFileErrors,
+  deleteFiles,
+  removedFileIds,
+  toObjectIds,
+  filterOwnedFiles,
+  parseMediaUpdate,
+  deleteReplacedFiles,
+  resolveCoverImage,
+  sweepOrphanedMedia,
+  startMediaSweep,
+  MEDIA_REFERENCES,
+};
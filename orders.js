@@ -0,0 +1,620 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { authenticateToken, authenticateCustomerIfPresent, findVerifiedUser } = require('./auth');
+const { publicVendorFilter, visibleListingFilter } = require('./catalog');
+const { changeStock, moveStock, recordMovement } = require('./inventory');
+const { findVariant } = require('./variants');
+const promotions = require('./promotions');
+const { Joi, schemas, validate } = require('./validation');
+
+const router = express.Router();
+
+// Allowed moves between order states
+const ORDER_TRANSITIONS = {
+  placed: ['confirmed', 'cancelled'],
+  confirmed: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: [],
+};
+
+const orderStatus = Joi.string().valid(...Object.keys(ORDER_TRANSITIONS));
+
+const orderItem = Joi.object({
+  productId: schemas.objectId.required(),
+  // Required for products that come in variants
+  variantId: schemas.objectId,
+  quantity: Joi.number().integer().min(1).required(),
+});
+const couponCode = Joi.string().trim().max(32);
+
+const orderBody = Joi.object({
+  items: Joi.array().items(orderItem).min(1).max(100).required(),
+  couponCode,
+  name: Joi.string().trim().max(200).required(),
+  phoneNumber: schemas.phoneNumber.required(),
+  email: Joi.string().trim().email(),
+  shippingAddress: Joi.alternatives(Joi.string().trim().max(1000), Joi.object()).required(),
+});
+
+// A cart to check a coupon code against may also hold services, which are
+// priced from their lowestAmount
+const couponCheckBody = Joi.object({
+  couponCode: couponCode.required(),
+  items: Joi.array().items(orderItem.keys({
+    productId: schemas.objectId,
+    serviceId: schemas.objectId,
+  }).xor('productId', 'serviceId').oxor('serviceId', 'variantId')).min(1).max(100).required(),
+});
+
+const customerLookup = Joi.object({ phoneNumber: schemas.phoneNumber.required() });
+const orderListQuery = Joi.object({ status: orderStatus });
+const orderStatusBody = Joi.object({
+  status: orderStatus.required(),
+  trackingNumber: Joi.string().trim().max(100),
+});
+
+async function ensureOrderIndexes(db) {
+  await db.collection('orders').createIndex({ vendorId: 1, status: 1, createdAt: -1 });
+  await db.collection('orders').createIndex({ 'customer.phoneNumber': 1 });
+}
+
+// An order that cannot be placed as asked, answered with a 409
+class OrderConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OrderConflictError';
+  }
+}
+
+// Put back stock reserved for an order that was never placed. No ledger entry
+// is written because the sale was never recorded.
+async function releaseItems(items) {
+  for (const item of items) {
+    await changeStock({ _id: item.productId }, item.quantity, item.variantId);
+  }
+}
+
+// Give back the stock, promotion uses and customer coupon use held for an
+// order that failed, after removing any of its vendor orders that a failed
+// insert left behind. Each step is attempted even if an earlier one fails;
+// what could not be given back is logged.
+async function releaseHeld({ orderIds, items, promotionIds, redemption }) {
+  try {
+    if (orderIds.length > 0) await getDb().collection('orders').deleteMany({ _id: { $in: orderIds } });
+  } catch (error) {
+    console.error('Error removing orders of a failed order:', error);
+  }
+  try {
+    await releaseItems(items);
+  } catch (error) {
+    console.error('Error releasing stock of a failed order:', error);
+  }
+  try {
+    await promotions.releasePromotionUses(promotionIds);
+  } catch (error) {
+    console.error('Error releasing promotion uses of a failed order:', error);
+  }
+  try {
+    if (redemption) await promotions.releaseCustomerUse(redemption.promotionId, redemption.customerId);
+  } catch (error) {
+    console.error('Error releasing the coupon use of a failed order:', error);
+  }
+}
+
+// Put back the stock of a cancelled order as returns in the ledger
+async function returnItems(order) {
+  for (const item of order.items) {
+    await moveStock({ _id: item.productId }, {
+      type: 'return',
+      quantity: item.quantity,
+      reason: 'Order cancelled',
+      by: { kind: order.cancelledBy || 'system' },
+      orderId: order._id,
+      variantId: item.variantId,
+    });
+  }
+}
+
+// Merge duplicate lines for the same product and variant, or service
+function mergeItems(items) {
+  const merged = new Map();
+
+  for (const item of items) {
+    const key = item.serviceId ? `service:${item.serviceId}` : `${item.productId}:${item.variantId || ''}`;
+    let line = merged.get(key);
+    if (!line && item.serviceId) {
+      line = { serviceId: new ObjectId(item.serviceId), quantity: 0 };
+    } else if (!line) {
+      line = {
+        productId: new ObjectId(item.productId),
+        variantId: item.variantId ? new ObjectId(item.variantId) : null,
+        quantity: 0,
+      };
+    }
+    line.quantity += item.quantity;
+    merged.set(key, line);
+  }
+
+  return [...merged.values()];
+}
+
+// Visible listings of verified vendors, by ID
+async function findOrderableListings(collectionName, ids) {
+  if (ids.length === 0) return new Map();
+
+  const listings = await getDb().collection(collectionName)
+    .find({ _id: { $in: ids }, ...visibleListingFilter })
+    .toArray();
+
+  const vendorIds = [...new Set(listings.map((listing) => String(listing.userId)))];
+  const vendors = await getDb().collection('users')
+    .find({ _id: { $in: vendorIds.map((id) => new ObjectId(id)) }, ...publicVendorFilter })
+    .project({ _id: 1 })
+    .toArray();
+  const verifiedVendors = new Set(vendors.map((vendor) => String(vendor._id)));
+
+  return new Map(listings
+    .filter((listing) => verifiedVendors.has(String(listing.userId)))
+    .map((listing) => [String(listing._id), listing]));
+}
+
+// Work out the unit price of each requested item after automatic
+// promotions. Returns { lines } with one line per item, each with the
+// collectionName and listing it is for, or { status, message } when an item
+// cannot be sold.
+async function priceItems(requested) {
+  const [productsById, servicesById] = await Promise.all([
+    findOrderableListings('products', requested.filter((item) => item.productId).map((item) => item.productId)),
+    findOrderableListings('services', requested.filter((item) => item.serviceId).map((item) => item.serviceId)),
+  ]);
+  const vendorIds = [...productsById.values(), ...servicesById.values()].map((listing) => listing.userId);
+  const automatic = await promotions.loadAutomaticPromotions(vendorIds);
+
+  const lines = [];
+  for (const item of requested) {
+    if (item.serviceId) {
+      const service = servicesById.get(String(item.serviceId));
+
+      if (!service) {
+        return { status: 404, message: `Service ${item.serviceId} not found` };
+      }
+
+      const originalPrice = Number(service.lowestAmount);
+
+      if (!Number.isFinite(originalPrice)) {
+        return { status: 400, message: `Service ${item.serviceId} has no price` };
+      }
+
+      const { price, promotion } = promotions.bestPrice(originalPrice, promotions.promotionsFor(automatic, 'services', service));
+      lines.push({ collectionName: 'services', listing: service, price, originalPrice, promotion, quantity: item.quantity });
+      continue;
+    }
+
+    const product = productsById.get(String(item.productId));
+
+    if (!product) {
+      return { status: 404, message: `Product ${item.productId} not found` };
+    }
+
+    // Products with variants are ordered by variant, at the variant's price
+    const hasVariants = (product.variants || []).length > 0;
+    const variant = item.variantId ? findVariant(product, item.variantId) : null;
+
+    if (hasVariants && !item.variantId) {
+      return { status: 400, message: `Choose a variant of product ${item.productId}` };
+    }
+    if (item.variantId && !variant) {
+      return { status: 404, message: `Variant ${item.variantId} of product ${item.productId} not found` };
+    }
+
+    const originalPrice = Number(variant && variant.price !== null && variant.price !== undefined ? variant.price : product.price);
+
+    if (!Number.isFinite(originalPrice)) {
+      return { status: 400, message: `Product ${item.productId} is not available for sale` };
+    }
+
+    const { price, promotion } = promotions.bestPrice(originalPrice, promotions.promotionsFor(automatic, 'products', product));
+    lines.push({ collectionName: 'products', listing: product, variant, price, originalPrice, promotion, quantity: item.quantity });
+  }
+
+  return { lines };
+}
+
+// The logged-in customer placing an order, if any
+function orderingCustomerId(req) {
+  return req.user ? req.user.userId : null;
+}
+
+// Check a coupon code for a customer against priced lines. Returns the
+// coupon and what it takes off, or { status, message } when it cannot be used.
+async function checkCoupon(code, lines, customerId) {
+  const coupon = await promotions.findCoupon(code);
+  const problem = promotions.couponProblem(coupon) || await promotions.customerCouponProblem(coupon, customerId);
+
+  if (problem) {
+    return { status: 400, message: problem };
+  }
+
+  const { eligible, subtotal, discount } = promotions.couponDiscount(coupon, lines);
+
+  if (eligible.length === 0) {
+    return { status: 400, message: 'Coupon code does not apply to any of these items' };
+  }
+
+  return { coupon, eligible, subtotal, discount };
+}
+
+// Automatic promotions that priced any of the order lines
+function automaticPromotionIds(items) {
+  const ids = new Map();
+  for (const item of items) {
+    if (item.promotionId) ids.set(String(item.promotionId), item.promotionId);
+  }
+  return [...ids.values()];
+}
+
+// Promotions whose use an order counted
+function orderPromotionIds(order) {
+  const ids = automaticPromotionIds(order.items);
+  if (order.coupon) ids.push(order.coupon.promotionId);
+  return ids;
+}
+
+// Endpoint for a customer to place an order for one or more products.
+// Items from different vendors are split into one order per vendor. Lines
+// are charged after automatic promotions and a coupon code comes off the
+// order of the vendor it belongs to. Customers may order as guests, but
+// coupons limited per customer need a customer login.
+router.post('/orders', authenticateCustomerIfPresent, validate({ body: orderBody }), async (req, res) => {
+  const { items, couponCode: code, name, phoneNumber, email, shippingAddress } = req.body;
+  const customerId = orderingCustomerId(req);
+
+  const requested = mergeItems(items);
+
+  // What the order holds so far. Everything is given back if placing the
+  // order fails before it is stored.
+  const held = { orderIds: [], items: [], promotionIds: [], redemption: null };
+  let result;
+
+  try {
+    const priced = await priceItems(requested);
+
+    if (!priced.lines) {
+      return res.status(priced.status).json({ message: priced.message });
+    }
+
+    let applied = null;
+    if (code) {
+      applied = await checkCoupon(code, priced.lines, customerId);
+
+      if (!applied.coupon) {
+        return res.status(applied.status).json({ message: applied.message });
+      }
+    }
+
+    const lines = priced.lines.map(({ listing: product, variant, price, originalPrice, promotion, quantity }) => ({
+      productId: product._id,
+      vendorId: product.userId,
+      productName: product.productName,
+      ...(variant && { variantId: variant._id, variantSku: variant.sku, options: variant.options }),
+      price,
+      ...(promotion && { originalPrice, promotionId: promotion._id }),
+      quantity,
+    }));
+
+    // One use of each promotion is counted before stock is taken, so two
+    // orders cannot both take a promotion's last use. An automatic promotion
+    // that ran out since the prices were worked out turns the order away
+    // rather than charging more than the customer was shown.
+    for (const promotionId of automaticPromotionIds(lines)) {
+      if (!await promotions.reservePromotionUse(promotionId)) {
+        throw new OrderConflictError('A promotion on these items has ended, review the new prices');
+      }
+      held.promotionIds.push(promotionId);
+    }
+
+    if (applied) {
+      if (!await promotions.reservePromotionUse(applied.coupon._id)) {
+        throw new OrderConflictError('Coupon code has reached its usage limit');
+      }
+      held.promotionIds.push(applied.coupon._id);
+
+      if (applied.coupon.perCustomerLimit) {
+        if (!await promotions.reserveCustomerUse(applied.coupon, customerId)) {
+          throw new OrderConflictError('You have already used this coupon code');
+        }
+        held.redemption = { promotionId: applied.coupon._id, customerId };
+      }
+    }
+
+    // Reserve stock line by line
+    for (const line of lines) {
+      const product = await changeStock({ _id: line.productId }, -line.quantity, line.variantId);
+      if (!product) {
+        throw new OrderConflictError(`Insufficient stock for ${line.productName || line.productId}`);
+      }
+      held.items.push({ ...line, product });
+    }
+
+    const now = new Date();
+    const ordersByVendor = new Map();
+    for (const { vendorId, ...line } of lines) {
+      const key = String(vendorId);
+      if (!ordersByVendor.has(key)) {
+        ordersByVendor.set(key, {
+          _id: new ObjectId(),
+          vendorId,
+          items: [],
+          subtotal: 0,
+          discount: 0,
+          total: 0,
+          customer: { ...(customerId && { customerId }), name, phoneNumber, email },
+          shippingAddress,
+          status: 'placed',
+          statusHistory: [{ status: 'placed', at: now }],
+          createdAt: now,
+          updatedAt: now,
+        });
+      }
+      const order = ordersByVendor.get(key);
+      order.items.push(line);
+      order.subtotal = promotions.roundAmount(order.subtotal + line.price * line.quantity);
+      order.total = order.subtotal;
+    }
+
+    // The coupon comes off the order of its vendor
+    if (applied) {
+      const order = ordersByVendor.get(String(applied.coupon.vendorId));
+      order.coupon = {
+        promotionId: applied.coupon._id,
+        code: applied.coupon.code,
+        discount: applied.discount,
+        ...(held.redemption && { redeemedBy: customerId }),
+      };
+      order.discount = applied.discount;
+      order.total = promotions.roundAmount(order.subtotal - applied.discount);
+    }
+
+    const vendorOrders = [...ordersByVendor.values()];
+    held.orderIds = vendorOrders.map((order) => order._id);
+    result = await getDb().collection('orders').insertMany(vendorOrders);
+
+    // Record each line as a sale against the order it ended up in
+    const orderIdsByVendor = new Map(vendorOrders.map((order, index) => [String(order.vendorId), result.insertedIds[index]]));
+    for (const line of held.items) {
+      await recordMovement(line.product, {
+        type: 'sale',
+        quantity: -line.quantity,
+        by: { kind: 'customer', phoneNumber },
+        orderId: orderIdsByVendor.get(String(line.vendorId)),
+        variantId: line.variantId,
+      });
+    }
+
+    res.status(201).json({ message: 'Order placed successfully', orderIds: Object.values(result.insertedIds) });
+  } catch (error) {
+    // Once stored, the order keeps what it holds until it is cancelled
+    if (!result) await releaseHeld(held);
+
+    if (error instanceof OrderConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('Error placing order:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to check a coupon code against a cart before ordering. An unusable
+// code is answered with valid: false and the reason, together with the prices.
+router.post('/orders/coupon', authenticateCustomerIfPresent, validate({ body: couponCheckBody }), async (req, res) => {
+  const { couponCode: code, items } = req.body;
+
+  try {
+    const priced = await priceItems(mergeItems(items));
+
+    if (!priced.lines) {
+      return res.status(priced.status).json({ message: priced.message });
+    }
+
+    const applied = await checkCoupon(code, priced.lines, orderingCustomerId(req));
+    const subtotal = promotions.roundAmount(priced.lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+    const discount = applied.coupon ? applied.discount : 0;
+
+    res.status(200).json({
+      valid: Boolean(applied.coupon),
+      message: applied.coupon ? 'Coupon code applied' : applied.message,
+      coupon: applied.coupon ? promotions.promotionSummary(applied.coupon) : null,
+      items: priced.lines.map((line) => ({
+        ...(line.collectionName === 'products'
+          ? { productId: line.listing._id, ...(line.variant && { variantId: line.variant._id }) }
+          : { serviceId: line.listing._id }),
+        quantity: line.quantity,
+        originalPrice: line.originalPrice,
+        price: line.price,
+        promotion: promotions.promotionSummary(line.promotion),
+        couponApplies: Boolean(applied.coupon) && applied.eligible.includes(line),
+      })),
+      subtotal,
+      discount,
+      total: promotions.roundAmount(subtotal - discount),
+    });
+  } catch (error) {
+    console.error('Error checking coupon code:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Move an order from one state to another. Returns the updated order, or null
+// when the order was not in the expected state.
+async function transitionOrder(filter, from, to, extra = {}) {
+  const now = new Date();
+  const order = await getDb().collection('orders').findOneAndUpdate(
+    { ...filter, status: from },
+    {
+      $set: { status: to, updatedAt: now, ...extra },
+      $push: { statusHistory: { status: to, at: now } },
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (order && to === 'cancelled') {
+    await returnItems(order);
+    await promotions.releasePromotionUses(orderPromotionIds(order));
+    if (order.coupon && order.coupon.redeemedBy) {
+      await promotions.releaseCustomerUse(order.coupon.promotionId, order.coupon.redeemedBy);
+    }
+  }
+
+  return order;
+}
+
+// Endpoint for a customer to look up an order by ID and phone number
+router.get('/orders/:id', validate({ params: schemas.idParams, query: customerLookup }), async (req, res) => {
+  const { phoneNumber } = req.query;
+
+  try {
+    if (!ObjectId.isValid(req.params.id) || !phoneNumber) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const order = await getDb().collection('orders').findOne({
+      _id: new ObjectId(req.params.id),
+      'customer.phoneNumber': phoneNumber,
+    });
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.status(200).json(order);
+  } catch (error) {
+    console.error('Error retrieving order:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a customer to cancel an order before the vendor confirms it
+router.post('/orders/:id/cancel', validate({ params: schemas.idParams, body: customerLookup }), async (req, res) => {
+  const { phoneNumber } = req.body;
+
+  try {
+    if (!ObjectId.isValid(req.params.id) || !phoneNumber) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const order = await transitionOrder(
+      { _id: new ObjectId(req.params.id), 'customer.phoneNumber': phoneNumber },
+      'placed',
+      'cancelled',
+      { cancelledBy: 'customer' }
+    );
+
+    if (!order) {
+      return res.status(409).json({ message: 'Order not found or can no longer be cancelled' });
+    }
+
+    res.status(200).json({ message: 'Order cancelled successfully' });
+  } catch (error) {
+    console.error('Error cancelling order:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to list orders for a vendor
+router.get('/vendor/orders', authenticateToken, validate({ query: orderListQuery }), async (req, res) => {
+  const { status } = req.query;
+
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const filter = { vendorId: user._id };
+    if (status) filter.status = status;
+
+    const orders = await getDb().collection('orders').find(filter).sort({ createdAt: -1 }).toArray();
+
+    res.status(200).json(orders);
+  } catch (error) {
+    console.error('Error retrieving orders:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to get a single order for a vendor
+router.get('/vendor/orders/:id', authenticateToken, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const order = await getDb().collection('orders').findOne({ _id: new ObjectId(req.params.id), vendorId: user._id });
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    res.status(200).json(order);
+  } catch (error) {
+    console.error('Error retrieving order:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a vendor to move an order to its next state
+router.post('/vendor/orders/:id/status', authenticateToken, validate({ params: schemas.idParams, body: orderStatusBody }), async (req, res) => {
+  const { status, trackingNumber } = req.body;
+
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const filter = { _id: new ObjectId(req.params.id), vendorId: user._id };
+    const order = await getDb().collection('orders').findOne(filter);
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (!ORDER_TRANSITIONS[order.status].includes(status)) {
+      return res.status(409).json({ message: `Order cannot move from ${order.status} to ${status}` });
+    }
+
+    const extra = {};
+    if (status === 'shipped' && trackingNumber) extra.trackingNumber = trackingNumber;
+    if (status === 'cancelled') extra.cancelledBy = 'vendor';
+
+    const updated = await transitionOrder(filter, order.status, status, extra);
+
+    if (!updated) {
+      return res.status(409).json({ message: 'Order was modified, please retry' });
+    }
+
+    res.status(200).json({ message: `Order ${status} successfully`, order: updated });
+  } catch (error) {
+    console.error('Error updating order status:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = {
+  router,
+  ensureOrderIndexes,
+};
@@ -0,0 +1,261 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+const twilio = require('twilio');
+const nodemailer = require('nodemailer');
+const { getDb } = require('./db');
+
+// An OTP provider exposes two methods:
+//   sendCode(phoneNumber, { channel, email, purpose })  -> Promise<void>
+//   checkCode(phoneNumber, code, { purpose })           -> Promise<status>
+// where status is 'approved' when the code is correct. Any other status
+// ('pending', 'expired', 'max_attempts_reached') is returned to the client.
+
+const CODE_LENGTH = 6;
+const CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+class OtpChannelError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OtpChannelError';
+  }
+}
+
+// OTP sending and checking through Twilio Verify. Twilio keeps one pending
+// code per phone number whatever it was sent for, so the purpose of the last
+// code sent is recorded in pendingVerifications and a check for any other
+// purpose is refused.
+function createTwilioProvider({ accountSid, authToken, verifySid, client = twilio(accountSid, authToken) }) {
+  const service = () => client.verify.v2.services(verifySid);
+
+  return {
+    async sendCode(phoneNumber, { channel = 'sms', purpose = 'login' } = {}) {
+      if (channel !== 'sms') {
+        throw new OtpChannelError(`Channel ${channel} is not supported`);
+      }
+
+      const now = new Date();
+      const previous = await getDb().collection('pendingVerifications').findOneAndUpdate(
+        { phoneNumber },
+        { $set: { purpose, createdAt: now, expiresAt: new Date(now.getTime() + CODE_TTL_MS) } },
+        { upsert: true }
+      );
+
+      // Twilio sends a pending code again rather than a new one, so a code
+      // sent for another purpose is cancelled first
+      if (previous && previous.purpose !== purpose && previous.expiresAt > now) {
+        try {
+          await service().verifications(phoneNumber).update({ status: 'canceled' });
+        } catch (error) {
+          if (error.status !== 404) throw error;
+        }
+      }
+
+      await service().verifications.create({ to: phoneNumber, channel: 'sms' });
+    },
+
+    async checkCode(phoneNumber, code, { purpose = 'login' } = {}) {
+      const pending = await getDb().collection('pendingVerifications').findOne({ phoneNumber, purpose, expiresAt: { $gt: new Date() } });
+
+      if (!pending) return 'pending';
+
+      const verification_check = await service().verificationChecks.create({ to: phoneNumber, code });
+
+      if (verification_check.status === 'approved') {
+        await getDb().collection('pendingVerifications').deleteOne({ _id: pending._id, purpose });
+      }
+      return verification_check.status;
+    },
+  };
+}
+
+// Transports used by the local provider to deliver a generated code
+function createTransports(config) {
+  const transports = {
+    console: {
+      async deliver({ phoneNumber, email, code, purpose }) {
+        console.log(`[otp] ${purpose} code for ${email || phoneNumber}: ${code}`);
+      },
+    },
+  };
+
+  if (config.accountSid && config.authToken && config.smsFrom) {
+    const client = twilio(config.accountSid, config.authToken);
+    transports.sms = {
+      async deliver({ phoneNumber, code }) {
+        await client.messages.create({ to: phoneNumber, from: config.smsFrom, body: `Your verification code is ${code}` });
+      },
+    };
+  }
+
+  if (config.smtpUrl && config.emailFrom) {
+    const mailer = nodemailer.createTransport(config.smtpUrl);
+    transports.email = {
+      async deliver({ email, code }) {
+        await mailer.sendMail({
+          to: email,
+          from: config.emailFrom,
+          subject: 'Your verification code',
+          text: `Your verification code is ${code}. It expires in ${CODE_TTL_MS / 60000} minutes.`,
+        });
+      },
+    };
+  }
+
+  return transports;
+}
+
+function hashCode(secret, phoneNumber, purpose, code) {
+  return crypto.createHmac('sha256', secret).update(`${phoneNumber}:${purpose}:${code}`).digest('hex');
+}
+
+// Self-hosted OTP provider. Codes are stored hashed in MongoDB with an expiry
+// and a limited number of attempts.
+function createLocalProvider(config) {
+  const transports = createTransports(config);
+  const secret = config.hashSecret;
+
+  return {
+    async sendCode(phoneNumber, { channel = 'sms', email, purpose = 'login' } = {}) {
+      // The console transport replaces every channel during local development
+      const transport = config.delivery === 'console' ? transports.console : transports[channel];
+
+      if (!transport) {
+        throw new OtpChannelError(`Channel ${channel} is not supported`);
+      }
+      if (channel === 'email' && !email) {
+        throw new OtpChannelError('No verified email address on file for this account');
+      }
+
+      const code = crypto.randomInt(0, 10 ** CODE_LENGTH).toString().padStart(CODE_LENGTH, '0');
+      const now = new Date();
+
+      await getDb().collection('otpCodes').updateOne(
+        { phoneNumber, purpose },
+        {
+          $set: {
+            codeHash: hashCode(secret, phoneNumber, purpose, code),
+            channel,
+            attempts: 0,
+            createdAt: now,
+            expiresAt: new Date(now.getTime() + CODE_TTL_MS),
+          },
+        },
+        { upsert: true }
+      );
+
+      await transport.deliver({ phoneNumber, email, code, purpose });
+    },
+
+    async checkCode(phoneNumber, code, { purpose = 'login' } = {}) {
+      const otpCodes = getDb().collection('otpCodes');
+
+      // Count the attempt before comparing so parallel guesses cannot exceed the limit
+      const entry = await otpCodes.findOneAndUpdate(
+        { phoneNumber, purpose },
+        { $inc: { attempts: 1 } },
+        { returnDocument: 'after' }
+      );
+
+      if (!entry) return 'pending';
+      if (entry.expiresAt < new Date()) {
+        await otpCodes.deleteOne({ _id: entry._id });
+        return 'expired';
+      }
+      if (entry.attempts > MAX_ATTEMPTS) {
+        await otpCodes.deleteOne({ _id: entry._id });
+        return 'max_attempts_reached';
+      }
+
+      const expected = Buffer.from(entry.codeHash, 'hex');
+      const actual = Buffer.from(hashCode(secret, phoneNumber, purpose, String(code)), 'hex');
+
+      if (!crypto.timingSafeEqual(expected, actual)) return 'pending';
+
+      await otpCodes.deleteOne({ _id: entry._id });
+      return 'approved';
+    },
+  };
+}
+
+async function ensureOtpIndexes(db) {
+  await db.collection('otpCodes').createIndex({ phoneNumber: 1, purpose: 1 }, { unique: true });
+  // Let MongoDB remove expired codes
+  await db.collection('otpCodes').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await db.collection('pendingVerifications').createIndex({ phoneNumber: 1 }, { unique: true });
+  await db.collection('pendingVerifications').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+}
+
+// Build the OTP provider selected by OTP_PROVIDER (twilio or local)
+function createOtpProvider(env = process.env) {
+  const config = {
+    accountSid: env.TWILIO_ACCOUNT_SID,
+    authToken: env.TWILIO_AUTH_TOKEN,
+    verifySid: env.TWILIO_VERIFY_SID,
+    smsFrom: env.TWILIO_FROM_NUMBER,
+    smtpUrl: env.SMTP_URL,
+    emailFrom: env.EMAIL_FROM,
+    delivery: env.OTP_DELIVERY,
+    hashSecret: env.OTP_HASH_SECRET || env.JWT_SECRET_KEY,
+  };
+
+  switch (env.OTP_PROVIDER || 'twilio') {
+    case 'twilio':
+      return createTwilioProvider(config);
+    case 'local':
+      return createLocalProvider(config);
+    default:
+      throw new Error(`Unknown OTP_PROVIDER: ${env.OTP_PROVIDER}`);
+  }
+}
+
+let provider;
+
+// The provider the OTP routes use. Unless one was set with setOtpProvider it
+// is built from the environment the first time it is needed.
+function getOtpProvider() {
+  if (!provider) provider = createOtpProvider();
+  return provider;
+}
+
+function setOtpProvider(otpProvider) {
+  provider = otpProvider;
+}
+
+// The email address login and confirmation codes may be sent to. An address
+// is only used once the account has confirmed it, so a code sent by email
+// proves as much as one sent by SMS.
+function verifiedEmail(account) {
+  return account && account.emailVerifiedAt ? account.email : undefined;
+}
+
+// An email address is confirmed with two codes: one sent to the address,
+// which shows it belongs to the account holder, and one sent by SMS to the
+// account's phone number, so a stolen session cannot add an address of its
+// own. purpose names the email code; the SMS code gets purpose_phone.
+async function sendEmailConfirmation(phoneNumber, email, purpose) {
+  await getOtpProvider().sendCode(phoneNumber, { channel: 'email', email, purpose });
+  await getOtpProvider().sendCode(phoneNumber, { channel: 'sms', purpose: `${purpose}_phone` });
+}
+
+// Check both codes of an email confirmation. Returns 'approved' or the
+// status of the first code that was not; a used code is not accepted again.
+async function checkEmailConfirmation(phoneNumber, { emailCode, phoneCode }, purpose) {
+  const phoneStatus = await getOtpProvider().checkCode(phoneNumber, phoneCode, { purpose: `${purpose}_phone` });
+  if (phoneStatus !== 'approved') return phoneStatus;
+  return getOtpProvider().checkCode(phoneNumber, emailCode, { purpose });
+}
+
+module.exports = {
+  createOtpProvider,
+  getOtpProvider,
+  setOtpProvider,
+  verifiedEmail,
+  sendEmailConfirmation,
+  checkEmailConfirmation,
+  createTwilioProvider,
+  createLocalProvider,
+  ensureOtpIndexes,
+  OtpChannelError,
+};
@@ -0,0 +1,482 @@
+const express = require('express');
+const path = require('path');
+const archiver = require('archiver');
+const { getDb } = require('./db');
+const { authenticateToken, findVerifiedUser, createSession, revokeSessions } = require('./auth');
+const { getOtpProvider, verifiedEmail, sendEmailConfirmation, checkEmailConfirmation, OtpChannelError } = require('./otp');
+const { upload, getBucket, getAttachmentBucket, uploadFiles, deleteFiles } = require('./media');
+const { Joi, schemas, validate, sendValidationError } = require('./validation');
+const { limitOtpSends, limitOtpVerifications, recordVerification } = require('./throttle');
+
+// Phone number changes, email addresses and account deletion are confirmed
+// with one-time codes
+
+const router = express.Router();
+
+const profileBody = Joi.object({
+  username: schemas.auth.signup.extract('username'),
+  businessName: schemas.auth.signup.extract('businessName'),
+  name: schemas.auth.signup.extract('name'),
+  email: schemas.auth.signup.extract('email'),
+  address: schemas.address.allow(null),
+}).min(1);
+
+const phoneChangeBody = Joi.object({ phoneNumber: schemas.phoneNumber.required() });
+const otpBody = Joi.object({ otpCode: schemas.auth.verify.extract('otpCode').required() });
+const emailConfirmationBody = Joi.object({
+  emailCode: schemas.auth.verify.extract('otpCode').required(),
+  phoneCode: schemas.auth.verify.extract('otpCode').required(),
+});
+const deletionCodeBody = Joi.object({ channel: Joi.string().valid('sms', 'email') });
+
+// Codes checked on these routes count against the signed-in account's number
+const accountPhoneNumber = (req) => req.user.phoneNumber;
+
+// Fields a vendor sees of their own profile
+const vendorProfileFields = {
+  phoneNumber: 1,
+  pendingPhoneNumber: 1,
+  username: 1,
+  businessName: 1,
+  name: 1,
+  email: 1,
+  emailVerifiedAt: 1,
+  address: 1,
+  logo: 1,
+  status: 1,
+  role: 1,
+  reviewStatus: 1,
+  verifiedAt: 1,
+  rating: 1,
+};
+
+// Endpoint for a vendor to read their own profile
+router.get('/vendor/profile', authenticateToken, async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const profile = await getDb().collection('users').findOne({ _id: user._id }, { projection: vendorProfileFields });
+    res.status(200).json(profile);
+  } catch (error) {
+    console.error('Error retrieving profile:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a vendor to update their business details and address. A
+// new email address cannot receive codes until it is confirmed.
+router.put('/vendor/profile', authenticateToken, validate({ body: profileBody }), async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const update = { $set: { ...req.body, profileUpdatedAt: new Date() } };
+    if (req.body.email !== undefined && req.body.email !== user.email) {
+      update.$unset = { emailVerifiedAt: '', emailVerification: '' };
+    }
+
+    const profile = await getDb().collection('users').findOneAndUpdate(
+      { _id: user._id },
+      update,
+      { returnDocument: 'after', projection: vendorProfileFields }
+    );
+
+    res.status(200).json({ message: 'Profile updated successfully', profile });
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to send the codes that confirm the vendor's email address, one to
+// the address and one by SMS to their phone number
+router.post('/vendor/profile/email/verification', authenticateToken, limitOtpSends(accountPhoneNumber), async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    if (!user.email) {
+      return res.status(400).json({ message: 'Add an email address to your profile first' });
+    }
+
+    if (verifiedEmail(user)) {
+      return res.status(409).json({ message: 'Email address is already verified' });
+    }
+
+    await sendEmailConfirmation(user.phoneNumber, user.email, 'email_confirmation');
+
+    await getDb().collection('users').updateOne(
+      { _id: user._id },
+      { $set: { emailVerification: { email: user.email, requestedAt: new Date() } } }
+    );
+
+    res.status(200).json({ status: 'OTP sent to the email address and the phone number' });
+  } catch (error) {
+    if (error instanceof OtpChannelError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error starting email verification:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to confirm the vendor's email address with both codes. Only a
+// confirmed address can be used to log in or confirm an account deletion.
+router.post('/vendor/profile/email/verify', authenticateToken, validate({ body: emailConfirmationBody }), limitOtpVerifications(accountPhoneNumber), async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    if (!user.emailVerification) {
+      return res.status(400).json({ message: 'No email verification in progress' });
+    }
+
+    const verificationStatus = await checkEmailConfirmation(user.phoneNumber, req.body, 'email_confirmation');
+    await recordVerification(user.phoneNumber, verificationStatus);
+
+    if (verificationStatus !== 'approved') {
+      return res.status(400).json({ status: verificationStatus });
+    }
+
+    // The codes only confirm the address they were sent to
+    const result = await getDb().collection('users').updateOne(
+      { _id: user._id, email: user.emailVerification.email },
+      { $set: { emailVerifiedAt: new Date() }, $unset: { emailVerification: '' } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(409).json({ message: 'Email address was changed, request new codes' });
+    }
+
+    res.status(200).json({ status: 'Email address verified' });
+  } catch (error) {
+    console.error('Error verifying email address:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a vendor to upload or replace their logo
+router.put('/vendor/profile/logo', authenticateToken, upload.single('logo'), async (req, res) => {
+  if (!req.file || !req.file.mimetype.startsWith('image/')) {
+    return sendValidationError(res, [{ field: 'logo', message: 'logo must be an image file' }]);
+  }
+
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const { images: [logo] } = await uploadFiles(getBucket(), [req.file], user._id);
+
+    const previous = await getDb().collection('users').findOneAndUpdate(
+      { _id: user._id },
+      { $set: { logo } },
+      { returnDocument: 'before', projection: { logo: 1 } }
+    );
+
+    if (previous && previous.logo) {
+      await deleteFiles(getBucket(), [previous.logo]);
+    }
+
+    res.status(200).json({ message: 'Logo updated successfully', logo });
+  } catch (error) {
+    console.error('Error updating logo:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a vendor to remove their logo
+router.delete('/vendor/profile/logo', authenticateToken, async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    if (!user.logo) {
+      return res.status(404).json({ message: 'No logo to remove' });
+    }
+
+    await getDb().collection('users').updateOne({ _id: user._id }, { $set: { logo: null } });
+    await deleteFiles(getBucket(), [user.logo]);
+
+    res.status(200).json({ message: 'Logo removed successfully' });
+  } catch (error) {
+    console.error('Error removing logo:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+function phoneNumberTaken(phoneNumber, userId) {
+  return getDb().collection('users').countDocuments({ phoneNumber, _id: { $ne: userId } }, { limit: 1 });
+}
+
+// Endpoint to start a phone number change. A code is sent by SMS to the new
+// number, which only replaces the old one once the code is verified.
+router.post('/vendor/profile/phone', authenticateToken, validate({ body: phoneChangeBody }), limitOtpSends(), async (req, res) => {
+  const { phoneNumber } = req.body;
+
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    if (phoneNumber === user.phoneNumber) {
+      return sendValidationError(res, [{ field: 'body.phoneNumber', message: 'phoneNumber is already your phone number' }]);
+    }
+
+    if (await phoneNumberTaken(phoneNumber, user._id)) {
+      return res.status(409).json({ message: 'Phone number is already in use' });
+    }
+
+    await getOtpProvider().sendCode(phoneNumber, { channel: 'sms', purpose: 'phone_change' });
+
+    await getDb().collection('users').updateOne(
+      { _id: user._id },
+      { $set: { pendingPhoneNumber: { phoneNumber, requestedAt: new Date() } } }
+    );
+
+    res.status(200).json({ status: 'OTP sent to the new phone number' });
+  } catch (error) {
+    if (error instanceof OtpChannelError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error starting phone number change:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to confirm a phone number change. Every existing session is
+// logged out, since tokens carry the old phone number, and a new session is
+// started for this device.
+router.post('/vendor/profile/phone/verify', authenticateToken, validate({ body: otpBody }), limitOtpVerifications(accountPhoneNumber), async (req, res) => {
+  const { otpCode } = req.body;
+
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    if (!user.pendingPhoneNumber) {
+      return res.status(400).json({ message: 'No phone number change in progress' });
+    }
+
+    const newPhoneNumber = user.pendingPhoneNumber.phoneNumber;
+    const verificationStatus = await getOtpProvider().checkCode(newPhoneNumber, otpCode, { purpose: 'phone_change' });
+    await recordVerification(user.phoneNumber, verificationStatus);
+
+    if (verificationStatus !== 'approved') {
+      return res.status(400).json({ status: verificationStatus });
+    }
+
+    if (await phoneNumberTaken(newPhoneNumber, user._id)) {
+      return res.status(409).json({ message: 'Phone number is already in use' });
+    }
+
+    const updated = await getDb().collection('users').findOneAndUpdate(
+      { _id: user._id, 'pendingPhoneNumber.phoneNumber': newPhoneNumber },
+      {
+        $set: { phoneNumber: newPhoneNumber, phoneNumberChangedAt: new Date() },
+        $unset: { pendingPhoneNumber: '' },
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!updated) {
+      return res.status(409).json({ message: 'Phone number change was replaced by a newer request' });
+    }
+
+    await revokeSessions({ userId: user._id }, 'phone_changed');
+    const { token, refreshToken } = await createSession(updated, req);
+
+    res.status(200).json({ status: 'Phone number changed successfully', token, refreshToken });
+  } catch (error) {
+    console.error('Error verifying phone number change:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Keep exported file names inside the archive folder
+function archiveFileName(file) {
+  const safeName = path.basename(file.filename || 'file').replace(/[^\w.-]/g, '_');
+  return `media/${file._id}-${safeName}`;
+}
+
+// Endpoint to download everything stored for a vendor account as a zip file
+router.get('/vendor/account/export', authenticateToken, async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const [profile, products, services, files] = await Promise.all([
+      getDb().collection('users').findOne({ _id: user._id }, { projection: vendorProfileFields }),
+      getDb().collection('products').find({ userId: user._id }).toArray(),
+      getDb().collection('services').find({ userId: user._id }).toArray(),
+      getBucket().find({ 'metadata.userId': user._id }).toArray(),
+    ]);
+
+    const archive = archiver('zip');
+    archive.on('error', (archiveError) => {
+      console.error('Error exporting account:', archiveError);
+      res.destroy(archiveError);
+    });
+
+    res.status(200);
+    res.attachment(`account-export-${user._id}.zip`);
+    archive.pipe(res);
+
+    archive.append(JSON.stringify(profile, null, 2), { name: 'profile.json' });
+    archive.append(JSON.stringify(products, null, 2), { name: 'products.json' });
+    archive.append(JSON.stringify(services, null, 2), { name: 'services.json' });
+    archive.append(JSON.stringify(files.map((file) => ({
+      _id: file._id,
+      filename: file.filename,
+      contentType: file.contentType,
+      length: file.length,
+      uploadDate: file.uploadDate,
+      path: archiveFileName(file),
+    })), null, 2), { name: 'media.json' });
+
+    for (const file of files) {
+      archive.append(getBucket().openDownloadStream(file._id), { name: archiveFileName(file) });
+    }
+
+    await archive.finalize();
+  } catch (error) {
+    console.error('Error exporting account:', error);
+    if (!res.headersSent) res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Remove a vendor and everything that belongs to them. Customers keep their
+// order and booking records, but open ones are closed.
+async function deleteVendorAccount(user) {
+  const db = getDb();
+  const now = new Date();
+  const vendorId = user._id;
+
+  // Log out everywhere first so nothing new is written while deleting
+  await revokeSessions({ userId: vendorId }, 'account_deleted');
+
+  const serviceIds = await db.collection('services').distinct('_id', { userId: vendorId });
+
+  await db.collection('orders').updateMany(
+    { vendorId, status: { $in: ['placed', 'confirmed'] } },
+    {
+      $set: { status: 'cancelled', cancelledBy: 'system', updatedAt: now },
+      $push: { statusHistory: { status: 'cancelled', at: now } },
+    }
+  );
+  await db.collection('bookings').updateMany(
+    { vendorId, status: { $in: ['requested', 'accepted'] } },
+    { $set: { status: 'declined', declineReason: 'Vendor account deleted', updatedAt: now } }
+  );
+  await db.collection('availabilitySlots').deleteMany({ serviceId: { $in: serviceIds } });
+  await db.collection('blackoutDates').deleteMany({ serviceId: { $in: serviceIds } });
+
+  // Reviews of the vendor and their listings go too, with their photos
+  const reviewPhotos = await db.collection('reviews').distinct('photos', { vendorId });
+  await db.collection('reviews').deleteMany({ vendorId });
+  await deleteFiles(getBucket(), reviewPhotos);
+
+  await db.collection('stockMovements').deleteMany({ vendorId });
+  await db.collection('listingVersions').deleteMany({ vendorId });
+  await db.collection('listingStats').deleteMany({ vendorId });
+  await db.collection('listingTrash').deleteMany({ vendorId });
+  // Quote conversations go too, with the files customers attached to them
+  const attachmentIds = await db.collection('quoteMessages').distinct('attachments.fileId', { vendorId });
+  await db.collection('quoteMessages').deleteMany({ vendorId });
+  await db.collection('quotes').deleteMany({ vendorId });
+  await deleteFiles(getAttachmentBucket(), attachmentIds);
+  await deleteFiles(getBucket(), attachmentIds);
+
+  await db.collection('promotions').deleteMany({ vendorId });
+  await db.collection('webhookDeliveries').deleteMany({ vendorId });
+  await db.collection('webhooks').deleteMany({ vendorId });
+  await db.collection('products').deleteMany({ userId: vendorId });
+  await db.collection('services').deleteMany({ userId: vendorId });
+
+  // Listing media and the logo were all uploaded by the vendor
+  const fileIds = await getBucket().find({ 'metadata.userId': vendorId }).project({ _id: 1 }).toArray();
+  await deleteFiles(getBucket(), fileIds.map((file) => file._id));
+
+  await db.collection('sessions').deleteMany({ userId: vendorId });
+  await db.collection('otpCodes').deleteMany({ phoneNumber: user.phoneNumber });
+  await db.collection('users').deleteOne({ _id: vendorId });
+}
+
+// Endpoint to send the code that confirms an account deletion
+router.post('/vendor/account/deletion-code', authenticateToken, validate({ body: deletionCodeBody }), limitOtpSends(accountPhoneNumber), async (req, res) => {
+  const { channel } = req.body;
+
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    await getOtpProvider().sendCode(user.phoneNumber, { channel, email: verifiedEmail(user), purpose: 'account_deletion' });
+    res.status(200).json({ status: 'OTP sent to confirm account deletion' });
+  } catch (error) {
+    if (error instanceof OtpChannelError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error sending account deletion code:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to permanently delete a vendor account with all of its listings and files
+router.delete('/vendor/account', authenticateToken, validate({ body: otpBody }), limitOtpVerifications(accountPhoneNumber), async (req, res) => {
+  const { otpCode } = req.body;
+
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const verificationStatus = await getOtpProvider().checkCode(user.phoneNumber, otpCode, { purpose: 'account_deletion' });
+    await recordVerification(user.phoneNumber, verificationStatus);
+
+    if (verificationStatus !== 'approved') {
+      return res.status(400).json({ status: verificationStatus });
+    }
+
+    await deleteVendorAccount(user);
+
+    res.status(200).json({ message: 'Account deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting account:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = {
+  router,
+};
@@ -0,0 +1,574 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { authenticateToken, findVerifiedUser } = require('./auth');
+const { Joi, schemas, validate, sendValidationError } = require('./validation');
+const { loadTaxonomy, matchesEntry } = require('./taxonomy');
+
+const router = express.Router();
+
+// A promotion takes a percentage or a fixed amount off the listings in its
+// scope while it runs. Promotions without a code are applied automatically
+// and change the price customers see; a promotion with a code is a coupon
+// that customers enter with an order and that comes off the order total.
+const PROMOTION_TYPES = ['percentage', 'fixed'];
+
+// Where a promotion is in its life, for vendors filtering their promotions
+const PROMOTION_STATES = ['running', 'scheduled', 'ended', 'inactive'];
+
+const SCOPE_KINDS = {
+  products: { idsField: 'productIds', categoriesField: 'productCategories', categoryField: 'productCategory', kind: 'product' },
+  services: { idsField: 'serviceIds', categoriesField: 'serviceCategories', categoryField: 'serviceCategory', kind: 'service' },
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// Codes are stored in capitals and matched without regard to case
+const promotionCode = Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]{3,32}$/).messages({
+  'string.pattern.base': '{{#label}} must be 3 to 32 letters, digits, dashes or underscores',
+});
+
+// An empty scope covers every product and service of the vendor. Categories
+// are top-level categories of the taxonomy.
+const promotionScope = Joi.object({
+  productIds: Joi.array().items(schemas.objectId).max(500).unique(),
+  serviceIds: Joi.array().items(schemas.objectId).max(500).unique(),
+  productCategories: Joi.array().items(Joi.string().trim().max(100)).max(50).unique(),
+  serviceCategories: Joi.array().items(Joi.string().trim().max(100)).max(50).unique(),
+});
+
+const promotionFields = {
+  name: Joi.string().trim().max(200),
+  type: Joi.string().valid(...PROMOTION_TYPES),
+  // Percent off for a percentage discount, amount off for a fixed one
+  value: Joi.number().greater(0),
+  code: promotionCode.allow(null),
+  scope: promotionScope,
+  startsAt: Joi.date().iso(),
+  endsAt: Joi.date().iso().allow(null),
+  // Orders that may use the promotion in total and per customer account
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  perCustomerLimit: Joi.number().integer().min(1).allow(null),
+  active: Joi.boolean(),
+};
+
+const promotionBody = Joi.object({
+  ...promotionFields,
+  name: promotionFields.name.required(),
+  type: promotionFields.type.required(),
+  value: promotionFields.value.required(),
+});
+const promotionUpdateBody = Joi.object(promotionFields).min(1);
+const promotionListQuery = Joi.object({
+  state: Joi.string().valid(...PROMOTION_STATES),
+  ...schemas.paging,
+});
+
+async function ensurePromotionIndexes(db) {
+  await db.collection('promotions').createIndex(
+    { code: 1 },
+    { unique: true, partialFilterExpression: { code: { $type: 'string' } } }
+  );
+  await db.collection('promotions').createIndex({ vendorId: 1, active: 1, startsAt: 1 });
+  await db.collection('couponRedemptions').createIndex({ promotionId: 1, customerId: 1 }, { unique: true });
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function idsEqual(a, b) {
+  return String(a) === String(b);
+}
+
+// Catalog listings carry their vendor instead of userId
+function listingVendorId(listing) {
+  return listing.userId || (listing.vendor && listing.vendor._id);
+}
+
+// Promotions that are running: switched on, started, not ended and not used up
+function runningFilter(now = new Date()) {
+  return {
+    active: true,
+    startsAt: { $lte: now },
+    $and: [
+      { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+      { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+    ],
+  };
+}
+
+function stateFilter(state, now = new Date()) {
+  switch (state) {
+    case 'running':
+      return runningFilter(now);
+    case 'scheduled':
+      return { active: true, startsAt: { $gt: now } };
+    case 'ended':
+      return {
+        active: true,
+        $or: [
+          { endsAt: { $lte: now } },
+          { usageLimit: { $ne: null }, $expr: { $gte: ['$usedCount', '$usageLimit'] } },
+        ],
+      };
+    default:
+      return { active: false };
+  }
+}
+
+function promotionState(promotion, now = new Date()) {
+  if (!promotion.active) return 'inactive';
+  if (promotion.startsAt > now) return 'scheduled';
+  if (promotion.endsAt && promotion.endsAt <= now) return 'ended';
+  if (promotion.usageLimit && promotion.usedCount >= promotion.usageLimit) return 'ended';
+  return 'running';
+}
+
+// What customers see of the promotion behind a price
+function promotionSummary(promotion) {
+  if (!promotion) return null;
+  const { _id, name, type, value, endsAt } = promotion;
+  return { _id, name, type, value, endsAt };
+}
+
+// Whether a listing of the promotion's vendor is in the promotion's scope
+function appliesTo(promotion, collectionName, listing) {
+  const scope = promotion.scope || {};
+  const { idsField, categoriesField, categoryField } = SCOPE_KINDS[collectionName];
+
+  const wholeStore = Object.values(SCOPE_KINDS)
+    .every((kind) => (scope[kind.idsField] || []).length === 0 && (scope[kind.categoriesField] || []).length === 0);
+  if (wholeStore) return true;
+
+  return (scope[idsField] || []).some((id) => idsEqual(id, listing._id))
+    || (Boolean(listing[categoryField]) && (scope[categoriesField] || []).includes(listing[categoryField]));
+}
+
+// The running automatic promotions of the vendors
+async function loadAutomaticPromotions(vendorIds) {
+  if (vendorIds.length === 0) return [];
+
+  return getDb().collection('promotions')
+    .find({ vendorId: { $in: vendorIds }, code: null, ...runningFilter() })
+    .toArray();
+}
+
+// The promotions that apply to a listing
+function promotionsFor(promotions, collectionName, listing) {
+  const vendorId = listingVendorId(listing);
+  return promotions.filter((promotion) => idsEqual(promotion.vendorId, vendorId) && appliesTo(promotion, collectionName, listing));
+}
+
+function discountedPrice(price, promotion) {
+  const discount = promotion.type === 'percentage' ? (price * promotion.value) / 100 : promotion.value;
+  return roundAmount(Math.max(price - discount, 0));
+}
+
+// The lowest price any of the promotions gives, and the promotion giving it.
+// Prices that are not numbers are left alone.
+function bestPrice(price, promotions) {
+  let best = { price, promotion: null };
+  if (!Number.isFinite(price)) return best;
+
+  for (const promotion of promotions) {
+    const candidate = discountedPrice(price, promotion);
+    if (candidate < best.price) best = { price: candidate, promotion };
+  }
+
+  return best;
+}
+
+function toPrice(value) {
+  if (value === undefined || value === null || value === '') return NaN;
+  return Number(value);
+}
+
+function productPrices(product, promotions) {
+  const base = bestPrice(toPrice(product.price), promotions);
+  const prices = {
+    effectivePrice: Number.isFinite(base.price) ? base.price : null,
+    promotion: promotionSummary(base.promotion),
+  };
+
+  if ((product.variants || []).length === 0) {
+    return { ...product, ...prices, effectivePriceRange: prices.effectivePrice === null ? null : { min: prices.effectivePrice, max: prices.effectivePrice } };
+  }
+
+  // Variants without their own price sell at the product's
+  const variants = product.variants.map((variant) => {
+    const price = toPrice(variant.price);
+    const best = bestPrice(Number.isFinite(price) ? price : toPrice(product.price), promotions);
+    return {
+      ...variant,
+      effectivePrice: Number.isFinite(best.price) ? best.price : null,
+      promotionId: best.promotion ? best.promotion._id : null,
+    };
+  });
+  const effective = variants.map((variant) => variant.effectivePrice).filter((price) => price !== null);
+
+  return {
+    ...product,
+    ...prices,
+    variants,
+    effectivePriceRange: effective.length > 0 ? { min: Math.min(...effective), max: Math.max(...effective) } : null,
+  };
+}
+
+// The promotion that lowers the starting price lowers the whole range
+function servicePrices(service, promotions) {
+  const lowest = bestPrice(toPrice(service.lowestAmount), promotions);
+  const highest = toPrice(service.highestAmount);
+
+  let effectiveHighestAmount = Number.isFinite(highest) ? highest : null;
+  if (lowest.promotion && effectiveHighestAmount !== null) {
+    effectiveHighestAmount = discountedPrice(effectiveHighestAmount, lowest.promotion);
+  }
+
+  return {
+    ...service,
+    effectiveLowestAmount: Number.isFinite(lowest.price) ? lowest.price : null,
+    effectiveHighestAmount,
+    promotion: promotionSummary(lowest.promotion),
+  };
+}
+
+// Add the prices after automatic promotions to listings, next to the
+// original prices: effectivePrice and effectivePriceRange on products (and
+// effectivePrice on each variant), effectiveLowestAmount and
+// effectiveHighestAmount on services
+async function withEffectivePrices(collectionName, listings) {
+  const vendorIds = [...new Set(listings.map((listing) => String(listingVendorId(listing))))]
+    .filter(ObjectId.isValid)
+    .map((id) => new ObjectId(id));
+  const promotions = await loadAutomaticPromotions(vendorIds);
+  const applyPrices = collectionName === 'products' ? productPrices : servicePrices;
+
+  return listings.map((listing) => applyPrices(listing, promotionsFor(promotions, collectionName, listing)));
+}
+
+async function findCoupon(code) {
+  return getDb().collection('promotions').findOne({ code: String(code).trim().toUpperCase() });
+}
+
+// Why a coupon cannot be used right now, or null when it can
+function couponProblem(promotion, now = new Date()) {
+  if (!promotion || !promotion.active) return 'Coupon code is not valid';
+  if (promotion.startsAt > now) return 'Coupon code is not active yet';
+  if (promotion.endsAt && promotion.endsAt <= now) return 'Coupon code has expired';
+  if (promotion.usageLimit && promotion.usedCount >= promotion.usageLimit) return 'Coupon code has reached its usage limit';
+  return null;
+}
+
+// Why a customer cannot use a coupon again, or null when they can. A coupon
+// with a per-customer limit needs a logged-in customer, whose uses are
+// counted in couponRedemptions.
+async function customerCouponProblem(promotion, customerId) {
+  if (!promotion.perCustomerLimit) return null;
+  if (!customerId) return 'Log in as a customer to use this coupon code';
+
+  const redemption = await getDb().collection('couponRedemptions').findOne({ promotionId: promotion._id, customerId });
+
+  return redemption && redemption.count >= promotion.perCustomerLimit ? 'You have already used this coupon code' : null;
+}
+
+// Count one use of a coupon by a customer, unless they reached its limit
+// meanwhile. The unique index on promotion and customer makes the upsert
+// fail instead of adding a second count when the limit is reached; a
+// failure from two first uses racing is tried once more. Returns whether
+// the use was counted.
+async function reserveCustomerUse(promotion, customerId) {
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      await getDb().collection('couponRedemptions').updateOne(
+        { promotionId: promotion._id, customerId, count: { $lt: promotion.perCustomerLimit } },
+        { $inc: { count: 1 }, $setOnInsert: { createdAt: new Date() } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  return false;
+}
+
+// Give back a customer's use of a coupon
+async function releaseCustomerUse(promotionId, customerId) {
+  await getDb().collection('couponRedemptions').updateOne(
+    { promotionId, customerId, count: { $gt: 0 } },
+    { $inc: { count: -1 } }
+  );
+}
+
+// What a coupon takes off a cart. Each line has the collectionName and
+// listing it is for, the unit price after automatic promotions and a
+// quantity. Only lines of the coupon's vendor that are in its scope count;
+// a fixed discount comes off their subtotal once.
+function couponDiscount(promotion, lines) {
+  const eligible = lines.filter((line) => idsEqual(listingVendorId(line.listing), promotion.vendorId)
+    && appliesTo(promotion, line.collectionName, line.listing));
+  const subtotal = roundAmount(eligible.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  const discount = promotion.type === 'percentage'
+    ? roundAmount((subtotal * promotion.value) / 100)
+    : Math.min(promotion.value, subtotal);
+
+  return { eligible, subtotal, discount };
+}
+
+// Count one use of a promotion, unless it stopped running or ran out of
+// uses meanwhile. Returns the updated promotion, or null.
+async function reservePromotionUse(promotionId) {
+  return getDb().collection('promotions').findOneAndUpdate(
+    { _id: promotionId, ...runningFilter() },
+    { $inc: { usedCount: 1 } },
+    { returnDocument: 'after' }
+  );
+}
+
+// Give back one use of each promotion, e.g. for a cancelled order
+async function releasePromotionUses(promotionIds) {
+  if (promotionIds.length === 0) return;
+  await getDb().collection('promotions').updateMany(
+    { _id: { $in: promotionIds }, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+}
+
+// Check that the listings in a scope belong to the vendor and map its
+// categories onto taxonomy slugs. Returns { value, errors }.
+async function resolveScope(vendorId, scope = {}) {
+  const value = {};
+  const errors = [];
+  const needsTaxonomy = Object.values(SCOPE_KINDS).some((kind) => (scope[kind.categoriesField] || []).length > 0);
+  const { categories } = needsTaxonomy ? await loadTaxonomy() : { categories: [] };
+
+  for (const [collectionName, { idsField, categoriesField, kind }] of Object.entries(SCOPE_KINDS)) {
+    const ids = (scope[idsField] || []).map((id) => new ObjectId(id));
+    const owned = ids.length === 0 ? [] : await getDb().collection(collectionName)
+      .find({ _id: { $in: ids }, userId: vendorId })
+      .project({ _id: 1 })
+      .toArray();
+
+    value[idsField] = [];
+    ids.forEach((id, index) => {
+      if (owned.some((listing) => idsEqual(listing._id, id))) {
+        value[idsField].push(id);
+      } else {
+        errors.push({ field: `body.scope.${idsField}.${index}`, message: `${id} is not one of your ${collectionName}` });
+      }
+    });
+
+    const topLevel = categories.filter((category) => category.kind === kind && !category.parentId);
+    value[categoriesField] = [];
+    (scope[categoriesField] || []).forEach((categoryValue, index) => {
+      const category = topLevel.find((entry) => matchesEntry(entry, categoryValue));
+      if (!category) {
+        errors.push({ field: `body.scope.${categoriesField}.${index}`, message: `${categoryValue} is not a known ${kind} category` });
+      } else if (!value[categoriesField].includes(category.slug)) {
+        value[categoriesField].push(category.slug);
+      }
+    });
+  }
+
+  return { value, errors };
+}
+
+// Checks that need the whole promotion, after an update is merged in
+function promotionErrors(promotion) {
+  const errors = [];
+
+  if (promotion.type === 'percentage' && promotion.value > 100) {
+    errors.push({ field: 'body.value', message: 'value must not be more than 100 for a percentage discount' });
+  }
+  if (promotion.endsAt && promotion.endsAt <= promotion.startsAt) {
+    errors.push({ field: 'body.endsAt', message: 'endsAt must be after startsAt' });
+  }
+
+  return errors;
+}
+
+function withState(promotion) {
+  return { ...promotion, state: promotionState(promotion) };
+}
+
+// Endpoint to list a vendor's promotions, newest first
+router.get('/vendor/promotions', authenticateToken, validate({ query: promotionListQuery }), async (req, res) => {
+  const { state, page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const filter = { vendorId: user._id, ...(state && stateFilter(state)) };
+    const [items, total] = await Promise.all([
+      getDb().collection('promotions').find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      getDb().collection('promotions').countDocuments(filter),
+    ]);
+
+    res.status(200).json({ items: items.map(withState), page, limit, total });
+  } catch (error) {
+    console.error('Error retrieving promotions:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to create a promotion. It starts now unless startsAt is given.
+router.post('/vendor/promotions', authenticateToken, validate({ body: promotionBody }), async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const { value: scope, errors } = await resolveScope(user._id, req.body.scope);
+    const now = new Date();
+    const promotion = {
+      vendorId: user._id,
+      code: null,
+      startsAt: now,
+      endsAt: null,
+      usageLimit: null,
+      perCustomerLimit: null,
+      active: true,
+      ...req.body,
+      scope,
+      usedCount: 0,
+      createdAt: now,
+      updatedAt: now,
+    };
+    errors.push(...promotionErrors(promotion));
+
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const result = await getDb().collection('promotions').insertOne(promotion);
+
+    res.status(201).json({ message: 'Promotion created successfully', promotionId: result.insertedId, state: promotionState(promotion) });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'This coupon code is already in use' });
+    }
+    console.error('Error creating promotion:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to get a single promotion with how often it was used
+router.get('/vendor/promotions/:id', authenticateToken, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const promotion = await getDb().collection('promotions').findOne({ _id: new ObjectId(req.params.id), vendorId: user._id });
+
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    res.status(200).json(withState(promotion));
+  } catch (error) {
+    console.error('Error retrieving promotion:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to change a promotion, e.g. to extend it or switch it off. A
+// scope that is sent replaces the old one.
+router.put('/vendor/promotions/:id', authenticateToken, validate({ params: schemas.idParams, body: promotionUpdateBody }), async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const filter = { _id: new ObjectId(req.params.id), vendorId: user._id };
+    const existing = await getDb().collection('promotions').findOne(filter);
+
+    if (!existing) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    const changes = { ...req.body };
+    const errors = [];
+    if (changes.scope) {
+      const resolved = await resolveScope(user._id, changes.scope);
+      changes.scope = resolved.value;
+      errors.push(...resolved.errors);
+    }
+    errors.push(...promotionErrors({ ...existing, ...changes }));
+
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const promotion = await getDb().collection('promotions').findOneAndUpdate(
+      filter,
+      { $set: { ...changes, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    res.status(200).json(withState(promotion));
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'This coupon code is already in use' });
+    }
+    console.error('Error updating promotion:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to delete a promotion. Orders keep the prices and discounts they
+// were placed with.
+router.delete('/vendor/promotions/:id', authenticateToken, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const result = await getDb().collection('promotions').deleteOne({ _id: new ObjectId(req.params.id), vendorId: user._id });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    res.status(200).json({ message: 'Promotion deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting promotion:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = {
+  router,
+  ensurePromotionIndexes,
+  roundAmount,
+  loadAutomaticPromotions,
+  promotionsFor,
+  bestPrice,
+  promotionSummary,
+  withEffectivePrices,
+  findCoupon,
+  couponProblem,
+  customerCouponProblem,
+  reserveCustomerUse,
+  releaseCustomerUse,
+  couponDiscount,
+  reservePromotionUse,
+  releasePromotionUses,
+};
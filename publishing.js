@@ -0,0 +1,318 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { trackJob } = require('./jobs');
+const { authenticateToken, findVerifiedUser } = require('./auth');
+const { recordVersion } = require('./versions');
+const { emitListingEvent } = require('./webhooks');
+const { Joi, schemas, validate, sendValidationError } = require('./validation');
+
+const router = express.Router();
+
+// New listings are drafts until the vendor publishes them. A scheduled
+// listing is published by the scheduler at schedule.at, and an archived one
+// was taken down. Only published listings are shown outside the vendor's
+// own routes.
+const LISTING_STATUSES = ['draft', 'published', 'scheduled', 'archived'];
+
+// Fields that only the publishing routes and the scheduler change
+const PUBLISHING_FIELDS = ['status', 'publishedAt', 'schedule', 'scheduleFailure'];
+
+const PUBLISHING_KINDS = {
+  products: { label: 'Product', nameField: 'productName', categoryField: 'productCategory' },
+  services: { label: 'Service', nameField: 'serviceName', categoryField: 'serviceCategory' },
+};
+
+const publishBody = Joi.object({
+  // Publish at this time instead of now
+  at: Joi.date().iso().greater('now'),
+});
+const unpublishBody = Joi.object({
+  at: Joi.date().iso().greater('now'),
+  // Archive the listing instead of returning it to draft
+  archive: Joi.boolean().default(false),
+});
+
+async function ensurePublishingIndexes(db) {
+  for (const collectionName of Object.keys(PUBLISHING_KINDS)) {
+    await db.collection(collectionName).createIndex({ 'schedule.at': 1 }, { sparse: true });
+    await db.collection(collectionName).createIndex({ userId: 1, status: 1 });
+  }
+}
+
+// Filter for listings in a status. Listings saved before statuses existed
+// have none and count as published.
+function statusFilter(status) {
+  return { status: status === 'published' ? { $in: [null, 'published'] } : status };
+}
+
+function listingStatus(listing) {
+  return listing.status || 'published';
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// What a listing is missing before it can be published, as field errors
+function publishErrors(collectionName, listing) {
+  const { nameField, categoryField } = PUBLISHING_KINDS[collectionName];
+  const errors = [];
+
+  for (const field of [nameField, categoryField]) {
+    if (isBlank(listing[field])) {
+      errors.push({ field, message: `${field} is required to publish` });
+    }
+  }
+
+  if ((listing.images || []).length === 0) {
+    errors.push({ field: 'images', message: 'at least one image is required to publish' });
+  }
+
+  if (collectionName === 'products') {
+    const price = isBlank(listing.price) ? NaN : Number(listing.price);
+    if (!(price > 0)) {
+      errors.push({ field: 'price', message: 'price must be greater than 0 to publish' });
+    }
+
+    (listing.variants || []).forEach((variant, index) => {
+      if (!isBlank(variant.price) && !(Number(variant.price) > 0)) {
+        errors.push({ field: `variants.${index}.price`, message: 'price must be greater than 0 to publish' });
+      }
+    });
+  } else {
+    const lowest = isBlank(listing.lowestAmount) ? NaN : Number(listing.lowestAmount);
+    if (!(lowest > 0)) {
+      errors.push({ field: 'lowestAmount', message: 'lowestAmount must be greater than 0 to publish' });
+    }
+    if (!isBlank(listing.highestAmount) && Number(listing.highestAmount) < lowest) {
+      errors.push({ field: 'highestAmount', message: 'highestAmount must not be less than lowestAmount' });
+    }
+  }
+
+  return errors;
+}
+
+// Apply a publishing change to a listing and record it. filter pins the
+// state the change was decided on, so a concurrent change wins. Returns the
+// updated listing, or null when the listing no longer matched.
+async function applyPublishing(collectionName, listing, filter, update, by) {
+  const updated = await getDb().collection(collectionName).findOneAndUpdate(
+    { _id: listing._id, ...filter },
+    update,
+    { returnDocument: 'after' }
+  );
+
+  if (updated) {
+    await recordVersion(collectionName, listing, updated, { action: 'update', by });
+    await emitListingEvent(collectionName, 'updated', updated);
+  }
+
+  return updated;
+}
+
+// Carry out one due schedule. A listing that no longer meets the publishing
+// requirements goes back to draft with the reasons in scheduleFailure.
+async function runSchedule(collectionName, listing) {
+  const { action, at, archive } = listing.schedule;
+  const now = new Date();
+  const by = { kind: 'system' };
+  const filter = { 'schedule.action': action, 'schedule.at': at };
+
+  if (action === 'unpublish') {
+    return applyPublishing(collectionName, listing, filter, {
+      $set: { status: archive ? 'archived' : 'draft' },
+      $unset: { schedule: '', publishedAt: '' },
+    }, by);
+  }
+
+  const errors = publishErrors(collectionName, listing);
+
+  if (errors.length > 0) {
+    return applyPublishing(collectionName, listing, filter, {
+      $set: { status: 'draft', scheduleFailure: { action, at, failedAt: now, errors } },
+      $unset: { schedule: '' },
+    }, by);
+  }
+
+  return applyPublishing(collectionName, listing, filter, {
+    $set: { status: 'published', publishedAt: now },
+    $unset: { schedule: '' },
+  }, by);
+}
+
+// Publish and unpublish the listings whose scheduled time has come
+async function runScheduledPublishing() {
+  let applied = 0;
+
+  for (const collectionName of Object.keys(PUBLISHING_KINDS)) {
+    const due = getDb().collection(collectionName).find({ 'schedule.at': { $lte: new Date() } });
+
+    for await (const listing of due) {
+      if (await runSchedule(collectionName, listing)) applied += 1;
+    }
+  }
+
+  return applied;
+}
+
+// Run due schedules periodically in the background
+function startListingScheduler(intervalMs) {
+  const timer = setInterval(() => {
+    trackJob(runScheduledPublishing())
+      .then((applied) => {
+        if (applied > 0) console.log(`Listing scheduler applied ${applied} schedules`);
+      })
+      .catch((error) => console.error('Error running listing schedules:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+function publishingState(listing) {
+  return {
+    status: listingStatus(listing),
+    publishedAt: listing.publishedAt || null,
+    schedule: listing.schedule || null,
+  };
+}
+
+function registerPublishingRoutes(collectionName) {
+  const { label } = PUBLISHING_KINDS[collectionName];
+  const basePath = `/vendor/${collectionName}`;
+
+  async function loadListing(req, res) {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      res.status(400).json({ message: 'User not registered or not verified' });
+      return {};
+    }
+
+    const listing = await getDb().collection(collectionName).findOne({ _id: new ObjectId(req.params.id), userId: user._id });
+
+    if (!listing) {
+      res.status(404).json({ message: `${label} not found or not authorized to edit` });
+      return {};
+    }
+
+    return { user, listing };
+  }
+
+  // Endpoint to publish a listing now, or schedule it to be published at a later time
+  router.post(`${basePath}/:id/publish`, authenticateToken, validate({ params: schemas.idParams, body: publishBody }), async (req, res) => {
+    const { at } = req.body;
+
+    try {
+      const { user, listing } = await loadListing(req, res);
+      if (!listing) return;
+
+      const errors = publishErrors(collectionName, listing);
+
+      if (errors.length > 0) {
+        return sendValidationError(res, errors);
+      }
+
+      if (at && listingStatus(listing) === 'published') {
+        return res.status(409).json({ message: `${label} is already published` });
+      }
+
+      const update = at
+        ? { $set: { status: 'scheduled', schedule: { action: 'publish', at } }, $unset: { scheduleFailure: '' } }
+        : { $set: { status: 'published', publishedAt: listing.publishedAt || new Date() }, $unset: { schedule: '', scheduleFailure: '' } };
+
+      const updated = await applyPublishing(collectionName, listing, { status: listing.status || null }, update, { kind: 'vendor', userId: user._id });
+
+      if (!updated) {
+        return res.status(409).json({ message: `${label} was changed by another request; try again` });
+      }
+
+      res.status(200).json({
+        message: at ? `${label} scheduled to be published` : `${label} published`,
+        ...publishingState(updated),
+      });
+    } catch (error) {
+      console.error(`Error publishing ${label.toLowerCase()}:`, error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Endpoint to take a listing down now, or schedule it to be taken down at a later time
+  router.post(`${basePath}/:id/unpublish`, authenticateToken, validate({ params: schemas.idParams, body: unpublishBody }), async (req, res) => {
+    const { at, archive } = req.body;
+
+    try {
+      const { user, listing } = await loadListing(req, res);
+      if (!listing) return;
+
+      if (at && listingStatus(listing) !== 'published') {
+        return res.status(409).json({ message: `Only a published ${label.toLowerCase()} can be scheduled to be unpublished` });
+      }
+
+      const update = at
+        ? { $set: { schedule: { action: 'unpublish', at, archive } }, $unset: { scheduleFailure: '' } }
+        : { $set: { status: archive ? 'archived' : 'draft' }, $unset: { schedule: '', scheduleFailure: '', publishedAt: '' } };
+
+      const updated = await applyPublishing(collectionName, listing, { status: listing.status || null }, update, { kind: 'vendor', userId: user._id });
+
+      if (!updated) {
+        return res.status(409).json({ message: `${label} was changed by another request; try again` });
+      }
+
+      res.status(200).json({
+        message: at ? `${label} scheduled to be unpublished` : `${label} unpublished`,
+        ...publishingState(updated),
+      });
+    } catch (error) {
+      console.error(`Error unpublishing ${label.toLowerCase()}:`, error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Endpoint to cancel a scheduled publish or unpublish. A listing waiting
+  // to be published goes back to draft.
+  router.delete(`${basePath}/:id/schedule`, authenticateToken, validate({ params: schemas.idParams }), async (req, res) => {
+    try {
+      const { user, listing } = await loadListing(req, res);
+      if (!listing) return;
+
+      if (!listing.schedule) {
+        return res.status(404).json({ message: `${label} has no schedule` });
+      }
+
+      const update = { $unset: { schedule: '' } };
+      if (listing.status === 'scheduled') update.$set = { status: 'draft' };
+
+      const updated = await applyPublishing(
+        collectionName,
+        listing,
+        { 'schedule.action': listing.schedule.action, 'schedule.at': listing.schedule.at },
+        update,
+        { kind: 'vendor', userId: user._id }
+      );
+
+      if (!updated) {
+        return res.status(409).json({ message: `${label} schedule has already run or was changed` });
+      }
+
+      res.status(200).json({ message: `${label} schedule cancelled`, ...publishingState(updated) });
+    } catch (error) {
+      console.error(`Error cancelling ${label.toLowerCase()} schedule:`, error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+}
+
+registerPublishingRoutes('products');
+registerPublishingRoutes('services');
+
+module.exports = {
+  router,
+  LISTING_STATUSES,
+  PUBLISHING_FIELDS,
+  ensurePublishingIndexes,
+  statusFilter,
+  publishErrors,
+  runScheduledPublishing,
+  startListingScheduler,
+};
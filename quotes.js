@@ -0,0 +1,615 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { trackJob } = require('./jobs');
+const { authenticateToken, authenticateCustomer, authenticateAnyAccount, findVerifiedUser } = require('./auth');
+const { publicVendorFilter, visibleListingFilter } = require('./catalog');
+const { upload, getBucket, getAttachmentBucket, uploadFile, deleteFiles, sendGridFSFile } = require('./media');
+const { Joi, schemas, validate, sendValidationError } = require('./validation');
+
+const router = express.Router();
+
+// A quote starts as requested by a customer, is quoted (and may be re-quoted)
+// by the vendor and ends accepted, declined or expired
+const QUOTE_STATUSES = ['requested', 'quoted', 'accepted', 'declined', 'expired'];
+
+// Quotes the vendor can still quote on or either side can decline
+const OPEN_QUOTE_STATUSES = ['requested', 'quoted'];
+
+const MAX_ATTACHMENTS = 5;
+const ATTACHMENT_TYPES = [/^image\//, /^video\//, /^application\/pdf$/];
+const DEFAULT_PAGE_SIZE = 20;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const quoteRequestBody = Joi.object({
+  eventDate: Joi.string().pattern(DATE_PATTERN).required().messages({
+    'string.pattern.base': '{{#label}} must be a YYYY-MM-DD date',
+  }),
+  eventType: Joi.string().trim().max(100).required(),
+  guestCount: Joi.number().integer().min(1).max(100000).required(),
+  notes: Joi.string().allow('').max(2000),
+});
+
+const offerBody = Joi.object({
+  lineItems: Joi.array().items(Joi.object({
+    description: Joi.string().trim().max(200).required(),
+    quantity: Joi.number().integer().min(1).default(1),
+    unitPrice: Joi.number().min(0).required(),
+  })).min(1).max(50).required(),
+  expiresAt: Joi.date().iso().greater('now').required(),
+  notes: Joi.string().allow('').max(2000),
+});
+
+const declineBody = Joi.object({ reason: Joi.string().allow('').max(500) });
+const messageBody = Joi.object({ body: Joi.string().trim().allow('').max(5000) });
+const attachmentParams = Joi.object({ id: schemas.objectId.required(), fileId: schemas.objectId.required() });
+
+const quoteListQuery = Joi.object({
+  status: Joi.string().valid(...QUOTE_STATUSES),
+  unread: Joi.boolean(),
+  ...schemas.paging,
+});
+const messageListQuery = Joi.object({ ...schemas.paging });
+
+async function ensureQuoteIndexes(db) {
+  await db.collection('quotes').createIndex({ vendorId: 1, lastActivityAt: -1 });
+  await db.collection('quotes').createIndex({ customerId: 1, lastActivityAt: -1 });
+  await db.collection('quotes').createIndex({ status: 1, 'offer.expiresAt': 1 });
+  await db.collection('quoteMessages').createIndex({ quoteId: 1, createdAt: 1 });
+  await db.collection('quoteMessages').createIndex({ vendorId: 1 });
+}
+
+function isValidDate(value) {
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function roundAmount(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// The other party of a conversation
+function otherSide(side) {
+  return side === 'customer' ? 'vendor' : 'customer';
+}
+
+// Expire quotes whose offer ran out and requests whose event date passed
+// without a quote
+async function expireQuotes() {
+  const now = new Date();
+  const result = await getDb().collection('quotes').updateMany(
+    {
+      $or: [
+        { status: 'quoted', 'offer.expiresAt': { $lte: now } },
+        { status: 'requested', 'request.eventDate': { $lt: today() } },
+      ],
+    },
+    { $set: { status: 'expired', expiredAt: now, updatedAt: now, lastActivityAt: now } }
+  );
+  return result.modifiedCount;
+}
+
+// Expire quotes periodically in the background
+function startQuoteExpiry(intervalMs) {
+  const timer = setInterval(() => {
+    trackJob(expireQuotes())
+      .then((expired) => {
+        if (expired > 0) console.log(`Quote expiry expired ${expired} quotes`);
+      })
+      .catch((error) => console.error('Error expiring quotes:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+// Add a message to a quote's thread and count it as unread for the other
+// party. State changes are posted as system messages by the side that made them.
+async function postMessage(quote, { side, userId, system = false }, body, attachments = []) {
+  const now = new Date();
+  const message = {
+    quoteId: quote._id,
+    vendorId: quote.vendorId,
+    sender: { kind: system ? 'system' : side, ...(!system && { userId }) },
+    body,
+    attachments,
+    createdAt: now,
+  };
+
+  await getDb().collection('quoteMessages').insertOne(message);
+  await getDb().collection('quotes').updateOne(
+    { _id: quote._id },
+    {
+      $inc: { [`unread.${otherSide(side)}`]: 1 },
+      $set: { lastActivityAt: now, lastMessage: { body: body.slice(0, 200), at: now, side } },
+    }
+  );
+
+  return message;
+}
+
+// Unread totals over the quotes one side takes part in
+async function unreadTotals(match, side) {
+  const [totals] = await getDb().collection('quotes').aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        conversations: { $sum: { $cond: [{ $gt: [`$unread.${side}`, 0] }, 1, 0] } },
+        messages: { $sum: `$unread.${side}` },
+      },
+    },
+  ]).toArray();
+
+  return totals ? { conversations: totals.conversations, messages: totals.messages } : { conversations: 0, messages: 0 };
+}
+
+// One page of quotes for an inbox, most recent activity first
+async function listQuotes(match, side, query) {
+  const { status, unread, page = 1, limit = DEFAULT_PAGE_SIZE } = query;
+
+  const filter = { ...match };
+  if (status) filter.status = status;
+  if (unread !== undefined) filter[`unread.${side}`] = unread ? { $gt: 0 } : { $in: [0, null] };
+
+  const [items, total, unreadTotal] = await Promise.all([
+    getDb().collection('quotes')
+      .find(filter)
+      .sort({ lastActivityAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    getDb().collection('quotes').countDocuments(filter),
+    unreadTotals(match, side),
+  ]);
+
+  return { items, page, limit, total, unread: unreadTotal };
+}
+
+// Find the signed-in party of a quote and the quote itself, or send the error
+// response. Customers and vendors share the conversation routes.
+async function loadParticipantQuote(req, res) {
+  let filter;
+  let participant;
+
+  if (req.user.accountType === 'customer') {
+    filter = { customerId: req.user.userId };
+    participant = { side: 'customer', userId: req.user.userId };
+  } else {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      res.status(400).json({ message: 'User not registered or not verified' });
+      return {};
+    }
+
+    filter = { vendorId: user._id };
+    participant = { side: 'vendor', userId: user._id };
+  }
+
+  const quote = await getDb().collection('quotes').findOne({ _id: new ObjectId(req.params.id), ...filter });
+
+  if (!quote) {
+    res.status(404).json({ message: 'Quote not found' });
+    return {};
+  }
+
+  return { quote, participant };
+}
+
+// Load one of the signed-in vendor's quotes, or send the error response
+async function loadVendorQuote(req, res) {
+  const user = await findVerifiedUser(req.user.phoneNumber);
+
+  if (!user) {
+    res.status(400).json({ message: 'User not registered or not verified' });
+    return {};
+  }
+
+  const quote = await getDb().collection('quotes').findOne({ _id: new ObjectId(req.params.id), vendorId: user._id });
+
+  if (!quote) {
+    res.status(404).json({ message: 'Quote not found' });
+    return {};
+  }
+
+  return { quote, user };
+}
+
+// Store message attachments in the private attachments bucket. If any
+// upload fails, the ones already written are removed again.
+async function uploadAttachments(files, userId) {
+  const attachments = [];
+
+  try {
+    for (const file of files || []) {
+      const fileId = await uploadFile(getAttachmentBucket(), file, { userId });
+      attachments.push({ fileId, filename: file.originalname, contentType: file.mimetype, size: file.size });
+    }
+  } catch (error) {
+    await deleteFiles(getAttachmentBucket(), attachments.map((attachment) => attachment.fileId));
+    throw error;
+  }
+
+  return attachments;
+}
+
+function copyFile(fromBucket, toBucket, file) {
+  return new Promise((resolve, reject) => {
+    const uploadStream = toBucket.openUploadStreamWithId(file._id, file.filename, {
+      contentType: file.contentType,
+      metadata: file.metadata,
+    });
+    uploadStream.once('finish', resolve);
+    uploadStream.once('error', reject);
+    fromBucket.openDownloadStream(file._id).once('error', reject).pipe(uploadStream);
+  });
+}
+
+// Move attachments stored in the public uploads bucket by earlier versions
+// into the attachments bucket, keeping their file IDs. Safe to run again
+// after an interruption.
+async function moveLegacyAttachments() {
+  const fileIds = await getDb().collection('quoteMessages').distinct('attachments.fileId');
+  let moved = 0;
+
+  for (let index = 0; index < fileIds.length; index += 500) {
+    const files = await getBucket().find({ _id: { $in: fileIds.slice(index, index + 500) } }).toArray();
+
+    for (const file of files) {
+      // A copy left half written by an earlier run is replaced
+      await deleteFiles(getAttachmentBucket(), [file._id]);
+      await copyFile(getBucket(), getAttachmentBucket(), file);
+      await deleteFiles(getBucket(), [file._id]);
+      moved += 1;
+    }
+  }
+
+  return moved;
+}
+
+// Endpoint for a customer to ask a vendor for a quote on a service
+router.post('/catalog/services/:id/quotes', authenticateCustomer, validate({ params: schemas.idParams, body: quoteRequestBody }), async (req, res) => {
+  const { eventDate, eventType, guestCount, notes } = req.body;
+
+  if (!isValidDate(eventDate)) {
+    return sendValidationError(res, [{ field: 'body.eventDate', message: 'eventDate must be a valid calendar date' }]);
+  }
+
+  if (eventDate < today()) {
+    return sendValidationError(res, [{ field: 'body.eventDate', message: 'eventDate cannot be in the past' }]);
+  }
+
+  try {
+    const service = await getDb().collection('services').findOne({ _id: new ObjectId(req.params.id), ...visibleListingFilter });
+    const vendor = service && await getDb().collection('users').findOne({ _id: service.userId, ...publicVendorFilter });
+
+    if (!service || !vendor) {
+      return res.status(404).json({ message: 'Service not found' });
+    }
+
+    const eventTypes = [].concat(service.selectedEventTypes || []);
+    if (eventTypes.length > 0 && !eventTypes.some((type) => String(type).toLowerCase() === String(eventType).toLowerCase())) {
+      return res.status(400).json({ message: 'Service is not offered for this event type' });
+    }
+
+    const customer = await getDb().collection('customers').findOne({ _id: req.user.userId });
+
+    const now = new Date();
+    const quote = {
+      serviceId: service._id,
+      serviceName: service.serviceName,
+      vendorId: vendor._id,
+      customerId: customer._id,
+      customerName: customer.name || 'Customer',
+      request: { eventDate, eventType, guestCount, notes },
+      status: 'requested',
+      offer: null,
+      unread: { customer: 0, vendor: 0 },
+      createdAt: now,
+      updatedAt: now,
+      lastActivityAt: now,
+    };
+
+    const result = await getDb().collection('quotes').insertOne(quote);
+    quote._id = result.insertedId;
+
+    await postMessage(quote, { side: 'customer', system: true }, `Quote requested for ${guestCount} guests on ${eventDate} (${eventType})`);
+    if (notes) {
+      await postMessage(quote, { side: 'customer', userId: customer._id }, notes);
+    }
+
+    res.status(201).json({ message: 'Quote requested successfully', quoteId: result.insertedId });
+  } catch (error) {
+    console.error('Error requesting quote:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a customer to list their quote requests with unread counts
+router.get('/customer/quotes', authenticateCustomer, validate({ query: quoteListQuery }), async (req, res) => {
+  try {
+    res.status(200).json(await listQuotes({ customerId: req.user.userId }, 'customer', req.query));
+  } catch (error) {
+    console.error('Error retrieving customer quotes:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a customer to accept a quote before it expires
+router.post('/customer/quotes/:id/accept', authenticateCustomer, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const filter = { _id: new ObjectId(req.params.id), customerId: req.user.userId };
+    const now = new Date();
+
+    const quote = await getDb().collection('quotes').findOneAndUpdate(
+      { ...filter, status: 'quoted', 'offer.expiresAt': { $gt: now } },
+      { $set: { status: 'accepted', acceptedAt: now, updatedAt: now } },
+      { returnDocument: 'after' }
+    );
+
+    if (!quote) {
+      const current = await getDb().collection('quotes').findOne(filter);
+
+      if (!current) {
+        return res.status(404).json({ message: 'Quote not found' });
+      }
+
+      if (current.status === 'quoted') {
+        await getDb().collection('quotes').updateOne(
+          { _id: current._id, status: 'quoted' },
+          { $set: { status: 'expired', expiredAt: now, updatedAt: now, lastActivityAt: now } }
+        );
+        return res.status(409).json({ message: 'Quote has expired' });
+      }
+
+      return res.status(409).json({ message: `Quote cannot be accepted while ${current.status}` });
+    }
+
+    await postMessage(quote, { side: 'customer', system: true }, `Quote accepted for a total of ${quote.offer.total}`);
+
+    res.status(200).json({ message: 'Quote accepted successfully' });
+  } catch (error) {
+    console.error('Error accepting quote:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a customer to decline a quote or withdraw their request
+router.post('/customer/quotes/:id/decline', authenticateCustomer, validate({ params: schemas.idParams, body: declineBody }), async (req, res) => {
+  const { reason } = req.body;
+
+  try {
+    const filter = { _id: new ObjectId(req.params.id), customerId: req.user.userId };
+    const now = new Date();
+
+    const quote = await getDb().collection('quotes').findOneAndUpdate(
+      { ...filter, status: { $in: OPEN_QUOTE_STATUSES } },
+      { $set: { status: 'declined', declinedBy: 'customer', declineReason: reason, declinedAt: now, updatedAt: now } },
+      { returnDocument: 'after' }
+    );
+
+    if (!quote) {
+      const current = await getDb().collection('quotes').findOne(filter);
+      if (!current) {
+        return res.status(404).json({ message: 'Quote not found' });
+      }
+      return res.status(409).json({ message: `Quote cannot be declined while ${current.status}` });
+    }
+
+    await postMessage(quote, { side: 'customer', system: true }, reason ? `Quote declined: ${reason}` : 'Quote declined');
+
+    res.status(200).json({ message: 'Quote declined successfully' });
+  } catch (error) {
+    console.error('Error declining quote:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a vendor's quote inbox, most recent activity first, with the
+// number of unread messages per quote and in total
+router.get('/vendor/quotes', authenticateToken, validate({ query: quoteListQuery }), async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    res.status(200).json(await listQuotes({ vendorId: user._id }, 'vendor', req.query));
+  } catch (error) {
+    console.error('Error retrieving vendor quotes:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a vendor to send a priced quote. Sending it again replaces
+// the previous offer until the customer accepts or declines.
+router.post('/vendor/quotes/:id/offer', authenticateToken, validate({ params: schemas.idParams, body: offerBody }), async (req, res) => {
+  const { expiresAt, notes } = req.body;
+
+  try {
+    const { quote } = await loadVendorQuote(req, res);
+    if (!quote) return;
+
+    const lineItems = req.body.lineItems.map((item) => ({
+      ...item,
+      amount: roundAmount(item.quantity * item.unitPrice),
+    }));
+    const now = new Date();
+    const offer = {
+      lineItems,
+      total: roundAmount(lineItems.reduce((sum, item) => sum + item.amount, 0)),
+      notes,
+      expiresAt,
+      quotedAt: now,
+    };
+
+    const updated = await getDb().collection('quotes').findOneAndUpdate(
+      { _id: quote._id, status: { $in: OPEN_QUOTE_STATUSES } },
+      { $set: { status: 'quoted', offer, updatedAt: now } },
+      { returnDocument: 'after' }
+    );
+
+    if (!updated) {
+      return res.status(409).json({ message: `Quote cannot be sent while ${quote.status}` });
+    }
+
+    await postMessage(updated, { side: 'vendor', system: true }, `Quote sent for a total of ${offer.total}`);
+
+    res.status(200).json({ message: 'Quote sent successfully', offer });
+  } catch (error) {
+    console.error('Error sending quote:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a vendor to decline a quote request
+router.post('/vendor/quotes/:id/decline', authenticateToken, validate({ params: schemas.idParams, body: declineBody }), async (req, res) => {
+  const { reason } = req.body;
+
+  try {
+    const { quote } = await loadVendorQuote(req, res);
+    if (!quote) return;
+
+    const now = new Date();
+    const updated = await getDb().collection('quotes').findOneAndUpdate(
+      { _id: quote._id, status: { $in: OPEN_QUOTE_STATUSES } },
+      { $set: { status: 'declined', declinedBy: 'vendor', declineReason: reason, declinedAt: now, updatedAt: now } },
+      { returnDocument: 'after' }
+    );
+
+    if (!updated) {
+      return res.status(409).json({ message: `Quote cannot be declined while ${quote.status}` });
+    }
+
+    await postMessage(updated, { side: 'vendor', system: true }, reason ? `Quote declined: ${reason}` : 'Quote declined');
+
+    res.status(200).json({ message: 'Quote declined successfully' });
+  } catch (error) {
+    console.error('Error declining quote:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for either party to view a quote
+router.get('/quotes/:id', authenticateAnyAccount, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const { quote } = await loadParticipantQuote(req, res);
+    if (!quote) return;
+
+    res.status(200).json(quote);
+  } catch (error) {
+    console.error('Error retrieving quote:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for either party to read a quote's conversation, oldest first.
+// Reading it marks the conversation as read for that party.
+router.get('/quotes/:id/messages', authenticateAnyAccount, validate({ params: schemas.idParams, query: messageListQuery }), async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+
+  try {
+    const { quote, participant } = await loadParticipantQuote(req, res);
+    if (!quote) return;
+
+    const filter = { quoteId: quote._id };
+    const [items, total] = await Promise.all([
+      getDb().collection('quoteMessages')
+        .find(filter)
+        .project({ vendorId: 0 })
+        .sort({ createdAt: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      getDb().collection('quoteMessages').countDocuments(filter),
+    ]);
+
+    await getDb().collection('quotes').updateOne(
+      { _id: quote._id },
+      { $set: { [`unread.${participant.side}`]: 0, [`lastReadAt.${participant.side}`]: new Date() } }
+    );
+
+    res.status(200).json({ items, page, limit, total });
+  } catch (error) {
+    console.error('Error retrieving quote messages:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for either party to post a message with optional attachments
+// (images, videos or PDFs)
+router.post('/quotes/:id/messages', authenticateAnyAccount, upload.array('attachments', MAX_ATTACHMENTS), validate({ params: schemas.idParams, body: messageBody }), async (req, res) => {
+  const { body = '' } = req.body;
+  const files = req.files || [];
+
+  if (!body && files.length === 0) {
+    return sendValidationError(res, [{ field: 'body.body', message: 'body or attachments are required' }]);
+  }
+
+  if (files.some((file) => !ATTACHMENT_TYPES.some((type) => type.test(file.mimetype)))) {
+    return sendValidationError(res, [{ field: 'attachments', message: 'attachments must be images, videos or PDFs' }]);
+  }
+
+  try {
+    const { quote, participant } = await loadParticipantQuote(req, res);
+    if (!quote) return;
+
+    const attachments = await uploadAttachments(files, participant.userId);
+    let message;
+    try {
+      message = await postMessage(quote, participant, body, attachments);
+    } catch (postError) {
+      await deleteFiles(getAttachmentBucket(), attachments.map((attachment) => attachment.fileId));
+      throw postError;
+    }
+
+    res.status(201).json({ message: 'Message sent successfully', messageId: message._id, attachments });
+  } catch (error) {
+    console.error('Error sending quote message:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for either party to download an attachment from their conversation
+router.get('/quotes/:id/attachments/:fileId', authenticateAnyAccount, validate({ params: attachmentParams }), async (req, res) => {
+  try {
+    const { quote } = await loadParticipantQuote(req, res);
+    if (!quote) return;
+
+    const attached = await getDb().collection('quoteMessages').countDocuments(
+      { quoteId: quote._id, 'attachments.fileId': new ObjectId(req.params.fileId) },
+      { limit: 1 }
+    );
+
+    if (!attached) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    // Attachments not moved out of the uploads bucket yet are read from there
+    const fileId = new ObjectId(req.params.fileId);
+    const moved = await getAttachmentBucket().find({ _id: fileId }).limit(1).hasNext();
+
+    await sendGridFSFile(moved ? getAttachmentBucket() : getBucket(), req, res, {
+      fileId: req.params.fileId,
+      notFoundMessage: 'Attachment not found',
+      fallbackContentType: 'application/octet-stream',
+      cacheControl: 'private, no-store',
+    });
+  } catch (error) {
+    console.error('Error retrieving attachment:', error);
+    if (!res.headersSent) res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = {
+  router,
+  ensureQuoteIndexes,
+  moveLegacyAttachments,
+  startQuoteExpiry,
+};
@@ -0,0 +1,336 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { authenticateToken, authenticateCustomer, findVerifiedUser } = require('./auth');
+const { publicVendorFilter, visibleListingFilter } = require('./catalog');
+const { upload, getBucket, uploadFiles, deleteFiles } = require('./media');
+const { Joi, schemas, validate, sendValidationError } = require('./validation');
+
+const router = express.Router();
+
+// What can be reviewed, by the path segment used in the review routes
+const REVIEW_TARGETS = {
+  products: { type: 'product', collection: 'products', label: 'Product' },
+  services: { type: 'service', collection: 'services', label: 'Service' },
+  vendors: { type: 'vendor', collection: 'users', label: 'Vendor' },
+};
+
+const TARGET_COLLECTIONS = {
+  product: 'products',
+  service: 'services',
+  vendor: 'users',
+};
+
+const MAX_PHOTOS = 5;
+const DEFAULT_PAGE_SIZE = 20;
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  highest: { rating: -1, createdAt: -1, _id: -1 },
+  lowest: { rating: 1, createdAt: -1, _id: -1 },
+};
+
+const reviewFields = {
+  rating: Joi.number().integer().min(1).max(5),
+  title: Joi.string().trim().max(200),
+  body: Joi.string().trim().max(5000),
+};
+
+const reviewBody = Joi.object({ ...reviewFields, rating: reviewFields.rating.required() });
+const reviewUpdateBody = Joi.object(reviewFields).min(1);
+const replyBody = Joi.object({ body: Joi.string().trim().min(1).max(5000).required() });
+
+const reviewListQuery = Joi.object({
+  sort: Joi.string().valid(...Object.keys(REVIEW_SORTS)).default('newest'),
+  ...schemas.paging,
+});
+
+const vendorReviewQuery = Joi.object({
+  targetType: Joi.string().valid(...Object.keys(TARGET_COLLECTIONS)),
+  replied: Joi.boolean(),
+  ...schemas.paging,
+});
+
+// What the public sees of a review
+const publicReviewFields = {
+  targetType: 1,
+  targetId: 1,
+  rating: 1,
+  title: 1,
+  body: 1,
+  photos: 1,
+  customerName: 1,
+  reply: 1,
+  createdAt: 1,
+  updatedAt: 1,
+};
+
+async function ensureReviewIndexes(db) {
+  // One review per customer per item
+  await db.collection('reviews').createIndex({ customerId: 1, targetType: 1, targetId: 1 }, { unique: true });
+  await db.collection('reviews').createIndex({ targetType: 1, targetId: 1, createdAt: -1 });
+  await db.collection('reviews').createIndex({ vendorId: 1, createdAt: -1 });
+  for (const collectionName of Object.values(TARGET_COLLECTIONS)) {
+    await db.collection(collectionName).createIndex({ 'rating.average': -1, 'rating.count': -1 });
+  }
+}
+
+// Find a reviewable item and the vendor it belongs to. Only items customers
+// can see in the catalog can be reviewed.
+async function findReviewTarget(target, id) {
+  const _id = new ObjectId(id);
+
+  if (target.type === 'vendor') {
+    const vendor = await getDb().collection('users').findOne({ _id, ...publicVendorFilter, role: { $ne: 'admin' } });
+    return vendor ? { vendorId: vendor._id } : null;
+  }
+
+  const listing = await getDb().collection(target.collection).findOne({ _id, ...visibleListingFilter });
+  if (!listing) return null;
+
+  const vendor = await getDb().collection('users').findOne({ _id: listing.userId, ...publicVendorFilter });
+  return vendor ? { vendorId: vendor._id } : null;
+}
+
+// Recompute and store the average rating and review count of a document
+async function storeRating(collectionName, _id, match) {
+  const [stats] = await getDb().collection('reviews').aggregate([
+    { $match: match },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+  ]).toArray();
+
+  const rating = stats
+    ? { average: Math.round(stats.average * 100) / 100, count: stats.count }
+    : { average: null, count: 0 };
+
+  await getDb().collection(collectionName).updateOne({ _id }, { $set: { rating } });
+}
+
+// Refresh the ratings a review counts towards: its product or service, and
+// its vendor. A vendor's rating covers the reviews of the vendor and of all
+// of their listings.
+async function refreshRatings({ targetType, targetId, vendorId }) {
+  if (targetType !== 'vendor') {
+    await storeRating(TARGET_COLLECTIONS[targetType], targetId, { targetType, targetId });
+  }
+  await storeRating('users', vendorId, { vendorId });
+}
+
+function registerReviewRoutes(path) {
+  const target = REVIEW_TARGETS[path];
+
+  // Endpoint to list the public reviews of a product, service or vendor
+  router.get(`/catalog/${path}/:id/reviews`, validate({ params: schemas.idParams, query: reviewListQuery }), async (req, res) => {
+    const { sort, page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+
+    try {
+      if (!(await findReviewTarget(target, req.params.id))) {
+        return res.status(404).json({ message: `${target.label} not found` });
+      }
+
+      const filter = { targetType: target.type, targetId: new ObjectId(req.params.id) };
+      const [items, total] = await Promise.all([
+        getDb().collection('reviews')
+          .find(filter)
+          .project(publicReviewFields)
+          .sort(REVIEW_SORTS[sort])
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .toArray(),
+        getDb().collection('reviews').countDocuments(filter),
+      ]);
+
+      res.status(200).json({ items, page, limit, total });
+    } catch (error) {
+      console.error('Error retrieving reviews:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+
+  // Endpoint for a customer to review a product, service or vendor, with optional photos
+  router.post(`/catalog/${path}/:id/reviews`, authenticateCustomer, upload.array('photos', MAX_PHOTOS), validate({ params: schemas.idParams, body: reviewBody }), async (req, res) => {
+    const { rating, title, body } = req.body;
+
+    if ((req.files || []).some((file) => !file.mimetype.startsWith('image/'))) {
+      return sendValidationError(res, [{ field: 'photos', message: 'photos must be images' }]);
+    }
+
+    try {
+      const reviewTarget = await findReviewTarget(target, req.params.id);
+
+      if (!reviewTarget) {
+        return res.status(404).json({ message: `${target.label} not found` });
+      }
+
+      const customer = await getDb().collection('customers').findOne({ _id: req.user.userId });
+      const { images: photos } = await uploadFiles(getBucket(), req.files, customer._id);
+
+      const now = new Date();
+      const review = {
+        targetType: target.type,
+        targetId: new ObjectId(req.params.id),
+        vendorId: reviewTarget.vendorId,
+        customerId: customer._id,
+        customerName: customer.name || 'Customer',
+        rating,
+        title,
+        body,
+        photos,
+        reply: null,
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      let result;
+      try {
+        result = await getDb().collection('reviews').insertOne(review);
+      } catch (insertError) {
+        await deleteFiles(getBucket(), photos);
+        if (insertError.code === 11000) {
+          return res.status(409).json({ message: `You have already reviewed this ${target.type}` });
+        }
+        throw insertError;
+      }
+
+      await refreshRatings(review);
+
+      res.status(201).json({ message: 'Review posted successfully', reviewId: result.insertedId });
+    } catch (error) {
+      console.error('Error posting review:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  });
+}
+
+registerReviewRoutes('products');
+registerReviewRoutes('services');
+registerReviewRoutes('vendors');
+
+// Endpoint for a customer to list their own reviews
+router.get('/customer/reviews', authenticateCustomer, async (req, res) => {
+  try {
+    const reviews = await getDb().collection('reviews')
+      .find({ customerId: req.user.userId })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.status(200).json(reviews);
+  } catch (error) {
+    console.error('Error retrieving customer reviews:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a customer to edit the rating or text of their review
+router.put('/customer/reviews/:id', authenticateCustomer, validate({ params: schemas.idParams, body: reviewUpdateBody }), async (req, res) => {
+  try {
+    const review = await getDb().collection('reviews').findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), customerId: req.user.userId },
+      { $set: { ...req.body, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    if (req.body.rating !== undefined) {
+      await refreshRatings(review);
+    }
+
+    res.status(200).json({ message: 'Review updated successfully' });
+  } catch (error) {
+    console.error('Error updating review:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a customer to delete their review and its photos
+router.delete('/customer/reviews/:id', authenticateCustomer, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const review = await getDb().collection('reviews').findOneAndDelete({
+      _id: new ObjectId(req.params.id),
+      customerId: req.user.userId,
+    });
+
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    await deleteFiles(getBucket(), review.photos || []);
+    await refreshRatings(review);
+
+    res.status(200).json({ message: 'Review deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a vendor to list the reviews of their business and listings
+router.get('/vendor/reviews', authenticateToken, validate({ query: vendorReviewQuery }), async (req, res) => {
+  const { targetType, replied, page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const filter = { vendorId: user._id };
+    if (targetType) filter.targetType = targetType;
+    if (replied !== undefined) filter.reply = replied ? { $ne: null } : null;
+
+    const [items, total] = await Promise.all([
+      getDb().collection('reviews')
+        .find(filter)
+        .project(publicReviewFields)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      getDb().collection('reviews').countDocuments(filter),
+    ]);
+
+    res.status(200).json({ items, page, limit, total });
+  } catch (error) {
+    console.error('Error retrieving vendor reviews:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint for a vendor to post their one public reply to a review
+router.post('/vendor/reviews/:id/reply', authenticateToken, validate({ params: schemas.idParams, body: replyBody }), async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const filter = { _id: new ObjectId(req.params.id), vendorId: user._id };
+    const result = await getDb().collection('reviews').updateOne(
+      { ...filter, reply: null },
+      { $set: { reply: { body: req.body.body, createdAt: new Date() } } }
+    );
+
+    if (result.matchedCount === 0) {
+      const exists = await getDb().collection('reviews').countDocuments(filter, { limit: 1 });
+      if (!exists) {
+        return res.status(404).json({ message: 'Review not found' });
+      }
+      return res.status(409).json({ message: 'You have already replied to this review' });
+    }
+
+    res.status(201).json({ message: 'Reply posted successfully' });
+  } catch (error) {
+    console.error('Error replying to review:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = {
+  router,
+  ensureReviewIndexes,
+};
@@ -0,0 +1,167 @@
+require('dotenv').config(); // Load environment variables from .env file
+
+const { connectToDb, closeDb } = require('./db');
+const { trackJob, waitForJobs } = require('./jobs');
+const { createApp } = require('./app');
+const { ensureSessionIndexes, ensureAdminRoles } = require('./auth');
+const { ensureOtpIndexes } = require('./otp');
+const { ensureListingIndexes, normalizeListingPrices } = require('./listings');
+const { ensureVersionIndexes } = require('./versions');
+const { ensureRateLimitIndexes } = require('./throttle');
+const catalog = require('./catalog');
+const bookings = require('./bookings');
+const orders = require('./orders');
+const media = require('./media');
+const taxonomy = require('./taxonomy');
+const inventory = require('./inventory');
+const customers = require('./customers');
+const reviews = require('./reviews');
+const history = require('./history');
+const webhooks = require('./webhooks');
+const quotes = require('./quotes');
+const publishing = require('./publishing');
+const health = require('./health');
+const analytics = require('./analytics');
+const promotions = require('./promotions');
+
+const PORT = Number(process.env.PORT || 3001);
+
+// How long a shutdown waits for in-flight requests and uploads before
+// closing their connections
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_SECONDS || 30) * 1000;
+
+function ensureIndexes(db) {
+  return Promise.all([
+    catalog.ensureCatalogIndexes(db),
+    bookings.ensureBookingIndexes(db),
+    orders.ensureOrderIndexes(db),
+    ensureOtpIndexes(db),
+    ensureSessionIndexes(db),
+    ensureAdminRoles(db),
+    taxonomy.ensureTaxonomyIndexes(db),
+    ensureListingIndexes(db),
+    inventory.ensureInventoryIndexes(db),
+    customers.ensureCustomerIndexes(db),
+    reviews.ensureReviewIndexes(db),
+    ensureVersionIndexes(db),
+    history.ensureTrashIndexes(db),
+    ensureRateLimitIndexes(db),
+    webhooks.ensureWebhookIndexes(db),
+    quotes.ensureQuoteIndexes(db),
+    publishing.ensurePublishingIndexes(db),
+    analytics.ensureAnalyticsIndexes(db),
+    promotions.ensurePromotionIndexes(db),
+  ]);
+}
+
+// Start the background jobs and return their timers
+function startBackgroundJobs() {
+  return [
+    media.startMediaSweep(Number(process.env.MEDIA_SWEEP_INTERVAL_HOURS || 24) * 60 * 60 * 1000),
+    history.startTrashPurge(Number(process.env.TRASH_PURGE_INTERVAL_HOURS || 24) * 60 * 60 * 1000),
+    webhooks.startWebhookDelivery(Number(process.env.WEBHOOK_DELIVERY_INTERVAL_SECONDS || 10) * 1000),
+    quotes.startQuoteExpiry(Number(process.env.QUOTE_EXPIRY_INTERVAL_MINUTES || 15) * 60 * 1000),
+    publishing.startListingScheduler(Number(process.env.LISTING_SCHEDULER_INTERVAL_SECONDS || 60) * 1000),
+    analytics.startAnalyticsFlush(Number(process.env.ANALYTICS_FLUSH_INTERVAL_SECONDS || 10) * 1000),
+  ];
+}
+
+// Stop taking traffic, let in-flight requests, uploads and background job runs
+// finish, write the analytics counted so far, then close the MongoDB client.
+// Connections still open after SHUTDOWN_TIMEOUT_SECONDS are closed, and job
+// runs get the same time again.
+function shutdown(server, timers, signal) {
+  console.log(`${signal} received, shutting down`);
+  health.markDraining();
+  timers.forEach(clearInterval);
+
+  const forceClose = setTimeout(() => {
+    console.error('Requests still running after the shutdown timeout, closing their connections');
+    server.closeAllConnections();
+  }, SHUTDOWN_TIMEOUT_MS);
+  forceClose.unref();
+
+  server.close(async (error) => {
+    clearTimeout(forceClose);
+    let exitCode = 0;
+
+    if (error) {
+      console.error('Error closing server:', error);
+      exitCode = 1;
+    }
+
+    const unfinished = await waitForJobs(SHUTDOWN_TIMEOUT_MS);
+    if (unfinished > 0) {
+      console.error(`${unfinished} background job runs still running after the shutdown timeout`);
+    }
+
+    try {
+      await analytics.flushAnalytics();
+    } catch (flushError) {
+      console.error('Error writing analytics:', flushError);
+    }
+
+    try {
+      await closeDb();
+      console.log('Database connection closed');
+    } catch (closeError) {
+      console.error('Error closing database connection:', closeError);
+      exitCode = 1;
+    }
+
+    process.exit(exitCode);
+  });
+
+  // Keep-alive connections with no request in flight are closed right away
+  server.closeIdleConnections();
+}
+
+// Connect to the database, then serve the app on PORT until SIGTERM or SIGINT
+async function startServer() {
+  let db;
+  try {
+    db = await connectToDb();
+  } catch (error) {
+    console.error('Error connecting to database:', error);
+    process.exit(1);
+  }
+
+  const app = createApp({ db });
+
+  ensureIndexes(db).catch((indexErr) => {
+    console.error('Error creating indexes:', indexErr);
+  });
+  trackJob(quotes.moveLegacyAttachments())
+    .then((moved) => {
+      if (moved > 0) console.log(`Moved ${moved} quote attachments to the attachments bucket`);
+    })
+    .catch((moveErr) => console.error('Error moving quote attachments:', moveErr));
+  trackJob(normalizeListingPrices(db))
+    .then((converted) => {
+      if (converted > 0) console.log(`Converted ${converted} listing prices stored as strings to numbers`);
+    })
+    .catch((priceErr) => console.error('Error converting listing prices:', priceErr));
+  const timers = startBackgroundJobs();
+
+  const server = app.listen(PORT, () => {
+    health.markReady();
+    console.log(`App is listening on port ${PORT}`);
+  });
+
+  let stopping = false;
+  const onSignal = (signal) => {
+    if (stopping) return;
+    stopping = true;
+    shutdown(server, timers, signal);
+  };
+  process.on('SIGTERM', onSignal);
+  process.on('SIGINT', onSignal);
+
+  return server;
+}
+
+module.exports = { startServer, ensureIndexes };
+
+if (require.main === module) {
+  startServer();
+}
@@ -0,0 +1,92 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { authenticateAnyAccount, rotateSession, revokeSessions } = require('./auth');
+const { Joi, schemas, validate } = require('./validation');
+
+const refreshBody = Joi.object({ refreshToken: Joi.string().max(200).required() });
+
+const router = express.Router();
+
+// Endpoint to exchange a refresh token for a new access token
+router.post('/refresh', validate({ body: refreshBody }), async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    const tokens = await rotateSession(refreshToken, req);
+
+    if (!tokens) {
+      return res.status(401).json({ message: 'Refresh token is invalid or expired' });
+    }
+
+    res.status(200).json({ token: tokens.token, refreshToken: tokens.refreshToken });
+  } catch (error) {
+    console.error('Error refreshing session:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to log out of the current session
+router.post('/logout', authenticateAnyAccount, async (req, res) => {
+  try {
+    await revokeSessions({ _id: req.authSession._id }, 'logout');
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to log out of every device
+router.post('/logout-all', authenticateAnyAccount, async (req, res) => {
+  try {
+    const revoked = await revokeSessions({ userId: req.authSession.userId }, 'logout_all');
+    res.status(200).json({ message: 'Logged out of all devices', revoked });
+  } catch (error) {
+    console.error('Error logging out of all devices:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to list the active sessions of the logged in user
+router.get('/sessions', authenticateAnyAccount, async (req, res) => {
+  try {
+    const sessions = await getDb().collection('sessions')
+      .find({ userId: req.authSession.userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .project({ device: 1, createdAt: 1, lastSeenAt: 1, expiresAt: 1 })
+      .sort({ lastSeenAt: -1 })
+      .toArray();
+
+    res.status(200).json(sessions.map((session) => ({
+      ...session,
+      current: String(session._id) === String(req.authSession._id),
+    })));
+  } catch (error) {
+    console.error('Error retrieving sessions:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to revoke one of the logged in user's sessions
+router.delete('/sessions/:id', authenticateAnyAccount, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const revoked = await revokeSessions({ _id: new ObjectId(req.params.id), userId: req.authSession.userId }, 'revoked');
+
+    if (revoked === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.status(200).json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = {
+  router,
+};
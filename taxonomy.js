@@ -0,0 +1,397 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { authenticateToken, requireAdmin } = require('./auth');
+const { Joi, schemas, validate } = require('./validation');
+const { recordVersion } = require('./versions');
+
+const router = express.Router();
+
+// Which listing collection and fields each kind of category is used by
+const CATEGORY_KINDS = {
+  product: { collection: 'products', categoryField: 'productCategory', subcategoryField: 'productSubcategory' },
+  service: { collection: 'services', categoryField: 'serviceCategory' },
+};
+
+const categoryBody = Joi.object({
+  kind: Joi.string().valid(...Object.keys(CATEGORY_KINDS)).required(),
+  name: Joi.string().trim().max(100).required(),
+  slug: Joi.string().trim().lowercase().pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/),
+  parentId: schemas.objectId.allow(null),
+  aliases: Joi.array().items(Joi.string().trim().max(100)),
+  order: Joi.number().integer(),
+});
+
+const categoryUpdateBody = Joi.object({
+  name: Joi.string().trim().max(100),
+  aliases: Joi.array().items(Joi.string().trim().max(100)),
+  order: Joi.number().integer(),
+}).min(1);
+
+const eventTypeBody = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  slug: Joi.string().trim().lowercase().pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/),
+  aliases: Joi.array().items(Joi.string().trim().max(100)),
+  order: Joi.number().integer(),
+});
+
+const eventTypeUpdateBody = categoryUpdateBody;
+
+const migrateBody = Joi.object({ dryRun: Joi.boolean().default(true) });
+
+async function ensureTaxonomyIndexes(db) {
+  await db.collection('categories').createIndex({ kind: 1, parentId: 1, slug: 1 }, { unique: true });
+  await db.collection('eventTypes').createIndex({ slug: 1 }, { unique: true });
+}
+
+function slugify(value) {
+  return String(value)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// An entry matches a value by slug, name or one of its aliases
+function matchesEntry(entry, value) {
+  const slug = slugify(value);
+  return entry.slug === slug
+    || slugify(entry.name) === slug
+    || (entry.aliases || []).some((alias) => slugify(alias) === slug);
+}
+
+async function loadTaxonomy() {
+  const [categories, eventTypes] = await Promise.all([
+    getDb().collection('categories').find().sort({ order: 1, name: 1 }).toArray(),
+    getDb().collection('eventTypes').find().sort({ order: 1, name: 1 }).toArray(),
+  ]);
+  return { categories, eventTypes };
+}
+
+function buildTree(categories, kind) {
+  const ofKind = categories.filter((category) => category.kind === kind);
+  const toNode = (category) => ({
+    _id: category._id,
+    name: category.name,
+    slug: category.slug,
+    children: ofKind.filter((child) => String(child.parentId) === String(category._id)).map(toNode),
+  });
+  return ofKind.filter((category) => !category.parentId).map(toNode);
+}
+
+// Pick the taxonomy fields to check for a create (no existing listing) or an
+// update. A subcategory is checked again when its category changes.
+function taxonomyFieldsToCheck(kind, body, existing) {
+  const { categoryField, subcategoryField } = CATEGORY_KINDS[kind];
+  const fields = {};
+
+  const categoryGiven = body[categoryField] !== undefined;
+  const subcategoryGiven = subcategoryField && body[subcategoryField] !== undefined;
+
+  if (categoryGiven || subcategoryGiven) {
+    fields[categoryField] = categoryGiven ? body[categoryField] : existing[categoryField];
+  }
+  if (subcategoryGiven) {
+    fields[subcategoryField] = body[subcategoryField];
+  } else if (subcategoryField && categoryGiven && existing[subcategoryField]) {
+    fields[subcategoryField] = existing[subcategoryField];
+  }
+  if (body.selectedEventTypes !== undefined) {
+    fields.selectedEventTypes = body.selectedEventTypes;
+  }
+
+  return fields;
+}
+
+// Map the category, subcategory and event type values of a listing body onto
+// taxonomy slugs. Returns { value, errors }; value only holds the fields that
+// need to be written.
+async function resolveListingTaxonomy(kind, body, existing = {}, taxonomy = null) {
+  const { categories, eventTypes } = taxonomy || await loadTaxonomy();
+  const { categoryField, subcategoryField } = CATEGORY_KINDS[kind];
+  const fields = taxonomyFieldsToCheck(kind, body, existing);
+  const value = {};
+  const errors = [];
+
+  const topLevel = categories.filter((category) => category.kind === kind && !category.parentId);
+  let category;
+
+  if (fields[categoryField] !== undefined) {
+    category = topLevel.find((entry) => matchesEntry(entry, fields[categoryField]));
+    if (category) {
+      value[categoryField] = category.slug;
+    } else {
+      errors.push({ field: `body.${categoryField}`, message: `${fields[categoryField]} is not a known ${kind} category` });
+    }
+  }
+
+  if (subcategoryField && fields[subcategoryField] !== undefined) {
+    if (!category) {
+      errors.push({ field: `body.${subcategoryField}`, message: `${subcategoryField} needs a valid ${categoryField}` });
+    } else {
+      const subcategory = categories.find((entry) => String(entry.parentId) === String(category._id)
+        && matchesEntry(entry, fields[subcategoryField]));
+      if (subcategory) {
+        value[subcategoryField] = subcategory.slug;
+      } else {
+        errors.push({ field: `body.${subcategoryField}`, message: `${fields[subcategoryField]} is not a subcategory of ${category.name}` });
+      }
+    }
+  }
+
+  if (fields.selectedEventTypes !== undefined) {
+    value.selectedEventTypes = [];
+    [].concat(fields.selectedEventTypes).forEach((eventTypeValue, index) => {
+      const eventType = eventTypes.find((entry) => matchesEntry(entry, eventTypeValue));
+      if (eventType) {
+        if (!value.selectedEventTypes.includes(eventType.slug)) value.selectedEventTypes.push(eventType.slug);
+      } else {
+        errors.push({ field: `body.selectedEventTypes.${index}`, message: `${eventTypeValue} is not a known event type` });
+      }
+    });
+  }
+
+  return { value, errors };
+}
+
+// Endpoint to read the category tree and event types
+router.get('/taxonomy', async (req, res) => {
+  try {
+    const { categories, eventTypes } = await loadTaxonomy();
+
+    res.status(200).json({
+      productCategories: buildTree(categories, 'product'),
+      serviceCategories: buildTree(categories, 'service'),
+      eventTypes: eventTypes.map(({ _id, name, slug }) => ({ _id, name, slug })),
+    });
+  } catch (error) {
+    console.error('Error retrieving taxonomy:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+router.use('/admin/taxonomy', authenticateToken, requireAdmin);
+
+// Endpoint to create a category or subcategory
+router.post('/admin/taxonomy/categories', validate({ body: categoryBody }), async (req, res) => {
+  const { kind, name, parentId, aliases = [], order = 0 } = req.body;
+  const slug = req.body.slug || slugify(name);
+
+  try {
+    let parent = null;
+
+    if (parentId) {
+      parent = await getDb().collection('categories').findOne({ _id: new ObjectId(parentId), kind });
+
+      // Categories are two levels deep: category and subcategory
+      if (!parent || parent.parentId) {
+        return res.status(400).json({ message: 'parentId must be a top-level category of the same kind' });
+      }
+    }
+
+    const result = await getDb().collection('categories').insertOne({
+      kind,
+      name,
+      slug,
+      parentId: parent ? parent._id : null,
+      aliases,
+      order,
+      createdAt: new Date(),
+    });
+
+    res.status(201).json({ message: 'Category created successfully', categoryId: result.insertedId, slug });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A category with this slug already exists here' });
+    }
+    console.error('Error creating category:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to rename a category or change its aliases and order. Slugs never
+// change, since listings store them.
+router.put('/admin/taxonomy/categories/:id', validate({ params: schemas.idParams, body: categoryUpdateBody }), async (req, res) => {
+  try {
+    const result = await getDb().collection('categories').updateOne(
+      { _id: new ObjectId(req.params.id) },
+      { $set: req.body }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    res.status(200).json({ message: 'Category updated successfully' });
+  } catch (error) {
+    console.error('Error updating category:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to delete a category that has no subcategories and no listings
+router.delete('/admin/taxonomy/categories/:id', validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const category = await getDb().collection('categories').findOne({ _id: new ObjectId(req.params.id) });
+
+    if (!category) {
+      return res.status(404).json({ message: 'Category not found' });
+    }
+
+    const children = await getDb().collection('categories').countDocuments({ parentId: category._id });
+
+    if (children > 0) {
+      return res.status(409).json({ message: 'Delete the subcategories first' });
+    }
+
+    const { collection, categoryField, subcategoryField } = CATEGORY_KINDS[category.kind];
+    let inUseFilter = { [categoryField]: category.slug };
+
+    if (category.parentId) {
+      const parent = await getDb().collection('categories').findOne({ _id: category.parentId });
+      inUseFilter = { [categoryField]: parent && parent.slug, [subcategoryField]: category.slug };
+    }
+
+    const listings = await getDb().collection(collection).countDocuments(inUseFilter);
+
+    if (listings > 0) {
+      return res.status(409).json({ message: `Category is used by ${listings} listings` });
+    }
+
+    await getDb().collection('categories').deleteOne({ _id: category._id });
+
+    res.status(200).json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to create an event type
+router.post('/admin/taxonomy/event-types', validate({ body: eventTypeBody }), async (req, res) => {
+  const { name, aliases = [], order = 0 } = req.body;
+  const slug = req.body.slug || slugify(name);
+
+  try {
+    const result = await getDb().collection('eventTypes').insertOne({ name, slug, aliases, order, createdAt: new Date() });
+    res.status(201).json({ message: 'Event type created successfully', eventTypeId: result.insertedId, slug });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'An event type with this slug already exists' });
+    }
+    console.error('Error creating event type:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to rename an event type or change its aliases and order
+router.put('/admin/taxonomy/event-types/:id', validate({ params: schemas.idParams, body: eventTypeUpdateBody }), async (req, res) => {
+  try {
+    const result = await getDb().collection('eventTypes').updateOne(
+      { _id: new ObjectId(req.params.id) },
+      { $set: req.body }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Event type not found' });
+    }
+
+    res.status(200).json({ message: 'Event type updated successfully' });
+  } catch (error) {
+    console.error('Error updating event type:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to delete an event type no service uses
+router.delete('/admin/taxonomy/event-types/:id', validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const eventType = await getDb().collection('eventTypes').findOne({ _id: new ObjectId(req.params.id) });
+
+    if (!eventType) {
+      return res.status(404).json({ message: 'Event type not found' });
+    }
+
+    const services = await getDb().collection('services').countDocuments({ selectedEventTypes: eventType.slug });
+
+    if (services > 0) {
+      return res.status(409).json({ message: `Event type is used by ${services} services` });
+    }
+
+    await getDb().collection('eventTypes').deleteOne({ _id: eventType._id });
+
+    res.status(200).json({ message: 'Event type deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting event type:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to map free-text categories and event types of existing listings
+// onto the taxonomy. With dryRun (the default) nothing is written; the
+// response lists what would change and which values could not be mapped, so
+// admins can add categories or aliases and run it again.
+router.post('/admin/taxonomy/migrate', validate({ body: migrateBody }), async (req, res) => {
+  const { dryRun } = req.body;
+
+  try {
+    const taxonomy = await loadTaxonomy();
+    const report = {};
+
+    for (const [kind, { collection, categoryField, subcategoryField }] of Object.entries(CATEGORY_KINDS)) {
+      const fields = [categoryField, subcategoryField, kind === 'service' && 'selectedEventTypes'].filter(Boolean);
+      const projection = Object.fromEntries(fields.map((field) => [field, 1]));
+      const unmapped = {};
+      let updated = 0;
+
+      // Full documents are read so each migrated listing gets a version snapshot
+      for await (const listing of getDb().collection(collection).find({}, { projection: dryRun ? projection : undefined })) {
+        const given = {};
+        for (const field of fields) {
+          if (listing[field] !== undefined && listing[field] !== null && listing[field] !== '') given[field] = listing[field];
+        }
+
+        const { value, errors } = await resolveListingTaxonomy(kind, given, {}, taxonomy);
+
+        errors.forEach(({ message }) => {
+          unmapped[message] = (unmapped[message] || 0) + 1;
+        });
+
+        // A field with any value that could not be mapped is left as it is, so
+        // a list of event types is not cut down to the ones that mapped
+        const unmappedFields = new Set(errors.map(({ field }) => field.split('.')[1]));
+        const changes = Object.entries(value)
+          .filter(([field, slug]) => !unmappedFields.has(field) && JSON.stringify(listing[field]) !== JSON.stringify(slug));
+
+        if (changes.length > 0) {
+          updated += 1;
+          if (!dryRun) {
+            const update = Object.fromEntries(changes);
+            await getDb().collection(collection).updateOne({ _id: listing._id }, { $set: update });
+            await recordVersion(collection, listing, { ...listing, ...update }, {
+              action: 'update',
+              by: { kind: 'admin', userId: req.user.userId },
+            });
+          }
+        }
+      }
+
+      report[collection] = { updated, unmapped };
+    }
+
+    res.status(200).json({ dryRun, report });
+  } catch (error) {
+    console.error('Error migrating listings to taxonomy:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = {
+  router,
+  ensureTaxonomyIndexes,
+  loadTaxonomy,
+  resolveListingTaxonomy,
+  matchesEntry,
+  slugify,
+};
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startApp } = require('./helpers/app');
+
+// An admin and a vendor waiting for review
+async function setup(t) {
+  const app = await startApp();
+  t.after(app.close);
+
+  const { token: adminToken } = await app.addVendor({ role: 'admin' });
+  const { vendor, token: vendorToken } = await app.addVendor({ reviewStatus: 'pending', email: 'vendor@example.com' });
+
+  return { app, adminToken, vendor, vendorToken };
+}
+
+function vendorAction(app, token, vendorId, action, body = {}) {
+  return app.request('POST', `/admin/vendors/${vendorId}/${action}`, { token, body });
+}
+
+function catalogNames(app) {
+  return app.request('GET', '/catalog/products').then((response) => response.body.items.map((item) => item.productName));
+}
+
+test('admin routes are only open to admins', async (t) => {
+  const { app, vendorToken } = await setup(t);
+
+  assert.equal((await app.request('GET', '/admin/vendors')).status, 401);
+
+  const response = await app.request('GET', '/admin/vendors', { token: vendorToken });
+  assert.equal(response.status, 403);
+  assert.equal(response.body.message, 'Admin access required');
+});
+
+test('admins review pending vendors and approve them into the catalog', async (t) => {
+  const { app, adminToken, vendor } = await setup(t);
+  await app.db.collection('products').insertOne({ userId: vendor._id, productName: 'Lamp', price: 100 });
+
+  const pending = await app.request('GET', '/admin/vendors', { token: adminToken });
+  assert.equal(pending.status, 200);
+  assert.deepEqual(pending.body.map((entry) => [entry.businessName, entry.email]), [['Bright Events', 'vendor@example.com']]);
+
+  const details = await app.request('GET', `/admin/vendors/${vendor._id}`, { token: adminToken });
+  assert.deepEqual(details.body.listingCounts, { products: 1, services: 0 });
+
+  assert.deepEqual(await catalogNames(app), []);
+
+  const approved = await vendorAction(app, adminToken, vendor._id, 'approve', { reason: 'Documents checked' });
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.reviewStatus, 'approved');
+
+  assert.deepEqual(await catalogNames(app), ['Lamp']);
+  const stored = await app.db.collection('users').findOne({ _id: vendor._id });
+  assert.deepEqual(stored.reviewHistory.map((entry) => [entry.action, entry.reason]), [['approve', 'Documents checked']]);
+});
+
+test('vendors only move between allowed review statuses', async (t) => {
+  const { app, adminToken, vendor } = await setup(t);
+
+  assert.equal((await vendorAction(app, adminToken, vendor._id, 'reinstate')).status, 409);
+  assert.equal((await vendorAction(app, adminToken, vendor._id, 'reject')).status, 200);
+  assert.equal((await vendorAction(app, adminToken, vendor._id, 'reject')).status, 409);
+  assert.equal((await vendorAction(app, adminToken, vendor._id, 'approve')).status, 200);
+  assert.equal((await vendorAction(app, adminToken, vendor._id, 'promote')).status, 400);
+  assert.equal((await vendorAction(app, adminToken, new ObjectId(), 'approve')).status, 409);
+});
+
+test('a suspended vendor is logged out and kept out until reinstated', async (t) => {
+  const { app, adminToken, vendor, vendorToken } = await setup(t);
+
+  assert.equal((await vendorAction(app, adminToken, vendor._id, 'suspend', { reason: 'Fraud report' })).status, 200);
+
+  assert.equal((await app.request('GET', '/vendor/products', { token: vendorToken })).status, 401);
+  const newToken = await app.login(vendor, 'user');
+  const refused = await app.request('GET', '/vendor/products', { token: newToken });
+  assert.equal(refused.status, 403);
+  assert.equal(refused.body.message, 'Account suspended');
+
+  assert.equal((await vendorAction(app, adminToken, vendor._id, 'reinstate')).status, 200);
+  assert.equal((await app.request('GET', '/vendor/products', { token: newToken })).status, 200);
+});
+
+test('hiding a listing takes it out of the catalog and needs a reason', async (t) => {
+  const { app, adminToken, vendor } = await setup(t);
+  await vendorAction(app, adminToken, vendor._id, 'approve');
+  const { insertedId: productId } = await app.db.collection('products').insertOne({ userId: vendor._id, productName: 'Lamp', price: 100 });
+
+  const noReason = await app.request('POST', `/admin/products/${productId}/hide`, { token: adminToken, body: {} });
+  assert.equal(noReason.status, 400);
+  assert.equal(noReason.body.errors[0].field, 'body.reason');
+
+  assert.equal((await app.request('POST', `/admin/products/${productId}/hide`, { token: adminToken, body: { reason: 'Counterfeit' } })).status, 200);
+  assert.deepEqual(await catalogNames(app), []);
+
+  const hidden = await app.request('GET', '/admin/products?hidden=true', { token: adminToken });
+  assert.deepEqual(hidden.body.map((listing) => listing.moderation.hiddenReason), ['Counterfeit']);
+
+  assert.equal((await app.request('POST', `/admin/products/${productId}/unhide`, { token: adminToken, body: {} })).status, 200);
+  assert.deepEqual(await catalogNames(app), ['Lamp']);
+  assert.equal((await app.request('POST', `/admin/products/${new ObjectId()}/unhide`, { token: adminToken, body: {} })).status, 404);
+});
+
+test('flagged listings stay in the catalog and are listed for admins', async (t) => {
+  const { app, adminToken, vendor } = await setup(t);
+  await vendorAction(app, adminToken, vendor._id, 'approve');
+  const { insertedId: serviceId } = await app.db.collection('services').insertOne({ userId: vendor._id, serviceName: 'Decor' });
+  await app.db.collection('services').insertOne({ userId: vendor._id, serviceName: 'Catering' });
+
+  assert.equal((await app.request('POST', `/admin/services/${serviceId}/flag`, { token: adminToken, body: { reason: 'Check photos' } })).status, 200);
+
+  const flagged = await app.request('GET', '/admin/services?flagged=true', { token: adminToken });
+  assert.deepEqual(flagged.body.map((listing) => listing.serviceName), ['Decor']);
+  const catalog = await app.request('GET', '/catalog/services');
+  assert.equal(catalog.body.total, 2);
+});
+
+// Run change while the vendor's update is between reading the listing and writing it
+function changeAfterRead(t, collection, change) {
+  const findOne = collection.findOne.bind(collection);
+  let done = false;
+  t.mock.method(collection, 'findOne', async (...args) => {
+    const listing = await findOne(...args);
+    if (!done) {
+      done = true;
+      await change();
+    }
+    return listing;
+  });
+}
+
+test('a vendor editing a listing does not undo its moderation', async (t) => {
+  const { app, adminToken, vendor, vendorToken } = await setup(t);
+  await vendorAction(app, adminToken, vendor._id, 'approve');
+  const moderation = { flagged: true, flagReason: 'Check photos' };
+  const { insertedId: productId } = await app.db.collection('products').insertOne({ userId: vendor._id, productName: 'Lamp', price: 100, moderation });
+  const { insertedId: serviceId } = await app.db.collection('services').insertOne({ userId: vendor._id, serviceName: 'Decor', moderation });
+
+  for (const [collectionName, id, body] of [['products', productId, { productName: 'Brass lamp' }], ['services', serviceId, { serviceName: 'Wedding decor' }]]) {
+    const collection = app.db.collection(collectionName);
+    changeAfterRead(t, collection, () => app.request('POST', `/admin/${collectionName}/${id}/hide`, { token: adminToken, body: { reason: 'Counterfeit' } }));
+
+    const response = await app.request('PUT', `/vendor/${collectionName}/${id}`, { token: vendorToken, body });
+
+    assert.equal(response.status, 200);
+    t.mock.restoreAll();
+    const listing = await collection.findOne({ _id: id });
+    assert.equal(listing.moderation.hidden, true);
+    assert.equal(listing.moderation.flagged, true);
+    assert.equal(listing.productName || listing.serviceName, body.productName || body.serviceName);
+  }
+});
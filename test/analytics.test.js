@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startApp } = require('./helpers/app');
+const { ensureAnalyticsIndexes, flushAnalytics } = require('../analytics');
+
+async function setup(t) {
+  const app = await startApp();
+  t.after(app.close);
+  await ensureAnalyticsIndexes(app.db);
+  // Counts left from an earlier test are not this test's
+  await flushAnalytics();
+
+  const { vendor, token } = await app.addVendor();
+  const analytics = (query = '') => app.request('GET', `/vendor/analytics${query}`, { token });
+  return { app, vendor, token, analytics };
+}
+
+function conditionalGet(url, etag) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { headers: { 'If-None-Match': etag } }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    }).on('error', reject);
+  });
+}
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+test('catalog page views are counted per listing and written in batches', async (t) => {
+  const { app, vendor, analytics } = await setup(t);
+  const { insertedId: productId } = await app.db.collection('products').insertOne({ userId: vendor._id, productName: 'Lamp', price: 100 });
+
+  await app.request('GET', `/catalog/products/${productId}`);
+  await app.request('GET', `/catalog/products/${productId}`);
+  assert.equal(await app.db.collection('listingStats').countDocuments(), 0);
+
+  assert.equal(await flushAnalytics(), 1);
+
+  const response = await analytics();
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.totals, { views: 2, imageViews: 0, videoPlays: 0 });
+  const [item] = response.body.items;
+  assert.deepEqual([item.name, item.status, item.views, item.change.views], ['Lamp', 'published', 2, null]);
+});
+
+test('image views count files that were sent, not cache revalidations', async (t) => {
+  const { app, token, analytics } = await setup(t);
+  await app.upload('POST', '/vendor/products', {
+    token,
+    fields: { productName: 'Lamp', price: '100' },
+    files: [{ name: 'lamp.png', type: 'image/png', content: 'LAMP' }],
+  });
+  const { images: [imageId] } = await app.db.collection('products').findOne({});
+
+  const first = await fetch(`${app.baseUrl}/image/${imageId}`);
+  assert.equal(first.status, 200);
+  await first.arrayBuffer();
+  assert.equal(await conditionalGet(`${app.baseUrl}/image/${imageId}`, first.headers.get('etag')), 304);
+  assert.equal((await app.request('GET', '/image/0123456789abcdef01234567')).status, 404);
+  await flushAnalytics();
+
+  const response = await analytics();
+  assert.equal(response.body.totals.imageViews, 1);
+  assert.equal(response.body.items[0].name, 'Lamp');
+});
+
+test('the trend is grouped by week and listings are compared with the period before', async (t) => {
+  const { app, vendor, analytics } = await setup(t);
+  const { insertedId: listingId } = await app.db.collection('services').insertOne({ userId: vendor._id, serviceName: 'Decor' });
+  const stat = (date, counts) => ({ collectionName: 'services', listingId, vendorId: vendor._id, day: day(date), views: 0, imageViews: 0, videoPlays: 0, ...counts });
+  await app.db.collection('listingStats').insertMany([
+    stat('2026-02-10', { views: 50 }),
+    stat('2026-02-20', { views: 3 }),
+    stat('2026-03-02', { views: 2 }),
+    stat('2026-03-08', { views: 3, videoPlays: 1 }),
+    stat('2026-03-10', { views: 1 }),
+  ]);
+
+  const response = await analytics('?from=2026-03-01&to=2026-03-14&interval=week');
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.series.map((point) => [point.periodStart, point.views, point.videoPlays]), [
+    ['2026-03-01T00:00:00.000Z', 2, 0],
+    ['2026-03-08T00:00:00.000Z', 4, 1],
+  ]);
+  assert.deepEqual(response.body.totals, { views: 6, imageViews: 0, videoPlays: 1 });
+  const [item] = response.body.items;
+  assert.deepEqual([item.views, item.previous.views, item.change.views], [6, 3, 100]);
+});
+
+test('vendors only see their own listings and ranges are limited', async (t) => {
+  const { app, vendor, analytics } = await setup(t);
+  const { vendor: other } = await app.addVendor();
+  await app.db.collection('listingStats').insertOne({
+    collectionName: 'products', listingId: vendor._id, vendorId: other._id, day: day('2026-03-02'), views: 9,
+  });
+
+  const response = await analytics('?from=2026-03-01&to=2026-03-14');
+  assert.deepEqual([response.body.total, response.body.totals.views], [0, 0]);
+
+  const backwards = await analytics('?from=2026-03-14&to=2026-03-01');
+  assert.equal(backwards.body.errors[0].message, 'from must not be after to');
+  assert.equal((await analytics('?from=2024-01-01&to=2026-03-01')).status, 400);
+});
@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { ensureBookingIndexes } = require('../bookings');
+
+// A date the given number of days from today, as YYYY-MM-DD
+function daysFromNow(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+const date = daysFromNow(10);
+
+// A vendor with a published service that has two slots on date
+async function setup(t) {
+  const app = await startApp();
+  t.after(app.close);
+  await ensureBookingIndexes(app.db);
+
+  const { vendor, token } = await app.addVendor();
+  const { insertedId: serviceId } = await app.db.collection('services').insertOne({
+    userId: vendor._id,
+    serviceName: 'Wedding decor',
+    selectedEventTypes: ['wedding'],
+  });
+
+  const slots = await app.request('POST', `/vendor/services/${serviceId}/availability/slots`, {
+    token,
+    body: { slots: [{ date, startTime: '10:00', endTime: '12:00' }, { date, startTime: '14:00', endTime: '16:00' }] },
+  });
+  assert.equal(slots.status, 201);
+
+  return { app, token, serviceId, slotIds: slots.body.slotIds };
+}
+
+function book(app, serviceId, fields = {}) {
+  return app.request('POST', `/catalog/services/${serviceId}/bookings`, {
+    body: { date, eventType: 'Wedding', name: 'Asha', phoneNumber: '+919876543210', ...fields },
+  });
+}
+
+test('a booking takes a free slot until it is declined', async (t) => {
+  const { app, token, serviceId, slotIds } = await setup(t);
+
+  const first = await book(app, serviceId, { slotId: slotIds[0] });
+  assert.equal(first.status, 201);
+
+  const taken = await book(app, serviceId, { slotId: slotIds[0] });
+  assert.equal(taken.status, 409);
+
+  const open = await app.request('GET', `/catalog/services/${serviceId}/availability?from=${date}`);
+  assert.deepEqual(open.body.slots.map((slot) => slot.startTime), ['14:00']);
+
+  const declined = await app.request('POST', `/vendor/services/${serviceId}/bookings/${first.body.bookingId}/decline`, { token, body: {} });
+  assert.equal(declined.status, 200);
+  assert.equal((await book(app, serviceId, { slotId: slotIds[0] })).status, 201);
+});
+
+test('a booking without a slot takes the earliest free one', async (t) => {
+  const { app, serviceId } = await setup(t);
+
+  assert.equal((await book(app, serviceId)).status, 201);
+  assert.equal((await book(app, serviceId)).status, 201);
+  assert.equal((await book(app, serviceId)).status, 409);
+
+  const bookings = await app.db.collection('bookings').find({}).sort({ startTime: 1 }).toArray();
+  assert.deepEqual(bookings.map((booking) => booking.startTime), ['10:00', '14:00']);
+});
+
+test('bookings must be for an offered event type and a future date', async (t) => {
+  const { app, serviceId } = await setup(t);
+
+  const eventType = await book(app, serviceId, { eventType: 'Birthday' });
+  assert.equal(eventType.status, 400);
+  assert.equal(eventType.body.message, 'Service is not offered for this event type');
+
+  const past = await book(app, serviceId, { date: daysFromNow(-1) });
+  assert.equal(past.status, 400);
+  assert.equal(past.body.errors[0].field, 'body.date');
+});
+
+test('a blacked out date takes no bookings and hides its slots', async (t) => {
+  const { app, token, serviceId } = await setup(t);
+
+  const blackout = await app.request('POST', `/vendor/services/${serviceId}/availability/blackouts`, { token, body: { date } });
+  assert.equal(blackout.status, 201);
+
+  const response = await book(app, serviceId);
+  assert.equal(response.status, 409);
+  assert.equal(response.body.message, 'Service is not available on this date');
+
+  const open = await app.request('GET', `/catalog/services/${serviceId}/availability?from=${date}`);
+  assert.deepEqual(open.body.slots, []);
+  assert.deepEqual(open.body.blackoutDates, [date]);
+});
+
+test('a date with an active booking cannot be blacked out', async (t) => {
+  const { app, token, serviceId } = await setup(t);
+
+  assert.equal((await book(app, serviceId)).status, 201);
+
+  const blackout = await app.request('POST', `/vendor/services/${serviceId}/availability/blackouts`, { token, body: { date } });
+  assert.equal(blackout.status, 409);
+  assert.equal(await app.db.collection('blackoutDates').countDocuments(), 0);
+});
+
+test('a blackout added while a slot is claimed turns the booking away', async (t) => {
+  const { app, serviceId } = await setup(t);
+
+  // The vendor blacks out the date between the booking's first blackout
+  // check and its claim on the slot
+  const slots = app.db.collection('availabilitySlots');
+  const findOneAndUpdate = slots.findOneAndUpdate.bind(slots);
+  t.mock.method(slots, 'findOneAndUpdate', async (...args) => {
+    await app.db.collection('blackoutDates').insertOne({ serviceId, date });
+    return findOneAndUpdate(...args);
+  });
+
+  const response = await book(app, serviceId);
+
+  assert.equal(response.status, 409);
+  assert.equal(await slots.countDocuments({ bookingId: { $ne: null } }), 0);
+  assert.equal(await app.db.collection('bookings').countDocuments(), 0);
+});
+
+test('a rescheduled booking moves to the new slot and frees the old one', async (t) => {
+  const { app, token, serviceId, slotIds } = await setup(t);
+  const later = daysFromNow(11);
+
+  const booked = await book(app, serviceId, { slotId: slotIds[0] });
+  const added = await app.request('POST', `/vendor/services/${serviceId}/availability/slots`, {
+    token,
+    body: { slots: [{ date: later, startTime: '09:00', endTime: '11:00' }] },
+  });
+
+  const response = await app.request('POST', `/vendor/services/${serviceId}/bookings/${booked.body.bookingId}/reschedule`, {
+    token,
+    body: { date: later },
+  });
+
+  assert.equal(response.status, 200);
+
+  const booking = await app.db.collection('bookings').findOne({});
+  assert.equal(booking.date, later);
+  assert.equal(String(booking.slotId), String(added.body.slotIds[0]));
+  assert.equal(booking.history[0].date, date);
+
+  const open = await app.request('GET', `/catalog/services/${serviceId}/availability?from=${date}`);
+  assert.deepEqual(open.body.slots.map((slot) => `${slot.date} ${slot.startTime}`), [`${date} 10:00`, `${date} 14:00`]);
+});
+
+test('availability is only public for services shown in the catalog', async (t) => {
+  const { app, serviceId } = await setup(t);
+  const availability = (id) => app.request('GET', `/catalog/services/${id}/availability?from=${date}`);
+
+  assert.equal((await availability('0123456789abcdef01234567')).status, 404);
+
+  await app.db.collection('services').updateOne({ _id: serviceId }, { $set: { status: 'draft' } });
+  assert.equal((await availability(serviceId)).status, 404);
+
+  await app.db.collection('services').updateOne({ _id: serviceId }, { $set: { status: 'published' } });
+  const { userId } = await app.db.collection('services').findOne({ _id: serviceId });
+  await app.db.collection('users').updateOne({ _id: userId }, { $set: { reviewStatus: 'suspended' } });
+  assert.equal((await availability(serviceId)).status, 404);
+
+  await app.db.collection('users').updateOne({ _id: userId }, { $set: { reviewStatus: 'approved' } });
+  assert.equal((await availability(serviceId)).body.slots.length, 2);
+});
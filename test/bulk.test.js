@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { ensureListingIndexes } = require('../listings');
+
+async function setup(t) {
+  const app = await startApp();
+  t.after(app.close);
+  await ensureListingIndexes(app.db);
+  const { vendor, token } = await app.addVendor();
+  return { app, vendor, token };
+}
+
+function importFile(app, token, collectionName, content, { name = 'listings.csv', query = '' } = {}) {
+  const type = name.endsWith('.json') ? 'application/json' : 'text/csv';
+  return app.upload('POST', `/vendor/${collectionName}/import${query}`, { token, files: [{ field: 'file', name, type, content }] });
+}
+
+const productsCsv = [
+  'sku,productName,price,stockAvailability',
+  'LAMP-1,Brass lamp,100,5',
+  'LAMP-2,Floor lamp,250,',
+].join('\n');
+
+test('a dry run reports what an import would do without saving it', async (t) => {
+  const { app, token } = await setup(t);
+
+  const response = await importFile(app, token, 'products', productsCsv, { query: '?dryRun=true' });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.dryRun, true);
+  assert.deepEqual(response.body.summary, { total: 2, created: 2, updated: 0, failed: 0 });
+  assert.equal(await app.db.collection('products').countDocuments(), 0);
+});
+
+test('an import creates draft listings and records their opening stock', async (t) => {
+  const { app, token } = await setup(t);
+
+  const response = await importFile(app, token, 'products', productsCsv);
+
+  assert.deepEqual(response.body.summary, { total: 2, created: 2, updated: 0, failed: 0 });
+  const lamp = await app.db.collection('products').findOne({ sku: 'LAMP-1' });
+  assert.equal(lamp.price, 100);
+  assert.equal(lamp.stockAvailability, 5);
+  assert.equal(lamp.status, 'draft');
+  assert.deepEqual(lamp.images, []);
+
+  const [movement] = await app.db.collection('stockMovements').find({}).toArray();
+  assert.equal(movement.type, 'restock');
+  assert.equal(movement.quantity, 5);
+});
+
+test('importing a SKU again updates the listing and moves stock through the ledger', async (t) => {
+  const { app, token } = await setup(t);
+  await importFile(app, token, 'products', productsCsv);
+
+  const response = await importFile(app, token, 'products', 'sku,productName,price,stockAvailability\nLAMP-1,Brass lamp,120,2\n');
+
+  assert.deepEqual(response.body.summary, { total: 1, created: 0, updated: 1, failed: 0 });
+  const lamp = await app.db.collection('products').findOne({ sku: 'LAMP-1' });
+  assert.equal(lamp.price, 120);
+  assert.equal(lamp.stockAvailability, 2);
+  const movements = await app.db.collection('stockMovements').find({}).sort({ _id: 1 }).toArray();
+  assert.deepEqual(movements.map((movement) => movement.quantity), [5, -3]);
+});
+
+test('every row is checked and bad rows are reported without stopping the rest', async (t) => {
+  const { app, token } = await setup(t);
+  const rows = [
+    { sku: 'DECOR-1', serviceName: 'Decor', lowestAmount: 100, highestAmount: 500 },
+    { serviceName: 'No SKU' },
+    { sku: 'DECOR-2', serviceName: 'Lights', lowestAmount: 900, highestAmount: 500 },
+    { sku: 'DECOR-1', serviceName: 'Again' },
+  ];
+
+  const response = await importFile(app, token, 'services', JSON.stringify(rows), { name: 'services.json' });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.summary, { total: 4, created: 1, updated: 0, failed: 3 });
+  assert.deepEqual(response.body.rows.map((row) => [row.row, row.status, row.errors.map((error) => error.field)]), [
+    [1, 'created', []],
+    [2, 'failed', ['sku']],
+    [3, 'failed', ['highestAmount']],
+    [4, 'failed', ['sku']],
+  ]);
+  assert.equal(response.body.rows[3].errors[0].message, 'sku is already used on row 1');
+  assert.deepEqual((await app.db.collection('services').find({}).toArray()).map((service) => service.serviceName), ['Decor']);
+});
+
+test('files that cannot be read are rejected as a whole', async (t) => {
+  const { app, token } = await setup(t);
+
+  const unknownColumn = await importFile(app, token, 'products', 'sku,productName,price,colour\nA,Lamp,1,red\n');
+  assert.equal(unknownColumn.status, 400);
+  assert.deepEqual(unknownColumn.body.errors, [{ field: 'file', message: 'Unknown columns: colour' }]);
+
+  const notJson = await importFile(app, token, 'products', '{', { name: 'products.json' });
+  assert.equal(notJson.body.errors[0].message, 'File is not valid JSON');
+
+  const missing = await app.upload('POST', '/vendor/products/import', { token });
+  assert.equal(missing.status, 400);
+});
+
+test('an export holds the vendor\'s own listings and imports back unchanged', async (t) => {
+  const { app, token } = await setup(t);
+  const address = { line1: '1 MG Road', city: 'Bengaluru', country: 'India' };
+  await importFile(app, token, 'services', [
+    'sku,serviceName,address,latitude,longitude,selectedServices',
+    `DECOR-1,Decor,"${JSON.stringify(address).replace(/"/g, '""')}",12.97,77.59,"[""Flowers, fresh"",""Lights""]"`,
+  ].join('\n'));
+  const { token: otherToken } = await app.addVendor();
+  await importFile(app, otherToken, 'services', 'sku,serviceName\nOTHER,Not mine\n');
+
+  const csv = await app.request('GET', '/vendor/services/export', { token });
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get('content-disposition'), /services\.csv/);
+  const [header, row, ...rest] = csv.body.trim().split('\n');
+  assert.ok(header.startsWith('sku,serviceName,'));
+  assert.match(row, /^DECOR-1,Decor,/);
+  assert.deepEqual(rest, []);
+
+  const json = await app.request('GET', '/vendor/services/export?format=json', { token });
+  assert.deepEqual(json.body, [{ sku: 'DECOR-1', serviceName: 'Decor', address, latitude: 12.97, longitude: 77.59, selectedServices: ['Flowers, fresh', 'Lights'] }]);
+
+  // Clearing the address shows whether the re-import brings it back
+  await app.db.collection('services').updateOne({ sku: 'DECOR-1' }, { $set: { address: null } });
+  const reimport = await importFile(app, token, 'services', csv.body);
+  assert.deepEqual(reimport.body.summary, { total: 1, created: 0, updated: 1, failed: 0 });
+  const service = await app.db.collection('services').findOne({ sku: 'DECOR-1' });
+  assert.deepEqual(service.selectedServices, ['Flowers, fresh', 'Lights']);
+  assert.deepEqual(service.geo.coordinates, [77.59, 12.97]);
+  assert.deepEqual(service.address, address);
+
+  const jsonReimport = await importFile(app, token, 'services', JSON.stringify(json.body), { name: 'services.json' });
+  assert.equal(jsonReimport.body.summary.updated, 1);
+});
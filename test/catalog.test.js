@@ -0,0 +1,230 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startApp } = require('./helpers/app');
+const { ensureCatalogIndexes } = require('../catalog');
+
+async function addVendor(app, fields = {}) {
+  const { insertedId } = await app.db.collection('users').insertOne({
+    phoneNumber: `+9190000${String(Math.floor(Math.random() * 100000)).padStart(5, '0')}`,
+    email: 'vendor@example.com',
+    businessName: 'Bright Events',
+    status: 'verified',
+    ...fields,
+  });
+  return insertedId;
+}
+
+async function addProduct(app, userId, fields = {}) {
+  const { insertedId } = await app.db.collection('products').insertOne({
+    userId,
+    productName: 'Lamp',
+    productDescription: 'A reading lamp',
+    productCategory: 'lighting',
+    price: 100,
+    stockAvailability: 5,
+    ...fields,
+  });
+  return insertedId;
+}
+
+async function catalogApp(t) {
+  const app = await startApp();
+  t.after(app.close);
+  await ensureCatalogIndexes(app.db);
+  return app;
+}
+
+function names(response) {
+  return response.body.items.map((item) => item.productName).sort();
+}
+
+test('the catalog only shows visible listings of approved vendors', async (t) => {
+  const app = await catalogApp(t);
+  const vendorId = await addVendor(app);
+  const pendingVendorId = await addVendor(app, { status: 'pending' });
+  const rejectedVendorId = await addVendor(app, { reviewStatus: 'rejected' });
+
+  await addProduct(app, vendorId, { productName: 'Shown' });
+  await addProduct(app, vendorId, { productName: 'Published', status: 'published' });
+  await addProduct(app, vendorId, { productName: 'Draft', status: 'draft' });
+  await addProduct(app, vendorId, { productName: 'Hidden', moderation: { hidden: true } });
+  await addProduct(app, pendingVendorId, { productName: 'Unverified vendor' });
+  await addProduct(app, rejectedVendorId, { productName: 'Rejected vendor' });
+
+  const response = await app.request('GET', '/catalog/products');
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.total, 2);
+  assert.deepEqual(names(response), ['Published', 'Shown']);
+});
+
+test('catalog listings carry a vendor summary without contact details', async (t) => {
+  const app = await catalogApp(t);
+  const vendorId = await addVendor(app);
+  const productId = await addProduct(app, vendorId);
+
+  const response = await app.request('GET', `/catalog/products/${productId}`);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.productName, 'Lamp');
+  assert.equal(response.body.vendor.businessName, 'Bright Events');
+  assert.equal(response.body.vendor.phoneNumber, undefined);
+  assert.equal(response.body.vendor.email, undefined);
+  assert.equal(response.body.userId, undefined);
+});
+
+test('a hidden listing is not found in the catalog', async (t) => {
+  const app = await catalogApp(t);
+  const vendorId = await addVendor(app);
+  const productId = await addProduct(app, vendorId, { moderation: { hidden: true } });
+
+  assert.equal((await app.request('GET', `/catalog/products/${productId}`)).status, 404);
+  assert.equal((await app.request('GET', `/catalog/products/${new ObjectId()}`)).status, 404);
+  assert.equal((await app.request('GET', '/catalog/products/not-an-id')).status, 400);
+});
+
+test('catalog search matches words in the name and description, best match first', async (t) => {
+  const app = await catalogApp(t);
+  const vendorId = await addVendor(app);
+  await addProduct(app, vendorId, { productName: 'Brass lamp', productDescription: 'A brass desk lamp' });
+  await addProduct(app, vendorId, { productName: 'Floor lamp', productDescription: 'Tall and bright' });
+  await addProduct(app, vendorId, { productName: 'Chair', productDescription: 'Wooden chair' });
+
+  const response = await app.request('GET', '/catalog/products?q=brass%20lamp');
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.items.map((item) => item.productName), ['Brass lamp', 'Floor lamp']);
+});
+
+test('catalog filters by category and by a price range across variants', async (t) => {
+  const app = await catalogApp(t);
+  const vendorId = await addVendor(app);
+  await addProduct(app, vendorId, { productName: 'Cheap', price: 50 });
+  await addProduct(app, vendorId, { productName: 'Priced as text', price: '150' });
+  await addProduct(app, vendorId, {
+    productName: 'Variants',
+    price: 500,
+    variants: [{ _id: new ObjectId(), price: 120 }, { _id: new ObjectId() }],
+  });
+  await addProduct(app, vendorId, { productName: 'Other category', price: 150, productCategory: 'furniture' });
+
+  const inRange = await app.request('GET', '/catalog/products?productCategory=Lighting&minPrice=100&maxPrice=200');
+
+  assert.equal(inRange.status, 200);
+  assert.deepEqual(names(inRange), ['Priced as text', 'Variants']);
+
+  const category = await app.request('GET', '/catalog/products?productCategory=furniture');
+  assert.deepEqual(names(category), ['Other category']);
+});
+
+test('catalog pages hold at most limit items and report the total', async (t) => {
+  const app = await catalogApp(t);
+  const vendorId = await addVendor(app);
+  for (let index = 0; index < 5; index += 1) {
+    await addProduct(app, vendorId, { productName: `Lamp ${index}` });
+  }
+
+  const second = await app.request('GET', '/catalog/products?page=2&limit=2');
+
+  assert.equal(second.status, 200);
+  assert.equal(second.body.total, 5);
+  assert.equal(second.body.page, 2);
+  // Newest first
+  assert.deepEqual(second.body.items.map((item) => item.productName), ['Lamp 2', 'Lamp 1']);
+});
+
+test('services can be filtered by event type', async (t) => {
+  const app = await catalogApp(t);
+  const vendorId = await addVendor(app);
+  const addService = (serviceName, selectedEventTypes) => app.db.collection('services').insertOne({
+    userId: vendorId,
+    serviceName,
+    serviceCategory: 'decor',
+    selectedEventTypes,
+  });
+  await addService('Wedding decor', ['wedding']);
+  await addService('Old style', ['Wedding']);
+  await addService('Birthday decor', ['birthday']);
+  await addService('Party decor', ['Party', 'Martial arts']);
+
+  const art = await app.request('GET', '/catalog/services?eventType=art');
+  assert.deepEqual(art.body.items, []);
+
+  const response = await app.request('GET', '/catalog/services?eventType=wedding');
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.items.map((item) => item.serviceName).sort(), ['Old style', 'Wedding decor']);
+});
+
+// Services around Bengaluru: Indiranagar is about 5 km from the city centre
+// and Mysuru about 125 km away
+async function addGeoServices(app) {
+  const vendorId = await addVendor(app);
+  const addService = (serviceName, coordinates, fields = {}) => app.db.collection('services').insertOne({
+    userId: vendorId,
+    serviceName,
+    serviceCategory: 'decor',
+    ...(coordinates && { geo: { type: 'Point', coordinates } }),
+    ...fields,
+  });
+  await addService('Centre', [77.5946, 12.9716]);
+  await addService('Indiranagar', [77.6408, 12.9784]);
+  await addService('Mysuru', [76.6394, 12.2958]);
+  await addService('Mysuru travels', [76.6394, 12.2958], { serviceRadiusKm: 200 });
+  await addService('Mysuru stays home', [76.6394, 12.2958], { serviceRadiusKm: 20 });
+  await addService('Nowhere', null);
+}
+
+test('services are found within a radius of a point, nearest first', async (t) => {
+  const app = await catalogApp(t);
+  await addGeoServices(app);
+
+  const response = await app.request('GET', '/catalog/services?lat=12.9716&lng=77.5946&radiusKm=10');
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.items.map((item) => item.serviceName), ['Centre', 'Indiranagar']);
+  assert.equal(response.body.items[0].distanceKm, 0);
+  assert.ok(response.body.items[1].distanceKm > 4 && response.body.items[1].distanceKm < 6);
+  assert.equal(response.body.total, 2);
+});
+
+test('a service is only found as far as it travels', async (t) => {
+  const app = await catalogApp(t);
+  await addGeoServices(app);
+
+  const response = await app.request('GET', '/catalog/services?lat=12.9716&lng=77.5946');
+
+  // Without a radius every located service that reaches the point is listed
+  assert.deepEqual(response.body.items.map((item) => item.serviceName).sort(), ['Centre', 'Indiranagar', 'Mysuru', 'Mysuru travels']);
+});
+
+test('radius searches need both coordinates and cannot be combined with text', async (t) => {
+  const app = await catalogApp(t);
+
+  assert.equal((await app.request('GET', '/catalog/services?lat=12.97')).status, 400);
+  assert.equal((await app.request('GET', '/catalog/services?radiusKm=5')).status, 400);
+  assert.equal((await app.request('GET', '/catalog/services?lat=91&lng=77')).status, 400);
+  assert.equal((await app.request('GET', '/catalog/services?sort=distance')).status, 400);
+
+  const withText = await app.request('GET', '/catalog/services?lat=12.97&lng=77.59&q=decor');
+  assert.equal(withText.status, 400);
+  assert.equal(withText.body.errors[0].message, 'q cannot be combined with a lat/lng search');
+});
+
+test('a vendor sets a service\'s position with latitude and longitude', async (t) => {
+  const app = await catalogApp(t);
+  const { vendor, token } = await app.addVendor();
+  const { insertedId } = await app.db.collection('services').insertOne({ userId: vendor._id, serviceName: 'Decor' });
+  const update = (body) => app.request('PUT', `/vendor/services/${insertedId}`, { token, body });
+
+  assert.equal((await update({ latitude: 12.97 })).status, 400);
+  assert.equal((await update({ latitude: 12.9716, longitude: 77.5946, serviceRadiusKm: 25 })).status, 200);
+
+  const service = await app.db.collection('services').findOne({ _id: insertedId });
+  assert.deepEqual(service.geo, { type: 'Point', coordinates: [77.5946, 12.9716] });
+  assert.equal(service.serviceRadiusKm, 25);
+
+  assert.equal((await update({ latitude: null, longitude: null })).status, 200);
+  assert.equal((await app.db.collection('services').findOne({ _id: insertedId })).geo, null);
+});
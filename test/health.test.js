@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startApp } = require('./helpers/app');
+const { createApp } = require('../app');
+const health = require('../health');
+const { trackJob, waitForJobs } = require('../jobs');
+
+// The probes share the server's state, so these tests run in order from
+// starting to draining
+
+function rawGet(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res));
+    }).on('error', reject);
+  });
+}
+
+test('the app is alive before it is ready', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+
+  const live = await app.request('GET', '/healthz');
+  assert.equal(live.status, 200);
+  assert.equal(live.body.status, 'ok');
+
+  const ready = await app.request('GET', '/readyz');
+  assert.equal(ready.status, 503);
+  assert.equal(ready.body.status, 'starting');
+});
+
+test('a ready app reports the state of MongoDB and GridFS', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  health.markReady();
+
+  const ready = await app.request('GET', '/readyz');
+  assert.equal(ready.status, 200);
+  assert.deepEqual(Object.keys(ready.body.checks), ['mongodb', 'gridfs']);
+  assert.equal(ready.body.checks.mongodb.status, 'ok');
+
+  t.mock.method(app.db, 'command', async () => {
+    throw new Error('connection refused');
+  });
+  const down = await app.request('GET', '/readyz');
+  assert.equal(down.status, 503);
+  assert.deepEqual(down.body.checks.mongodb, { status: 'error', message: 'connection refused' });
+  assert.equal(down.body.checks.gridfs.status, 'ok');
+  // Liveness does not depend on MongoDB
+  assert.equal((await app.request('GET', '/healthz')).status, 200);
+});
+
+test('a draining app leaves rotation and closes keep-alive connections', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  health.markDraining();
+
+  const ready = await app.request('GET', '/readyz');
+  assert.equal(ready.status, 503);
+  assert.equal(ready.body.status, 'draining');
+
+  const response = await rawGet(`${app.baseUrl}/healthz`);
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.headers.connection, 'close');
+});
+
+test('the app cannot be built without a database', () => {
+  assert.throws(() => createApp({ db: null }), /createApp needs a database/);
+});
+
+test('a shutdown waits for running jobs, up to a timeout', async () => {
+  let finish;
+  trackJob(new Promise((resolve) => {
+    finish = resolve;
+  }));
+
+  assert.equal(await waitForJobs(10), 1);
+
+  setTimeout(finish, 10);
+  assert.equal(await waitForJobs(1000), 0);
+});
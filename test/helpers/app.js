@@ -0,0 +1,114 @@
+// Settings read when the modules load, so they are set before the app is required
+process.env.JWT_SECRET_KEY = process.env.JWT_SECRET_KEY || 'test-secret';
+process.env.OTP_PROVIDER = 'local';
+process.env.OTP_DELIVERY = 'console';
+
+const { ObjectId } = require('mongodb');
+const { createApp } = require('../../app');
+const { createSession } = require('../../auth');
+const { setAttachmentBucket } = require('../../media');
+const { createMemoryDb, createMemoryBucket } = require('./memoryDb');
+
+// An OTP provider that keeps the codes it sends, so tests can read them
+function createRecordingOtpProvider() {
+  const sent = [];
+  let counter = 0;
+
+  return {
+    sent,
+    async sendCode(phoneNumber, { channel = 'sms', email, purpose = 'login' } = {}) {
+      counter += 1;
+      sent.push({ phoneNumber, channel, email, purpose, code: String(100000 + counter) });
+    },
+    async checkCode(phoneNumber, code, { purpose = 'login' } = {}) {
+      const index = sent.findIndex((entry) => entry.phoneNumber === phoneNumber && entry.purpose === purpose && entry.code === String(code));
+      if (index === -1) return 'pending';
+      sent.splice(index, 1);
+      return 'approved';
+    },
+  };
+}
+
+// Serve createApp on a free port over an in-memory database and buckets.
+// request() sends JSON and resolves with the status, headers and the body,
+// parsed when it is JSON.
+async function startApp({ db = createMemoryDb(), otpProvider = createRecordingOtpProvider() } = {}) {
+  const bucket = createMemoryBucket(db, 'uploads');
+  const attachmentBucket = createMemoryBucket(db, 'attachments');
+  const app = createApp({ db, bucket, otpProvider });
+  setAttachmentBucket(attachmentBucket);
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { body, token, headers } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    const json = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: json && text ? JSON.parse(text) : text || null };
+  }
+
+  // Send a multipart form with text fields and files, each file given as
+  // { field, name, type, content }
+  async function upload(method, path, { token, fields = {}, files = [] } = {}) {
+    const form = new FormData();
+    Object.entries(fields).forEach(([name, value]) => form.append(name, typeof value === 'string' ? value : JSON.stringify(value)));
+    files.forEach(({ field = 'files', name, type, content }) => form.append(field, new Blob([content], { type }), name));
+
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      body: form,
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  }
+
+  // Start a session for an account stored in the database
+  async function login(account, accountType) {
+    const { token } = await createSession(account, { headers: {}, ip: '127.0.0.1' }, accountType);
+    return token;
+  }
+
+  // Store a verified vendor and log them in
+  let vendorCount = 0;
+  async function addVendor(fields = {}) {
+    vendorCount += 1;
+    const vendor = {
+      _id: new ObjectId(),
+      phoneNumber: `+91900000${String(vendorCount).padStart(4, '0')}`,
+      businessName: 'Bright Events',
+      status: 'verified',
+      ...fields,
+    };
+    await db.collection('users').insertOne(vendor);
+    return { vendor, token: await login(vendor, 'user') };
+  }
+
+  return {
+    db,
+    bucket,
+    attachmentBucket,
+    baseUrl,
+    otpProvider,
+    request,
+    upload,
+    login,
+    addVendor,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = {
+  createRecordingOtpProvider,
+  startApp,
+};
@@ -0,0 +1,997 @@
+const { Readable, Writable } = require('stream');
+const { ObjectId } = require('mongodb');
+
+// An in-memory stand-in for a MongoDB database, covering the queries,
+// update operators, aggregation stages and expressions the routes under
+// test use. Anything it does not know throws, so a test cannot pass by
+// accident.
+
+function isObjectId(value) {
+  return value instanceof ObjectId;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+    && !isObjectId(value) && !(value instanceof Date) && !(value instanceof RegExp) && !Buffer.isBuffer(value);
+}
+
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value.getTime());
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, clone(entry)]));
+  }
+  return value;
+}
+
+function duplicateKeyError(collectionName) {
+  const error = new Error(`E11000 duplicate key error collection: ${collectionName}`);
+  error.code = 11000;
+  return error;
+}
+
+// BSON comparison order of the types
+function typeRank(value) {
+  if (value === undefined || value === null) return 1;
+  if (typeof value === 'number') return 2;
+  if (typeof value === 'string') return 3;
+  if (isPlainObject(value)) return 4;
+  if (Array.isArray(value)) return 5;
+  if (isObjectId(value)) return 7;
+  if (typeof value === 'boolean') return 8;
+  if (value instanceof Date) return 9;
+  throw new Error(`memoryDb cannot compare ${value}`);
+}
+
+function compare(a, b) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+
+  switch (rankA) {
+    case 1:
+      return 0;
+    case 2:
+    case 8:
+      return Number(a) - Number(b);
+    case 3:
+      return a < b ? -1 : a > b ? 1 : 0;
+    case 7:
+      return compare(a.toHexString(), b.toHexString());
+    case 9:
+      return a.getTime() - b.getTime();
+    case 5:
+      for (let index = 0; index < Math.min(a.length, b.length); index += 1) {
+        const result = compare(a[index], b[index]);
+        if (result !== 0) return result;
+      }
+      return a.length - b.length;
+    default:
+      return compare(JSON.stringify(a), JSON.stringify(b));
+  }
+}
+
+function equal(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((entry, index) => equal(entry, b[index]));
+  }
+  if (isPlainObject(a) || isPlainObject(b)) {
+    if (!isPlainObject(a) || !isPlainObject(b)) return false;
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    return keysA.length === keysB.length && keysA.every((key, index) => key === keysB[index] && equal(a[key], b[key]));
+  }
+  return typeRank(a) === typeRank(b) && compare(a, b) === 0;
+}
+
+function bsonType(value) {
+  if (value === undefined) return 'missing';
+  if (value === null) return 'null';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'int' : 'double';
+  if (typeof value === 'string') return 'string';
+  if (typeof value === 'boolean') return 'bool';
+  if (value instanceof Date) return 'date';
+  if (isObjectId(value)) return 'objectId';
+  if (Array.isArray(value)) return 'array';
+  return 'object';
+}
+
+// The values a dotted path reaches in a document, stepping into arrays the
+// way queries do. An empty list means the path is missing.
+function pathValues(value, path) {
+  if (path.length === 0) return [value];
+  if (value === undefined || value === null) return [];
+
+  const [key, ...rest] = path;
+
+  if (Array.isArray(value)) {
+    if (/^\d+$/.test(key)) return Number(key) < value.length ? pathValues(value[Number(key)], rest) : [];
+    return value.flatMap((entry) => (isPlainObject(entry) ? pathValues(entry, path) : []));
+  }
+
+  if (!isPlainObject(value) || !(key in value)) return [];
+  return pathValues(value[key], rest);
+}
+
+// A dotted path as an expression reads it, mapping over arrays
+function expressionPath(value, path) {
+  let current = value;
+  for (const key of path) {
+    if (Array.isArray(current)) {
+      current = current.map((entry) => (isPlainObject(entry) ? entry[key] : undefined)).filter((entry) => entry !== undefined);
+    } else if (isPlainObject(current)) {
+      current = current[key];
+    } else {
+      return undefined;
+    }
+  }
+  return current;
+}
+
+function numberOrNull(value) {
+  return typeof value === 'number' ? value : null;
+}
+
+// The relevance of a document in a $text search, read by { $meta: 'textScore' }
+const TEXT_SCORE = Symbol('textScore');
+
+// $max, $min and $avg over values with nulls and missing values left out
+function accumulate(operator, values) {
+  if (values.length === 0) return null;
+  if (operator === '$max') return values.reduce((best, value) => (compare(value, best) > 0 ? value : best));
+  if (operator === '$min') return values.reduce((best, value) => (compare(value, best) < 0 ? value : best));
+  const numbers = values.filter((value) => typeof value === 'number');
+  return numbers.length > 0 ? numbers.reduce((total, value) => total + value, 0) / numbers.length : null;
+}
+
+// $dateTrunc in UTC with weeks starting on Sunday, its defaults
+function truncateDate(date, unit, { timezone = 'UTC', binSize = 1, startOfWeek = 'sunday' }) {
+  if (timezone !== 'UTC' || binSize !== 1 || startOfWeek !== 'sunday') {
+    throw new Error('memoryDb only truncates dates to single UTC units');
+  }
+  if (!(date instanceof Date)) return null;
+
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
+
+  switch (unit) {
+    case 'day':
+      return new Date(Date.UTC(year, month, day));
+    case 'week':
+      return new Date(Date.UTC(year, month, day - date.getUTCDay()));
+    case 'month':
+      return new Date(Date.UTC(year, month, 1));
+    case 'year':
+      return new Date(Date.UTC(year, 0, 1));
+    default:
+      throw new Error(`memoryDb cannot truncate dates to ${unit}`);
+  }
+}
+
+function evaluate(expression, doc, vars = {}) {
+  if (typeof expression === 'string' && expression.startsWith('$$')) {
+    const [name, ...path] = expression.slice(2).split('.');
+    if (name === 'ROOT' || name === 'CURRENT') return expressionPath(doc, path);
+    if (!(name in vars)) throw new Error(`memoryDb has no variable ${name}`);
+    return expressionPath(vars[name], path);
+  }
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return expressionPath(doc, expression.slice(1).split('.'));
+  }
+  if (Array.isArray(expression)) return expression.map((entry) => evaluate(entry, doc, vars));
+  if (!isPlainObject(expression)) return expression;
+
+  const keys = Object.keys(expression);
+  if (keys.length !== 1 || !keys[0].startsWith('$')) {
+    return Object.fromEntries(keys.map((key) => [key, evaluate(expression[key], doc, vars)]));
+  }
+
+  const [operator] = keys;
+  const raw = expression[operator];
+  const args = () => [].concat(raw).map((entry) => evaluate(entry, doc, vars));
+
+  switch (operator) {
+    case '$literal':
+      return raw;
+    case '$cond': {
+      const [condition, then, otherwise] = Array.isArray(raw) ? raw : [raw.if, raw.then, raw.else];
+      return evaluate(condition, doc, vars) ? evaluate(then, doc, vars) : evaluate(otherwise, doc, vars);
+    }
+    case '$and':
+      return args().every(Boolean);
+    case '$or':
+      return args().some(Boolean);
+    case '$not':
+      return !args()[0];
+    case '$eq':
+      return equal(...args());
+    case '$ne':
+      return !equal(...args());
+    case '$lt':
+      return compare(...args()) < 0;
+    case '$lte':
+      return compare(...args()) <= 0;
+    case '$gt':
+      return compare(...args()) > 0;
+    case '$gte':
+      return compare(...args()) >= 0;
+    case '$type':
+      return bsonType(args()[0]);
+    case '$ifNull': {
+      const values = args();
+      return values.find((value) => value !== undefined && value !== null) ?? values[values.length - 1];
+    }
+    case '$add': {
+      const values = args();
+      if (values.some((value) => value === undefined || value === null)) return null;
+      const date = values.find((value) => value instanceof Date);
+      const sum = values.reduce((total, value) => total + Number(value instanceof Date ? value.getTime() : value), 0);
+      return date ? new Date(sum) : sum;
+    }
+    case '$subtract': {
+      const [a, b] = args();
+      return a === null || b === null || a === undefined || b === undefined ? null : a - b;
+    }
+    case '$multiply':
+      return args().reduce((total, value) => total * value, 1);
+    case '$size':
+      return args()[0].length;
+    case '$concatArrays': {
+      const values = args();
+      return values.some((value) => value === undefined || value === null) ? null : values.flat();
+    }
+    case '$arrayElemAt': {
+      const [array, index] = args();
+      if (!Array.isArray(array)) return null;
+      return array[index < 0 ? array.length + index : index];
+    }
+    case '$sum': {
+      const values = args();
+      const numbers = (values.length === 1 && Array.isArray(values[0]) ? values[0] : values).map(numberOrNull);
+      return numbers.reduce((total, value) => total + (value || 0), 0);
+    }
+    case '$map': {
+      const input = evaluate(raw.input, doc, vars);
+      if (!Array.isArray(input)) return null;
+      const name = raw.as || 'this';
+      return input.map((entry) => evaluate(raw.in, doc, { ...vars, [name]: entry }));
+    }
+    case '$filter': {
+      const input = evaluate(raw.input, doc, vars);
+      if (!Array.isArray(input)) return null;
+      const name = raw.as || 'this';
+      return input.filter((entry) => evaluate(raw.cond, doc, { ...vars, [name]: entry }));
+    }
+    case '$mergeObjects':
+      return Object.assign({}, ...args().filter(isPlainObject));
+    case '$let': {
+      const bound = Object.fromEntries(Object.entries(raw.vars).map(([name, value]) => [name, evaluate(value, doc, vars)]));
+      return evaluate(raw.in, doc, { ...vars, ...bound });
+    }
+    case '$max':
+    case '$min':
+    case '$avg': {
+      const values = args();
+      const numbers = (values.length === 1 && Array.isArray(values[0]) ? values[0] : values)
+        .filter((value) => value !== undefined && value !== null);
+      return accumulate(operator, numbers);
+    }
+    case '$meta':
+      if (raw !== 'textScore') throw new Error(`memoryDb does not support $meta ${raw}`);
+      return doc[TEXT_SCORE];
+    case '$dateTrunc':
+      return truncateDate(evaluate(raw.date, doc, vars), evaluate(raw.unit, doc, vars), raw);
+    case '$toDouble':
+    case '$convert': {
+      const spec = operator === '$toDouble' ? { input: raw, to: 'double' } : raw;
+      if (spec.to !== 'double') throw new Error(`memoryDb cannot convert to ${spec.to}`);
+      const input = evaluate(spec.input, doc, vars);
+      if (input === undefined || input === null) return 'onNull' in spec ? evaluate(spec.onNull, doc, vars) : null;
+      const number = typeof input === 'string' && input.trim() !== '' ? Number(input) : input;
+      if (typeof number === 'number' && Number.isFinite(number)) return number;
+      if ('onError' in spec) return evaluate(spec.onError, doc, vars);
+      throw new Error(`Failed to convert ${input} to double`);
+    }
+    default:
+      throw new Error(`memoryDb does not support the expression operator ${operator}`);
+  }
+}
+
+function isOperatorObject(value) {
+  return isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every((key) => key.startsWith('$'));
+}
+
+// Whether one value (or, for arrays, one of its elements) meets a condition
+function matchesValue(values, condition) {
+  if (condition instanceof RegExp) {
+    return values.flatMap((value) => [].concat(value)).some((value) => typeof value === 'string' && condition.test(value));
+  }
+  if (!isOperatorObject(condition)) {
+    if (condition === null) return values.length === 0 || values.some((value) => value === null);
+    return values.some((value) => equal(value, condition)
+      || (Array.isArray(value) && value.some((entry) => equal(entry, condition))));
+  }
+
+  const candidates = values.flatMap((value) => (Array.isArray(value) ? [value, ...value] : [value]));
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq':
+        return matchesValue(values, operand);
+      case '$ne':
+        return !matchesValue(values, operand);
+      case '$in':
+        return operand.some((entry) => matchesValue(values, entry));
+      case '$nin':
+        return !operand.some((entry) => matchesValue(values, entry));
+      case '$exists':
+        return (values.length > 0) === Boolean(operand);
+      case '$type':
+        return candidates.some((value) => [].concat(operand).some((type) => (type === 'number'
+          ? typeof value === 'number'
+          : bsonType(value) === type)));
+      case '$gt':
+      case '$gte':
+      case '$lt':
+      case '$lte':
+        return candidates.some((value) => {
+          if (value === undefined || typeRank(value) !== typeRank(operand)) return false;
+          const result = compare(value, operand);
+          return { $gt: result > 0, $gte: result >= 0, $lt: result < 0, $lte: result <= 0 }[operator];
+        });
+      case '$elemMatch':
+        return values.some((value) => Array.isArray(value) && value.some((entry) => (isPlainObject(entry)
+          ? matches(entry, operand)
+          : matchesValue([entry], operand))));
+      case '$not':
+        return !matchesValue(values, operand);
+      default:
+        throw new Error(`memoryDb does not support the query operator ${operator}`);
+    }
+  });
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    switch (key) {
+      case '$and':
+        return condition.every((entry) => matches(doc, entry));
+      case '$or':
+        return condition.some((entry) => matches(doc, entry));
+      case '$nor':
+        return !condition.some((entry) => matches(doc, entry));
+      case '$expr':
+        return Boolean(evaluate(condition, doc));
+      default:
+        if (key.startsWith('$')) throw new Error(`memoryDb does not support the query operator ${key}`);
+        return matchesValue(pathValues(doc, key.split('.')), condition);
+    }
+  });
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  let current = doc;
+  keys.slice(0, -1).forEach((key) => {
+    if (!isPlainObject(current[key]) && !Array.isArray(current[key])) current[key] = {};
+    current = current[key];
+  });
+  current[keys[keys.length - 1]] = value;
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split('.');
+  const parent = pathValues(doc, keys.slice(0, -1))[0];
+  if (parent && typeof parent === 'object') delete parent[keys[keys.length - 1]];
+}
+
+function getPath(doc, path) {
+  return pathValues(doc, path.split('.'))[0];
+}
+
+function applyUpdate(doc, update, inserting) {
+  if (Array.isArray(update)) {
+    for (const stage of update) {
+      const [stageName] = Object.keys(stage);
+      if (stageName === '$set' || stageName === '$addFields') {
+        const values = Object.entries(stage[stageName]).map(([path, expression]) => [path, evaluate(expression, doc)]);
+        values.forEach(([path, value]) => (value === undefined ? unsetPath(doc, path) : setPath(doc, path, clone(value))));
+      } else if (stageName === '$unset') {
+        [].concat(stage.$unset).forEach((path) => unsetPath(doc, path));
+      } else {
+        throw new Error(`memoryDb does not support the update stage ${stageName}`);
+      }
+    }
+    return;
+  }
+
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      switch (operator) {
+        case '$set':
+          setPath(doc, path, clone(value));
+          break;
+        case '$setOnInsert':
+          if (inserting) setPath(doc, path, clone(value));
+          break;
+        case '$unset':
+          unsetPath(doc, path);
+          break;
+        case '$inc':
+          setPath(doc, path, (getPath(doc, path) || 0) + value);
+          break;
+        case '$push': {
+          const list = getPath(doc, path) || [];
+          const items = isPlainObject(value) && '$each' in value ? value.$each : [value];
+          setPath(doc, path, [...list, ...clone(items)]);
+          break;
+        }
+        case '$addToSet': {
+          const list = getPath(doc, path) || [];
+          if (!list.some((entry) => equal(entry, value))) setPath(doc, path, [...list, clone(value)]);
+          break;
+        }
+        case '$pull': {
+          const list = getPath(doc, path);
+          if (Array.isArray(list)) {
+            setPath(doc, path, list.filter((entry) => !(isPlainObject(value) && !isOperatorObject(value)
+              ? matches(entry, value)
+              : matchesValue([entry], value))));
+          }
+          break;
+        }
+        default:
+          throw new Error(`memoryDb does not support the update operator ${operator}`);
+      }
+    }
+  }
+}
+
+function project(doc, projection) {
+  if (!projection || Object.keys(projection).length === 0) return doc;
+
+  const entries = Object.entries(projection);
+  const including = entries.some(([key, value]) => key !== '_id' && value)
+    || (entries.length === 1 && projection._id);
+
+  if (!including) {
+    const result = clone(doc);
+    entries.forEach(([key]) => unsetPath(result, key));
+    return result;
+  }
+
+  const result = projection._id === 0 ? {} : { _id: doc._id };
+  for (const [key, value] of entries) {
+    if (!value || key === '_id') continue;
+    const found = getPath(doc, key);
+    if (found === undefined) continue;
+    if (!key.includes('.')) {
+      result[key] = clone(found);
+    } else if (Array.isArray(doc[key.split('.')[0]])) {
+      // Only whole arrays of subdocuments are projected; good enough here
+      result[key.split('.')[0]] = clone(doc[key.split('.')[0]]);
+    } else {
+      setPath(result, key, clone(found));
+    }
+  }
+  return result;
+}
+
+function sortDocuments(docs, sort) {
+  if (!sort) return docs;
+  const fields = Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const result = compare(getPath(a, field), getPath(b, field));
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  });
+}
+
+const EARTH_RADIUS_METERS = 6378100;
+
+// Distance in meters between two [longitude, latitude] points on the sphere
+// 2dsphere queries use
+function sphereDistance([lng1, lat1], [lng2, lat2]) {
+  const radians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = radians(lat2 - lat1);
+  const dLng = radians(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(radians(lat1)) * Math.cos(radians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+// Lowercase words, as a text index splits them. There is no stemming, so
+// tests should search for whole words.
+function textTerms(value) {
+  return typeof value === 'string' ? value.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [] : [];
+}
+
+function projectStage(doc, spec) {
+  const entries = Object.entries(spec);
+  const flags = entries.filter(([, value]) => [0, 1, true, false].includes(value));
+  const computed = entries.filter(([, value]) => ![0, 1, true, false].includes(value));
+  if (computed.length === 0) return project(doc, spec);
+
+  const result = project(doc, { _id: 1, ...Object.fromEntries(flags) });
+  computed.forEach(([key, expression]) => {
+    const value = evaluate(expression, doc);
+    if (value !== undefined) setPath(result, key, clone(value));
+  });
+  return result;
+}
+
+function groupStage(docs, { _id: key, ...accumulators }) {
+  const groups = [];
+
+  for (const doc of docs) {
+    const id = evaluate(key, doc) ?? null;
+    let group = groups.find((entry) => equal(entry.id, id));
+    if (!group) {
+      group = { id, docs: [] };
+      groups.push(group);
+    }
+    group.docs.push(doc);
+  }
+
+  return groups.map(({ id, docs: members }) => {
+    const result = { _id: id };
+    for (const [field, spec] of Object.entries(accumulators)) {
+      const [[operator, expression]] = Object.entries(spec);
+      const values = members.map((doc) => evaluate(expression, doc));
+      switch (operator) {
+        case '$sum':
+          result[field] = values.reduce((total, value) => total + (typeof value === 'number' ? value : 0), 0);
+          break;
+        case '$avg':
+        case '$max':
+        case '$min':
+          result[field] = accumulate(operator, values.filter((value) => value !== undefined && value !== null));
+          break;
+        case '$push':
+          result[field] = values.filter((value) => value !== undefined).map(clone);
+          break;
+        case '$first':
+          result[field] = values.length > 0 ? values[0] ?? null : null;
+          break;
+        default:
+          throw new Error(`memoryDb does not support the accumulator ${operator}`);
+      }
+    }
+    return result;
+  });
+}
+
+class MemoryCursor {
+  constructor(load) {
+    this.load = load;
+    this.options = {};
+    this.transforms = [];
+  }
+
+  sort(sort) {
+    this.options.sort = sort;
+    return this;
+  }
+
+  skip(skip) {
+    this.options.skip = skip;
+    return this;
+  }
+
+  limit(limit) {
+    this.options.limit = limit;
+    return this;
+  }
+
+  project(projection) {
+    this.options.projection = projection;
+    return this;
+  }
+
+  map(transform) {
+    this.transforms.push(transform);
+    return this;
+  }
+
+  async documents(options) {
+    const docs = await this.load(options);
+    return docs.map((doc) => this.transforms.reduce((value, transform) => transform(value), doc));
+  }
+
+  async toArray() {
+    return this.documents(this.options);
+  }
+
+  async next() {
+    const [first] = await this.documents({ ...this.options, limit: 1 });
+    return first || null;
+  }
+
+  async hasNext() {
+    return (await this.next()) !== null;
+  }
+
+  async close() {}
+
+  async* [Symbol.asyncIterator]() {
+    yield* await this.documents(this.options);
+  }
+}
+
+class MemoryCollection {
+  constructor(name, db) {
+    this.collectionName = name;
+    this.db = db;
+    this.documents = [];
+    this.uniqueIndexes = [];
+  }
+
+  async createIndex(keys, options = {}) {
+    const textFields = Object.keys(keys).filter((field) => keys[field] === 'text');
+    if (textFields.length > 0) this.textFields = textFields;
+    if (options.unique) {
+      this.uniqueIndexes.push({ fields: Object.keys(keys), partialFilterExpression: options.partialFilterExpression });
+    }
+    return Object.keys(keys).join('_');
+  }
+
+  checkUnique(candidate, ignore) {
+    const indexes = [{ fields: ['_id'] }, ...this.uniqueIndexes];
+
+    for (const { fields, partialFilterExpression } of indexes) {
+      if (partialFilterExpression && !matches(candidate, partialFilterExpression)) continue;
+      const key = fields.map((field) => getPath(candidate, field) ?? null);
+      const clash = this.documents.some((doc) => doc !== ignore
+        && (!partialFilterExpression || matches(doc, partialFilterExpression))
+        && fields.every((field, index) => equal(getPath(doc, field) ?? null, key[index])));
+      if (clash) throw duplicateKeyError(this.collectionName);
+    }
+  }
+
+  filtered(filter, { sort, skip = 0, limit } = {}) {
+    const found = sortDocuments(this.documents.filter((doc) => matches(doc, filter)), sort);
+    return found.slice(skip, limit ? skip + limit : undefined);
+  }
+
+  find(filter = {}, { projection, sort, limit } = {}) {
+    const cursor = new MemoryCursor((options) => this.filtered(filter, options)
+      .map((doc) => project(clone(doc), options.projection || projection)));
+    if (sort) cursor.sort(sort);
+    if (limit) cursor.limit(limit);
+    return cursor;
+  }
+
+  async findOne(filter = {}, { projection, sort } = {}) {
+    const [doc] = this.filtered(filter, { sort, limit: 1 });
+    return doc ? project(clone(doc), projection) : null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.filtered(filter).length;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = [];
+    for (const doc of this.filtered(filter)) {
+      for (const value of pathValues(doc, field.split('.')).flat()) {
+        if (!values.some((entry) => equal(entry, value))) values.push(value);
+      }
+    }
+    return values;
+  }
+
+  async insertOne(doc) {
+    const stored = clone({ _id: new ObjectId(), ...doc });
+    if (!doc._id) doc._id = stored._id;
+    this.checkUnique(stored);
+    this.documents.push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [index, doc] of docs.entries()) {
+      insertedIds[index] = (await this.insertOne(doc)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  }
+
+  // Update one stored document in place, keeping it unchanged if the update
+  // breaks a unique index. Returns whether it changed.
+  updateDocument(doc, update) {
+    const updated = clone(doc);
+    applyUpdate(updated, update, false);
+    if (equal(updated, doc)) return false;
+    this.checkUnique(updated, doc);
+    Object.keys(doc).forEach((key) => delete doc[key]);
+    Object.assign(doc, updated);
+    return true;
+  }
+
+  // Insert the document an upsert describes: the equality fields of the
+  // filter with the update applied
+  upsertDocument(filter, update) {
+    const doc = {};
+    for (const [key, value] of Object.entries(filter)) {
+      if (!key.startsWith('$') && !isOperatorObject(value)) setPath(doc, key, clone(value));
+    }
+    applyUpdate(doc, update, true);
+    if (doc._id === undefined) doc._id = new ObjectId();
+    this.checkUnique(doc);
+    this.documents.push(doc);
+    return doc;
+  }
+
+  async updateOne(filter, update, { upsert = false } = {}) {
+    const [doc] = this.filtered(filter, { limit: 1 });
+    if (!doc) {
+      if (!upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedId: null };
+      const inserted = this.upsertDocument(filter, update);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+    }
+    const modified = this.updateDocument(doc, update);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: modified ? 1 : 0, upsertedId: null };
+  }
+
+  async updateMany(filter, update, { upsert = false } = {}) {
+    const docs = this.filtered(filter);
+    if (docs.length === 0 && upsert) return this.updateOne(filter, update, { upsert });
+    let modifiedCount = 0;
+    for (const doc of docs) {
+      if (this.updateDocument(doc, update)) modifiedCount += 1;
+    }
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount, upsertedId: null };
+  }
+
+  async replaceOne(filter, replacement, { upsert = false } = {}) {
+    const [doc] = this.filtered(filter, { limit: 1 });
+    if (!doc) {
+      if (!upsert) return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedId: null };
+      const inserted = clone({ _id: filter._id !== undefined && !isOperatorObject(filter._id) ? filter._id : new ObjectId(), ...replacement });
+      this.checkUnique(inserted);
+      this.documents.push(inserted);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+    }
+    const replaced = clone({ ...replacement, _id: doc._id });
+    this.checkUnique(replaced, doc);
+    Object.keys(doc).forEach((key) => delete doc[key]);
+    Object.assign(doc, replaced);
+    return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedId: null };
+  }
+
+  async findOneAndUpdate(filter, update, { upsert = false, returnDocument = 'before', sort, projection } = {}) {
+    const [doc] = this.filtered(filter, { sort, limit: 1 });
+    if (!doc) {
+      if (!upsert) return null;
+      const inserted = this.upsertDocument(filter, update);
+      return returnDocument === 'after' ? project(clone(inserted), projection) : null;
+    }
+    const before = clone(doc);
+    this.updateDocument(doc, update);
+    return project(clone(returnDocument === 'after' ? doc : before), projection);
+  }
+
+  async findOneAndDelete(filter, { sort } = {}) {
+    const [doc] = this.filtered(filter, { sort, limit: 1 });
+    if (!doc) return null;
+    this.documents.splice(this.documents.indexOf(doc), 1);
+    return clone(doc);
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.filtered(filter, { limit: 1 });
+    if (doc) this.documents.splice(this.documents.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}) {
+    const remaining = this.documents.filter((doc) => !matches(doc, filter));
+    const deletedCount = this.documents.length - remaining.length;
+    this.documents = remaining;
+    return { acknowledged: true, deletedCount };
+  }
+
+  async bulkWrite(operations) {
+    const result = { acknowledged: true, insertedCount: 0, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, deletedCount: 0, upsertedIds: {} };
+
+    for (const [index, operation] of operations.entries()) {
+      const [[type, spec]] = Object.entries(operation);
+      switch (type) {
+        case 'insertOne':
+          await this.insertOne(spec.document);
+          result.insertedCount += 1;
+          break;
+        case 'updateOne':
+        case 'updateMany': {
+          const updated = await this[type](spec.filter, spec.update, { upsert: spec.upsert });
+          result.matchedCount += updated.matchedCount;
+          result.modifiedCount += updated.modifiedCount;
+          result.upsertedCount += updated.upsertedCount || 0;
+          if (updated.upsertedId) result.upsertedIds[index] = updated.upsertedId;
+          break;
+        }
+        case 'deleteOne':
+        case 'deleteMany':
+          result.deletedCount += (await this[type](spec.filter)).deletedCount;
+          break;
+        default:
+          throw new Error(`memoryDb does not support the bulk operation ${type}`);
+      }
+    }
+
+    return result;
+  }
+
+  // Documents a $text search finds, with their scores: how often the
+  // search words appear in the text-indexed fields
+  textSearch(docs, search) {
+    if (!this.textFields) throw new Error(`memoryDb: ${this.collectionName} has no text index`);
+    const words = new Set(textTerms(search));
+
+    return docs.filter((doc) => {
+      const terms = this.textFields.flatMap((field) => pathValues(doc, field.split('.')).flatMap(textTerms));
+      doc[TEXT_SCORE] = terms.filter((term) => words.has(term)).length;
+      return doc[TEXT_SCORE] > 0;
+    });
+  }
+
+  runStage(docs, stage, first) {
+    const [[name, spec]] = Object.entries(stage);
+
+    switch (name) {
+      case '$match': {
+        const { $text: text, ...filter } = spec;
+        if (text && !first) throw new Error('memoryDb: $text must be in the first stage');
+        return (text ? this.textSearch(docs, text.$search) : docs).filter((doc) => matches(doc, filter));
+      }
+      case '$geoNear': {
+        if (!first) throw new Error('memoryDb: $geoNear must be the first stage');
+        const { near, key, distanceField, distanceMultiplier = 1, maxDistance = Infinity, query = {} } = spec;
+        return docs
+          .filter((doc) => matches(doc, query) && getPath(doc, key) && getPath(doc, key).type === 'Point')
+          .map((doc) => ({ doc, distance: sphereDistance(near.coordinates, getPath(doc, key).coordinates) }))
+          .filter(({ distance }) => distance <= maxDistance)
+          .sort((a, b) => a.distance - b.distance)
+          .map(({ doc, distance }) => {
+            setPath(doc, distanceField, distance * distanceMultiplier);
+            return doc;
+          });
+      }
+      case '$addFields':
+      case '$set':
+        return docs.map((doc) => {
+          const values = Object.entries(spec).map(([path, expression]) => [path, evaluate(expression, doc)]);
+          values.forEach(([path, value]) => setPath(doc, path, clone(value)));
+          return doc;
+        });
+      case '$project':
+        return docs.map((doc) => projectStage(doc, spec));
+      case '$lookup': {
+        const foreign = this.db.collection(spec.from).documents;
+        return docs.map((doc) => {
+          const locals = pathValues(doc, spec.localField.split('.')).flatMap((value) => [].concat(value));
+          const joined = foreign.filter((entry) => (locals.length > 0 ? locals : [null])
+            .some((local) => matchesValue(pathValues(entry, spec.foreignField.split('.')), local)));
+          setPath(doc, spec.as, joined.map(clone));
+          return doc;
+        });
+      }
+      case '$unwind': {
+        const path = (typeof spec === 'string' ? spec : spec.path).slice(1);
+        return docs.flatMap((doc) => {
+          const value = getPath(doc, path);
+          if (!Array.isArray(value)) return value === undefined || value === null ? [] : [doc];
+          return value.map((entry) => {
+            const copy = clone(doc);
+            setPath(copy, path, entry);
+            return copy;
+          });
+        });
+      }
+      case '$group':
+        return groupStage(docs, spec);
+      case '$sort':
+        return sortDocuments(docs, spec);
+      case '$skip':
+        return docs.slice(spec);
+      case '$limit':
+        return docs.slice(0, spec);
+      case '$count':
+        return docs.length > 0 ? [{ [spec]: docs.length }] : [];
+      case '$facet':
+        return [Object.fromEntries(Object.entries(spec).map(([field, pipeline]) => [
+          field,
+          pipeline.reduce((results, entry) => this.runStage(results, entry, false), docs.map(clone)),
+        ]))];
+      default:
+        throw new Error(`memoryDb does not support the aggregation stage ${name}`);
+    }
+  }
+
+  aggregate(pipeline) {
+    return new MemoryCursor(async () => pipeline.reduce(
+      (docs, stage, index) => this.runStage(docs, stage, index === 0),
+      this.documents.map(clone)
+    ));
+  }
+}
+
+// A database whose collections live in memory. Collections are created on
+// first use and the same object is returned for a name, so tests can wrap
+// a method to make it fail.
+function createMemoryDb() {
+  const collections = new Map();
+
+  const db = {
+    databaseName: 'memory',
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, new MemoryCollection(name, db));
+      return collections.get(name);
+    },
+    async command(command) {
+      if (command.ping) return { ok: 1 };
+      throw new Error(`memoryDb does not support the command ${Object.keys(command)[0]}`);
+    },
+  };
+
+  return db;
+}
+
+// A GridFS bucket over a memory database. File documents are kept in the
+// <bucketName>.files collection and their contents in memory.
+function createMemoryBucket(db, bucketName = 'fs') {
+  const files = db.collection(`${bucketName}.files`);
+  const contents = new Map();
+
+  function openUploadStreamWithId(id, filename, { contentType, metadata } = {}) {
+    const chunks = [];
+    const stream = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(Buffer.from(chunk));
+        callback();
+      },
+      final(callback) {
+        const data = Buffer.concat(chunks);
+        contents.set(String(id), data);
+        files.insertOne({
+          _id: id,
+          filename,
+          length: data.length,
+          chunkSize: 255 * 1024,
+          uploadDate: new Date(),
+          ...(contentType && { contentType }),
+          ...(metadata && { metadata }),
+        }).then(() => callback(), callback);
+      },
+    });
+    stream.id = id;
+    return stream;
+  }
+
+  return {
+    find: (filter = {}, options = {}) => files.find(filter, options),
+    openUploadStream: (filename, options) => openUploadStreamWithId(new ObjectId(), filename, options),
+    openUploadStreamWithId,
+    // end is exclusive, as in GridFS
+    openDownloadStream(id, { start = 0, end } = {}) {
+      const data = contents.get(String(id));
+      if (data) return Readable.from([data.subarray(start, end)]);
+
+      const missing = new Readable({ read() {} });
+      process.nextTick(() => missing.destroy(new Error(`FileNotFound: file ${id} was not found`)));
+      return missing;
+    },
+    async delete(id) {
+      const { deletedCount } = await files.deleteOne({ _id: id });
+      contents.delete(String(id));
+      if (deletedCount === 0) throw new Error(`File not found for id ${id}`);
+    },
+  };
+}
+
+module.exports = {
+  createMemoryDb,
+  createMemoryBucket,
+};
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { ensureVersionIndexes } = require('../versions');
+
+// A vendor with a product created through the API
+async function setup(t) {
+  const app = await startApp();
+  t.after(app.close);
+  await ensureVersionIndexes(app.db);
+
+  const { vendor, token } = await app.addVendor();
+  const created = await app.upload('POST', '/vendor/products', {
+    token,
+    fields: { productName: 'Lamp', price: '100', stockAvailability: '5' },
+    files: [{ name: 'lamp.png', type: 'image/png', content: 'LAMP' }],
+  });
+  assert.equal(created.status, 201);
+  const product = await app.db.collection('products').findOne({});
+
+  const history = (path = '') => app.request('GET', `/vendor/products/${product._id}/history${path}`, { token });
+  return { app, vendor, token, productId: product._id, history };
+}
+
+test('creates and updates are recorded as numbered versions with a diff', async (t) => {
+  const { app, vendor, token, productId, history } = await setup(t);
+
+  await app.request('PUT', `/vendor/products/${productId}`, { token, body: { price: 120, productName: 'Brass lamp' } });
+
+  const response = await history();
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.total, 2);
+  const [update, create] = response.body.items;
+  assert.deepEqual([create.version, create.action, update.version, update.action], [1, 'create', 2, 'update']);
+  const changed = Object.fromEntries(update.changes.map((change) => [change.field, [change.from, change.to]]));
+  assert.deepEqual(changed.price, [100, 120]);
+  assert.deepEqual(changed.productName, ['Lamp', 'Brass lamp']);
+  assert.deepEqual(update.by, { kind: 'vendor', userId: String(vendor._id) });
+  assert.equal(update.snapshot, undefined);
+
+  const first = await history('/1');
+  assert.equal(first.body.snapshot.productName, 'Lamp');
+});
+
+test('restoring a version brings its fields back and is recorded as a version', async (t) => {
+  const { app, token, productId, history } = await setup(t);
+  await app.request('PUT', `/vendor/products/${productId}`, { token, body: { price: 120, productPolicies: 'No returns', stockAvailability: 2 } });
+
+  const response = await app.request('POST', `/vendor/products/${productId}/history/1/restore`, { token });
+
+  assert.equal(response.status, 200);
+  const product = await app.db.collection('products').findOne({ _id: productId });
+  assert.equal(product.price, 100);
+  assert.equal(product.productPolicies, undefined);
+  // Stock stays as the ledger has it
+  assert.equal(product.stockAvailability, 2);
+
+  const [latest] = (await history()).body.items;
+  assert.deepEqual([latest.version, latest.action, latest.restoredFrom], [3, 'restore', 1]);
+});
+
+test('other vendors cannot read or restore a listing\'s history', async (t) => {
+  const { app, productId } = await setup(t);
+  const { token: otherToken } = await app.addVendor();
+
+  assert.equal((await app.request('GET', `/vendor/products/${productId}/history`, { token: otherToken })).status, 404);
+  assert.equal((await app.request('POST', `/vendor/products/${productId}/history/1/restore`, { token: otherToken })).status, 404);
+});
+
+test('deleted listings go to the trash and can be put back', async (t) => {
+  const { app, token, productId, history } = await setup(t);
+
+  assert.equal((await app.request('DELETE', `/vendor/products/${productId}`, { token })).status, 200);
+  assert.equal(await app.db.collection('products').countDocuments(), 0);
+
+  const trash = await app.request('GET', '/vendor/trash', { token });
+  assert.deepEqual(trash.body.map((entry) => [entry.collectionName, entry.listing.productName]), [['products', 'Lamp']]);
+  assert.equal((await history()).body.items[0].action, 'delete');
+
+  assert.equal((await app.request('POST', `/vendor/trash/${productId}/restore`, { token })).status, 200);
+  const product = await app.db.collection('products').findOne({ _id: productId });
+  assert.equal(product.productName, 'Lamp');
+  assert.equal((await app.request('GET', `/image/${product.images[0]}`)).status, 200);
+  assert.deepEqual((await app.request('GET', '/vendor/trash', { token })).body, []);
+});
+
+test('purging a trashed listing removes its media and history', async (t) => {
+  const { app, token, productId, history } = await setup(t);
+  const { images } = await app.db.collection('products').findOne({ _id: productId });
+  await app.request('DELETE', `/vendor/products/${productId}`, { token });
+
+  assert.equal((await app.request('DELETE', `/vendor/trash/${productId}`, { token })).status, 200);
+
+  assert.equal((await app.request('GET', `/image/${images[0]}`)).status, 404);
+  assert.equal((await history()).status, 404);
+  assert.equal((await app.request('DELETE', `/vendor/trash/${productId}`, { token })).status, 404);
+});
+
+test('vendor edits keep publishing and moderation state in the recorded versions', async (t) => {
+  const { app, vendor, token, productId, history } = await setup(t);
+
+  // Stock changes belong to the ledger, not the history
+  await app.request('PUT', `/vendor/products/${productId}`, { token, body: { stockAvailability: 9 } });
+  assert.equal((await history()).body.total, 1);
+
+  await app.request('PUT', `/vendor/products/${productId}`, { token, body: { price: 120 } });
+  const [update] = (await history()).body.items;
+  assert.deepEqual(update.changes.map((change) => [change.field, change.from, change.to]), [['price', 100, 120]]);
+  assert.equal((await history('/2')).body.snapshot.status, 'draft');
+
+  const { insertedId: serviceId } = await app.db.collection('services').insertOne({
+    userId: vendor._id,
+    serviceName: 'Decor',
+    status: 'published',
+    moderation: { hidden: true },
+  });
+  await app.request('PUT', `/vendor/services/${serviceId}`, { token, body: { serviceName: 'Flower decor' } });
+  const serviceHistory = await app.request('GET', `/vendor/services/${serviceId}/history`, { token });
+  assert.deepEqual(serviceHistory.body.items[0].changes.map((change) => change.field), ['serviceName']);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+// A vendor with one product of the given fields
+async function setup(t, fields = {}) {
+  const app = await startApp();
+  t.after(app.close);
+
+  const { vendor, token } = await app.addVendor();
+  const { insertedId: productId } = await app.db.collection('products').insertOne({
+    userId: vendor._id,
+    productName: 'Lamp',
+    price: 100,
+    stockAvailability: 5,
+    ...fields,
+  });
+
+  const move = (body) => app.request('POST', `/vendor/products/${productId}/stock`, { token, body });
+  return { app, vendor, token, productId, move };
+}
+
+test('stock movements change the on-hand quantity and are recorded with who made them', async (t) => {
+  const { app, vendor, move } = await setup(t);
+
+  const restock = await move({ type: 'restock', quantity: 10 });
+  assert.equal(restock.status, 201);
+  assert.equal(restock.body.stockAvailability, 15);
+
+  assert.equal((await move({ type: 'sale', quantity: 4 })).body.stockAvailability, 11);
+  assert.equal((await move({ type: 'adjustment', quantity: -1, reason: 'Broken in transit' })).body.stockAvailability, 10);
+
+  const movements = await app.db.collection('stockMovements').find({}).sort({ _id: 1 }).toArray();
+  assert.deepEqual(movements.map((movement) => [movement.type, movement.quantity, movement.balanceAfter]), [
+    ['restock', 10, 15],
+    ['sale', -4, 11],
+    ['adjustment', -1, 10],
+  ]);
+  assert.equal(movements[2].reason, 'Broken in transit');
+  assert.deepEqual(movements[0].by, { kind: 'vendor', userId: vendor._id });
+});
+
+test('stock cannot go below zero', async (t) => {
+  const { app, productId, move } = await setup(t);
+
+  const response = await move({ type: 'sale', quantity: 6 });
+
+  assert.equal(response.status, 409);
+  assert.equal((await app.db.collection('products').findOne({ _id: productId })).stockAvailability, 5);
+  assert.equal(await app.db.collection('stockMovements').countDocuments(), 0);
+});
+
+test('adjustments need a reason and a non-zero quantity', async (t) => {
+  const { move } = await setup(t);
+
+  const response = await move({ type: 'adjustment', quantity: 0 });
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.errors.map((error) => error.field).sort(), ['body.quantity', 'body.reason']);
+});
+
+test('stock kept as text is converted when it moves', async (t) => {
+  const { app, productId, move } = await setup(t, { stockAvailability: '7' });
+
+  assert.equal((await move({ type: 'return', quantity: 1 })).body.stockAvailability, 8);
+  assert.equal((await app.db.collection('products').findOne({ _id: productId })).stockAvailability, 8);
+});
+
+test('a product update sets stock through an adjustment', async (t) => {
+  const { app, token, productId } = await setup(t);
+
+  const response = await app.request('PUT', `/vendor/products/${productId}`, { token, body: { stockAvailability: 2 } });
+
+  assert.equal(response.status, 200);
+  const [movement] = await app.db.collection('stockMovements').find({}).toArray();
+  assert.deepEqual([movement.type, movement.quantity, movement.reason], ['adjustment', -3, 'Product update']);
+});
+
+test('stock history is read per product, newest first and filtered by type', async (t) => {
+  const { app, token, productId, move } = await setup(t);
+  await move({ type: 'restock', quantity: 3 });
+  await move({ type: 'sale', quantity: 1 });
+  await move({ type: 'sale', quantity: 2 });
+
+  const history = await app.request('GET', `/vendor/products/${productId}/stock?type=sale`, { token });
+
+  assert.equal(history.status, 200);
+  assert.equal(history.body.total, 2);
+  assert.deepEqual(history.body.items.map((movement) => movement.quantity), [-2, -1]);
+  assert.equal(history.body.product.stockAvailability, 5);
+
+  const { token: otherToken } = await app.addVendor();
+  assert.equal((await app.request('GET', `/vendor/products/${productId}/stock`, { token: otherToken })).status, 404);
+});
+
+test('low-stock alerts list products at or below their threshold, lowest first', async (t) => {
+  const { app, vendor, token } = await setup(t, { lowStockThreshold: 5 });
+  const products = app.db.collection('products');
+  await products.insertOne({ userId: vendor._id, productName: 'Chair', stockAvailability: '0', lowStockThreshold: 2 });
+  await products.insertOne({ userId: vendor._id, productName: 'Table', stockAvailability: 10, lowStockThreshold: 2 });
+  await products.insertOne({ userId: vendor._id, productName: 'Rug', stockAvailability: 0 });
+  const { vendor: other } = await app.addVendor();
+  await products.insertOne({ userId: other._id, productName: 'Not mine', stockAvailability: 0, lowStockThreshold: 2 });
+
+  const response = await app.request('GET', '/vendor/inventory/alerts', { token });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.map((product) => [product.productName, product.stockAvailability, product.outOfStock]), [
+    ['Chair', 0, true],
+    ['Lamp', 5, false],
+  ]);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { normalizeListingPrices } = require('../listings');
+
+// A vendor with products priced as given, named in insertion order
+async function setup(t, prices = []) {
+  const app = await startApp();
+  t.after(app.close);
+
+  const { vendor, token } = await app.addVendor();
+  for (const [index, price] of prices.entries()) {
+    await app.db.collection('products').insertOne({ userId: vendor._id, productName: `Lamp ${index}`, ...(price !== undefined && { price }) });
+  }
+
+  return { app, vendor, token };
+}
+
+// Follow nextCursor through every page and collect the product names
+async function allPages(app, token, query) {
+  const names = [];
+  let cursor = null;
+
+  do {
+    const response = await app.request('GET', `/vendor/products?${query}${cursor ? `&cursor=${cursor}` : ''}`, { token });
+    assert.equal(response.status, 200);
+    names.push(...response.body.items.map((item) => item.productName));
+    cursor = response.body.nextCursor;
+  } while (cursor);
+
+  return names;
+}
+
+test('vendor listings are paged newest first with a total', async (t) => {
+  const { app, token } = await setup(t, [30, 10, 20, 40, 50]);
+
+  const first = await app.request('GET', '/vendor/products?limit=2', { token });
+
+  assert.equal(first.status, 200);
+  assert.equal(first.body.total, 5);
+  assert.deepEqual(first.body.items.map((item) => item.productName), ['Lamp 4', 'Lamp 3']);
+  assert.deepEqual(await allPages(app, token, 'limit=2'), ['Lamp 4', 'Lamp 3', 'Lamp 2', 'Lamp 1', 'Lamp 0']);
+});
+
+test('pages sorted by price hold every listing once, missing prices included', async (t) => {
+  const { app, token } = await setup(t, [30, 10, 30, undefined, 20]);
+
+  assert.deepEqual(await allPages(app, token, 'sort=price&limit=2'), ['Lamp 3', 'Lamp 1', 'Lamp 4', 'Lamp 0', 'Lamp 2']);
+  assert.deepEqual(await allPages(app, token, 'sort=price&order=desc&limit=2'), ['Lamp 2', 'Lamp 0', 'Lamp 4', 'Lamp 1', 'Lamp 3']);
+});
+
+test('a cursor only works for the sort it was made for', async (t) => {
+  const { app, token } = await setup(t, [10, 20, 30]);
+
+  const first = await app.request('GET', '/vendor/products?sort=price&limit=1', { token });
+  const response = await app.request('GET', `/vendor/products?sort=name&limit=1&cursor=${first.body.nextCursor}`, { token });
+
+  assert.equal(response.status, 400);
+});
+
+test('fields selects what each listing returns', async (t) => {
+  const { app, token } = await setup(t, [10, 20]);
+
+  const response = await app.request('GET', '/vendor/products?fields=productName&sort=price&limit=1', { token });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(Object.keys(response.body.items[0]).sort(), ['_id', 'productName']);
+  assert.ok(response.body.nextCursor);
+
+  const unknown = await app.request('GET', '/vendor/products?fields=userId', { token });
+  assert.equal(unknown.status, 400);
+});
+
+test('a vendor without services gets an empty page', async (t) => {
+  const { app, token } = await setup(t);
+
+  const response = await app.request('GET', '/vendor/services', { token });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.items, []);
+  assert.equal(response.body.total, 0);
+  assert.equal(response.body.nextCursor, null);
+});
+
+test('prices stored as text are converted to numbers', async (t) => {
+  const { app, vendor } = await setup(t, ['25', 'call us', 15]);
+  await app.db.collection('services').insertOne({ userId: vendor._id, serviceName: 'Decor', lowestAmount: '100', highestAmount: '200.5' });
+
+  assert.equal(await normalizeListingPrices(app.db), 3);
+
+  const prices = (await app.db.collection('products').find({}).toArray()).map((product) => product.price);
+  assert.deepEqual(prices, [25, 'call us', 15]);
+  const service = await app.db.collection('services').findOne({});
+  assert.deepEqual([service.lowestAmount, service.highestAmount], [100, 200.5]);
+});
@@ -0,0 +1,253 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { ObjectId } = require('mongodb');
+const { startApp } = require('./helpers/app');
+const { sweepOrphanedMedia } = require('../media');
+
+// Write a file to a bucket and resolve with its ID
+function storeFile(bucket, content, options = {}) {
+  return new Promise((resolve, reject) => {
+    const uploadStream = bucket.openUploadStream('file', options);
+    uploadStream.once('finish', () => resolve(uploadStream.id));
+    uploadStream.once('error', reject);
+    uploadStream.end(Buffer.from(content));
+  });
+}
+
+// A plain GET. fetch() adds Cache-Control: no-cache to conditional requests,
+// which makes the server send the file again.
+function rawGet(app, path, headers) {
+  return new Promise((resolve, reject) => {
+    http.get(`${app.baseUrl}${path}`, { headers }, (response) => {
+      response.resume();
+      response.on('end', () => resolve(response));
+    }).on('error', reject);
+  });
+}
+
+async function mediaApp(t) {
+  const app = await startApp();
+  t.after(app.close);
+  return app;
+}
+
+test('media is served with its stored content type, length and caching headers', async (t) => {
+  const app = await mediaApp(t);
+  const fileId = await storeFile(app.bucket, 'PNGDATA', { contentType: 'image/png' });
+
+  const response = await app.request('GET', `/image/${fileId}`);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body, 'PNGDATA');
+  assert.equal(response.headers.get('content-type'), 'image/png');
+  assert.equal(response.headers.get('content-length'), '7');
+  assert.equal(response.headers.get('accept-ranges'), 'bytes');
+  assert.match(response.headers.get('cache-control'), /immutable/);
+  assert.equal(response.headers.get('etag'), `"${fileId}-7"`);
+});
+
+test('videos without a stored type are served as mp4', async (t) => {
+  const app = await mediaApp(t);
+  const fileId = await storeFile(app.bucket, 'video');
+
+  const response = await app.request('GET', `/video/${fileId}`);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'video/mp4');
+});
+
+test('a byte range is served as partial content', async (t) => {
+  const app = await mediaApp(t);
+  const fileId = await storeFile(app.bucket, '0123456789', { contentType: 'video/mp4' });
+
+  const partial = await app.request('GET', `/video/${fileId}`, { headers: { Range: 'bytes=2-5' } });
+  assert.equal(partial.status, 206);
+  assert.equal(partial.body, '2345');
+  assert.equal(partial.headers.get('content-range'), 'bytes 2-5/10');
+  assert.equal(partial.headers.get('content-length'), '4');
+
+  const suffix = await app.request('GET', `/video/${fileId}`, { headers: { Range: 'bytes=-3' } });
+  assert.equal(suffix.status, 206);
+  assert.equal(suffix.body, '789');
+
+  const unsatisfiable = await app.request('GET', `/video/${fileId}`, { headers: { Range: 'bytes=20-30' } });
+  assert.equal(unsatisfiable.status, 416);
+  assert.equal(unsatisfiable.headers.get('content-range'), 'bytes */10');
+});
+
+test('a range for an older version of the file is served in full', async (t) => {
+  const app = await mediaApp(t);
+  const fileId = await storeFile(app.bucket, '0123456789', { contentType: 'video/mp4' });
+
+  const response = await app.request('GET', `/video/${fileId}`, { headers: { Range: 'bytes=2-5', 'If-Range': '"stale"' } });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body, '0123456789');
+});
+
+test('a cached copy is revalidated with its ETag', async (t) => {
+  const app = await mediaApp(t);
+  const fileId = await storeFile(app.bucket, 'PNGDATA', { contentType: 'image/png' });
+
+  const response = await rawGet(app, `/image/${fileId}`, { 'If-None-Match': `"${fileId}-7"` });
+
+  assert.equal(response.statusCode, 304);
+});
+
+test('HEAD requests get the headers without the body', async (t) => {
+  const app = await mediaApp(t);
+  const fileId = await storeFile(app.bucket, 'PNGDATA', { contentType: 'image/png' });
+
+  const response = await app.request('HEAD', `/image/${fileId}`);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-length'), '7');
+  assert.equal(response.body, null);
+});
+
+test('missing files are not found', async (t) => {
+  const app = await mediaApp(t);
+
+  const response = await app.request('GET', `/image/${new ObjectId()}`);
+
+  assert.equal(response.status, 404);
+  assert.equal(response.body.message, 'Image not found');
+});
+
+test('listings cannot be created with files that are not images or videos', async (t) => {
+  const app = await mediaApp(t);
+  const { token } = await app.addVendor();
+
+  const files = [
+    { name: 'photo.png', type: 'image/png', content: 'PNG' },
+    { name: 'notes.pdf', type: 'application/pdf', content: 'PDF' },
+  ];
+  const product = await app.upload('POST', '/vendor/products', { token, fields: { productName: 'Lamp', price: '100' }, files });
+  const service = await app.upload('POST', '/vendor/services', { token, fields: { serviceName: 'Decor' }, files });
+
+  for (const response of [product, service]) {
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.errors, [{ field: 'files.1', message: 'notes.pdf is not an image or a video' }]);
+  }
+  assert.equal(await app.db.collection('products').countDocuments(), 0);
+  assert.equal(await app.db.collection('services').countDocuments(), 0);
+  assert.equal(await app.db.collection('uploads.files').countDocuments(), 0);
+});
+
+// A vendor's product with two images added through the media route
+async function productWithImages(app) {
+  const { vendor, token } = await app.addVendor();
+  const { insertedId: productId } = await app.db.collection('products').insertOne({ userId: vendor._id, productName: 'Lamp', price: 100 });
+
+  const added = await app.upload('POST', `/vendor/products/${productId}/media`, {
+    token,
+    files: [
+      { name: 'a.png', type: 'image/png', content: 'A' },
+      { name: 'b.png', type: 'image/png', content: 'B' },
+      { name: 'c.mp4', type: 'video/mp4', content: 'C' },
+    ],
+  });
+  assert.equal(added.status, 201);
+
+  return { token, productId, images: added.body.images, videos: added.body.videos };
+}
+
+function storedProduct(app, productId) {
+  return app.db.collection('products').findOne({ _id: productId });
+}
+
+test('added media is stored on the listing and the first image becomes the cover', async (t) => {
+  const app = await mediaApp(t);
+  const { productId, images, videos } = await productWithImages(app);
+
+  const product = await storedProduct(app, productId);
+  assert.deepEqual(product.images.map(String), images);
+  assert.deepEqual(product.videos.map(String), videos);
+  assert.equal(String(product.coverImage), images[0]);
+
+  const file = await app.bucket.find({ _id: product.images[0] }).next();
+  assert.equal(file.contentType, 'image/png');
+});
+
+test('deleting the cover image removes the file and picks a new cover', async (t) => {
+  const app = await mediaApp(t);
+  const { token, productId, images } = await productWithImages(app);
+
+  const response = await app.request('DELETE', `/vendor/products/${productId}/media/${images[0]}`, { token });
+
+  assert.equal(response.status, 200);
+  const product = await storedProduct(app, productId);
+  assert.deepEqual(product.images.map(String), [images[1]]);
+  assert.equal(String(product.coverImage), images[1]);
+  assert.equal((await app.request('GET', `/image/${images[0]}`)).status, 404);
+});
+
+test('media can only be reordered to a permutation of the current files', async (t) => {
+  const app = await mediaApp(t);
+  const { token, productId, images } = await productWithImages(app);
+  const reorder = (body) => app.request('PUT', `/vendor/products/${productId}/media/order`, { token, body });
+
+  assert.equal((await reorder({ images: [images[0]] })).status, 400);
+  assert.equal((await reorder({ images: [images[1], images[0]] })).status, 200);
+  assert.deepEqual((await storedProduct(app, productId)).images.map(String), [images[1], images[0]]);
+});
+
+test('the cover must be one of the listing images', async (t) => {
+  const app = await mediaApp(t);
+  const { token, productId, images, videos } = await productWithImages(app);
+  const setCover = (fileId) => app.request('PUT', `/vendor/products/${productId}/media/cover`, { token, body: { fileId } });
+
+  assert.equal((await setCover(videos[0])).status, 400);
+  assert.equal((await setCover(images[1])).status, 200);
+  assert.equal(String((await storedProduct(app, productId)).coverImage), images[1]);
+});
+
+test('a media change made meanwhile turns away a reorder computed before it', async (t) => {
+  const app = await mediaApp(t);
+  const { token, productId, images } = await productWithImages(app);
+
+  // Another request removes an image right after this one read the listing
+  const products = app.db.collection('products');
+  const findOne = products.findOne.bind(products);
+  t.mock.method(products, 'findOne', async (...args) => {
+    const product = await findOne(...args);
+    await products.updateOne({ _id: productId }, { $pull: { images: product.images[0] } });
+    return product;
+  });
+
+  const response = await app.request('PUT', `/vendor/products/${productId}/media/order`, { token, body: { images: [images[1], images[0]] } });
+
+  assert.equal(response.status, 409);
+  t.mock.restoreAll();
+  assert.deepEqual((await storedProduct(app, productId)).images.map(String), [images[1]]);
+});
+
+test('other vendors cannot change a listing\'s media', async (t) => {
+  const app = await mediaApp(t);
+  const { productId, images } = await productWithImages(app);
+  const { token: otherToken } = await app.addVendor();
+
+  const response = await app.request('DELETE', `/vendor/products/${productId}/media/${images[0]}`, { token: otherToken });
+
+  assert.equal(response.status, 404);
+  assert.equal((await storedProduct(app, productId)).images.length, 2);
+});
+
+test('the orphan sweep deletes old files no listing refers to', async (t) => {
+  const app = await mediaApp(t);
+  const { productId, images } = await productWithImages(app);
+  const orphan = await storeFile(app.bucket, 'orphan', { contentType: 'image/png' });
+  const recent = await storeFile(app.bucket, 'recent', { contentType: 'image/png' });
+
+  // Everything but the recent upload is past the grace period
+  await app.db.collection('uploads.files').updateMany({ _id: { $ne: recent } }, { $set: { uploadDate: new Date(Date.now() - 2 * 60 * 60 * 1000) } });
+
+  assert.equal(await sweepOrphanedMedia(), 1);
+
+  const remaining = await app.bucket.find({}).toArray();
+  assert.equal(remaining.some((file) => String(file._id) === String(orphan)), false);
+  assert.equal(remaining.some((file) => String(file._id) === String(recent)), true);
+  assert.equal((await storedProduct(app, productId)).images.map(String).includes(images[0]), true);
+  assert.equal(remaining.length, 4);
+});
@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+const customerPhone = '+919876543210';
+
+// A verified vendor with products of the given stock
+async function setup(t, stocks = [5]) {
+  const app = await startApp();
+  t.after(app.close);
+
+  const { vendor, token } = await app.addVendor();
+  const productIds = [];
+  for (const [index, stock] of stocks.entries()) {
+    const { insertedId } = await app.db.collection('products').insertOne({
+      userId: vendor._id,
+      productName: `Lamp ${index}`,
+      price: 100,
+      stockAvailability: stock,
+    });
+    productIds.push(insertedId);
+  }
+
+  return { app, token, productIds };
+}
+
+function placeOrder(app, items) {
+  return app.request('POST', '/orders', {
+    body: {
+      items: items.map(([productId, quantity]) => ({ productId: String(productId), quantity })),
+      name: 'Asha',
+      phoneNumber: customerPhone,
+      shippingAddress: '1 Main Street',
+    },
+  });
+}
+
+async function stockOf(app, productId) {
+  return (await app.db.collection('products').findOne({ _id: productId })).stockAvailability;
+}
+
+function setStatus(app, token, orderId, status) {
+  return app.request('POST', `/vendor/orders/${orderId}/status`, { token, body: { status } });
+}
+
+test('placing an order takes its stock and records the sale', async (t) => {
+  const { app, productIds: [productId] } = await setup(t);
+
+  const response = await placeOrder(app, [[productId, 2]]);
+
+  assert.equal(response.status, 201);
+  assert.equal(await stockOf(app, productId), 3);
+
+  const [order] = await app.db.collection('orders').find({}).toArray();
+  assert.equal(order.status, 'placed');
+  assert.equal(order.total, 200);
+
+  const [movement] = await app.db.collection('stockMovements').find({}).toArray();
+  assert.equal(movement.type, 'sale');
+  assert.equal(movement.quantity, -2);
+});
+
+test('an order short of stock on any item takes no stock at all', async (t) => {
+  const { app, productIds: [plenty, scarce] } = await setup(t, [5, 1]);
+
+  const response = await placeOrder(app, [[plenty, 2], [scarce, 2]]);
+
+  assert.equal(response.status, 409);
+  assert.equal(await stockOf(app, plenty), 5);
+  assert.equal(await stockOf(app, scarce), 1);
+  assert.equal(await app.db.collection('orders').countDocuments(), 0);
+});
+
+test('an order that fails to save gives back its stock', async (t) => {
+  const { app, productIds: [productId] } = await setup(t);
+
+  t.mock.method(app.db.collection('orders'), 'insertMany', async () => {
+    throw new Error('write failed');
+  });
+  t.mock.method(console, 'error', () => {});
+
+  const response = await placeOrder(app, [[productId, 2]]);
+
+  assert.equal(response.status, 500);
+  assert.equal(await stockOf(app, productId), 5);
+});
+
+test('vendors move orders through the allowed states only', async (t) => {
+  const { app, token, productIds: [productId] } = await setup(t);
+  const { body: { orderIds: [orderId] } } = await placeOrder(app, [[productId, 1]]);
+
+  const skipped = await setStatus(app, token, orderId, 'shipped');
+  assert.equal(skipped.status, 409);
+  assert.equal(skipped.body.message, 'Order cannot move from placed to shipped');
+
+  assert.equal((await setStatus(app, token, orderId, 'confirmed')).status, 200);
+  const shipped = await app.request('POST', `/vendor/orders/${orderId}/status`, {
+    token,
+    body: { status: 'shipped', trackingNumber: 'TRACK1' },
+  });
+  assert.equal(shipped.status, 200);
+  assert.equal(shipped.body.order.trackingNumber, 'TRACK1');
+  assert.equal((await setStatus(app, token, orderId, 'delivered')).status, 200);
+  assert.equal((await setStatus(app, token, orderId, 'cancelled')).status, 409);
+
+  const order = await app.db.collection('orders').findOne({});
+  assert.deepEqual(order.statusHistory.map((entry) => entry.status), ['placed', 'confirmed', 'shipped', 'delivered']);
+});
+
+test('a cancelled order returns its stock', async (t) => {
+  const { app, token, productIds: [productId] } = await setup(t);
+  const { body: { orderIds: [orderId] } } = await placeOrder(app, [[productId, 2]]);
+
+  assert.equal((await setStatus(app, token, orderId, 'cancelled')).status, 200);
+
+  assert.equal(await stockOf(app, productId), 5);
+  const movements = await app.db.collection('stockMovements').find({}).toArray();
+  assert.deepEqual(movements.map((movement) => movement.type), ['sale', 'return']);
+});
+
+test('customers can cancel their order only until the vendor confirms it', async (t) => {
+  const { app, token, productIds: [productId] } = await setup(t);
+  const first = await placeOrder(app, [[productId, 1]]);
+  const second = await placeOrder(app, [[productId, 1]]);
+  const cancel = (orderId, phoneNumber = customerPhone) => app.request('POST', `/orders/${orderId}/cancel`, { body: { phoneNumber } });
+
+  assert.equal((await cancel(first.body.orderIds[0], '+919999999999')).status, 409);
+  assert.equal((await cancel(first.body.orderIds[0])).status, 200);
+
+  await setStatus(app, token, second.body.orderIds[0], 'confirmed');
+  assert.equal((await cancel(second.body.orderIds[0])).status, 409);
+
+  assert.equal(await stockOf(app, productId), 4);
+});
+
+test('a customer looks an order up with its phone number', async (t) => {
+  const { app, productIds: [productId] } = await setup(t);
+  const { body: { orderIds: [orderId] } } = await placeOrder(app, [[productId, 1]]);
+
+  const found = await app.request('GET', `/orders/${orderId}?phoneNumber=${encodeURIComponent(customerPhone)}`);
+  assert.equal(found.status, 200);
+  assert.equal(found.body.status, 'placed');
+
+  const other = await app.request('GET', `/orders/${orderId}?phoneNumber=${encodeURIComponent('+919999999999')}`);
+  assert.equal(other.status, 404);
+});
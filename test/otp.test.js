@@ -0,0 +1,183 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { createMemoryDb } = require('./helpers/memoryDb');
+const { setDb } = require('../db');
+const { createLocalProvider, createTwilioProvider, createOtpProvider, OtpChannelError } = require('../otp');
+
+const phoneNumber = '+919876543210';
+
+// A local provider writing to a fresh database, and the codes it printed
+function localProvider(t) {
+  const db = createMemoryDb();
+  setDb(db);
+  const printed = [];
+  t.mock.method(console, 'log', (line) => printed.push(line));
+  const provider = createLocalProvider({ delivery: 'console', hashSecret: 'test-secret' });
+  const lastCode = () => printed[printed.length - 1].match(/(\d{6})$/)[1];
+  return { db, provider, lastCode };
+}
+
+test('local provider approves the code it sent once', async (t) => {
+  const { provider, lastCode } = localProvider(t);
+
+  await provider.sendCode(phoneNumber, { purpose: 'login' });
+  const code = lastCode();
+
+  assert.equal(await provider.checkCode(phoneNumber, code, { purpose: 'login' }), 'approved');
+  assert.equal(await provider.checkCode(phoneNumber, code, { purpose: 'login' }), 'pending');
+});
+
+test('local provider keeps codes of different purposes apart', async (t) => {
+  const { provider, lastCode } = localProvider(t);
+
+  await provider.sendCode(phoneNumber, { purpose: 'account_deletion' });
+
+  assert.equal(await provider.checkCode(phoneNumber, lastCode(), { purpose: 'login' }), 'pending');
+  assert.equal(await provider.checkCode(phoneNumber, lastCode(), { purpose: 'account_deletion' }), 'approved');
+});
+
+test('local provider stops accepting a code after too many wrong attempts', async (t) => {
+  const { provider, lastCode } = localProvider(t);
+
+  await provider.sendCode(phoneNumber);
+  const code = lastCode();
+  const wrong = code === '000000' ? '111111' : '000000';
+
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    assert.equal(await provider.checkCode(phoneNumber, wrong), 'pending');
+  }
+  assert.equal(await provider.checkCode(phoneNumber, code), 'max_attempts_reached');
+});
+
+test('local provider rejects expired codes', async (t) => {
+  const { db, provider, lastCode } = localProvider(t);
+
+  await provider.sendCode(phoneNumber);
+  await db.collection('otpCodes').updateOne({ phoneNumber }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+  assert.equal(await provider.checkCode(phoneNumber, lastCode()), 'expired');
+});
+
+test('local provider needs an email address for the email channel', async (t) => {
+  const { provider } = localProvider(t);
+
+  await assert.rejects(provider.sendCode(phoneNumber, { channel: 'email' }), OtpChannelError);
+});
+
+test('twilio provider only sends by SMS', async () => {
+  const provider = createTwilioProvider({ accountSid: 'AC00000000000000000000000000000000', authToken: 'token', verifySid: 'VA0' });
+
+  await assert.rejects(provider.sendCode(phoneNumber, { channel: 'email', email: 'a@example.com' }), OtpChannelError);
+});
+
+// A stand-in for the Twilio client: one pending code per phone number, as
+// Twilio Verify keeps it
+function fakeTwilioClient() {
+  const pending = new Map();
+  const calls = [];
+  let counter = 0;
+  const verifications = (to) => ({
+    async update({ status }) {
+      calls.push({ to, status });
+      if (!pending.has(to)) throw Object.assign(new Error('Not found'), { status: 404 });
+      pending.delete(to);
+    },
+  });
+  verifications.create = async ({ to }) => {
+    if (pending.has(to)) return;
+    counter += 1;
+    pending.set(to, String(200000 + counter));
+  };
+  const verificationChecks = {
+    async create({ to, code }) {
+      if (pending.get(to) !== code) return { status: 'pending' };
+      pending.delete(to);
+      return { status: 'approved' };
+    },
+  };
+  return {
+    pending,
+    calls,
+    verify: { v2: { services: () => ({ verifications, verificationChecks }) } },
+  };
+}
+
+function twilioProvider() {
+  setDb(createMemoryDb());
+  const client = fakeTwilioClient();
+  const provider = createTwilioProvider({ verifySid: 'VA0', client });
+  return { client, provider };
+}
+
+test('twilio provider only approves a code for the purpose it was sent for', async () => {
+  const { client, provider } = twilioProvider();
+
+  await provider.sendCode(phoneNumber, { purpose: 'login' });
+  const code = client.pending.get(phoneNumber);
+
+  assert.equal(await provider.checkCode(phoneNumber, code, { purpose: 'account_deletion' }), 'pending');
+  assert.equal(await provider.checkCode(phoneNumber, code, { purpose: 'login' }), 'approved');
+  assert.equal(await provider.checkCode(phoneNumber, code, { purpose: 'login' }), 'pending');
+});
+
+test('twilio provider cancels a pending code when one is sent for another purpose', async () => {
+  const { client, provider } = twilioProvider();
+
+  await provider.sendCode(phoneNumber, { purpose: 'login' });
+  const loginCode = client.pending.get(phoneNumber);
+  await provider.sendCode(phoneNumber, { purpose: 'login' });
+  assert.deepEqual(client.calls, []);
+
+  await provider.sendCode(phoneNumber, { purpose: 'account_deletion' });
+
+  assert.deepEqual(client.calls, [{ to: phoneNumber, status: 'canceled' }]);
+  assert.equal(await provider.checkCode(phoneNumber, loginCode, { purpose: 'login' }), 'pending');
+  assert.equal(await provider.checkCode(phoneNumber, loginCode, { purpose: 'account_deletion' }), 'pending');
+  assert.equal(await provider.checkCode(phoneNumber, client.pending.get(phoneNumber), { purpose: 'account_deletion' }), 'approved');
+});
+
+test('an unknown OTP_PROVIDER is refused', () => {
+  assert.throws(() => createOtpProvider({ OTP_PROVIDER: 'carrier-pigeon' }), /Unknown OTP_PROVIDER/);
+});
+
+test('customer login codes only go by email to a confirmed address', async (t) => {
+  const printed = [];
+  t.mock.method(console, 'log', (line) => printed.push(line));
+  const app = await startApp({ otpProvider: createLocalProvider({ delivery: 'console', hashSecret: 'test-secret' }) });
+  t.after(app.close);
+
+  await app.db.collection('customers').insertOne({ phoneNumber, email: 'someone@example.com', createdAt: new Date() });
+
+  const response = await app.request('POST', '/customer/login', { body: { phoneNumber, channel: 'email' } });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.message, 'No verified email address on file for this account');
+  assert.equal(printed.length, 0);
+});
+
+test('a vendor signs up and logs in with the codes the provider sent', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const lastCode = () => app.otpProvider.sent[app.otpProvider.sent.length - 1];
+
+  const signup = await app.request('POST', '/signup', { body: { phoneNumber, businessName: 'Bright Events' } });
+  assert.equal(signup.status, 200);
+  assert.equal(lastCode().purpose, 'signup');
+  assert.equal(lastCode().channel, 'sms');
+
+  const signupCode = lastCode().code;
+  assert.equal((await app.request('POST', '/verify-signup', { body: { phoneNumber, otpCode: signupCode } })).status, 200);
+
+  await app.db.collection('rateLimits').deleteMany({});
+  assert.equal((await app.request('POST', '/login', { body: { phoneNumber } })).status, 200);
+
+  // A signup code does not log in
+  const wrongPurpose = await app.request('POST', '/verify-login', { body: { phoneNumber, otpCode: signupCode } });
+  assert.equal(wrongPurpose.status, 400);
+
+  const login = await app.request('POST', '/verify-login', { body: { phoneNumber, otpCode: lastCode().code } });
+  assert.equal(login.status, 200);
+  assert.ok(login.body.token);
+  assert.ok(login.body.refreshToken);
+});
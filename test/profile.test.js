@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+async function setup(t) {
+  const app = await startApp();
+  t.after(app.close);
+  const { vendor, token } = await app.addVendor({ email: 'old@example.com', emailVerifiedAt: new Date() });
+  const lastCode = () => app.otpProvider.sent[app.otpProvider.sent.length - 1];
+  return { app, vendor, token, lastCode };
+}
+
+test('a vendor edits their business details and address', async (t) => {
+  const { app, token } = await setup(t);
+  const address = { line1: '1 Main Street', city: 'Pune', country: 'India' };
+
+  const response = await app.request('PUT', '/vendor/profile', { token, body: { businessName: 'Brighter Events', email: 'new@example.com', address } });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.profile.businessName, 'Brighter Events');
+  assert.deepEqual(response.body.profile.address, address);
+  // A new email address has to be confirmed again
+  assert.equal(response.body.profile.emailVerifiedAt, undefined);
+
+  assert.equal((await app.request('PUT', '/vendor/profile', { token, body: { phoneNumber: '+919999999999' } })).status, 400);
+});
+
+test('a phone number change is confirmed on the new number and logs out old tokens', async (t) => {
+  const { app, vendor, token, lastCode } = await setup(t);
+  const newPhoneNumber = '+919812300000';
+
+  assert.equal((await app.request('POST', '/vendor/profile/phone', { token, body: { phoneNumber: newPhoneNumber } })).status, 200);
+  assert.deepEqual([lastCode().phoneNumber, lastCode().purpose], [newPhoneNumber, 'phone_change']);
+
+  const wrong = await app.request('POST', '/vendor/profile/phone/verify', { token, body: { otpCode: '000000' } });
+  assert.equal(wrong.status, 400);
+  assert.equal((await app.db.collection('users').findOne({ _id: vendor._id })).phoneNumber, vendor.phoneNumber);
+
+  const response = await app.request('POST', '/vendor/profile/phone/verify', { token, body: { otpCode: lastCode().code } });
+
+  assert.equal(response.status, 200);
+  assert.equal((await app.db.collection('users').findOne({ _id: vendor._id })).phoneNumber, newPhoneNumber);
+  assert.equal((await app.request('GET', '/vendor/profile', { token })).status, 401);
+  const profile = await app.request('GET', '/vendor/profile', { token: response.body.token });
+  assert.equal(profile.body.phoneNumber, newPhoneNumber);
+});
+
+test('a phone number used by another account cannot be taken', async (t) => {
+  const { app, token } = await setup(t);
+  const { vendor: other } = await app.addVendor();
+
+  const response = await app.request('POST', '/vendor/profile/phone', { token, body: { phoneNumber: other.phoneNumber } });
+
+  assert.equal(response.status, 409);
+});
+
+test('a new logo replaces the old file', async (t) => {
+  const { app, token } = await setup(t);
+  const setLogo = (name) => app.upload('PUT', '/vendor/profile/logo', { token, files: [{ field: 'logo', name, type: 'image/png', content: name }] });
+
+  const first = await setLogo('first.png');
+  const second = await setLogo('second.png');
+
+  assert.equal(second.status, 200);
+  assert.equal((await app.request('GET', `/image/${first.body.logo}`)).status, 404);
+  assert.equal((await app.request('GET', `/image/${second.body.logo}`)).body, 'second.png');
+
+  const notImage = await app.upload('PUT', '/vendor/profile/logo', { token, files: [{ field: 'logo', name: 'a.txt', type: 'text/plain', content: 'A' }] });
+  assert.equal(notImage.status, 400);
+});
+
+test('the account export is a zip of the profile, listings and media', async (t) => {
+  const { app, vendor, token } = await setup(t);
+  await app.db.collection('products').insertOne({ userId: vendor._id, productName: 'Lamp', price: 100 });
+  await app.upload('PUT', '/vendor/profile/logo', { token, files: [{ field: 'logo', name: 'logo.png', type: 'image/png', content: 'LOGO' }] });
+
+  const response = await fetch(`${app.baseUrl}/vendor/account/export`, { headers: { Authorization: `Bearer ${token}` } });
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-disposition'), /account-export-.*\.zip/);
+  const archive = Buffer.from(await response.arrayBuffer());
+  assert.equal(archive.subarray(0, 2).toString(), 'PK');
+  const names = archive.toString('latin1');
+  for (const name of ['profile.json', 'products.json', 'services.json', 'media.json', '-logo.png']) {
+    assert.ok(names.includes(name), `${name} is in the archive`);
+  }
+});
+
+test('deleting an account needs a deletion code and removes the vendor\'s data', async (t) => {
+  const { app, vendor, token, lastCode } = await setup(t);
+  await app.db.collection('products').insertOne({ userId: vendor._id, productName: 'Lamp', price: 100 });
+  await app.upload('PUT', '/vendor/profile/logo', { token, files: [{ field: 'logo', name: 'logo.png', type: 'image/png', content: 'LOGO' }] });
+  const { vendor: other } = await app.addVendor();
+  await app.db.collection('products').insertOne({ userId: other._id, productName: 'Not mine', price: 100 });
+
+  // A code sent for another purpose does not delete the account
+  await app.request('POST', '/login', { body: { phoneNumber: vendor.phoneNumber } });
+  assert.equal((await app.request('DELETE', '/vendor/account', { token, body: { otpCode: lastCode().code } })).status, 400);
+
+  await app.db.collection('rateLimits').deleteMany({});
+  assert.equal((await app.request('POST', '/vendor/account/deletion-code', { token, body: {} })).status, 200);
+  const response = await app.request('DELETE', '/vendor/account', { token, body: { otpCode: lastCode().code } });
+
+  assert.equal(response.status, 200);
+  assert.equal(await app.db.collection('users').countDocuments({ _id: vendor._id }), 0);
+  assert.deepEqual((await app.db.collection('products').find({}).toArray()).map((product) => product.productName), ['Not mine']);
+  assert.equal(await app.db.collection('uploads.files').countDocuments(), 0);
+  assert.equal((await app.request('GET', '/vendor/profile', { token })).status, 401);
+});
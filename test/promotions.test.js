@@ -0,0 +1,266 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startApp } = require('./helpers/app');
+const { ensurePromotionIndexes } = require('../promotions');
+
+const customerPhone = '+919876543210';
+
+// A verified vendor with one product of the given price and stock
+async function seed(app, { price = 100, stock = 5 } = {}) {
+  const vendorId = new ObjectId();
+  const productId = new ObjectId();
+
+  await ensurePromotionIndexes(app.db);
+  await app.db.collection('users').insertOne({ _id: vendorId, phoneNumber: '+911111111111', status: 'verified' });
+  await app.db.collection('products').insertOne({
+    _id: productId,
+    userId: vendorId,
+    productName: 'Lamp',
+    price,
+    stockAvailability: stock,
+  });
+
+  return { vendorId, productId };
+}
+
+function addPromotion(app, vendorId, fields) {
+  return app.db.collection('promotions').insertOne({
+    vendorId,
+    name: 'Sale',
+    type: 'percentage',
+    value: 10,
+    code: null,
+    scope: {},
+    startsAt: new Date(Date.now() - 60000),
+    endsAt: null,
+    usageLimit: null,
+    perCustomerLimit: null,
+    usedCount: 0,
+    active: true,
+    ...fields,
+  });
+}
+
+function placeOrder(app, productId, { quantity = 1, couponCode, token } = {}) {
+  return app.request('POST', '/orders', {
+    token,
+    body: {
+      items: [{ productId: String(productId), quantity }],
+      ...(couponCode && { couponCode }),
+      name: 'Asha',
+      phoneNumber: customerPhone,
+      shippingAddress: '1 Main Street',
+    },
+  });
+}
+
+async function stockOf(app, productId) {
+  return (await app.db.collection('products').findOne({ _id: productId })).stockAvailability;
+}
+
+async function usedCount(app, promotionId) {
+  return (await app.db.collection('promotions').findOne({ _id: promotionId })).usedCount;
+}
+
+test('placing an order counts the promotion used', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { vendorId, productId } = await seed(app);
+  const { insertedId: promotionId } = await addPromotion(app, vendorId, { usageLimit: 10 });
+
+  const response = await placeOrder(app, productId, { quantity: 2 });
+
+  assert.equal(response.status, 201);
+  assert.equal(await stockOf(app, productId), 3);
+  assert.equal(await usedCount(app, promotionId), 1);
+
+  const [order] = await app.db.collection('orders').find({}).toArray();
+  assert.equal(order.total, 180);
+  assert.equal(order.items[0].originalPrice, 100);
+});
+
+test('an automatic promotion that runs out after pricing turns the order away', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { vendorId, productId } = await seed(app);
+  const { insertedId: promotionId } = await addPromotion(app, vendorId, { usageLimit: 1 });
+
+  // Another order takes the last use right after this one was priced
+  const promotions = app.db.collection('promotions');
+  const find = promotions.find.bind(promotions);
+  t.mock.method(promotions, 'find', (...args) => {
+    const cursor = find(...args);
+    const toArray = cursor.toArray.bind(cursor);
+    cursor.toArray = async () => {
+      const found = await toArray();
+      await promotions.updateOne({ _id: promotionId }, { $inc: { usedCount: 1 } });
+      return found;
+    };
+    return cursor;
+  });
+
+  const response = await placeOrder(app, productId);
+
+  assert.equal(response.status, 409);
+  assert.equal(await usedCount(app, promotionId), 1);
+  assert.equal(await stockOf(app, productId), 5);
+  assert.equal(await app.db.collection('orders').countDocuments(), 0);
+});
+
+test('a coupon that runs out after it was checked turns the order away', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { vendorId, productId } = await seed(app);
+  const { insertedId: couponId } = await addPromotion(app, vendorId, { code: 'SAVE10', usageLimit: 1 });
+
+  // Another order takes the last use right after this one read the coupon
+  const promotions = app.db.collection('promotions');
+  const findOne = promotions.findOne.bind(promotions);
+  t.mock.method(promotions, 'findOne', async (...args) => {
+    const coupon = await findOne(...args);
+    await promotions.updateOne({ _id: couponId }, { $inc: { usedCount: 1 } });
+    return coupon;
+  });
+
+  const response = await placeOrder(app, productId, { couponCode: 'save10' });
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.message, 'Coupon code has reached its usage limit');
+  assert.equal(await usedCount(app, couponId), 1);
+  assert.equal(await stockOf(app, productId), 5);
+});
+
+test('a failed order gives back its stock and promotion uses', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { vendorId, productId } = await seed(app);
+  const { insertedId: promotionId } = await addPromotion(app, vendorId);
+  const { insertedId: couponId } = await addPromotion(app, vendorId, { code: 'SAVE10', type: 'fixed', value: 5 });
+
+  t.mock.method(app.db.collection('orders'), 'insertMany', async () => {
+    throw new Error('write failed');
+  });
+  t.mock.method(console, 'error', () => {});
+
+  const response = await placeOrder(app, productId, { quantity: 2, couponCode: 'SAVE10' });
+
+  assert.equal(response.status, 500);
+  assert.equal(await stockOf(app, productId), 5);
+  assert.equal(await usedCount(app, promotionId), 0);
+  assert.equal(await usedCount(app, couponId), 0);
+});
+
+test('an order short of stock gives back the promotion uses it held', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { vendorId, productId } = await seed(app, { stock: 1 });
+  const { insertedId: promotionId } = await addPromotion(app, vendorId);
+
+  const response = await placeOrder(app, productId, { quantity: 2 });
+
+  assert.equal(response.status, 409);
+  assert.equal(await stockOf(app, productId), 1);
+  assert.equal(await usedCount(app, promotionId), 0);
+});
+
+test('a coupon limited per customer needs a customer login and counts their uses', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { vendorId, productId } = await seed(app);
+  await addPromotion(app, vendorId, { code: 'ONCE', perCustomerLimit: 1 });
+
+  const customer = { _id: new ObjectId(), phoneNumber: customerPhone, createdAt: new Date() };
+  await app.db.collection('customers').insertOne(customer);
+  const token = await app.login(customer, 'customer');
+
+  const guest = await placeOrder(app, productId, { couponCode: 'ONCE' });
+  assert.equal(guest.status, 400);
+  assert.equal(guest.body.message, 'Log in as a customer to use this coupon code');
+
+  const first = await placeOrder(app, productId, { couponCode: 'ONCE', token });
+  assert.equal(first.status, 201);
+
+  const second = await placeOrder(app, productId, { couponCode: 'ONCE', token });
+  assert.equal(second.status, 400);
+  assert.equal(second.body.message, 'You have already used this coupon code');
+
+  // Cancelling the order gives the customer their use back
+  const [orderId] = first.body.orderIds;
+  const cancelled = await app.request('POST', `/orders/${orderId}/cancel`, { body: { phoneNumber: customerPhone } });
+  assert.equal(cancelled.status, 200);
+
+  assert.equal((await placeOrder(app, productId, { couponCode: 'ONCE', token })).status, 201);
+});
+
+test('a vendor creates promotions only over their own listings', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  await ensurePromotionIndexes(app.db);
+  const { token } = await app.addVendor();
+  const { productId: otherProductId } = await seed(app);
+  const create = (body) => app.request('POST', '/vendor/promotions', { token, body: { name: 'Sale', type: 'percentage', value: 10, ...body } });
+
+  const invalid = await create({ value: 120, scope: { productIds: [String(otherProductId)] } });
+  assert.equal(invalid.status, 400);
+  assert.deepEqual(invalid.body.errors.map((error) => error.field), ['body.scope.productIds.0', 'body.value']);
+
+  const created = await create({ code: 'save10', startsAt: new Date(Date.now() + 60000).toISOString() });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.state, 'scheduled');
+  const stored = await app.db.collection('promotions').findOne({ _id: new ObjectId(created.body.promotionId) });
+  assert.equal(stored.code, 'SAVE10');
+
+  assert.equal((await create({ code: 'SAVE10' })).status, 409);
+  assert.equal((await app.request('GET', `/vendor/promotions/${created.body.promotionId}`, { token })).status, 200);
+});
+
+test('listings show the best price their automatic promotions give', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { vendorId, productId } = await seed(app);
+  const { insertedId: shirtId } = await app.db.collection('products').insertOne({
+    userId: vendorId,
+    productName: 'Shirt',
+    productCategory: 'clothing',
+    price: 500,
+    variants: [{ _id: new ObjectId(), price: null }, { _id: new ObjectId(), price: 800 }],
+  });
+  await addPromotion(app, vendorId, { value: 10 });
+  await addPromotion(app, vendorId, { type: 'fixed', value: 150, scope: { productCategories: ['clothing'] } });
+  // Coupons only apply at checkout
+  await addPromotion(app, vendorId, { code: 'HALF', value: 50 });
+
+  const lamp = await app.request('GET', `/catalog/products/${productId}`);
+  assert.deepEqual([lamp.body.price, lamp.body.effectivePrice, lamp.body.promotion.type], [100, 90, 'percentage']);
+
+  const shirt = await app.request('GET', `/catalog/products/${shirtId}`);
+  assert.deepEqual(shirt.body.variants.map((variant) => variant.effectivePrice), [350, 650]);
+  assert.deepEqual(shirt.body.effectivePriceRange, { min: 350, max: 650 });
+});
+
+test('vendor listings selecting a price still show the price after promotions', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { vendor, token } = await app.addVendor();
+  await app.db.collection('products').insertOne({ userId: vendor._id, productName: 'Lamp', productCategory: 'lighting', price: 100 });
+  await app.db.collection('services').insertOne({ userId: vendor._id, serviceName: 'Decor', serviceCategory: 'decor', lowestAmount: 200, highestAmount: 400 });
+  await addPromotion(app, vendor._id, { value: 10, scope: { productCategories: ['lighting'], serviceCategories: ['decor'] } });
+
+  const products = await app.request('GET', '/vendor/products?fields=productName,price', { token });
+  assert.equal(products.status, 200);
+  const [product] = products.body.items;
+  assert.deepEqual([product.price, product.effectivePrice], [100, 90]);
+  // Fields read only to work out the price are not shown
+  assert.equal(product.userId, undefined);
+  assert.equal(product.productCategory, undefined);
+
+  const names = await app.request('GET', '/vendor/products?fields=productName', { token });
+  assert.deepEqual(names.body.items.map((item) => Object.keys(item).sort()), [['_id', 'productName']]);
+
+  const services = await app.request('GET', '/vendor/services?fields=lowestAmount&sort=name', { token });
+  const [service] = services.body.items;
+  assert.deepEqual([service.lowestAmount, service.effectiveLowestAmount, service.effectiveHighestAmount], [200, 180, 360]);
+  assert.equal(service.highestAmount, undefined);
+  assert.equal(service.serviceName, undefined);
+});
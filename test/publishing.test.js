@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startApp } = require('./helpers/app');
+const { runScheduledPublishing } = require('../publishing');
+
+// A vendor with a draft product that is ready to publish
+async function setup(t, fields = {}) {
+  const app = await startApp();
+  t.after(app.close);
+
+  const { vendor, token } = await app.addVendor();
+  const { insertedId: productId } = await app.db.collection('products').insertOne({
+    userId: vendor._id,
+    productName: 'Lamp',
+    productCategory: 'lighting',
+    price: 100,
+    images: [new ObjectId()],
+    status: 'draft',
+    ...fields,
+  });
+
+  const action = (path, body = {}) => app.request('POST', `/vendor/products/${productId}/${path}`, { token, body });
+  const stored = () => app.db.collection('products').findOne({ _id: productId });
+  const inCatalog = async () => (await app.request('GET', '/catalog/products')).body.total === 1;
+  return { app, token, productId, action, stored, inCatalog };
+}
+
+const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+test('a draft is only in the catalog once it is published', async (t) => {
+  const { action, stored, inCatalog } = await setup(t);
+  assert.equal(await inCatalog(), false);
+
+  const response = await action('publish');
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.status, 'published');
+  assert.ok((await stored()).publishedAt instanceof Date);
+  assert.equal(await inCatalog(), true);
+
+  const archived = await action('unpublish', { archive: true });
+  assert.equal(archived.body.status, 'archived');
+  assert.equal((await stored()).publishedAt, undefined);
+  assert.equal(await inCatalog(), false);
+});
+
+test('a listing needs a name, category, image and price to be published', async (t) => {
+  const { action } = await setup(t, { productCategory: ' ', images: [], price: '0', variants: [{ price: -1 }] });
+
+  const response = await action('publish');
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.errors.map((error) => error.field), ['productCategory', 'images', 'price', 'variants.0.price']);
+});
+
+test('a scheduled listing is published by the scheduler when its time comes', async (t) => {
+  const { app, productId, action, stored, inCatalog } = await setup(t);
+
+  const scheduled = await action('publish', { at: inAnHour() });
+  assert.deepEqual([scheduled.body.status, scheduled.body.schedule.action], ['scheduled', 'publish']);
+
+  assert.equal(await runScheduledPublishing(), 0);
+  await app.db.collection('products').updateOne({ _id: productId }, { $set: { 'schedule.at': new Date(Date.now() - 1000) } });
+  assert.equal(await runScheduledPublishing(), 1);
+
+  const product = await stored();
+  assert.equal(product.status, 'published');
+  assert.equal(product.schedule, undefined);
+  assert.equal(await inCatalog(), true);
+
+  const [version] = await app.db.collection('listingVersions').find({}).sort({ version: -1 }).toArray();
+  assert.deepEqual(version.by, { kind: 'system' });
+});
+
+test('a scheduled listing that is no longer complete goes back to draft with the reasons', async (t) => {
+  const { app, productId, action, stored } = await setup(t);
+  await action('publish', { at: inAnHour() });
+  await app.db.collection('products').updateOne({ _id: productId }, { $set: { images: [], 'schedule.at': new Date(Date.now() - 1000) } });
+
+  await runScheduledPublishing();
+
+  const product = await stored();
+  assert.equal(product.status, 'draft');
+  assert.deepEqual(product.scheduleFailure.errors.map((error) => error.field), ['images']);
+
+  // Publishing again clears the failure
+  await app.db.collection('products').updateOne({ _id: productId }, { $set: { images: [new ObjectId()] } });
+  await action('publish');
+  assert.equal((await stored()).scheduleFailure, undefined);
+});
+
+test('schedules can be cancelled, and only published listings are scheduled to come down', async (t) => {
+  const { app, token, productId, action, stored } = await setup(t);
+  const cancel = () => app.request('DELETE', `/vendor/products/${productId}/schedule`, { token });
+
+  assert.equal((await cancel()).status, 404);
+  assert.equal((await action('unpublish', { at: inAnHour() })).status, 409);
+
+  await action('publish', { at: inAnHour() });
+  const cancelled = await cancel();
+  assert.equal(cancelled.status, 200);
+  assert.deepEqual([cancelled.body.status, cancelled.body.schedule], ['draft', null]);
+
+  await action('publish');
+  assert.equal((await action('publish', { at: inAnHour() })).status, 409);
+  assert.equal((await action('unpublish', { at: inAnHour() })).status, 200);
+  const product = await stored();
+  assert.deepEqual([product.status, product.schedule.action], ['published', 'unpublish']);
+});
+
+test('vendors change the status only through the publishing routes', async (t) => {
+  const { app, token, productId, stored } = await setup(t);
+  const { token: otherToken } = await app.addVendor();
+
+  assert.equal((await app.request('PUT', `/vendor/products/${productId}`, { token, body: { status: 'published' } })).status, 400);
+  assert.equal((await stored()).status, 'draft');
+  assert.equal((await app.request('POST', `/vendor/products/${productId}/publish`, { token: otherToken, body: {} })).status, 404);
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startApp } = require('./helpers/app');
+const { ensureQuoteIndexes, moveLegacyAttachments } = require('../quotes');
+
+const eventDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+// A vendor with a wedding service and a logged in customer
+async function setup(t) {
+  const app = await startApp();
+  t.after(app.close);
+  await ensureQuoteIndexes(app.db);
+
+  const { vendor, token: vendorToken } = await app.addVendor();
+  const { insertedId: serviceId } = await app.db.collection('services').insertOne({
+    userId: vendor._id,
+    serviceName: 'Wedding decor',
+    selectedEventTypes: ['wedding'],
+  });
+  const customer = { _id: new ObjectId(), phoneNumber: '+919800000001', name: 'Asha' };
+  await app.db.collection('customers').insertOne(customer);
+  const customerToken = await app.login(customer, 'customer');
+
+  const requestQuote = (body = {}) => app.request('POST', `/catalog/services/${serviceId}/quotes`, {
+    token: customerToken,
+    body: { eventDate, eventType: 'wedding', guestCount: 150, ...body },
+  });
+  const offer = (quoteId, body = {}) => app.request('POST', `/vendor/quotes/${quoteId}/offer`, {
+    token: vendorToken,
+    body: {
+      lineItems: [{ description: 'Flowers', quantity: 3, unitPrice: 1000.5 }, { description: 'Lights', unitPrice: 500 }],
+      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+      ...body,
+    },
+  });
+
+  return { app, vendor, vendorToken, customer, customerToken, serviceId, requestQuote, offer };
+}
+
+test('a customer requests a quote and the vendor sees it in their inbox', async (t) => {
+  const { app, vendorToken, requestQuote } = await setup(t);
+
+  const response = await requestQuote({ notes: 'Outdoor venue' });
+
+  assert.equal(response.status, 201);
+  const inbox = await app.request('GET', '/vendor/quotes', { token: vendorToken });
+  assert.equal(inbox.body.total, 1);
+  const [quote] = inbox.body.items;
+  assert.deepEqual([quote.status, quote.customerName, quote.request.guestCount], ['requested', 'Asha', 150]);
+  // The request and the customer's notes wait unread for the vendor
+  assert.deepEqual(inbox.body.unread, { conversations: 1, messages: 2 });
+});
+
+test('quote requests are checked against the date and the service', async (t) => {
+  const { app, vendor, requestQuote, customerToken } = await setup(t);
+
+  const past = await requestQuote({ eventDate: '2020-01-01' });
+  assert.equal(past.status, 400);
+  assert.equal(past.body.errors[0].message, 'eventDate cannot be in the past');
+  assert.equal((await requestQuote({ eventDate: '2031-02-30' })).status, 400);
+  assert.equal((await requestQuote({ eventType: 'birthday' })).status, 400);
+
+  const { insertedId: hiddenId } = await app.db.collection('services').insertOne({ userId: vendor._id, serviceName: 'Hidden', moderation: { hidden: true } });
+  const hidden = await app.request('POST', `/catalog/services/${hiddenId}/quotes`, {
+    token: customerToken,
+    body: { eventDate, eventType: 'wedding', guestCount: 10 },
+  });
+  assert.equal(hidden.status, 404);
+});
+
+test('the vendor\'s offer is totalled and the customer accepts it', async (t) => {
+  const { app, customerToken, requestQuote, offer } = await setup(t);
+  const { body: { quoteId } } = await requestQuote();
+
+  const sent = await offer(quoteId);
+
+  assert.equal(sent.status, 200);
+  assert.deepEqual(sent.body.offer.lineItems.map((item) => item.amount), [3001.5, 500]);
+  assert.equal(sent.body.offer.total, 3501.5);
+
+  assert.equal((await app.request('POST', `/customer/quotes/${quoteId}/accept`, { token: customerToken })).status, 200);
+  assert.equal((await app.db.collection('quotes').findOne({})).status, 'accepted');
+
+  // An accepted quote can no longer change
+  const again = await offer(quoteId);
+  assert.equal(again.status, 409);
+  assert.equal(again.body.message, 'Quote cannot be sent while accepted');
+  assert.equal((await app.request('POST', `/customer/quotes/${quoteId}/decline`, { token: customerToken, body: {} })).status, 409);
+});
+
+test('an offer that ran out cannot be accepted and is marked expired', async (t) => {
+  const { app, customerToken, requestQuote, offer } = await setup(t);
+  const { body: { quoteId } } = await requestQuote();
+  await offer(quoteId);
+  await app.db.collection('quotes').updateOne({}, { $set: { 'offer.expiresAt': new Date(Date.now() - 1000) } });
+
+  const response = await app.request('POST', `/customer/quotes/${quoteId}/accept`, { token: customerToken });
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.message, 'Quote has expired');
+  assert.equal((await app.db.collection('quotes').findOne({})).status, 'expired');
+});
+
+test('reading a conversation marks it read for that side only', async (t) => {
+  const { app, vendorToken, customerToken, requestQuote } = await setup(t);
+  const { body: { quoteId } } = await requestQuote();
+  await app.upload('POST', `/quotes/${quoteId}/messages`, { token: vendorToken, fields: { body: 'Which venue?' } });
+
+  const messages = await app.request('GET', `/quotes/${quoteId}/messages`, { token: vendorToken });
+
+  assert.deepEqual(messages.body.items.map((message) => message.sender.kind), ['system', 'vendor']);
+  const quote = await app.db.collection('quotes').findOne({});
+  assert.deepEqual(quote.unread, { customer: 1, vendor: 0 });
+  assert.equal((await app.request('GET', '/customer/quotes?unread=true', { token: customerToken })).body.total, 1);
+});
+
+test('attachments are private to the two parties of a quote', async (t) => {
+  const { app, customerToken, requestQuote } = await setup(t);
+  const { body: { quoteId } } = await requestQuote();
+
+  const notAllowed = await app.upload('POST', `/quotes/${quoteId}/messages`, {
+    token: customerToken,
+    files: [{ field: 'attachments', name: 'a.zip', type: 'application/zip', content: 'Z' }],
+  });
+  assert.equal(notAllowed.status, 400);
+
+  const posted = await app.upload('POST', `/quotes/${quoteId}/messages`, {
+    token: customerToken,
+    files: [{ field: 'attachments', name: 'venue.pdf', type: 'application/pdf', content: 'PDF' }],
+  });
+  assert.equal(posted.status, 201);
+  const [{ fileId }] = posted.body.attachments;
+
+  const download = await app.request('GET', `/quotes/${quoteId}/attachments/${fileId}`, { token: customerToken });
+  assert.equal(download.status, 200);
+  assert.equal(download.body, 'PDF');
+  assert.equal(download.headers.get('cache-control'), 'private, no-store');
+  // Attachments are not public media
+  assert.equal((await app.request('GET', `/image/${fileId}`)).status, 404);
+
+  const { token: otherVendorToken } = await app.addVendor();
+  assert.equal((await app.request('GET', `/quotes/${quoteId}/attachments/${fileId}`, { token: otherVendorToken })).status, 404);
+});
+
+test('attachments left in the uploads bucket are moved to the attachments bucket', async (t) => {
+  const { app, vendor, requestQuote } = await setup(t);
+  const { body: { quoteId } } = await requestQuote();
+  const fileId = new ObjectId();
+  await new Promise((resolve, reject) => {
+    app.bucket.openUploadStreamWithId(fileId, 'old.pdf', { contentType: 'application/pdf', metadata: { userId: vendor._id } })
+      .once('finish', resolve)
+      .once('error', reject)
+      .end(Buffer.from('OLD'));
+  });
+  await app.db.collection('quoteMessages').insertOne({ quoteId: new ObjectId(quoteId), attachments: [{ fileId }] });
+
+  assert.equal(await moveLegacyAttachments(), 1);
+
+  assert.equal(await app.db.collection('uploads.files').countDocuments({ _id: fileId }), 0);
+  assert.equal(await app.db.collection('attachments.files').countDocuments({ _id: fileId }), 1);
+  assert.equal(await moveLegacyAttachments(), 0);
+});
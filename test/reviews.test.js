@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startApp } = require('./helpers/app');
+const { ensureReviewIndexes } = require('../reviews');
+
+// A vendor with a product and a logged in customer
+async function setup(t) {
+  const app = await startApp();
+  t.after(app.close);
+  await ensureReviewIndexes(app.db);
+
+  const { vendor, token: vendorToken } = await app.addVendor();
+  const { insertedId: productId } = await app.db.collection('products').insertOne({ userId: vendor._id, productName: 'Lamp', price: 100 });
+  let customerCount = 0;
+  const addCustomer = async (name) => {
+    customerCount += 1;
+    const customer = { _id: new ObjectId(), phoneNumber: `+91980000${String(customerCount).padStart(4, '0')}`, name };
+    await app.db.collection('customers').insertOne(customer);
+    return app.login(customer, 'customer');
+  };
+
+  return { app, vendor, vendorToken, productId, addCustomer, customerToken: await addCustomer('Asha') };
+}
+
+function review(app, token, path, fields, files) {
+  return app.upload('POST', `/catalog/${path}/reviews`, { token, fields, files });
+}
+
+test('reviews keep the rating of the listing and its vendor up to date', async (t) => {
+  const { app, vendor, productId, addCustomer, customerToken } = await setup(t);
+
+  assert.equal((await review(app, customerToken, `products/${productId}`, { rating: '5', title: 'Lovely' })).status, 201);
+  assert.equal((await review(app, await addCustomer('Ravi'), `products/${productId}`, { rating: '2' })).status, 201);
+  assert.equal((await review(app, customerToken, `vendors/${vendor._id}`, { rating: '4' })).status, 201);
+
+  const product = await app.db.collection('products').findOne({ _id: productId });
+  assert.deepEqual(product.rating, { average: 3.5, count: 2 });
+  const storedVendor = await app.db.collection('users').findOne({ _id: vendor._id });
+  assert.deepEqual(storedVendor.rating, { average: 3.67, count: 3 });
+
+  const listed = await app.request('GET', `/catalog/products/${productId}/reviews?sort=highest`);
+  assert.deepEqual(listed.body.items.map((item) => [item.customerName, item.rating]), [['Asha', 5], ['Ravi', 2]]);
+  assert.equal(listed.body.items[0].customerId, undefined);
+});
+
+test('a customer reviews each item once', async (t) => {
+  const { app, productId, customerToken } = await setup(t);
+
+  await review(app, customerToken, `products/${productId}`, { rating: '5' });
+  const again = await review(app, customerToken, `products/${productId}`, { rating: '1' });
+
+  assert.equal(again.status, 409);
+  assert.equal(again.body.message, 'You have already reviewed this product');
+});
+
+test('only customers review, and only listings in the catalog', async (t) => {
+  const { app, vendor, vendorToken, customerToken } = await setup(t);
+  const { insertedId: hiddenId } = await app.db.collection('products').insertOne({ userId: vendor._id, productName: 'Hidden', moderation: { hidden: true } });
+
+  assert.equal((await review(app, vendorToken, `products/${hiddenId}`, { rating: '5' })).status, 403);
+  assert.equal((await review(app, customerToken, `products/${hiddenId}`, { rating: '5' })).status, 404);
+  assert.equal((await review(app, customerToken, `products/${new ObjectId()}`, { rating: '5' })).status, 404);
+  assert.equal((await review(app, customerToken, `vendors/${vendor._id}`, { rating: '6' })).status, 400);
+});
+
+test('review photos are stored in the uploads bucket and removed with the review', async (t) => {
+  const { app, productId, customerToken } = await setup(t);
+
+  const notImage = await review(app, customerToken, `products/${productId}`, { rating: '4' }, [{ field: 'photos', name: 'a.mp4', type: 'video/mp4', content: 'V' }]);
+  assert.equal(notImage.status, 400);
+
+  const posted = await review(app, customerToken, `products/${productId}`, { rating: '4' }, [{ field: 'photos', name: 'a.png', type: 'image/png', content: 'P' }]);
+  assert.equal(posted.status, 201);
+  const [stored] = await app.db.collection('reviews').find({}).toArray();
+  assert.equal(stored.photos.length, 1);
+  assert.equal((await app.request('GET', `/image/${stored.photos[0]}`)).status, 200);
+
+  assert.equal((await app.request('DELETE', `/customer/reviews/${posted.body.reviewId}`, { token: customerToken })).status, 200);
+  assert.equal(await app.db.collection('uploads.files').countDocuments(), 0);
+  assert.deepEqual((await app.db.collection('products').findOne({ _id: productId })).rating, { average: null, count: 0 });
+});
+
+test('editing a rating updates the averages', async (t) => {
+  const { app, productId, customerToken, vendorToken } = await setup(t);
+  const posted = await review(app, customerToken, `products/${productId}`, { rating: '2' });
+
+  assert.equal((await app.request('PUT', `/customer/reviews/${posted.body.reviewId}`, { token: customerToken, body: { rating: 4 } })).status, 200);
+  assert.deepEqual((await app.db.collection('products').findOne({ _id: productId })).rating, { average: 4, count: 1 });
+
+  assert.equal((await app.request('PUT', `/customer/reviews/${posted.body.reviewId}`, { token: vendorToken, body: { rating: 1 } })).status, 403);
+});
+
+test('a vendor posts one public reply to a review of their listings', async (t) => {
+  const { app, productId, customerToken, vendorToken } = await setup(t);
+  const posted = await review(app, customerToken, `products/${productId}`, { rating: '3' });
+  const reply = (token) => app.request('POST', `/vendor/reviews/${posted.body.reviewId}/reply`, { token, body: { body: 'Thank you' } });
+
+  const { token: otherVendorToken } = await app.addVendor();
+  assert.equal((await reply(otherVendorToken)).status, 404);
+  assert.equal((await reply(vendorToken)).status, 201);
+  assert.equal((await reply(vendorToken)).status, 409);
+
+  const unreplied = await app.request('GET', '/vendor/reviews?replied=false', { token: vendorToken });
+  assert.equal(unreplied.body.total, 0);
+  const listed = await app.request('GET', `/catalog/products/${productId}/reviews`);
+  assert.equal(listed.body.items[0].reply.body, 'Thank you');
+});
+
+test('customers log in with a code and get their own account', async (t) => {
+  const { app, vendorToken } = await setup(t);
+  const phoneNumber = '+919811111111';
+
+  assert.equal((await app.request('POST', '/customer/login', { body: { phoneNumber } })).status, 200);
+  const [sent] = app.otpProvider.sent.filter((entry) => entry.phoneNumber === phoneNumber);
+  assert.equal(sent.purpose, 'customer_login');
+
+  const badCode = await app.request('POST', '/customer/verify-login', { body: { phoneNumber, otpCode: 'abc' } });
+  assert.equal(badCode.status, 400);
+  assert.deepEqual(badCode.body.errors, [{ field: 'body.otpCode', message: 'otpCode must be the numeric code that was sent' }]);
+
+  const login = await app.request('POST', '/customer/verify-login', { body: { phoneNumber, otpCode: sent.code, name: 'Meera' } });
+  assert.equal(login.status, 200);
+
+  const me = await app.request('GET', '/customer/me', { token: login.body.token });
+  assert.equal(me.body.name, 'Meera');
+  assert.equal((await app.request('GET', '/customer/me', { token: vendorToken })).status, 403);
+  assert.equal((await app.request('GET', '/vendor/products', { token: login.body.token })).status, 403);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { startApp } = require('./helpers/app');
+const { createSession } = require('../auth');
+
+// A vendor with a session started from the given client
+async function setup(t) {
+  const app = await startApp();
+  t.after(app.close);
+
+  const vendor = { _id: new ObjectId(), phoneNumber: '+919812345678', businessName: 'Bright Events', status: 'verified' };
+  await app.db.collection('users').insertOne(vendor);
+  const signIn = (userAgent) => createSession(vendor, { headers: { 'user-agent': userAgent }, ip: '127.0.0.1' });
+
+  return { app, vendor, signIn };
+}
+
+function listSessions(app, token) {
+  return app.request('GET', '/sessions', { token });
+}
+
+test('a refresh token is exchanged once for new tokens', async (t) => {
+  const { app, signIn } = await setup(t);
+  const { refreshToken } = await signIn('phone');
+
+  const refreshed = await app.request('POST', '/refresh', { body: { refreshToken } });
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(refreshed.body.refreshToken, refreshToken);
+  assert.equal((await listSessions(app, refreshed.body.token)).status, 200);
+
+  const again = await app.request('POST', '/refresh', { body: { refreshToken: refreshed.body.refreshToken } });
+  assert.equal(again.status, 200);
+});
+
+test('reusing a rotated refresh token revokes the session', async (t) => {
+  const { app, signIn } = await setup(t);
+  const { refreshToken } = await signIn('phone');
+
+  const refreshed = await app.request('POST', '/refresh', { body: { refreshToken } });
+
+  const reused = await app.request('POST', '/refresh', { body: { refreshToken } });
+  assert.equal(reused.status, 401);
+
+  const session = await app.db.collection('sessions').findOne({});
+  assert.equal(session.revokedReason, 'refresh_token_reuse');
+  assert.equal((await app.request('POST', '/refresh', { body: { refreshToken: refreshed.body.refreshToken } })).status, 401);
+  assert.equal((await listSessions(app, refreshed.body.token)).status, 401);
+});
+
+test('malformed and unknown refresh tokens are refused', async (t) => {
+  const { app } = await setup(t);
+
+  assert.equal((await app.request('POST', '/refresh', { body: { refreshToken: 'nonsense' } })).status, 401);
+  assert.equal((await app.request('POST', '/refresh', { body: { refreshToken: `${new ObjectId()}.secret` } })).status, 401);
+  assert.equal((await app.request('POST', '/refresh', { body: {} })).status, 400);
+});
+
+test('logging out revokes only the current session', async (t) => {
+  const { app, signIn } = await setup(t);
+  const phone = await signIn('phone');
+  const laptop = await signIn('laptop');
+
+  assert.equal((await app.request('POST', '/logout', { token: phone.token })).status, 200);
+
+  const revoked = await listSessions(app, phone.token);
+  assert.equal(revoked.status, 401);
+  assert.equal(revoked.body.message, 'Session has been revoked');
+  assert.equal((await app.request('POST', '/refresh', { body: { refreshToken: phone.refreshToken } })).status, 401);
+  assert.equal((await listSessions(app, laptop.token)).status, 200);
+});
+
+test('logging out of all devices revokes every session of the account', async (t) => {
+  const { app, signIn } = await setup(t);
+  const phone = await signIn('phone');
+  const laptop = await signIn('laptop');
+  const { token: otherVendorToken } = await app.addVendor();
+
+  const response = await app.request('POST', '/logout-all', { token: phone.token });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.revoked, 2);
+  assert.equal((await listSessions(app, laptop.token)).status, 401);
+  assert.equal((await listSessions(app, otherVendorToken)).status, 200);
+});
+
+test('the session list shows active devices and marks the current one', async (t) => {
+  const { app, signIn } = await setup(t);
+  const phone = await signIn('phone');
+  const laptop = await signIn('laptop');
+  const tablet = await signIn('tablet');
+  await app.request('POST', '/logout', { token: tablet.token });
+
+  const response = await listSessions(app, phone.token);
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.map((session) => session.device.userAgent).sort(), ['laptop', 'phone']);
+  const current = response.body.find((session) => session.current);
+  assert.equal(current._id, String(phone.sessionId));
+  assert.equal(response.body[0].refreshTokenHash, undefined);
+
+  // One session can be revoked from another
+  assert.equal((await app.request('DELETE', `/sessions/${laptop.sessionId}`, { token: phone.token })).status, 200);
+  assert.equal((await listSessions(app, laptop.token)).status, 401);
+});
+
+test('sessions of other accounts cannot be revoked', async (t) => {
+  const { app, signIn } = await setup(t);
+  const phone = await signIn('phone');
+  const { token: otherVendorToken } = await app.addVendor();
+
+  const response = await app.request('DELETE', `/sessions/${phone.sessionId}`, { token: otherVendorToken });
+
+  assert.equal(response.status, 404);
+  assert.equal((await listSessions(app, phone.token)).status, 200);
+});
+
+test('a suspended vendor\'s tokens stop working', async (t) => {
+  const { app, vendor, signIn } = await setup(t);
+  const { token } = await signIn('phone');
+
+  await app.db.collection('users').updateOne({ _id: vendor._id }, { $set: { reviewStatus: 'suspended' } });
+
+  const response = await listSessions(app, token);
+  assert.equal(response.status, 403);
+  assert.equal(response.body.message, 'Account suspended');
+});
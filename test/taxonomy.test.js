@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { ensureTaxonomyIndexes } = require('../taxonomy');
+
+// An admin, a vendor and a small taxonomy: Lighting > Lamps for products,
+// Catering for services and a Wedding event type
+async function setup(t) {
+  const app = await startApp();
+  t.after(app.close);
+  await ensureTaxonomyIndexes(app.db);
+
+  const { token: adminToken } = await app.addVendor({ role: 'admin' });
+  const { vendor, token } = await app.addVendor();
+  const admin = (method, path, body) => app.request(method, `/admin/taxonomy${path}`, { token: adminToken, body });
+
+  const lighting = await admin('POST', '/categories', { kind: 'product', name: 'Lighting' });
+  await admin('POST', '/categories', { kind: 'product', name: 'Lamps', parentId: lighting.body.categoryId });
+  await admin('POST', '/categories', { kind: 'service', name: 'Catering', aliases: ['Caterers'] });
+  await admin('POST', '/event-types', { name: 'Wedding' });
+
+  return { app, admin, vendor, token, lightingId: lighting.body.categoryId };
+}
+
+test('the public taxonomy is a tree of categories with slugs', async (t) => {
+  const { app } = await setup(t);
+
+  const response = await app.request('GET', '/taxonomy');
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.productCategories.map((category) => [category.slug, category.children.map((child) => child.slug)]), [['lighting', ['lamps']]]);
+  assert.deepEqual(response.body.serviceCategories.map((category) => category.slug), ['catering']);
+  assert.deepEqual(response.body.eventTypes.map((eventType) => eventType.slug), ['wedding']);
+});
+
+test('only admins change the taxonomy and slugs stay unique', async (t) => {
+  const { app, admin, token, lightingId } = await setup(t);
+
+  assert.equal((await app.request('POST', '/admin/taxonomy/categories', { token, body: { kind: 'product', name: 'Chairs' } })).status, 403);
+  assert.equal((await admin('POST', '/categories', { kind: 'product', name: 'lighting' })).status, 409);
+
+  const lamps = (await app.request('GET', '/taxonomy')).body.productCategories[0].children[0];
+  const nested = await admin('POST', '/categories', { kind: 'product', name: 'Desk lamps', parentId: lamps._id });
+  assert.equal(nested.status, 400);
+
+  assert.equal((await admin('PUT', `/categories/${lightingId}`, { name: 'Lights' })).status, 200);
+  assert.equal((await app.request('GET', '/taxonomy')).body.productCategories[0].slug, 'lighting');
+});
+
+test('listings only take categories and event types from the taxonomy', async (t) => {
+  const { app, token } = await setup(t);
+
+  const product = await app.upload('POST', '/vendor/products', {
+    token,
+    fields: { productName: 'Lamp', price: '100', productCategory: 'LIGHTING', productSubcategory: 'Lamps' },
+  });
+  assert.equal(product.status, 201);
+  const stored = await app.db.collection('products').findOne({});
+  assert.equal(stored.productCategory, 'lighting');
+  assert.equal(stored.productSubcategory, 'lamps');
+
+  const service = await app.upload('POST', '/vendor/services', {
+    token,
+    fields: { serviceName: 'Feasts', serviceCategory: 'Caterers', selectedEventTypes: 'Wedding,Funfair' },
+  });
+  assert.equal(service.status, 400);
+  assert.deepEqual(service.body.errors, [{ field: 'body.selectedEventTypes.1', message: 'Funfair is not a known event type' }]);
+
+  const update = await app.request('PUT', `/vendor/products/${stored._id}`, { token, body: { productSubcategory: 'Chairs' } });
+  assert.equal(update.status, 400);
+  assert.equal(update.body.errors[0].message, 'Chairs is not a subcategory of Lighting');
+});
+
+test('categories in use cannot be deleted', async (t) => {
+  const { app, admin, vendor, lightingId } = await setup(t);
+  const [lamps] = (await app.request('GET', '/taxonomy')).body.productCategories[0].children;
+  await app.db.collection('products').insertOne({ userId: vendor._id, productName: 'Lamp', productCategory: 'lighting', productSubcategory: 'lamps' });
+
+  assert.equal((await admin('DELETE', `/categories/${lightingId}`)).status, 409);
+  assert.equal((await admin('DELETE', `/categories/${lamps._id}`)).status, 409);
+
+  await app.db.collection('products').deleteMany({});
+  assert.equal((await admin('DELETE', `/categories/${lamps._id}`)).status, 200);
+  assert.equal((await admin('DELETE', `/categories/${lightingId}`)).status, 200);
+});
+
+test('the migration maps free text onto slugs and leaves unmapped fields alone', async (t) => {
+  const { app, admin, vendor } = await setup(t);
+  const services = app.db.collection('services');
+  const { insertedId: mapped } = await services.insertOne({ userId: vendor._id, serviceName: 'Feasts', serviceCategory: 'Caterers', selectedEventTypes: ['Wedding'] });
+  const { insertedId: partly } = await services.insertOne({ userId: vendor._id, serviceName: 'Fair', serviceCategory: 'catering', selectedEventTypes: ['Wedding', 'Funfair'] });
+
+  const dryRun = await admin('POST', '/migrate', {});
+  assert.equal(dryRun.status, 200);
+  assert.deepEqual(dryRun.body.report.services, { updated: 1, unmapped: { 'Funfair is not a known event type': 1 } });
+  assert.equal((await services.findOne({ _id: mapped })).serviceCategory, 'Caterers');
+
+  const run = await admin('POST', '/migrate', { dryRun: false });
+  assert.equal(run.body.report.services.updated, 1);
+
+  const migrated = await services.findOne({ _id: mapped });
+  assert.equal(migrated.serviceCategory, 'catering');
+  assert.deepEqual(migrated.selectedEventTypes, ['wedding']);
+  assert.deepEqual((await services.findOne({ _id: partly })).selectedEventTypes, ['Wedding', 'Funfair']);
+});
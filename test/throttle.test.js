@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { RATE_LIMITS } = require('../throttle');
+
+const phoneNumber = '+919876543210';
+
+// Send a customer login code and return it
+async function requestCode(app) {
+  const response = await app.request('POST', '/customer/login', { body: { phoneNumber } });
+  assert.equal(response.status, 200);
+  return app.otpProvider.sent[app.otpProvider.sent.length - 1].code;
+}
+
+function verify(app, otpCode) {
+  return app.request('POST', '/customer/verify-login', { body: { phoneNumber, otpCode } });
+}
+
+test('a phone number is locked out after too many failed verifications', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+
+  const code = await requestCode(app);
+
+  // The allowed failures, then the one that locks the number
+  for (let attempt = 0; attempt <= RATE_LIMITS.failedVerifications.max; attempt += 1) {
+    assert.equal((await verify(app, '000000')).status, 400);
+  }
+
+  // The lockout also turns away the right code and new codes
+  const locked = await verify(app, code);
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.headers.get('retry-after')) > 0);
+  assert.equal((await app.request('POST', '/customer/login', { body: { phoneNumber } })).status, 429);
+});
+
+test('a successful verification clears the failures', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+
+  const code = await requestCode(app);
+
+  for (let attempt = 0; attempt < RATE_LIMITS.failedVerifications.max; attempt += 1) {
+    await verify(app, '000000');
+  }
+  assert.equal((await verify(app, code)).status, 200);
+
+  await app.db.collection('rateLimits').deleteOne({ _id: `otp-send:cooldown:${phoneNumber}` });
+  await requestCode(app);
+
+  // The count starts again, so a full set of failures is allowed before the lockout
+  for (let attempt = 0; attempt < RATE_LIMITS.failedVerifications.max; attempt += 1) {
+    assert.equal((await verify(app, '000000')).status, 400);
+  }
+});
+
+test('codes cannot be requested again during the resend cooldown', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+
+  await requestCode(app);
+  const response = await app.request('POST', '/customer/login', { body: { phoneNumber } });
+
+  assert.equal(response.status, 429);
+  assert.equal(app.otpProvider.sent.length, 1);
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+
+async function setup(t) {
+  const app = await startApp();
+  t.after(app.close);
+  const { vendor, token } = await app.addVendor();
+  return { app, vendor, token };
+}
+
+test('multipart listing fields are stored as numbers and arrays', async (t) => {
+  const { app, token } = await setup(t);
+
+  const product = await app.upload('POST', '/vendor/products', { token, fields: { productName: ' Lamp ', price: '100.5', stockAvailability: '3' } });
+  assert.equal(product.status, 201);
+  const service = await app.upload('POST', '/vendor/services', {
+    token,
+    fields: { serviceName: 'Decor', lowestAmount: '1000', highestAmount: '5000', selectedServices: 'Flowers, Lights' },
+  });
+  assert.equal(service.status, 201);
+
+  const storedProduct = await app.db.collection('products').findOne({});
+  assert.equal(storedProduct.productName, 'Lamp');
+  assert.equal(storedProduct.price, 100.5);
+  assert.equal(storedProduct.stockAvailability, 3);
+
+  const storedService = await app.db.collection('services').findOne({});
+  assert.equal(storedService.lowestAmount, 1000);
+  assert.equal(storedService.highestAmount, 5000);
+  assert.deepEqual(storedService.selectedServices, ['Flowers', 'Lights']);
+});
+
+test('array fields also accept JSON text', async (t) => {
+  const { app, token } = await setup(t);
+
+  const response = await app.upload('POST', '/vendor/services', { token, fields: { serviceName: 'Decor', selectedServices: '["Flowers, fresh","Lights"]' } });
+
+  assert.equal(response.status, 201);
+  assert.deepEqual((await app.db.collection('services').findOne({})).selectedServices, ['Flowers, fresh', 'Lights']);
+});
+
+test('every field error is reported in one envelope', async (t) => {
+  const { app, token } = await setup(t);
+
+  const response = await app.upload('POST', '/vendor/products', { token, fields: { price: 'cheap', colour: 'red' } });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.message, 'Validation failed');
+  assert.deepEqual(response.body.errors.map((error) => error.field).sort(), ['body.colour', 'body.price', 'body.productName']);
+  assert.equal(response.body.errors.find((error) => error.field === 'body.colour').message, 'colour is not allowed');
+  assert.equal(await app.db.collection('products').countDocuments(), 0);
+});
+
+test('a price range must not be inverted', async (t) => {
+  const { app, vendor, token } = await setup(t);
+
+  const created = await app.upload('POST', '/vendor/services', { token, fields: { serviceName: 'Decor', lowestAmount: '5000', highestAmount: '1000' } });
+  assert.equal(created.status, 400);
+  assert.deepEqual(created.body.errors, [{ field: 'body.highestAmount', message: 'highestAmount must not be less than lowestAmount' }]);
+
+  // An update is checked against the stored half of the range too
+  const { insertedId: serviceId } = await app.db.collection('services').insertOne({ userId: vendor._id, serviceName: 'Decor', lowestAmount: 1000, highestAmount: 5000 });
+  const updated = await app.request('PUT', `/vendor/services/${serviceId}`, { token, body: { lowestAmount: 6000 } });
+  assert.equal(updated.status, 400);
+  assert.deepEqual(updated.body.errors, [{ field: 'body.highestAmount', message: 'highestAmount must not be less than lowestAmount' }]);
+});
+
+test('malformed IDs and bodies are client errors', async (t) => {
+  const { app, token } = await setup(t);
+
+  const badId = await app.request('GET', '/vendor/products/not-an-id', { token });
+  assert.equal(badId.status, 400);
+  assert.deepEqual(badId.body.errors, [{ field: 'params.id', message: 'id must be a valid ID' }]);
+
+  const response = await fetch(`${app.baseUrl}/vendor/products/0123456789abcdef01234567`, {
+    method: 'PUT',
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: '{"price":',
+  });
+  assert.equal(response.status, 400);
+  assert.deepEqual((await response.json()).errors, [{ field: 'body', message: 'Malformed JSON body' }]);
+});
+
+test('updates must change at least one field', async (t) => {
+  const { app, vendor, token } = await setup(t);
+  const { insertedId } = await app.db.collection('products').insertOne({ userId: vendor._id, productName: 'Lamp', price: 100 });
+
+  const response = await app.request('PUT', `/vendor/products/${insertedId}`, { token, body: {} });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.errors[0].field, 'body');
+});
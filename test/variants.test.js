@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers/app');
+const { summarizeVariants } = require('../variants');
+
+const options = [{ name: 'size', values: ['S', 'M', 'L'] }, { name: 'colour', values: ['red', 'blue'] }];
+
+async function setup(t) {
+  const app = await startApp();
+  t.after(app.close);
+  const { vendor, token } = await app.addVendor();
+
+  const createProduct = (fields, files = []) => app.upload('POST', '/vendor/products', {
+    token,
+    fields: { productName: 'Shirt', price: '500', options: JSON.stringify(options), ...fields },
+    files,
+  });
+  return { app, vendor, token, createProduct };
+}
+
+test('a product is created with variants whose stock adds up to the product\'s', async (t) => {
+  const { app, createProduct } = await setup(t);
+
+  const response = await createProduct({
+    variants: JSON.stringify([
+      { sku: 'SHIRT-S-RED', options: { size: 'S', colour: 'red' }, stockAvailability: 3 },
+      { sku: 'SHIRT-L-BLUE', options: { size: 'L', colour: 'blue' }, price: 550, stockAvailability: 2 },
+    ]),
+  });
+
+  assert.equal(response.status, 201);
+  const product = await app.db.collection('products').findOne({});
+  assert.equal(product.stockAvailability, 5);
+  assert.deepEqual(product.variants.map((variant) => [variant.sku, variant.price, variant.stockAvailability]), [
+    ['SHIRT-S-RED', null, 3],
+    ['SHIRT-L-BLUE', 550, 2],
+  ]);
+
+  const movements = await app.db.collection('stockMovements').find({}).sort({ _id: 1 }).toArray();
+  assert.deepEqual(movements.map((movement) => [String(movement.variantId), movement.quantity]), [
+    [String(product.variants[0]._id), 3],
+    [String(product.variants[1]._id), 2],
+  ]);
+});
+
+test('variants must choose one value of every option, once each', async (t) => {
+  const { createProduct } = await setup(t);
+
+  const response = await createProduct({
+    stockAvailability: '4',
+    variants: JSON.stringify([
+      { sku: 'A', options: { size: 'S', colour: 'red' } },
+      { sku: 'A', options: { size: 'S', colour: 'red' } },
+      { options: { size: 'XL', colour: 'red' } },
+      { options: { size: 'M' } },
+    ]),
+  });
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.errors.map((error) => error.field), [
+    'body.variants.1.options',
+    'body.variants.1.sku',
+    'body.variants.2.options.size',
+    'body.variants.3.options',
+    'body.stockAvailability',
+  ]);
+
+  const withoutOptions = await createProduct({ options: '[]', variants: JSON.stringify([{ options: { size: 'S' } }]) });
+  assert.equal(withoutOptions.body.errors[0].field, 'body.options');
+});
+
+test('stock of a product with variants moves per variant', async (t) => {
+  const { app, token, createProduct } = await setup(t);
+  await createProduct({ variants: JSON.stringify([{ options: { size: 'S', colour: 'red' }, stockAvailability: 3 }, { options: { size: 'M', colour: 'red' } }]) });
+  const product = await app.db.collection('products').findOne({});
+  const move = (body) => app.request('POST', `/vendor/products/${product._id}/stock`, { token, body });
+
+  const withoutVariant = await move({ type: 'restock', quantity: 1 });
+  assert.equal(withoutVariant.status, 400);
+  assert.equal(withoutVariant.body.errors[0].field, 'body.variantId');
+
+  assert.equal((await move({ type: 'sale', quantity: 1, variantId: String(product.variants[1]._id) })).status, 409);
+  assert.equal((await move({ type: 'restock', quantity: 4, variantId: String(product.variants[1]._id) })).status, 201);
+
+  const stored = await app.db.collection('products').findOne({ _id: product._id });
+  assert.deepEqual(stored.variants.map((variant) => variant.stockAvailability), [3, 4]);
+  assert.equal(stored.stockAvailability, 7);
+});
+
+test('updating variants keeps the stock of the ones that stay', async (t) => {
+  const { app, token, createProduct } = await setup(t);
+  await createProduct({ variants: JSON.stringify([{ options: { size: 'S', colour: 'red' }, stockAvailability: 3 }, { options: { size: 'M', colour: 'red' }, stockAvailability: 2 }]) });
+  const product = await app.db.collection('products').findOne({});
+  const [small] = product.variants;
+
+  const response = await app.request('PUT', `/vendor/products/${product._id}`, {
+    token,
+    body: { variants: [{ _id: String(small._id), options: { size: 'S', colour: 'red' }, price: 450 }, { options: { size: 'L', colour: 'blue' } }] },
+  });
+
+  assert.equal(response.status, 200);
+  const stored = await app.db.collection('products').findOne({ _id: product._id });
+  assert.deepEqual(stored.variants.map((variant) => [variant.options.size, variant.price, variant.stockAvailability]), [
+    ['S', 450, 3],
+    ['L', null, 0],
+  ]);
+  assert.equal(stored.stockAvailability, 3);
+  assert.equal(String(stored.variants[0]._id), String(small._id));
+});
+
+test('variant images must be the product\'s and go when the product drops them', async (t) => {
+  const { app, token, createProduct } = await setup(t);
+  await createProduct({}, [
+    { name: 'red.png', type: 'image/png', content: 'RED' },
+    { name: 'blue.png', type: 'image/png', content: 'BLUE' },
+  ]);
+  const { _id: productId, images } = await app.db.collection('products').findOne({});
+  const update = (body) => app.request('PUT', `/vendor/products/${productId}`, { token, body });
+
+  const foreign = await update({ variants: [{ options: { size: 'S', colour: 'red' }, images: ['0123456789abcdef01234567'] }] });
+  assert.equal(foreign.status, 400);
+  assert.equal(foreign.body.errors[0].field, 'body.variants.0.images');
+
+  assert.equal((await update({ variants: [{ options: { size: 'S', colour: 'red' }, images: images.map(String) }] })).status, 200);
+  assert.equal((await update({ images: [String(images[1])] })).status, 200);
+
+  const stored = await app.db.collection('products').findOne({ _id: productId });
+  assert.deepEqual(stored.variants[0].images.map(String), [String(images[1])]);
+});
+
+test('the price range and availability are taken across the variants', () => {
+  const summary = summarizeVariants({
+    price: 500,
+    variants: [
+      { price: null, stockAvailability: 0 },
+      { price: 650, stockAvailability: '2' },
+      { price: 400, stockAvailability: 1 },
+    ],
+  });
+
+  assert.deepEqual(summary, {
+    priceRange: { min: 400, max: 650 },
+    availability: { inStock: true, stockAvailability: 3, variantCount: 3, variantsInStock: 2 },
+  });
+  assert.deepEqual(summarizeVariants({ price: '20', stockAvailability: 0 }), {
+    priceRange: { min: 20, max: 20 },
+    availability: { inStock: false, stockAvailability: 0 },
+  });
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { createMemoryDb } = require('./helpers/memoryDb');
+const { setDb } = require('../db');
+const { startApp } = require('./helpers/app');
+const { signPayload, webhookUrlProblem, processDeliveries } = require('../webhooks');
+
+test('signatures are an HMAC of the timestamp and body', () => {
+  const body = JSON.stringify({ event: 'product.updated' });
+  const signature = signPayload('secret', 1700000000, body);
+  const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+
+  assert.equal(signature, `t=1700000000,v1=${expected}`);
+  assert.notEqual(signPayload('secret', 1700000000, `${body} `), signature);
+  assert.notEqual(signPayload('other', 1700000000, body), signature);
+  assert.notEqual(signPayload('secret', 1700000001, body), signature);
+});
+
+test('webhook URLs must use https', async () => {
+  assert.equal(await webhookUrlProblem('http://8.8.8.8/hook'), 'url must use https');
+  assert.equal(await webhookUrlProblem('not a url'), 'url is not a valid URL');
+  assert.equal(await webhookUrlProblem('https://8.8.8.8/hook'), null);
+});
+
+test('webhook URLs must not reach internal addresses', async () => {
+  const internal = [
+    'https://127.0.0.1/hook',
+    'https://[::1]/hook',
+    'https://10.0.0.1/hook',
+    'https://192.168.1.10/hook',
+    'https://169.254.169.254/latest/meta-data',
+    'https://[::ffff:10.0.0.1]/hook',
+    'https://[fd00:ec2::254]/hook',
+    'https://localhost/hook',
+  ];
+
+  for (const url of internal) {
+    assert.equal(await webhookUrlProblem(url), 'url must not point to a private or internal address', url);
+  }
+});
+
+test('deliveries to a URL that became internal fail without a request', async () => {
+  const db = createMemoryDb();
+  setDb(db);
+
+  const webhookId = new ObjectId();
+  await db.collection('webhooks').insertOne({ _id: webhookId, url: 'https://127.0.0.1/hook', secret: 'secret', active: true });
+  await db.collection('webhookDeliveries').insertOne({
+    webhookId,
+    event: 'product.updated',
+    payload: { event: 'product.updated' },
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: new Date(Date.now() - 1000),
+  });
+
+  assert.equal(await processDeliveries(), 1);
+
+  const delivery = await db.collection('webhookDeliveries').findOne({ webhookId });
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.lastAttempt.ok, false);
+  assert.equal(delivery.lastAttempt.error, 'url must not point to a private or internal address');
+  assert.equal(delivery.lastAttempt.responseBody, undefined);
+});
+
+test('a registered webhook gets a secret and is sent the vendor\'s listing events', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { vendor, token } = await app.addVendor();
+
+  const internal = await app.request('POST', '/vendor/webhooks', { token, body: { url: 'https://10.0.0.1/hook', events: ['product.updated'] } });
+  assert.equal(internal.status, 400);
+  assert.deepEqual(internal.body.errors, [{ field: 'body.url', message: 'url must not point to a private or internal address' }]);
+
+  const registered = await app.request('POST', '/vendor/webhooks', { token, body: { url: 'https://8.8.8.8/hook', events: ['product.updated'] } });
+  assert.equal(registered.status, 201);
+  assert.match(registered.body.secret, /^whsec_/);
+  const listed = await app.request('GET', '/vendor/webhooks', { token });
+  assert.equal(listed.body[0].secret, undefined);
+
+  const { insertedId: productId } = await app.db.collection('products').insertOne({ userId: vendor._id, productName: 'Lamp', price: 100 });
+  await app.request('PUT', `/vendor/products/${productId}`, { token, body: { price: 120 } });
+
+  const deliveries = await app.request('GET', `/vendor/webhooks/${registered.body.webhookId}/deliveries`, { token });
+  assert.equal(deliveries.status, 200);
+  assert.equal(deliveries.body.total, 1);
+  const [delivery] = deliveries.body.items;
+  assert.deepEqual([delivery.event, delivery.status, delivery.payload.data.price], ['product.updated', 'pending', 120]);
+});
+
+test('a delivery can be sent again under the same event ID, only by its vendor', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+  const { vendor, token } = await app.addVendor();
+  const { token: otherToken } = await app.addVendor();
+  const registered = await app.request('POST', '/vendor/webhooks', { token, body: { url: 'https://8.8.8.8/hook', events: ['product.updated'] } });
+  const { insertedId: productId } = await app.db.collection('products').insertOne({ userId: vendor._id, productName: 'Lamp', price: 100 });
+  await app.request('PUT', `/vendor/products/${productId}`, { token, body: { price: 120 } });
+  const original = await app.db.collection('webhookDeliveries').findOne({});
+
+  assert.equal((await app.request('POST', `/vendor/webhooks/deliveries/${original._id}/redeliver`, { token: otherToken })).status, 404);
+  const response = await app.request('POST', `/vendor/webhooks/deliveries/${original._id}/redeliver`, { token });
+
+  assert.equal(response.status, 202);
+  const copy = await app.db.collection('webhookDeliveries').findOne({ redeliveryOf: original._id });
+  assert.equal(String(copy.payload.id), String(original.payload.id));
+  assert.equal(copy.status, 'pending');
+
+  // Removing the webhook removes its log
+  assert.equal((await app.request('DELETE', `/vendor/webhooks/${registered.body.webhookId}`, { token })).status, 200);
+  assert.equal(await app.db.collection('webhookDeliveries').countDocuments(), 0);
+});
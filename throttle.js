@@ -0,0 +1,161 @@
+require('dotenv').config();
+
+const { getDb } = require('./db');
+
+// Limits on sending and checking one-time codes. Counters live in MongoDB so
+// every app instance sees the same counts.
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+const RATE_LIMITS = {
+  // Minimum time between two codes sent to the same phone number
+  resendCooldown: { max: 1, windowMs: envNumber('OTP_RESEND_COOLDOWN_SECONDS', 60) * 1000 },
+  sendsPerPhone: { max: envNumber('OTP_SENDS_PER_PHONE_PER_HOUR', 5), windowMs: HOUR_MS },
+  sendsPerIp: { max: envNumber('OTP_SENDS_PER_IP_PER_HOUR', 20), windowMs: HOUR_MS },
+  verificationsPerIp: { max: envNumber('OTP_VERIFICATIONS_PER_IP_PER_HOUR', 60), windowMs: HOUR_MS },
+  // Failed verifications allowed before the phone number is locked out
+  failedVerifications: { max: envNumber('OTP_MAX_FAILED_VERIFICATIONS', 5), windowMs: envNumber('OTP_LOCKOUT_MINUTES', 15) * MINUTE_MS },
+  lockoutMs: envNumber('OTP_LOCKOUT_MINUTES', 15) * MINUTE_MS,
+};
+
+async function ensureRateLimitIndexes(db) {
+  // Let MongoDB remove finished windows and lockouts
+  await db.collection('rateLimits').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+}
+
+// Count one hit against a fixed window. Returns the time until the window
+// resets when the limit is exceeded, or null when the hit is allowed.
+async function hit(key, { max, windowMs }, retried = false) {
+  const now = new Date();
+  const windowOver = { $or: [{ $eq: [{ $type: '$expiresAt' }, 'missing'] }, { $lte: ['$expiresAt', now] }] };
+
+  let entry;
+  try {
+    entry = await getDb().collection('rateLimits').findOneAndUpdate(
+      { _id: key },
+      [{
+        $set: {
+          count: { $cond: [windowOver, 1, { $add: ['$count', 1] }] },
+          expiresAt: { $cond: [windowOver, new Date(now.getTime() + windowMs), '$expiresAt'] },
+        },
+      }],
+      { upsert: true, returnDocument: 'after' }
+    );
+  } catch (error) {
+    // Two first hits can race to create the counter; the loser counts again
+    if (error.code === 11000 && !retried) return hit(key, { max, windowMs }, true);
+    throw error;
+  }
+
+  return entry.count > max ? entry.expiresAt - now : null;
+}
+
+// Time left on a phone number's lockout, or null when it is not locked
+async function lockoutRemaining(phoneNumber) {
+  const now = new Date();
+  const lock = await getDb().collection('rateLimits').findOne({ _id: `lockout:${phoneNumber}`, expiresAt: { $gt: now } });
+  return lock ? lock.expiresAt - now : null;
+}
+
+function sendRateLimited(res, retryAfterMs, message) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ message, retryAfter });
+}
+
+const phoneFromBody = (req) => req.body.phoneNumber;
+
+// Middleware for routes that send a code. Checks the lockout, the per-IP and
+// per-phone hourly limits and the resend cooldown. Use after validate().
+function limitOtpSends(getPhoneNumber = phoneFromBody) {
+  return async (req, res, next) => {
+    const phoneNumber = getPhoneNumber(req);
+
+    try {
+      const locked = await lockoutRemaining(phoneNumber);
+      if (locked) {
+        return sendRateLimited(res, locked, 'Too many failed verifications, try again later');
+      }
+
+      const ipLimited = await hit(`otp-send:ip:${req.ip}`, RATE_LIMITS.sendsPerIp);
+      if (ipLimited) {
+        return sendRateLimited(res, ipLimited, 'Too many codes requested, try again later');
+      }
+
+      const coolingDown = await hit(`otp-send:cooldown:${phoneNumber}`, RATE_LIMITS.resendCooldown);
+      if (coolingDown) {
+        return sendRateLimited(res, coolingDown, 'Please wait before requesting another code');
+      }
+
+      const phoneLimited = await hit(`otp-send:phone:${phoneNumber}`, RATE_LIMITS.sendsPerPhone);
+      if (phoneLimited) {
+        return sendRateLimited(res, phoneLimited, 'Too many codes requested for this phone number, try again later');
+      }
+
+      next();
+    } catch (error) {
+      console.error('Error checking OTP send limits:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  };
+}
+
+// Middleware for routes that check a code. Locked out phone numbers and IPs
+// over their limit are turned away before the code is looked at. Handlers
+// report the outcome with recordVerification().
+function limitOtpVerifications(getPhoneNumber = phoneFromBody) {
+  return async (req, res, next) => {
+    const phoneNumber = getPhoneNumber(req);
+
+    try {
+      const locked = await lockoutRemaining(phoneNumber);
+      if (locked) {
+        return sendRateLimited(res, locked, 'Too many failed verifications, try again later');
+      }
+
+      const ipLimited = await hit(`otp-verify:ip:${req.ip}`, RATE_LIMITS.verificationsPerIp);
+      if (ipLimited) {
+        return sendRateLimited(res, ipLimited, 'Too many verification attempts, try again later');
+      }
+
+      next();
+    } catch (error) {
+      console.error('Error checking OTP verification limits:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  };
+}
+
+// Count a failed verification towards the lockout, or clear the failures
+// after a successful one
+async function recordVerification(phoneNumber, verificationStatus) {
+  const failures = getDb().collection('rateLimits');
+  const failureKey = `otp-verify:failures:${phoneNumber}`;
+
+  if (verificationStatus === 'approved') {
+    await failures.deleteOne({ _id: failureKey });
+    return;
+  }
+
+  if (await hit(failureKey, RATE_LIMITS.failedVerifications)) {
+    await failures.updateOne(
+      { _id: `lockout:${phoneNumber}` },
+      { $set: { lockedAt: new Date(), expiresAt: new Date(Date.now() + RATE_LIMITS.lockoutMs) } },
+      { upsert: true }
+    );
+    await failures.deleteOne({ _id: failureKey });
+  }
+}
+
+module.exports = {
+  RATE_LIMITS,
+  ensureRateLimitIndexes,
+  limitOtpSends,
+  limitOtpVerifications,
+  recordVerification,
+};
@@ -0,0 +1,248 @@
+const BaseJoi = require('joi');
+const { BSON } = require('mongodb');
+
+// Multipart forms send arrays as text, either as JSON ("["a","b"]") or as a
+// comma separated list ("a,b"), so array fields accept both. Objects such as
+// an address are sent as JSON text.
+const Joi = BaseJoi.extend({
+  type: 'array',
+  base: BaseJoi.array(),
+  coerce: {
+    from: 'string',
+    method(value) {
+      const trimmed = value.trim();
+
+      if (trimmed.startsWith('[')) {
+        try {
+          return { value: JSON.parse(trimmed) };
+        } catch (error) {
+          return { value };
+        }
+      }
+
+      return { value: trimmed === '' ? [] : trimmed.split(',').map((item) => item.trim()) };
+    },
+  },
+}, {
+  type: 'object',
+  base: BaseJoi.object(),
+  coerce: {
+    from: 'string',
+    method(value) {
+      try {
+        return { value: JSON.parse(value) };
+      } catch (error) {
+        return { value };
+      }
+    },
+  },
+});
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).messages({
+  'string.pattern.base': '{{#label}} must be a valid ID',
+});
+
+const phoneNumber = Joi.string().trim().pattern(/^\+[1-9]\d{6,14}$/).messages({
+  'string.pattern.base': '{{#label}} must be an E.164 phone number such as +919876543210',
+});
+
+const idParams = Joi.object({ id: objectId.required() });
+
+// Vendor-supplied stock keeping unit, unique among a vendor's listings
+const sku = Joi.string().trim().max(100);
+
+const address = Joi.object({
+  line1: Joi.string().trim().max(200).required(),
+  line2: Joi.string().trim().allow('').max(200),
+  city: Joi.string().trim().max(100).required(),
+  state: Joi.string().trim().max(100),
+  postalCode: Joi.string().trim().max(20),
+  country: Joi.string().trim().max(100).required(),
+});
+
+const paging = {
+  page: Joi.number().integer().min(1),
+  limit: Joi.number().integer().min(1).max(100),
+};
+
+// Option axes such as size and colour that a product's variants choose from
+const productOptions = Joi.array().items(Joi.object({
+  name: Joi.string().trim().max(50).required(),
+  values: Joi.array().items(Joi.string().trim().max(100)).min(1).max(50).unique().required(),
+})).max(3).unique('name');
+
+// A variant sets one value on each option axis; its images are file IDs from
+// the product's images and a price left out falls back to the product's
+const productVariant = Joi.object({
+  _id: objectId,
+  sku: sku.allow(null),
+  options: Joi.object().pattern(Joi.string(), Joi.string().trim().max(100)).required(),
+  price: Joi.number().min(0).allow(null),
+  stockAvailability: Joi.number().integer().min(0),
+  images: Joi.array().items(objectId),
+});
+
+const productFields = {
+  sku,
+  productName: Joi.string().trim().max(200),
+  productDescription: Joi.string().allow('').max(5000),
+  productCategory: Joi.string().trim().max(100),
+  productSubcategory: Joi.string().trim().max(100),
+  price: Joi.number().min(0),
+  stockAvailability: Joi.number().integer().min(0),
+  lowStockThreshold: Joi.number().integer().min(0).allow(null),
+  productPolicies: Joi.string().allow('').max(5000),
+  options: productOptions,
+  variants: Joi.array().items(productVariant).max(100),
+};
+
+const serviceFields = {
+  sku,
+  serviceName: Joi.string().trim().max(200),
+  serviceCategory: Joi.string().trim().max(100),
+  // Free-text location shown to customers; searches use the coordinates
+  location: Joi.string().trim().max(200),
+  address: address.allow(null),
+  latitude: Joi.number().min(-90).max(90).allow(null),
+  longitude: Joi.number().min(-180).max(180).allow(null),
+  // How far from its coordinates the service travels to a venue
+  serviceRadiusKm: Joi.number().greater(0).max(1000).allow(null),
+  description_ser: Joi.string().allow('').max(5000),
+  lowestAmount: Joi.number().min(0),
+  highestAmount: Joi.number().min(0),
+  selectedServices: Joi.array().items(Joi.string().trim().max(100)),
+  selectedEventTypes: Joi.array().items(Joi.string().trim().max(100)),
+};
+
+const mediaFields = {
+  images: Joi.array().items(objectId),
+  videos: Joi.array().items(objectId),
+};
+
+// highestAmount may not be below lowestAmount when both are sent
+const highestAmount = serviceFields.highestAmount.when('lowestAmount', {
+  is: Joi.exist(),
+  then: Joi.number().min(Joi.ref('lowestAmount')).messages({
+    'number.min': '{{#label}} must not be less than lowestAmount',
+  }),
+});
+
+const otpChannel = Joi.string().valid('sms', 'email');
+const otpCode = Joi.string().trim().pattern(/^\d{4,10}$/).messages({
+  'string.pattern.base': '{{#label}} must be the numeric code that was sent',
+});
+
+const schemas = {
+  objectId,
+  phoneNumber,
+  otpCode,
+  idParams,
+  sku,
+  address,
+  paging,
+  auth: {
+    // Signup proves the phone number, which becomes the account, so its code
+    // always goes by SMS. The email address is confirmed later.
+    signup: Joi.object({
+      phoneNumber: phoneNumber.required(),
+      username: Joi.string().trim().max(100),
+      businessName: Joi.string().trim().max(200),
+      name: Joi.string().trim().max(200),
+      email: Joi.string().trim().lowercase().email(),
+      channel: Joi.string().valid('sms').messages({ 'any.only': 'signup codes are only sent by SMS' }),
+    }),
+    login: Joi.object({
+      phoneNumber: phoneNumber.required(),
+      channel: otpChannel,
+    }),
+    verify: Joi.object({
+      phoneNumber: phoneNumber.required(),
+      otpCode: otpCode.required(),
+    }),
+  },
+  product: {
+    create: Joi.object({
+      ...productFields,
+      productName: productFields.productName.required(),
+      price: productFields.price.required(),
+      // New products have no file IDs yet; variant images are set on update
+      variants: Joi.array().items(productVariant.keys({ _id: Joi.forbidden(), images: Joi.forbidden() })).max(100),
+    }),
+    update: Joi.object({ ...productFields, ...mediaFields }).min(1),
+  },
+  service: {
+    create: Joi.object({
+      ...serviceFields,
+      serviceName: serviceFields.serviceName.required(),
+      highestAmount,
+    }).and('latitude', 'longitude'),
+    update: Joi.object({
+      ...serviceFields,
+      ...mediaFields,
+      highestAmount,
+    }).min(1).and('latitude', 'longitude'),
+  },
+};
+
+// Turn Joi details into the field errors of the error envelope
+function toFieldErrors(location, error) {
+  return error.details.map((detail) => ({
+    field: [location, ...detail.path].join('.'),
+    message: detail.message.replace(/"/g, ''),
+  }));
+}
+
+function sendValidationError(res, errors) {
+  return res.status(400).json({ message: 'Validation failed', errors });
+}
+
+// Middleware that validates and coerces req.params, req.query and req.body.
+// Every field error is reported at once; unknown fields are rejected.
+function validate(shape) {
+  return (req, res, next) => {
+    const errors = [];
+
+    for (const location of ['params', 'query', 'body']) {
+      if (!shape[location]) continue;
+
+      const { value, error } = shape[location].validate(req[location] || {}, {
+        abortEarly: false,
+        convert: true,
+      });
+
+      if (error) {
+        errors.push(...toFieldErrors(location, error));
+      } else {
+        req[location] = value;
+      }
+    }
+
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    next();
+  };
+}
+
+// Error handler for malformed IDs and bodies that slip past route validation
+function handleRequestErrors(err, req, res, next) {
+  if (err instanceof BSON.BSONError) {
+    return sendValidationError(res, [{ field: 'params', message: 'Invalid ID' }]);
+  }
+  if (err.type === 'entity.parse.failed') {
+    return sendValidationError(res, [{ field: 'body', message: 'Malformed JSON body' }]);
+  }
+  if (err.code === 'LIMIT_FILE_SIZE' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+    return sendValidationError(res, [{ field: err.field || 'files', message: err.message }]);
+  }
+  next(err);
+}
+
+module.exports = {
+  Joi,
+  schemas,
+  validate,
+  sendValidationError,
+  handleRequestErrors,
+};
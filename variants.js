@@ -0,0 +1,124 @@
+const { ObjectId } = require('mongodb');
+
+// Products can come in variants along up to three option axes such as size
+// and colour. Each variant has its own SKU, price, stock and images from the
+// product's images. A variant without a price sells at the product's price,
+// and the product's stockAvailability is the total over its variants.
+
+function idsEqual(a, b) {
+  return String(a) === String(b);
+}
+
+// Check variants against the product's option axes and images. Variants
+// sent with an _id update that existing variant and keep its stock; the
+// others are new and start without stock. Returns field errors, or the
+// variants to store.
+function buildVariants({ options = [], variants = [], images = [], current = [], field = 'body.variants' }) {
+  const errors = [];
+  const axisNames = options.map((axis) => axis.name);
+  const seenCombinations = new Map();
+  const seenSkus = new Map();
+
+  if (variants.length > 0 && options.length === 0) {
+    errors.push({ field: 'body.options', message: 'options are required for products with variants' });
+    return { errors, variants: [] };
+  }
+
+  const built = variants.map((variant, index) => {
+    const path = `${field}.${index}`;
+    const existing = variant._id ? current.find((item) => idsEqual(item._id, variant._id)) : null;
+
+    if (variant._id && !existing) {
+      errors.push({ field: `${path}._id`, message: '_id must be one of the product\'s variants' });
+    }
+
+    const chosen = Object.keys(variant.options || {});
+    if (chosen.length !== axisNames.length || !axisNames.every((name) => chosen.includes(name))) {
+      errors.push({ field: `${path}.options`, message: `options must set exactly ${axisNames.join(', ')}` });
+    } else {
+      options.forEach((axis) => {
+        if (!axis.values.includes(variant.options[axis.name])) {
+          errors.push({ field: `${path}.options.${axis.name}`, message: `${axis.name} must be one of ${axis.values.join(', ')}` });
+        }
+      });
+
+      const combination = JSON.stringify(axisNames.map((name) => variant.options[name]));
+      if (seenCombinations.has(combination)) {
+        errors.push({ field: `${path}.options`, message: `options are the same as variant ${seenCombinations.get(combination)}` });
+      }
+      seenCombinations.set(combination, index);
+    }
+
+    if (variant.sku !== undefined && variant.sku !== null) {
+      if (seenSkus.has(variant.sku)) {
+        errors.push({ field: `${path}.sku`, message: `sku is already used by variant ${seenSkus.get(variant.sku)}` });
+      }
+      seenSkus.set(variant.sku, index);
+    }
+
+    const variantImages = variant.images || [];
+    if (variantImages.some((fileId) => !images.some((id) => idsEqual(id, fileId)))) {
+      errors.push({ field: `${path}.images`, message: 'images must be files in the product\'s images' });
+    }
+
+    return {
+      _id: existing ? existing._id : new ObjectId(),
+      sku: variant.sku === undefined ? null : variant.sku,
+      options: Object.fromEntries(axisNames.map((name) => [name, (variant.options || {})[name]])),
+      price: variant.price === undefined ? null : variant.price,
+      images: images.filter((id) => variantImages.some((fileId) => idsEqual(id, fileId))),
+      stockAvailability: existing ? Number(existing.stockAvailability) || 0 : 0,
+    };
+  });
+
+  return { errors, variants: built };
+}
+
+// Keep only the variant images that are still among the product's images
+function pruneVariantImages(variants, images) {
+  return (variants || []).map((variant) => ({
+    ...variant,
+    images: (variant.images || []).filter((fileId) => (images || []).some((id) => idsEqual(id, fileId))),
+  }));
+}
+
+// Price range and availability of a product, taken across its variants
+function summarizeVariants(product) {
+  const variants = product.variants || [];
+  const basePrice = Number(product.price);
+
+  if (variants.length === 0) {
+    const stock = Number(product.stockAvailability) || 0;
+    return {
+      priceRange: Number.isFinite(basePrice) ? { min: basePrice, max: basePrice } : null,
+      availability: { inStock: stock > 0, stockAvailability: stock },
+    };
+  }
+
+  const prices = variants
+    .map((variant) => (variant.price !== undefined && variant.price !== null ? Number(variant.price) : basePrice))
+    .filter(Number.isFinite);
+  const stocks = variants.map((variant) => Number(variant.stockAvailability) || 0);
+  const total = stocks.reduce((sum, stock) => sum + stock, 0);
+
+  return {
+    priceRange: prices.length > 0 ? { min: Math.min(...prices), max: Math.max(...prices) } : null,
+    availability: {
+      inStock: total > 0,
+      stockAvailability: total,
+      variantCount: variants.length,
+      variantsInStock: stocks.filter((stock) => stock > 0).length,
+    },
+  };
+}
+
+function findVariant(product, variantId) {
+  return (product.variants || []).find((variant) => idsEqual(variant._id, variantId)) || null;
+}
+
+module.exports = {
+  buildVariants,
+  pruneVariantImages,
+  summarizeVariants,
+  findVariant,
+};
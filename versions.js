@@ -0,0 +1,83 @@
+const { getDb } = require('./db');
+
+// Fields left out of diffs. Stock has its own ledger and ratings follow
+// from reviews, so changes to them are not listing edits.
+const UNTRACKED_FIELDS = ['_id', 'userId', 'stockAvailability', 'rating'];
+
+async function ensureVersionIndexes(db) {
+  await db.collection('listingVersions').createIndex({ collectionName: 1, listingId: 1, version: -1 }, { unique: true });
+  await db.collection('listingVersions').createIndex({ vendorId: 1, createdAt: -1 });
+}
+
+// Variant stock is kept by the same ledger as the product's own
+function trackedValue(field, value) {
+  if (field === 'variants' && Array.isArray(value)) {
+    return value.map(({ stockAvailability, ...variant }) => variant);
+  }
+  return value;
+}
+
+// Field-level differences between two versions of a listing
+function diffListings(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  for (const field of fields) {
+    if (UNTRACKED_FIELDS.includes(field)) continue;
+
+    const from = before && before[field] !== undefined ? before[field] : null;
+    const to = after && after[field] !== undefined ? after[field] : null;
+
+    if (JSON.stringify(trackedValue(field, from)) !== JSON.stringify(trackedValue(field, to))) {
+      changes.push({ field, from, to });
+    }
+  }
+
+  return changes;
+}
+
+// Record a create, update, delete or restore of a listing as a numbered
+// version holding the resulting document (the last state for a delete).
+// Updates that change no tracked field are not recorded.
+async function recordVersion(collectionName, before, after, { action, by, restoredFrom }) {
+  const changes = diffListings(before, action === 'delete' ? null : after);
+  if (action === 'update' && changes.length === 0) return null;
+
+  const listing = after || before;
+  const versions = getDb().collection('listingVersions');
+
+  // Two writers can pick the same number; the unique index makes one retry
+  for (let attempt = 0; ; attempt += 1) {
+    const latest = await versions
+      .find({ collectionName, listingId: listing._id })
+      .sort({ version: -1 })
+      .limit(1)
+      .next();
+
+    try {
+      const version = {
+        collectionName,
+        listingId: listing._id,
+        vendorId: listing.userId,
+        version: latest ? latest.version + 1 : 1,
+        action,
+        snapshot: listing,
+        changes,
+        by,
+        restoredFrom: restoredFrom || null,
+        createdAt: new Date(),
+      };
+      await versions.insertOne(version);
+      return version;
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 2) throw error;
+    }
+  }
+}
+
+module.exports = {
+  UNTRACKED_FIELDS,
+  ensureVersionIndexes,
+  diffListings,
+  recordVersion,
+};
@@ -0,0 +1,536 @@
+const express = require('express');
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { trackJob } = require('./jobs');
+const { authenticateToken, findVerifiedUser } = require('./auth');
+const { Joi, schemas, validate, sendValidationError } = require('./validation');
+
+const router = express.Router();
+
+// Events vendors can subscribe to
+const WEBHOOK_EVENTS = [
+  'product.created',
+  'product.updated',
+  'product.deleted',
+  'service.created',
+  'service.updated',
+  'service.deleted',
+  'account.verified',
+];
+
+const LISTING_EVENT_TYPES = {
+  products: 'product',
+  services: 'service',
+};
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// Failed deliveries are retried with exponential backoff until they have
+// been attempted this many times
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS || 30) * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_WEBHOOKS_PER_VENDOR = 10;
+const DEFAULT_PAGE_SIZE = 50;
+
+const webhookFields = {
+  url: Joi.string().trim().uri({ scheme: ['https'] }).max(2000),
+  events: Joi.array().items(Joi.string().valid(...WEBHOOK_EVENTS)).min(1).unique(),
+  description: Joi.string().trim().allow('').max(500),
+};
+
+const webhookBody = Joi.object({
+  ...webhookFields,
+  url: webhookFields.url.required(),
+  events: webhookFields.events.required(),
+});
+const webhookUpdateBody = Joi.object({ ...webhookFields, active: Joi.boolean() }).min(1);
+const deliveryListQuery = Joi.object({
+  status: Joi.string().valid(...DELIVERY_STATUSES),
+  event: Joi.string().valid(...WEBHOOK_EVENTS),
+  ...schemas.paging,
+});
+
+// Webhooks may not reach the server's own network: loopback, private,
+// link-local (including cloud metadata endpoints), shared, multicast and
+// reserved addresses are refused
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// What a vendor sees of a webhook; the secret is only shown when it is created
+// or rotated
+const webhookProjection = { secret: 0 };
+
+async function ensureWebhookIndexes(db) {
+  await db.collection('webhooks').createIndex({ vendorId: 1, events: 1 });
+  await db.collection('webhookDeliveries').createIndex({ status: 1, nextAttemptAt: 1 });
+  await db.collection('webhookDeliveries').createIndex({ webhookId: 1, createdAt: -1 });
+}
+
+// BlockList checks IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the
+// IPv4 subnets too
+function isBlockedAddress(address) {
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup for webhook requests that fails when the host resolves to a
+// blocked address. It runs when the connection is made, so a host that
+// changes its DNS after it was checked is still refused.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.length === 0 || addresses.some((entry) => isBlockedAddress(entry.address))) {
+      const blocked = new Error(`${hostname} resolves to a private address`);
+      blocked.code = 'EPRIVATEADDRESS';
+      return callback(blocked);
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Why a webhook URL may not be called, or null when it may
+async function webhookUrlProblem(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'url is not a valid URL';
+  }
+
+  if (parsed.protocol !== 'https:') return 'url must use https';
+
+  // Connections to IP addresses skip the lookup, so check those here
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) {
+    return isBlockedAddress(host) ? 'url must not point to a private or internal address' : null;
+  }
+
+  try {
+    await new Promise((resolve, reject) => {
+      publicLookup(host, {}, (error) => (error ? reject(error) : resolve()));
+    });
+    return null;
+  } catch (error) {
+    return error.code === 'EPRIVATEADDRESS'
+      ? 'url must not point to a private or internal address'
+      : `${host} could not be resolved`;
+  }
+}
+
+// POST a delivery and resolve with the response status. Redirects are not
+// followed and the response body is not read.
+function postWebhook(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const request = https.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Signature sent in the X-Webhook-Signature header. Receivers recompute the
+// HMAC-SHA256 of "<timestamp>.<body>" with their secret and compare.
+function signPayload(secret, timestamp, body) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Queue a delivery of an event to every active webhook of the vendor that
+// subscribes to it. Failures are logged rather than thrown so the change
+// that caused the event still succeeds.
+async function emitEvent(vendorId, event, data) {
+  try {
+    const webhooks = await getDb().collection('webhooks')
+      .find({ vendorId, events: event, active: true })
+      .project({ _id: 1 })
+      .toArray();
+
+    if (webhooks.length === 0) return;
+
+    const now = new Date();
+    const payload = { id: new ObjectId(), event, createdAt: now, data };
+
+    await getDb().collection('webhookDeliveries').insertMany(webhooks.map((webhook) => ({
+      webhookId: webhook._id,
+      vendorId,
+      event,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      createdAt: now,
+    })));
+  } catch (error) {
+    console.error(`Error queueing ${event} webhooks:`, error);
+  }
+}
+
+// Emit the created, updated or deleted event of a product or service
+function emitListingEvent(collectionName, action, listing) {
+  return emitEvent(listing.userId, `${LISTING_EVENT_TYPES[collectionName]}.${action}`, listing);
+}
+
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+// Make one attempt at a delivery and record the outcome
+async function attemptDelivery(delivery) {
+  const deliveries = getDb().collection('webhookDeliveries');
+  const webhook = await getDb().collection('webhooks').findOne({ _id: delivery.webhookId });
+
+  if (!webhook || !webhook.active) {
+    await deliveries.updateOne(
+      { _id: delivery._id },
+      { $set: { status: 'failed', lastError: 'Webhook was removed or disabled' }, $unset: { lockedUntil: '' } }
+    );
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = delivery.attempts + 1;
+  const attempt = { attemptedAt: new Date() };
+
+  // The URL is checked again on every attempt because the rules or the
+  // host's DNS may have changed since it was registered
+  const problem = await webhookUrlProblem(webhook.url);
+
+  if (problem) {
+    attempt.ok = false;
+    attempt.error = problem;
+  } else {
+    try {
+      attempt.statusCode = await postWebhook(webhook.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Vendor-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+      }, body);
+      attempt.ok = attempt.statusCode >= 200 && attempt.statusCode < 300;
+    } catch (error) {
+      attempt.ok = false;
+      attempt.error = error.name === 'AbortError' ? 'Request timed out' : error.code || error.message;
+    }
+  }
+
+  let status = 'pending';
+  if (attempt.ok) status = 'delivered';
+  else if (attempts >= MAX_ATTEMPTS) status = 'failed';
+
+  await deliveries.updateOne(
+    { _id: delivery._id },
+    {
+      $set: {
+        status,
+        attempts,
+        lastAttempt: attempt,
+        ...(status === 'pending' && { nextAttemptAt: new Date(Date.now() + retryDelay(attempts)) }),
+        ...(status === 'delivered' && { deliveredAt: attempt.attemptedAt }),
+      },
+      $unset: { lockedUntil: '' },
+    }
+  );
+}
+
+// Claim due deliveries one at a time so several app instances can share the queue
+async function processDeliveries() {
+  const deliveries = getDb().collection('webhookDeliveries');
+  let processed = 0;
+
+  for (;;) {
+    const now = new Date();
+    const delivery = await deliveries.findOneAndUpdate(
+      {
+        status: 'pending',
+        nextAttemptAt: { $lte: now },
+        $or: [{ lockedUntil: { $exists: false } }, { lockedUntil: { $lte: now } }],
+      },
+      { $set: { lockedUntil: new Date(now.getTime() + REQUEST_TIMEOUT_MS * 3) } },
+      { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+    );
+
+    if (!delivery) return processed;
+
+    await attemptDelivery(delivery);
+    processed += 1;
+  }
+}
+
+// Work through the delivery queue periodically in the background
+function startWebhookDelivery(intervalMs) {
+  let running = false;
+
+  const timer = setInterval(() => {
+    if (running) return;
+    running = true;
+
+    trackJob(processDeliveries())
+      .catch((error) => console.error('Error delivering webhooks:', error))
+      .finally(() => {
+        running = false;
+      });
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+// Endpoint to list a vendor's webhooks
+router.get('/vendor/webhooks', authenticateToken, async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const webhooks = await getDb().collection('webhooks')
+      .find({ vendorId: user._id })
+      .project(webhookProjection)
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    res.status(200).json(webhooks);
+  } catch (error) {
+    console.error('Error retrieving webhooks:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to register a webhook. The signing secret is only returned here
+// and when it is rotated.
+router.post('/vendor/webhooks', authenticateToken, validate({ body: webhookBody }), async (req, res) => {
+  const { url, events, description } = req.body;
+
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const problem = await webhookUrlProblem(url);
+    if (problem) {
+      return sendValidationError(res, [{ field: 'body.url', message: problem }]);
+    }
+
+    const count = await getDb().collection('webhooks').countDocuments({ vendorId: user._id });
+    if (count >= MAX_WEBHOOKS_PER_VENDOR) {
+      return res.status(409).json({ message: `You can register at most ${MAX_WEBHOOKS_PER_VENDOR} webhooks` });
+    }
+
+    const now = new Date();
+    const webhook = {
+      vendorId: user._id,
+      url,
+      events,
+      description: description || '',
+      secret: generateSecret(),
+      active: true,
+      createdAt: now,
+      updatedAt: now,
+    };
+    const result = await getDb().collection('webhooks').insertOne(webhook);
+
+    res.status(201).json({ message: 'Webhook registered successfully', webhookId: result.insertedId, secret: webhook.secret });
+  } catch (error) {
+    console.error('Error registering webhook:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to change a webhook's URL, events or description, or to pause it
+router.put('/vendor/webhooks/:id', authenticateToken, validate({ params: schemas.idParams, body: webhookUpdateBody }), async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const problem = req.body.url && await webhookUrlProblem(req.body.url);
+    if (problem) {
+      return sendValidationError(res, [{ field: 'body.url', message: problem }]);
+    }
+
+    const webhook = await getDb().collection('webhooks').findOneAndUpdate(
+      { _id: new ObjectId(req.params.id), vendorId: user._id },
+      { $set: { ...req.body, updatedAt: new Date() } },
+      { returnDocument: 'after', projection: webhookProjection }
+    );
+
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    res.status(200).json(webhook);
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to replace a webhook's signing secret
+router.post('/vendor/webhooks/:id/secret', authenticateToken, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const secret = generateSecret();
+    const result = await getDb().collection('webhooks').updateOne(
+      { _id: new ObjectId(req.params.id), vendorId: user._id },
+      { $set: { secret, updatedAt: new Date() } }
+    );
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    res.status(200).json({ message: 'Webhook secret rotated successfully', secret });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to remove a webhook along with its delivery log
+router.delete('/vendor/webhooks/:id', authenticateToken, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const webhook = await getDb().collection('webhooks').findOneAndDelete({ _id: new ObjectId(req.params.id), vendorId: user._id });
+
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    await getDb().collection('webhookDeliveries').deleteMany({ webhookId: webhook._id });
+
+    res.status(200).json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to read a webhook's delivery log, newest first
+router.get('/vendor/webhooks/:id/deliveries', authenticateToken, validate({ params: schemas.idParams, query: deliveryListQuery }), async (req, res) => {
+  const { status, event, page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const webhookId = new ObjectId(req.params.id);
+    const exists = await getDb().collection('webhooks').countDocuments({ _id: webhookId, vendorId: user._id }, { limit: 1 });
+
+    if (!exists) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const filter = { webhookId };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const [items, total] = await Promise.all([
+      getDb().collection('webhookDeliveries')
+        .find(filter)
+        // Response bodies stored by earlier versions are not shown
+        .project({ lockedUntil: 0, 'lastAttempt.responseBody': 0 })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray(),
+      getDb().collection('webhookDeliveries').countDocuments(filter),
+    ]);
+
+    res.status(200).json({ items, page, limit, total });
+  } catch (error) {
+    console.error('Error retrieving webhook deliveries:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+// Endpoint to send an event again. The original delivery stays in the log and
+// the new one carries the same event ID so receivers can deduplicate.
+router.post('/vendor/webhooks/deliveries/:id/redeliver', authenticateToken, validate({ params: schemas.idParams }), async (req, res) => {
+  try {
+    const user = await findVerifiedUser(req.user.phoneNumber);
+
+    if (!user) {
+      return res.status(400).json({ message: 'User not registered or not verified' });
+    }
+
+    const delivery = await getDb().collection('webhookDeliveries').findOne({ _id: new ObjectId(req.params.id), vendorId: user._id });
+
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    const now = new Date();
+    const result = await getDb().collection('webhookDeliveries').insertOne({
+      webhookId: delivery.webhookId,
+      vendorId: delivery.vendorId,
+      event: delivery.event,
+      payload: delivery.payload,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      redeliveryOf: delivery._id,
+      createdAt: now,
+    });
+
+    res.status(202).json({ message: 'Delivery queued', deliveryId: result.insertedId });
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+});
+
+module.exports = {
+  router,
+  WEBHOOK_EVENTS,
+  ensureWebhookIndexes,
+  emitEvent,
+  emitListingEvent,
+  signPayload,
+  webhookUrlProblem,
+  processDeliveries,
+  startWebhookDelivery,
+};